@@ -0,0 +1,16 @@
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+/**
+ * ✅ Trust X-Forwarded-For from the reverse proxies in front of the app
+ * - TRUST_PROXY_HOPS is how many proxies sit between clients and the app (0 when it is reached directly)
+ * - Without it every client shares the proxy's address, so the per-IP rate limits and OTP guards would
+ *   lump all users together
+ */
+const configureTrustProxy = (app) => {
+  const hops = parseInt(process.env.TRUST_PROXY_HOPS, 10);
+  app.set('trust proxy', Number.isInteger(hops) && hops > 0 ? hops : false);
+};
+
+module.exports = { configureTrustProxy };
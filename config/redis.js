@@ -0,0 +1,34 @@
+const { createClient } = require('redis');
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const REDIS_URL = process.env.REDIS_URL || 'redis://localhost:6379';
+
+// Shared command client (presence, typing state); the Socket.io adapter gets its own pub/sub pair
+const redisClient = createClient({ url: REDIS_URL });
+redisClient.on('error', (error) => console.error('❌ Redis Client Error:', error));
+
+/**
+ * ✅ Connect the shared client and create the Socket.io adapter clients
+ * - Like the MongoDB connection, the server cannot run without Redis
+ */
+const connectRedis = async () => {
+  try {
+    if (!redisClient.isOpen) await redisClient.connect();
+
+    const pubClient = redisClient.duplicate();
+    const subClient = redisClient.duplicate();
+    pubClient.on('error', (error) => console.error('❌ Redis Pub Client Error:', error));
+    subClient.on('error', (error) => console.error('❌ Redis Sub Client Error:', error));
+    await Promise.all([pubClient.connect(), subClient.connect()]);
+
+    console.log('✅ Redis Connected Successfully');
+    return { pubClient, subClient };
+  } catch (error) {
+    console.error('❌ Redis Connection Error:', error);
+    process.exit(1);
+  }
+};
+
+module.exports = { redisClient, connectRedis, REDIS_URL };
@@ -1,22 +1,42 @@
 const Report = require('../models/Report');
 const Vent = require('../models/Vent');
 const User = require('../models/User');
+const Chat = require('../models/Chat');
+const Message = require('../models/Message');
+const SupportCircle = require('../models/SupportCircles');
+const AuditLog = require('../models/AuditLog');
+const ExpertProfile = require('../models/ExpertProfile');
+const { ROLES } = require('../middleware/permissionMiddleware');
+const { getActiveBlocks, clearBlock } = require('../services/otpGuardService');
+const { findUsersByUsername } = require('../services/usernameService');
+const { isEncryptedChat } = require('../services/chatEncryptionService');
+const { removeComment } = require('../services/ventCommentService');
+const VentComment = require('../models/VentComment');
 
 const FLAG_THRESHOLD = 3;  // 🚨 Auto-flag vent after 3 reports
 
 /**
  * ✅ Get all reports (Unreviewed first)
- * - Fetches reports on vents & chats
+ * - Fetches reports on vents, vent comments & chats
+ * - Messages in end-to-end encrypted chats cannot be read by moderators;
+ *   those reports are marked so they are judged on the reason and metadata alone
  */
 const getReports = async (req, res) => {
     try {
         const reports = await Report.find()
             .populate('reportedBy', 'username')  // Get reporting user's username
             .populate('ventId', 'text userId flagged')  // Fetch vent details
-            .populate('chatId', 'messages participants')  // Fetch chat details
-            .sort({ reviewedAt: 1, createdAt: -1 });  // Show unreviewed reports first
+            .populate('chatId', 'participants status encryption')  // Fetch chat details
+            .populate('commentId', 'ventId userId text isEdited hiddenAt isDeleted')  // Fetch comment details
+            .sort({ reviewedAt: 1, createdAt: -1 })  // Show unreviewed reports first
+            .lean();
 
-        return res.status(200).json({ success: true, reports });
+        const withContentStatus = reports.map(report => ({
+            ...report,
+            contentAvailable: !isEncryptedChat(report.chatId)
+        }));
+
+        return res.status(200).json({ success: true, reports: withContentStatus });
     } catch (error) {
         console.error("❌ Error fetching reports:", error);
         return res.status(500).json({ success: false, message: 'Error fetching reports', error });
@@ -25,7 +45,7 @@ const getReports = async (req, res) => {
 
 /**
  * ✅ Review & resolve a report
- * - Dismiss or delete reported content (vent/chat)
+ * - Dismiss or delete reported content (vent/comment/chat)
  */
 const reviewReport = async (req, res) => {
     const { reportId, action } = req.body;
@@ -42,9 +62,21 @@ const reviewReport = async (req, res) => {
         report.reviewedAt = new Date();
         await report.save();
 
+        await AuditLog.create({
+            actorId: req.user.userId,
+            action: `report_${action}`,
+            targetType: 'report',
+            targetId: report._id,
+            details: { ventId: report.ventId, commentId: report.commentId, chatId: report.chatId },
+            ipAddress: req.ip
+        });
+
         if (action === 'delete') {
             if (report.ventId) {
                 await Vent.findByIdAndDelete(report.ventId);
+            } else if (report.commentId) {
+                const comment = await VentComment.findById(report.commentId);
+                if (comment) await removeComment(comment);
             } else if (report.chatId) {
                 await Chat.findByIdAndDelete(report.chatId);
             }
@@ -93,6 +125,85 @@ const getFlaggedVents = async (req, res) => {
     }
 };
 
+/**
+ * ✅ Get chat & circle messages flagged by automated moderation
+ * - Covers text and voice-note transcripts; encrypted chats are never analysed
+ */
+const getFlaggedMessages = async (req, res) => {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+
+    try {
+        const [chatMessages, circleMessages] = await Promise.all([
+            Message.find({ 'analysis.flagged': true, isDeleted: false })
+                .select('+analysis chatId sender text messageType attachments createdAt')
+                .populate('sender', 'username')
+                .sort({ createdAt: -1 })
+                .limit(limit),
+            SupportCircle.aggregate([
+                { $match: { 'messages.analysis.flagged': true } },
+                { $unwind: '$messages' },
+                { $match: { 'messages.analysis.flagged': true, 'messages.isDeleted': { $ne: true } } },
+                { $sort: { 'messages.createdAt': -1 } },
+                { $limit: limit },
+                {
+                    $project: {
+                        _id: 0,
+                        circleId: '$_id',
+                        circleName: '$name',
+                        messageId: '$messages._id',
+                        userId: '$messages.userId',
+                        content: '$messages.content',
+                        messageType: '$messages.messageType',
+                        attachments: '$messages.attachments',
+                        analysis: '$messages.analysis',
+                        createdAt: '$messages.createdAt'
+                    }
+                }
+            ])
+        ]);
+
+        return res.status(200).json({ success: true, chatMessages, circleMessages });
+    } catch (error) {
+        console.error("❌ Error fetching flagged messages:", error);
+        return res.status(500).json({ success: false, message: 'Error fetching flagged messages', error });
+    }
+};
+
+/**
+ * ✅ Get a vent with its edit history (newest revision last)
+ */
+const getVentRevisions = async (req, res) => {
+    const { ventId } = req.params;
+
+    try {
+        const vent = await Vent.findById(ventId)
+            .select('+revisions')
+            .populate('userId', 'username');
+        if (!vent) return res.status(404).json({ success: false, message: 'Vent not found' });
+
+        return res.status(200).json({
+            success: true,
+            vent: {
+                _id: vent._id,
+                author: vent.userId,
+                anonymous: vent.anonymous,
+                title: vent.title,
+                text: vent.text,
+                emotion: vent.emotion,
+                hashtags: vent.hashtags,
+                issueType: vent.issueType,
+                isEdited: vent.isEdited,
+                editedAt: vent.editedAt,
+                createdAt: vent.createdAt
+            },
+            revisions: vent.revisions
+        });
+    } catch (error) {
+        console.error("❌ Error fetching vent revisions:", error);
+        return res.status(500).json({ success: false, message: 'Error fetching vent revisions', error });
+    }
+};
+
 /**
  * ✅ Clear flagged status from a vent
  */
@@ -112,10 +223,289 @@ const clearFlaggedVent = async (req, res) => {
     }
 };
 
+/**
+ * ✅ Get a user's platform roles
+ */
+const getUserRoles = async (req, res) => {
+    const { userId } = req.params;
+
+    try {
+        const user = await User.findById(userId).select('username roles');
+        if (!user) return res.status(404).json({ success: false, message: 'User not found' });
+
+        return res.status(200).json({ success: true, userId: user._id, username: user.username, roles: user.roles });
+    } catch (error) {
+        console.error("❌ Error fetching user roles:", error);
+        return res.status(500).json({ success: false, message: 'Error fetching user roles', error });
+    }
+};
+
+/**
+ * ✅ Grant or revoke a platform role
+ * - Every change is written to the audit log
+ * - The base 'user' role cannot be revoked, and admins cannot revoke their own admin role
+ */
+const updateUserRole = async (req, res) => {
+    const actorId = req.user.userId;
+    const { userId } = req.params;
+    const { role, action } = req.body;
+
+    if (!ROLES.includes(role) || !['grant', 'revoke'].includes(action)) {
+        return res.status(400).json({ success: false, message: `Role must be one of ${ROLES.join(', ')} and action must be "grant" or "revoke"` });
+    }
+
+    if (action === 'revoke' && role === 'user') {
+        return res.status(400).json({ success: false, message: 'The base user role cannot be revoked' });
+    }
+
+    if (action === 'revoke' && role === 'admin' && userId === actorId) {
+        return res.status(400).json({ success: false, message: 'You cannot revoke your own admin role' });
+    }
+
+    try {
+        // Accounts created before roles existed have no `roles` field: they start from ['user'], not from nothing
+        const currentRoles = { $ifNull: ['$roles', ['user']] };
+        const newRoles = action === 'grant'
+            ? { $cond: [{ $in: [role, currentRoles] }, currentRoles, { $concatArrays: [currentRoles, [role]] }] }
+            : { $filter: { input: currentRoles, cond: { $ne: ['$$this', role] } } };
+        const update = [{ $set: { roles: newRoles } }];
+        const before = await User.findByIdAndUpdate(userId, update).select('roles');
+        if (!before) return res.status(404).json({ success: false, message: 'User not found' });
+
+        const hadRole = before.roles.includes(role);
+        if ((action === 'grant' && hadRole) || (action === 'revoke' && !hadRole)) {
+            return res.status(200).json({ success: true, message: `No change: user ${hadRole ? 'already has' : 'does not have'} the ${role} role`, roles: before.roles });
+        }
+
+        const user = await User.findById(userId).select('roles');
+
+        await AuditLog.create({
+            actorId,
+            action: action === 'grant' ? 'role_granted' : 'role_revoked',
+            targetUserId: userId,
+            targetType: 'user',
+            targetId: userId,
+            details: { role, previousRoles: before.roles, newRoles: user.roles },
+            ipAddress: req.ip
+        });
+
+        return res.status(200).json({ success: true, message: `Role ${role} ${action === 'grant' ? 'granted' : 'revoked'}`, roles: user.roles });
+    } catch (error) {
+        console.error("❌ Error updating user role:", error);
+        return res.status(500).json({ success: false, message: 'Error updating user role', error });
+    }
+};
+
+/**
+ * ✅ Get audit log entries (Newest first)
+ * - Optional filters: action, targetUserId, actorId
+ */
+const getAuditLog = async (req, res) => {
+    const { action, targetUserId, actorId, page = 1, limit = 50 } = req.query;
+
+    try {
+        const query = {};
+        if (action) query.action = action;
+        if (targetUserId) query.targetUserId = targetUserId;
+        if (actorId) query.actorId = actorId;
+
+        const entries = await AuditLog.find(query)
+            .sort({ createdAt: -1 })
+            .skip((Number(page) - 1) * Number(limit))
+            .limit(Number(limit))
+            .populate('actorId', 'username')
+            .populate('targetUserId', 'username');
+
+        const total = await AuditLog.countDocuments(query);
+
+        return res.status(200).json({
+            success: true,
+            entries,
+            pagination: {
+                total,
+                page: Number(page),
+                limit: Number(limit),
+                pages: Math.ceil(total / Number(limit))
+            }
+        });
+    } catch (error) {
+        console.error("❌ Error fetching audit log:", error);
+        return res.status(500).json({ success: false, message: 'Error fetching audit log', error });
+    }
+};
+
+/**
+ * ✅ Get expert profiles awaiting verification
+ */
+const getPendingExperts = async (req, res) => {
+    try {
+        const experts = await ExpertProfile.find({ verificationStatus: { $in: ['pending', 'additional_info_needed'] } })
+            .populate('userId', 'username')
+            .sort({ createdAt: 1 });
+
+        return res.status(200).json({ success: true, experts });
+    } catch (error) {
+        console.error("❌ Error fetching pending experts:", error);
+        return res.status(500).json({ success: false, message: 'Error fetching pending experts', error });
+    }
+};
+
+/**
+ * ✅ Verify, reject or request more info on an expert profile
+ */
+const reviewExpertProfile = async (req, res) => {
+    const reviewerId = req.user.userId;
+    const { expertId } = req.params;
+    const { status, notes = '' } = req.body;
+
+    if (!['verified', 'rejected', 'additional_info_needed'].includes(status)) {
+        return res.status(400).json({ success: false, message: 'Status must be "verified", "rejected" or "additional_info_needed"' });
+    }
+
+    try {
+        const expert = await ExpertProfile.findById(expertId);
+        if (!expert) return res.status(404).json({ success: false, message: 'Expert profile not found' });
+
+        const previousStatus = expert.verificationStatus;
+        expert.verificationStatus = status;
+        expert.isVerified = status === 'verified';
+        expert.reviewedBy = reviewerId;
+        expert.reviewNotes = notes;
+        expert.reviewedAt = new Date();
+        await expert.save();
+
+        await AuditLog.create({
+            actorId: reviewerId,
+            action: 'expert_reviewed',
+            targetUserId: expert.userId,
+            targetType: 'expert_profile',
+            targetId: expert._id,
+            details: { previousStatus, status, notes },
+            ipAddress: req.ip
+        });
+
+        return res.status(200).json({ success: true, message: `Expert profile marked as ${status}`, expert });
+    } catch (error) {
+        console.error("❌ Error reviewing expert profile:", error);
+        return res.status(500).json({ success: false, message: 'Error reviewing expert profile', error });
+    }
+};
+
+/**
+ * ✅ Get phones & IPs currently blocked from OTP login
+ * - Optional filter: kind=phone|ip
+ */
+const getOtpBlocks = async (req, res) => {
+    const { kind } = req.query;
+
+    if (kind && !['phone', 'ip'].includes(kind)) {
+        return res.status(400).json({ success: false, message: 'Kind must be "phone" or "ip"' });
+    }
+
+    try {
+        const blocks = await getActiveBlocks(kind);
+
+        return res.status(200).json({
+            success: true,
+            blocks: blocks.map(b => ({
+                id: b._id,
+                kind: b.kind,
+                key: b.key,
+                reason: b.blockReason,
+                blockedUntil: b.blockedUntil,
+                lastBlockedAt: b.lastBlockedAt,
+                lockoutLevel: b.lockoutLevel,
+                recentRequests: b.requests.length,
+                recentPhones: b.kind === 'ip' ? [...new Set(b.requests.map(r => r.phone))] : undefined
+            }))
+        });
+    } catch (error) {
+        console.error("❌ Error fetching OTP blocks:", error);
+        return res.status(500).json({ success: false, message: 'Error fetching OTP blocks', error });
+    }
+};
+
+/**
+ * ✅ Lift an OTP block on a phone or IP
+ */
+const clearOtpBlock = async (req, res) => {
+    const { blockId } = req.params;
+
+    try {
+        const guard = await clearBlock(blockId);
+        if (!guard) return res.status(404).json({ success: false, message: 'Block not found' });
+
+        await AuditLog.create({
+            actorId: req.user.userId,
+            action: 'otp_block_cleared',
+            targetType: `otp_${guard.kind}`,
+            targetId: guard._id,
+            details: { kind: guard.kind, key: guard.key },
+            ipAddress: req.ip
+        });
+
+        return res.status(200).json({ success: true, message: `${guard.kind} ${guard.key} unblocked` });
+    } catch (error) {
+        console.error("❌ Error clearing OTP block:", error);
+        return res.status(500).json({ success: false, message: 'Error clearing OTP block', error });
+    }
+};
+
+/**
+ * ✅ Username history of one user
+ */
+const getUsernameHistory = async (req, res) => {
+    const { userId } = req.params;
+
+    try {
+        const user = await User.findById(userId).select('username usernameHistory usernameChangedAt joinedAt');
+        if (!user) return res.status(404).json({ success: false, message: 'User not found' });
+
+        return res.status(200).json({
+            success: true,
+            userId: user._id,
+            username: user.username,
+            usernameChangedAt: user.usernameChangedAt,
+            joinedAt: user.joinedAt,
+            history: user.usernameHistory
+        });
+    } catch (error) {
+        console.error("❌ Error fetching username history:", error);
+        return res.status(500).json({ success: false, message: 'Error fetching username history', error });
+    }
+};
+
+/**
+ * ✅ Trace a handle: every account that uses or has used it
+ */
+const lookupUsername = async (req, res) => {
+    const { username } = req.query;
+    if (!username) return res.status(400).json({ success: false, message: 'username query parameter is required' });
+
+    try {
+        const users = await findUsersByUsername(username);
+        return res.status(200).json({ success: true, users });
+    } catch (error) {
+        console.error("❌ Error looking up username:", error);
+        return res.status(500).json({ success: false, message: 'Error looking up username', error });
+    }
+};
+
 module.exports = {
     getReports,
     reviewReport,
     autoFlagVents,
     getFlaggedVents,
-    clearFlaggedVent
+    getFlaggedMessages,
+    getVentRevisions,
+    clearFlaggedVent,
+    getUserRoles,
+    updateUserRole,
+    getAuditLog,
+    getPendingExperts,
+    reviewExpertProfile,
+    getOtpBlocks,
+    clearOtpBlock,
+    getUsernameHistory,
+    lookupUsername
 };
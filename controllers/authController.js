@@ -1,83 +1,175 @@
-const { sendOTP, verifyOTP } = require('../services/twilioService');
+const mongoose = require('mongoose');
+const { sendOTP, verifyOTP } = require('../services/otpService');
+const {
+  checkOtpRequest,
+  checkOtpVerify,
+  recordFailedVerification,
+  recordSuccessfulVerification
+} = require('../services/otpGuardService');
 const User = require('../models/User');
 const jwt = require('jsonwebtoken');
 const dotenv = require('dotenv');
 const express = require('express');
 const router = express.Router();
 const authMiddleware = require('../middleware/authMiddleware');
+const {
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeAllSessions,
+  listActiveSessions
+} = require('../services/sessionService');
+const {
+  DELETION_GRACE_PERIOD_DAYS,
+  buildUserExport,
+  scheduleAccountDeletion,
+  cancelAccountDeletion
+} = require('../services/accountService');
+const { getPublicProfile, VISIBILITY_LEVELS, PROFILE_SECTIONS } = require('../services/profileService');
+const usernameService = require('../services/usernameService');
 
 dotenv.config();
 
-const generateReadableUsername = () => {
-  const adjectives = [
-    'Peaceful', 'Hopeful', 'Serene', 'Cheerful', 'Bright',
-    'Gentle', 'Joyful', 'Calm', 'Radiant', 'Lively',
-    'Tranquil', 'Mellow', 'Blissful', 'Uplifting', 'Harmonious',
-    'Zen', 'Balanced', 'Soothing', 'Rejuvenated', 'Ethereal'
-  ];
-  const nouns = [
-    'Sunrise', 'Butterfly', 'Rainbow', 'Breeze', 'Meadow',
-    'Blossom', 'Oasis', 'Harmony', 'Star', 'Wave',
-    'Garden', 'Spirit', 'Journey', 'Solace', 'Haven',
-    'Paradise', 'Aura', 'Cloud', 'Dawn', 'Serenity'
-  ];
-  return `${adjectives[Math.floor(Math.random() * adjectives.length)]}${nouns[Math.floor(Math.random() * nouns.length)]}${Math.floor(Math.random() * 100)}`;
-};
-
-
 const requestOTP = async (req, res) => {
   const { phone } = req.body;
   if (!phone) return res.status(400).json({ success: false, message: 'Phone number is required' });
 
-  const response = await sendOTP(phone);
-  if (!response.success) return res.status(500).json(response);
+  try {
+    // 🚨 Per-phone limits and SMS-pumping detection
+    const guard = await checkOtpRequest(phone, req.ip);
+    if (!guard.allowed) {
+      res.set('Retry-After', String(guard.retryAfter));
+      return res.status(429).json({ success: false, message: guard.message, retryAfter: guard.retryAfter });
+    }
+
+    const response = await sendOTP(phone);
+    if (!response.success) return res.status(response.statusCode || 500).json(response);
 
-  return res.status(200).json({ success: true, message: 'OTP Sent' });
+    return res.status(200).json({ success: true, message: 'OTP Sent' });
+  } catch (error) {
+    console.error('❌ Error requesting OTP:', error);
+    return res.status(500).json({ success: false, message: 'Error requesting OTP', error });
+  }
 };
 
 const verifyUserOTP = async (req, res) => {
   const { phone, otp } = req.body;
   if (!phone || !otp) return res.status(400).json({ success: false, message: 'Phone & OTP required' });
 
-  const response = await verifyOTP(phone, otp);
-  if (!response.success) return res.status(400).json(response);
+  try {
+    // 🚨 Refuse attempts while the phone or IP is locked out
+    const guard = await checkOtpVerify(phone, req.ip);
+    if (!guard.allowed) {
+      res.set('Retry-After', String(guard.retryAfter));
+      return res.status(429).json({ success: false, message: guard.message, retryAfter: guard.retryAfter });
+    }
 
-  let user = await User.findOne({ phone });
-  let isNewUser = false;
+    const response = await verifyOTP(phone, otp);
+    if (!response.success) {
+      // Provider errors (network, config) are not the user's fault, so only wrong codes count
+      if (!response.error) {
+        const lockout = await recordFailedVerification(phone);
+        if (!lockout.allowed) {
+          res.set('Retry-After', String(lockout.retryAfter));
+          return res.status(429).json({ success: false, message: lockout.message, retryAfter: lockout.retryAfter });
+        }
+      }
+      return res.status(400).json(response);
+    }
 
-  // If user does not exist, create a new one
-  if (!user) {
-    isNewUser = true;  // ✅ Set flag for new user
-    user = new User({ phone, username: generateReadableUsername() });
-    await user.save();
-  }
+    await recordSuccessfulVerification(phone);
 
-  // Generate JWT Token
-  const token = jwt.sign({ userId: user._id, phone: user.phone }, process.env.JWT_SECRET, { expiresIn: '7d' });
+    let user = await User.findOne({ phone });
+    let isNewUser = false;
 
-  return res.status(200).json({ 
-    success: true, 
-    message: 'OTP Verified', 
-    token, 
-    user, 
-    isNewUser  // ✅ Add this flag in response
-  });
+    // If user does not exist, create a new one
+    if (!user) {
+      isNewUser = true;  // ✅ Set flag for new user
+      const username = await usernameService.generateAvailableUsername();
+      user = new User({ phone, username, usernameHistory: [usernameService.initialHistoryEntry(username)] });
+      await user.save();
+    }
+
+    // Start a session for this device (short-lived access token + rotating refresh token)
+    const { accessToken, refreshToken, session } = await createSession(user, {
+      deviceName: req.body.deviceName,
+      userAgent: req.headers['user-agent'],
+      ipAddress: req.ip
+    });
+
+    return res.status(200).json({ 
+      success: true, 
+      message: 'OTP Verified', 
+      token: accessToken, 
+      refreshToken,
+      sessionId: session._id,
+      user, 
+      isNewUser  // ✅ Add this flag in response
+    });
+  } catch (error) {
+    console.error('❌ Error verifying OTP:', error);
+    return res.status(500).json({ success: false, message: 'Error verifying OTP', error });
+  }
 };
 
 
+/**
+ * ✅ Change username
+ * - Format, reserved and offensive-name rules (utils/usernamePolicy.js)
+ * - Case-insensitive uniqueness; recently released handles are held for a while
+ * - Cooldown between changes once a custom username has been chosen
+ */
 const changeUsername = async (req, res) => {
   const { newUsername } = req.body;
   const userId = req.user.userId;
   if (!newUsername) return res.status(400).json({ success: false, message: 'New username is required' });
 
-  const existingUser = await User.findOne({ username: newUsername });
-  if (existingUser) return res.status(400).json({ success: false, message: 'Username already taken' });
+  try {
+    const result = await usernameService.changeUsername(userId, newUsername);
+    if (!result.success) {
+      return res.status(result.statusCode).json({
+        success: false,
+        message: result.message,
+        nextChangeAllowedAt: result.nextChangeAllowedAt
+      });
+    }
 
-  const user = await User.findByIdAndUpdate(userId, { username: newUsername }, { new: true });
-  // Generate (or reuse) a valid token. For example, generate a new JWT:
- // const token = jwt.sign({ userId: user._id, phone: user.phone }, process.env.JWT_SECRET, { expiresIn: '7d' });
+    return res.status(200).json({
+      success: true,
+      message: 'Username updated successfully',
+      user: result.user,
+      nextChangeAllowedAt: result.nextChangeAllowedAt
+    });
+  } catch (error) {
+    console.error('❌ Error changing username:', error);
+    return res.status(500).json({ success: false, message: 'Error changing username', error });
+  }
+};
 
-  return res.status(200).json({ success: true, message: 'Username updated successfully', user });
+/**
+ * ✅ Replace the username with a new generated one (e.g. "CalmMeadow42")
+ */
+const regenerateUsername = async (req, res) => {
+  try {
+    const result = await usernameService.regenerateUsername(req.user.userId);
+    if (!result.success) {
+      return res.status(result.statusCode).json({
+        success: false,
+        message: result.message,
+        nextChangeAllowedAt: result.nextChangeAllowedAt
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Username regenerated successfully',
+      user: result.user,
+      nextChangeAllowedAt: result.nextChangeAllowedAt
+    });
+  } catch (error) {
+    console.error('❌ Error regenerating username:', error);
+    return res.status(500).json({ success: false, message: 'Error regenerating username', error });
+  }
 };
 
 
@@ -122,7 +214,10 @@ const updateUserDetails = async (req, res) => {
     const { userId } = req.params; // Can be a different userId or self
   
     try {
-      const user = await User.findById(userId).select('-phone'); // Exclude phone for privacy
+      // Owners see their full profile, everyone else gets the public projection
+      const user = userId === req.user.userId
+        ? await User.findById(userId).select('-phone') // Exclude phone for privacy
+        : await getPublicProfile(userId, req.user.userId);
       if (!user) return res.status(404).json({ success: false, message: 'User not found' });
   
       return res.status(200).json({ success: true, user });
@@ -131,5 +226,207 @@ const updateUserDetails = async (req, res) => {
     }
   };
 
-module.exports = { requestOTP, verifyUserOTP, changeUsername, updateUserDetails , getUserDetails};
+/**
+ * ✅ Choose who can see each profile section
+ * - Sections: bio, interests, likesDislikes, activityStats
+ * - Levels: everyone, matches, nobody
+ */
+const updateProfileVisibility = async (req, res) => {
+  const userId = req.user.userId;
+  const updateFields = {};
+
+  for (const section of PROFILE_SECTIONS) {
+    const level = req.body[section];
+    if (level === undefined) continue;
+    if (!VISIBILITY_LEVELS.includes(level)) {
+      return res.status(400).json({ success: false, message: `${section} must be one of ${VISIBILITY_LEVELS.join(', ')}` });
+    }
+    updateFields[`profileVisibility.${section}`] = level;
+  }
+
+  if (Object.keys(updateFields).length === 0) {
+    return res.status(400).json({ success: false, message: `Provide at least one of ${PROFILE_SECTIONS.join(', ')}` });
+  }
+
+  try {
+    const user = await User.findByIdAndUpdate(userId, { $set: updateFields }, { new: true }).select('profileVisibility');
+    if (!user) return res.status(404).json({ success: false, message: 'User not found' });
+
+    return res.status(200).json({ success: true, message: 'Profile visibility updated', profileVisibility: user.profileVisibility });
+  } catch (error) {
+    console.error("❌ Error updating profile visibility:", error);
+    return res.status(500).json({ success: false, message: 'Error updating profile visibility', error });
+  }
+};
+
+/**
+ * ✅ Exchange a refresh token for a new token pair
+ * - Refresh tokens are single-use and rotate on every call
+ */
+const refreshAccessToken = async (req, res) => {
+  const { refreshToken } = req.body;
+  if (!refreshToken) return res.status(400).json({ success: false, message: 'Refresh token is required' });
+
+  try {
+    const result = await rotateSession(refreshToken, {
+      userAgent: req.headers['user-agent'],
+      ipAddress: req.ip
+    });
+    if (!result.success) return res.status(401).json({ success: false, message: result.message });
+
+    return res.status(200).json({
+      success: true,
+      token: result.accessToken,
+      refreshToken: result.refreshToken,
+      sessionId: result.session._id
+    });
+  } catch (error) {
+    console.error("❌ Error refreshing token:", error);
+    return res.status(500).json({ success: false, message: 'Error refreshing token', error });
+  }
+};
+
+/**
+ * ✅ List the active sessions (devices) of the logged-in user
+ */
+const getSessions = async (req, res) => {
+  const userId = req.user.userId;
+
+  try {
+    const sessions = await listActiveSessions(userId);
+    return res.status(200).json({
+      success: true,
+      sessions: sessions.map(session => ({
+        ...session,
+        isCurrent: session._id.toString() === req.sessionId
+      }))
+    });
+  } catch (error) {
+    console.error("❌ Error fetching sessions:", error);
+    return res.status(500).json({ success: false, message: 'Error fetching sessions', error });
+  }
+};
+
+/**
+ * ✅ Revoke a single session (log out one device)
+ */
+const deleteSession = async (req, res) => {
+  const userId = req.user.userId;
+  const { sessionId } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(sessionId)) {
+    return res.status(404).json({ success: false, message: 'Session not found' });
+  }
+
+  try {
+    const revoked = await revokeSession(userId, sessionId, 'revoked');
+    if (!revoked) return res.status(404).json({ success: false, message: 'Session not found' });
+
+    return res.status(200).json({ success: true, message: 'Session revoked' });
+  } catch (error) {
+    console.error("❌ Error revoking session:", error);
+    return res.status(500).json({ success: false, message: 'Error revoking session', error });
+  }
+};
+
+/**
+ * ✅ Log out the current session
+ */
+const logout = async (req, res) => {
+  try {
+    await revokeSession(req.user.userId, req.sessionId, 'logout');
+    return res.status(200).json({ success: true, message: 'Logged out' });
+  } catch (error) {
+    console.error("❌ Error logging out:", error);
+    return res.status(500).json({ success: false, message: 'Error logging out', error });
+  }
+};
+
+/**
+ * ✅ Log out everywhere (revoke every session of the user)
+ */
+const logoutAll = async (req, res) => {
+  try {
+    const count = await revokeAllSessions(req.user.userId, 'logout_all');
+    return res.status(200).json({ success: true, message: `Logged out of ${count} session(s)` });
+  } catch (error) {
+    console.error("❌ Error logging out everywhere:", error);
+    return res.status(500).json({ success: false, message: 'Error logging out everywhere', error });
+  }
+};
+
+/**
+ * ✅ Download everything the user owns as a JSON archive
+ */
+const exportUserData = async (req, res) => {
+  const userId = req.user.userId;
+
+  try {
+    const archive = await buildUserExport(userId);
+    if (!archive) return res.status(404).json({ success: false, message: 'User not found' });
+
+    res.setHeader('Content-Disposition', `attachment; filename="unmute-export-${userId}.json"`);
+    return res.status(200).json({ success: true, data: archive });
+  } catch (error) {
+    console.error("❌ Error exporting user data:", error);
+    return res.status(500).json({ success: false, message: 'Error exporting user data', error });
+  }
+};
+
+/**
+ * ✅ Request account deletion
+ * - The account is purged after a grace period; logging in and cancelling stops it
+ */
+const requestAccountDeletion = async (req, res) => {
+  const userId = req.user.userId;
+
+  try {
+    const user = await scheduleAccountDeletion(userId);
+    if (!user) return res.status(404).json({ success: false, message: 'User not found' });
+
+    return res.status(200).json({
+      success: true,
+      message: `Your account will be permanently deleted in ${DELETION_GRACE_PERIOD_DAYS} days. You can cancel until then.`,
+      deletion: user.deletion
+    });
+  } catch (error) {
+    console.error("❌ Error scheduling account deletion:", error);
+    return res.status(500).json({ success: false, message: 'Error scheduling account deletion', error });
+  }
+};
+
+/**
+ * ✅ Cancel a pending account deletion
+ */
+const cancelDeletion = async (req, res) => {
+  const userId = req.user.userId;
+
+  try {
+    const user = await cancelAccountDeletion(userId);
+    if (!user) return res.status(400).json({ success: false, message: 'No account deletion is pending' });
+
+    return res.status(200).json({ success: true, message: 'Account deletion cancelled' });
+  } catch (error) {
+    console.error("❌ Error cancelling account deletion:", error);
+    return res.status(500).json({ success: false, message: 'Error cancelling account deletion', error });
+  }
+};
+
+module.exports = {
+  requestOTP,
+  verifyUserOTP,
+  changeUsername,
+  regenerateUsername,
+  updateUserDetails,
+  getUserDetails,
+  updateProfileVisibility,
+  refreshAccessToken,
+  getSessions,
+  deleteSession,
+  logout,
+  logoutAll,
+  exportUserData,
+  requestAccountDeletion,
+  cancelDeletion
+};
 
@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+const Block = require('../models/Block');
+const User = require('../models/User');
+const { blockUser, unblockUser } = require('../services/blockService');
+const { PUBLIC_USER_FIELDS } = require('../services/profileService');
+
+/**
+ * ✅ Block a user
+ * - Closes chats, unmatches and stops suggestions in both directions
+ * - Hides the blocked user's content from the blocker
+ */
+const addBlock = async (req, res) => {
+    const userId = req.user.userId;
+    const { userId: blockedId, reason = '' } = req.body;
+
+    if (!blockedId || !mongoose.Types.ObjectId.isValid(blockedId)) {
+        return res.status(400).json({ success: false, message: 'A valid user ID is required' });
+    }
+
+    if (blockedId === userId) {
+        return res.status(400).json({ success: false, message: 'You cannot block yourself' });
+    }
+
+    try {
+        const target = await User.findById(blockedId).select('_id');
+        if (!target) return res.status(404).json({ success: false, message: 'User not found' });
+
+        await blockUser(userId, blockedId, reason);
+
+        return res.status(200).json({ success: true, message: 'User blocked' });
+    } catch (error) {
+        console.error("❌ Error blocking user:", error);
+        return res.status(500).json({ success: false, message: 'Error blocking user', error });
+    }
+};
+
+/**
+ * ✅ Unblock a user
+ */
+const removeBlock = async (req, res) => {
+    const userId = req.user.userId;
+    const { blockedId } = req.params;
+
+    try {
+        const removed = await unblockUser(userId, blockedId);
+        if (!removed) return res.status(404).json({ success: false, message: 'This user is not blocked' });
+
+        return res.status(200).json({ success: true, message: 'User unblocked' });
+    } catch (error) {
+        console.error("❌ Error unblocking user:", error);
+        return res.status(500).json({ success: false, message: 'Error unblocking user', error });
+    }
+};
+
+/**
+ * ✅ Get the list of users blocked by the logged-in user
+ */
+const getBlockedUsers = async (req, res) => {
+    const userId = req.user.userId;
+
+    try {
+        const blocks = await Block.find({ blocker: userId })
+            .populate('blocked', PUBLIC_USER_FIELDS)
+            .sort({ createdAt: -1 });
+
+        return res.status(200).json({
+            success: true,
+            blockedUsers: blocks.map(b => ({
+                userId: b.blocked ? b.blocked._id : null,
+                username: b.blocked ? b.blocked.username : 'Unknown User',
+                profilePic: b.blocked ? b.blocked.profilePic : '',
+                blockedAt: b.createdAt
+            }))
+        });
+    } catch (error) {
+        console.error("❌ Error fetching blocked users:", error);
+        return res.status(500).json({ success: false, message: 'Error fetching blocked users', error });
+    }
+};
+
+module.exports = { addBlock, removeBlock, getBlockedUsers };
@@ -1,10 +1,65 @@
+const mongoose = require('mongoose');
 const Chat = require('../models/Chat');
 const Message = require('../models/Message');
 const User = require('../models/User');
 const Match = require('../models/Match')
+const { isBlockedEitherWay } = require('../services/blockService');
+const { PUBLIC_USER_FIELDS } = require('../services/profileService');
+const { userRoom, getPresence } = require('../services/presenceService');
+const {
+    deliverNewMessage,
+    markDelivered,
+    markRead,
+    getUnreadCounts
+} = require('../services/messageDeliveryService');
+const {
+    REPLY_PREVIEW_FIELDS,
+    notExpiredCondition,
+    resolveReplyTo,
+    editMessage: editChatMessage,
+    toggleReaction
+} = require('../services/chatMessageService');
+const { resolveMessageContent, forViewer, enableEncryption } = require('../services/chatEncryptionService');
+const {
+    MEDIA_SUMMARY_FIELDS,
+    summarizeAttachments,
+    resolveAttachments,
+    attachMedia,
+    deleteMedia
+} = require('../services/mediaService');
+const { queueChatMessageAnalysis } = require('../services/messageAnalysisService');
+const {
+    CHAT_LIST_FILTERS,
+    toSettingsView,
+    chatListQuery,
+    inactiveChatMessage,
+    updateMemberSettings,
+    sendChatRequest: createChatRequest,
+    respondToChatRequest,
+    activateRequestedChat,
+    chatPairKey
+} = require('../services/chatConsentService');
+const {
+    retentionExpiry,
+    setRetention
+} = require('../services/chatRetentionService');
+const { encodeCursor, decodeCursor, cursorCondition } = require('../utils/messageCursor');
+
+const DEFAULT_MESSAGE_PAGE_SIZE = 30;
+const MAX_MESSAGE_PAGE_SIZE = 100;
+
+/**
+ * ✅ Message as returned to a participant (their envelopes only, attachment summaries)
+ */
+const toClientMessage = (message, userId) => {
+    const data = forViewer(message, userId);
+    data.attachments = summarizeAttachments(data.attachments);
+    return data;
+};
 
 /**
  * ✅ Start or Retrieve a Chat (Only if Match is Accepted)
+ * - A pending message request between the pair becomes a normal chat
  */
 const startChat = async (req, res) => {
     const userId = req.user.userId;
@@ -15,6 +70,11 @@ const startChat = async (req, res) => {
     }
 
     try {
+        // 🚫 No chats across a block
+        if (await isBlockedEitherWay(userId, recipientId)) {
+            return res.status(403).json({ success: false, message: 'You cannot chat with this user' });
+        }
+
         // 🔍 Ensure a match exists and is explicitly 'accepted'
         const match = await Match.findOne({
             $or: [
@@ -32,8 +92,11 @@ const startChat = async (req, res) => {
 
         if (!chat) {
             // ✅ Create new chat if not exists
-            chat = new Chat({ participants: [userId, recipientId] });
+            chat = new Chat({ participants: [userId, recipientId], pairKey: chatPairKey(userId, recipientId) });
             await chat.save();
+        } else {
+            // Both accepted the match, so a message request no longer needs answering
+            chat = await activateRequestedChat(chat);
         }
 
         return res.status(200).json({ success: true, chat });
@@ -46,36 +109,75 @@ const startChat = async (req, res) => {
 
 /**
  * ✅ Send a Message & Emit to Socket.io
+ * - `attachments`: media ids uploaded with purpose `chat` (text becomes optional);
+ *   a single audio upload makes the message a voice note
+ * - Encrypted chats take `envelopes` + `senderDeviceId` instead of `text`
  */
 const sendMessage = async (req, res, io) => {
     const userId = req.user.userId;
-    const { chatId, text } = req.body;
+    const { chatId, text, envelopes, senderDeviceId, replyTo, attachments } = req.body;
 
-    if (!chatId || !text) {
-        return res.status(400).json({ success: false, message: 'Chat ID and text are required' });
+    if (!chatId) {
+        return res.status(400).json({ success: false, message: 'Chat ID is required' });
     }
 
     try {
         // Check if chat exists
-        const chat = await Chat.findById(chatId);
+        const chat = await Chat.findOne({ _id: chatId, participants: userId });
         if (!chat) {
             return res.status(404).json({ success: false, message: 'Chat not found' });
         }
 
+        // Closed chats (unmatched or blocked) are read-only; requests wait for the recipient
+        if (chat.status !== 'active') {
+            return res.status(403).json({ success: false, message: inactiveChatMessage(chat, userId) });
+        }
+
+        // Attachments must be the sender's own unsent uploads
+        const media = await resolveAttachments(userId, attachments, 'chat');
+        if (!media.valid) {
+            return res.status(400).json({ success: false, message: media.message });
+        }
+
+        // Plaintext or ciphertext envelopes, depending on the chat's encryption mode
+        const content = resolveMessageContent(chat, { text, envelopes, senderDeviceId, hasAttachments: media.media.length > 0 });
+        if (!content.valid) {
+            return res.status(400).json({ success: false, message: content.message });
+        }
+
+        // Quoted reply must point at a message in this chat
+        const quoted = await resolveReplyTo(chatId, replyTo);
+        if (!quoted.valid) {
+            return res.status(400).json({ success: false, message: quoted.message });
+        }
+
         // Create new message
-        const message = new Message({ chatId, sender: userId, text, status: 'sent' });
+        const message = new Message({
+            chatId,
+            sender: userId,
+            ...content.fields,
+            attachments: media.media.map(item => item._id),
+            messageType: media.messageType,
+            replyTo: quoted.replyTo?._id || null,
+            status: 'sent',
+            expiresAt: retentionExpiry(chat)
+        });
         await message.save();
+        await attachMedia(message.attachments, { chatId: chat._id, messageId: message._id });
+        await message.populate('attachments', MEDIA_SUMMARY_FIELDS);
 
         // Update lastMessage in Chat
         chat.lastMessage = message._id;
         chat.updatedAt = new Date();
         await chat.save();
 
-        // 🔥 Emit message to recipient via Socket.io
-        const recipientId = chat.participants.find(id => id.toString() !== userId);
-        io.to(recipientId).emit('newMessage', { chatId, senderId: userId, text });
+        // 🔥 Emit message to recipient via Socket.io (queued as `sent` while they are offline)
+        deliverNewMessage(io, chat, message, quoted.replyTo);
 
-        return res.status(201).json({ success: true, message });
+        // 🧭 Moderation & sentiment (voice notes are transcribed first)
+        queueChatMessageAnalysis(io, message._id);
+
+        return res.status(201).json({ success: true, message: toClientMessage(message, userId) });
 
     } catch (error) {
         console.error("❌ Error sending message:", error);
@@ -84,18 +186,60 @@ const sendMessage = async (req, res, io) => {
 };
 
 /**
- * ✅ Get Chat List (All active chats for the user)
+ * ✅ Get Chat List
+ * - `filter`: inbox (default: active, not archived), archived, pinned, muted,
+ *   requests (waiting for me), sent-requests (waiting for them), all
+ * - Pinned chats come first, then the most recently updated
+ * - Includes each chat's unread count, my mute/archive/pin settings and the other participant's presence
  */
 const getChatList = async (req, res) => {
     const userId = req.user.userId;
+    const filter = req.query.filter || 'inbox';
 
-    try {
-        // Fetch all chats for the user
-        const chats = await Chat.find({ participants: userId, status: 'active' })
-            .populate('participants', 'username')
-            .populate('lastMessage');
+    const query = chatListQuery(userId, filter);
+    if (!query) {
+        return res.status(400).json({ success: false, message: `filter must be one of: ${CHAT_LIST_FILTERS.join(', ')}` });
+    }
 
-        return res.status(200).json({ success: true, chats });
+    try {
+        // Fetch the chats in this view
+        const chats = await Chat.find(query)
+            .populate('participants', PUBLIC_USER_FIELDS)
+            .populate({ path: 'lastMessage', match: notExpiredCondition() }) // An expired last message is not previewed
+            .sort({ updatedAt: -1 })
+            .lean();
+
+        // Unread counts and the other participant's presence, so the inbox renders with one call
+        const otherParticipantIds = chats
+            .map(chat => chat.participants.find(p => p._id.toString() !== userId))
+            .filter(Boolean)
+            .map(p => p._id);
+
+        const [unreadCounts, presence] = await Promise.all([
+            getUnreadCounts(userId, chats.map(chat => chat._id)),
+            getPresence(otherParticipantIds)
+        ]);
+        const presenceByUser = new Map(presence.map(entry => [entry.userId, entry]));
+
+        const inbox = chats.map(({ memberSettings, ...chat }) => {
+            const other = chat.participants.find(p => p._id.toString() !== userId);
+            return {
+                ...chat,
+                settings: toSettingsView({ memberSettings }, userId), // Only my own settings, never the other side's
+                lastMessage: chat.lastMessage ? toClientMessage(chat.lastMessage, userId) : null,
+                unreadCount: unreadCounts.get(chat._id.toString()) || 0,
+                otherParticipantPresence: other ? presenceByUser.get(other._id.toString()) || null : null
+            };
+        });
+        inbox.sort((a, b) => (b.settings.pinnedAt || 0) - (a.settings.pinnedAt || 0));
+
+        return res.status(200).json({
+            success: true,
+            filter,
+            chats: inbox,
+            // Muted chats do not count towards the badge
+            totalUnread: inbox.reduce((sum, chat) => sum + (chat.settings.muted ? 0 : chat.unreadCount), 0)
+        });
 
     } catch (error) {
         console.error("❌ Error fetching chat list:", error);
@@ -104,11 +248,26 @@ const getChatList = async (req, res) => {
 };
 
 /**
- * ✅ Get Chat Messages
+ * ✅ Get Chat Messages (cursor-paginated)
+ * - `limit` (default 30, max 100); newest page when no cursor is given
+ * - `before=<cursor>` for older messages, `after=<cursor>` for newer ones
+ * - Messages are always returned oldest → newest, with the chat's unread count
  */
 const getChatMessages = async (req, res) => {
     const userId = req.user.userId;
     const { chatId } = req.params;
+    const { before, after } = req.query;
+
+    if (before && after) {
+        return res.status(400).json({ success: false, message: 'Use either before or after, not both' });
+    }
+
+    const cursor = decodeCursor(before || after);
+    if ((before || after) && !cursor) {
+        return res.status(400).json({ success: false, message: 'Invalid cursor' });
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_MESSAGE_PAGE_SIZE, 1), MAX_MESSAGE_PAGE_SIZE);
 
     try {
         // Ensure chat exists and user is part of it
@@ -117,17 +276,45 @@ const getChatMessages = async (req, res) => {
             return res.status(404).json({ success: false, message: 'Chat not found' });
         }
 
-        // Fetch all messages in the chat
-        const messages = await Message.find({ chatId }).sort({ createdAt: 1 });
-
-        return res.status(200).json({ success: true, messages });
+        // Newest page by default; `before` pages back through history, `after` catches up on newer messages
+        // Expired messages waiting for the purge job are already hidden
+        const query = { chatId, $and: [notExpiredCondition()] };
+        if (cursor) query.$and.push(cursorCondition(cursor, before ? 'before' : 'after'));
+        const newestFirst = !after;
+
+        const page = await Message.find(query)
+            .sort(newestFirst ? { createdAt: -1, _id: -1 } : { createdAt: 1, _id: 1 })
+            .limit(limit + 1)
+            .select('-editHistory')
+            .populate('replyTo', REPLY_PREVIEW_FIELDS)
+            .populate('attachments', MEDIA_SUMMARY_FIELDS);
+
+        const hasMore = page.length > limit;
+        const messages = page.slice(0, limit);
+        if (newestFirst) messages.reverse(); // Always return oldest → newest
+
+        const unreadCount = (await getUnreadCounts(userId, [chat._id])).get(chat._id.toString()) || 0;
+
+        return res.status(200).json({
+            success: true,
+            encryption: chat.encryption,
+            retention: chat.retention,
+            messages: messages.map(message => toClientMessage(message, userId)),
+            pageInfo: {
+                limit,
+                startCursor: encodeCursor(messages[0]),
+                endCursor: encodeCursor(messages[messages.length - 1]),
+                hasOlder: newestFirst ? hasMore : true,
+                hasNewer: newestFirst ? !!before : hasMore
+            },
+            unreadCount
+        });
 
     } catch (error) {
         console.error("❌ Error fetching messages:", error);
         return res.status(500).json({ success: false, message: 'Error fetching messages', error });
     }
 };
-
 /**
  * ✅ Mark Messages as Read & Emit Read Receipts
  */
@@ -140,16 +327,15 @@ const markMessagesAsRead = async (req, res, io) => {
     }
 
     try {
-        // Update message status for messages in this chat
-        const updatedMessages = await Message.updateMany(
-            { chatId, status: 'sent', sender: { $ne: userId } },
-            { $set: { status: 'read' } }
-        );
+        const chat = await Chat.findOne({ _id: chatId, participants: userId }).select('participants');
+        if (!chat) {
+            return res.status(404).json({ success: false, message: 'Chat not found' });
+        }
 
-        // Notify sender that messages were read
-        io.to(chatId).emit('messagesRead', { chatId });
+        // Update message status & notify the sender per message
+        const updated = await markRead(io, userId, chat);
 
-        return res.status(200).json({ success: true, message: 'Messages marked as read' });
+        return res.status(200).json({ success: true, message: 'Messages marked as read', updated });
 
     } catch (error) {
         console.error("❌ Error marking messages as read:", error);
@@ -158,12 +344,230 @@ const markMessagesAsRead = async (req, res, io) => {
 };
 
 
+/**
+ * ✅ Acknowledge delivery of messages (for clients that load messages over REST)
+ */
+const markMessagesAsDelivered = async (req, res, io) => {
+    const userId = req.user.userId;
+    const { messageIds } = req.body;
+
+    if (!Array.isArray(messageIds) || messageIds.length === 0) {
+        return res.status(400).json({ success: false, message: 'messageIds must be a non-empty array' });
+    }
+
+    try {
+        const updated = await markDelivered(io, userId, messageIds);
+        return res.status(200).json({ success: true, message: 'Messages marked as delivered', updated });
+    } catch (error) {
+        console.error("❌ Error marking messages as delivered:", error);
+        return res.status(500).json({ success: false, message: 'Error marking messages as delivered', error });
+    }
+};
+
+/**
+ * ✅ Edit a Message
+ * - Only your own messages; the previous text is kept in the edit history
+ */
+const editMessage = async (req, res, io) => {
+    const userId = req.user.userId;
+    const { messageId } = req.params;
+    const { text } = req.body;
+
+    try {
+        const result = await editChatMessage(io, userId, messageId, text);
+        if (!result.success) {
+            return res.status(result.statusCode).json({ success: false, message: result.message });
+        }
+        queueChatMessageAnalysis(io, result.data._id);
+
+        return res.status(200).json({ success: true, message: result.data });
+    } catch (error) {
+        console.error("❌ Error editing message:", error);
+        return res.status(500).json({ success: false, message: 'Error editing message', error });
+    }
+};
+
+/**
+ * ✅ Get a Message's Edit History (participants only)
+ * - Deleted messages have no history to show
+ */
+const getMessageEditHistory = async (req, res) => {
+    const userId = req.user.userId;
+    const { messageId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(messageId)) {
+        return res.status(404).json({ success: false, message: 'Message not found' });
+    }
+
+    try {
+        const message = await Message.findById(messageId).select('chatId text isEdited editedAt editHistory isDeleted');
+        const chat = message && !message.isDeleted && await Chat.exists({ _id: message.chatId, participants: userId });
+        if (!chat) {
+            return res.status(404).json({ success: false, message: 'Message not found' });
+        }
+
+        return res.status(200).json({
+            success: true,
+            messageId: message._id,
+            text: message.text,
+            isEdited: message.isEdited,
+            editedAt: message.editedAt,
+            history: message.editHistory
+        });
+    } catch (error) {
+        console.error("❌ Error fetching edit history:", error);
+        return res.status(500).json({ success: false, message: 'Error fetching edit history', error });
+    }
+};
+
+/**
+ * ✅ React to a Message
+ * - Same reaction again removes it; a different one replaces it
+ */
+const reactToMessage = async (req, res, io) => {
+    const userId = req.user.userId;
+    const { messageId } = req.params;
+    const { reactionType } = req.body;
+
+    try {
+        const result = await toggleReaction(io, userId, messageId, reactionType);
+        if (!result.success) {
+            return res.status(result.statusCode).json({ success: false, message: result.message });
+        }
+
+        return res.status(200).json({ success: true, action: result.action, reactions: result.reactions });
+    } catch (error) {
+        console.error("❌ Error reacting to message:", error);
+        return res.status(500).json({ success: false, message: 'Error reacting to message', error });
+    }
+};
+
+/**
+ * ✅ Turn on End-to-End Encryption for a Chat
+ * - Both participants must have registered keys (`PUT /api/keys/bundle`)
+ * - Cannot be turned off again, so a chat can never be silently downgraded
+ */
+const enableChatEncryption = async (req, res, io) => {
+    const userId = req.user.userId;
+    const { chatId } = req.params;
+
+    try {
+        const result = await enableEncryption(io, userId, chatId);
+        if (!result.success) {
+            return res.status(result.statusCode).json({ success: false, message: result.message });
+        }
+
+        return res.status(200).json({ success: true, message: 'End-to-end encryption is on', encryption: result.chat.encryption });
+    } catch (error) {
+        console.error("❌ Error enabling chat encryption:", error);
+        return res.status(500).json({ success: false, message: 'Error enabling chat encryption', error });
+    }
+};
+
+/**
+ * ✅ Send a Message Request
+ * - A single opener to a suggested match you have no accepted match with yet
+ * - The chat opens once the recipient accepts
+ */
+const sendChatRequest = async (req, res, io) => {
+    const userId = req.user.userId;
+    const { recipientId, text } = req.body;
+
+    try {
+        const result = await createChatRequest(io, userId, recipientId, text);
+        if (!result.success) {
+            return res.status(result.statusCode).json({ success: false, message: result.message });
+        }
+        queueChatMessageAnalysis(io, result.opener._id);
+
+        return res.status(201).json({ success: true, chat: result.chat, message: result.opener });
+    } catch (error) {
+        console.error("❌ Error sending message request:", error);
+        return res.status(500).json({ success: false, message: 'Error sending message request', error });
+    }
+};
+
+/**
+ * ✅ Accept or Decline a Message Request (recipient only)
+ */
+const respondToRequest = (accept) => async (req, res, io) => {
+    const userId = req.user.userId;
+    const { chatId } = req.params;
+
+    try {
+        const result = await respondToChatRequest(io, userId, chatId, accept);
+        if (!result.success) {
+            return res.status(result.statusCode).json({ success: false, message: result.message });
+        }
+
+        return res.status(200).json({
+            success: true,
+            message: accept ? 'Message request accepted' : 'Message request declined',
+            chatId: result.chat._id,
+            status: result.chat.status
+        });
+    } catch (error) {
+        console.error("❌ Error responding to message request:", error);
+        return res.status(500).json({ success: false, message: 'Error responding to message request', error });
+    }
+};
+
+const acceptChatRequest = respondToRequest(true);
+const declineChatRequest = respondToRequest(false);
+
+/**
+ * ✅ Mute, Archive or Pin a Chat (only affects my own inbox)
+ * - Body: `mute` (+ optional `durationMinutes`), `archived`, `pinned`
+ */
+const updateChatSettings = async (req, res) => {
+    const userId = req.user.userId;
+    const { chatId } = req.params;
+
+    try {
+        const result = await updateMemberSettings(userId, chatId, req.body || {});
+        if (!result.success) {
+            return res.status(result.statusCode).json({ success: false, message: result.message });
+        }
+
+        return res.status(200).json({ success: true, chatId, settings: result.settings });
+    } catch (error) {
+        console.error("❌ Error updating chat settings:", error);
+        return res.status(500).json({ success: false, message: 'Error updating chat settings', error });
+    }
+};
+
+/**
+ * ✅ Set Disappearing Messages for a Chat
+ * - `retention`: off, 24h, 7d or 30d; applies to messages sent from now on
+ */
+const setChatRetention = async (req, res, io) => {
+    const userId = req.user.userId;
+    const { chatId } = req.params;
+
+    try {
+        const result = await setRetention(io, userId, chatId, req.body.retention);
+        if (!result.success) {
+            return res.status(result.statusCode).json({ success: false, message: result.message });
+        }
+
+        return res.status(200).json({
+            success: true,
+            chatId: result.chat._id,
+            retention: result.chat.retention,
+            message: result.systemMessage ? toClientMessage(result.systemMessage, userId) : null
+        });
+    } catch (error) {
+        console.error("❌ Error updating chat retention:", error);
+        return res.status(500).json({ success: false, message: 'Error updating chat retention', error });
+    }
+};
+
 /**
  * ✅ Delete a Single Message (Soft Delete)
  * - Users can only delete their own messages.
  * - Optionally, replace text with "Message deleted".
  */
-const deleteMessage = async (req, res) => {
+const deleteMessage = async (req, res, io) => {
     const userId = req.user.userId;
     const { messageId } = req.body;
 
@@ -181,8 +585,14 @@ const deleteMessage = async (req, res) => {
             return res.status(403).json({ success: false, message: 'You can only delete your own messages' });
         }
 
-        // Soft delete - Replace message text
+        // Soft delete - Replace message text (and drop any ciphertext & attachments)
+        await deleteMedia({ _id: { $in: message.attachments } });
         message.text = 'Message deleted';
+        message.envelopes = [];
+        message.attachments = [];
+        message.editHistory = []; // Earlier versions of the text go with it
+        message.isEdited = false;
+        message.editedAt = null;
         message.isDeleted = true;
         await message.save();
 
@@ -191,10 +601,7 @@ const deleteMessage = async (req, res) => {
         const recipientId = chat.participants.find(participant => participant.toString() !== userId);
 
         if (recipientId) {
-            const recipientSocketId = onlineUsers.get(recipientId.toString());
-            if (recipientSocketId) {
-                io.to(recipientSocketId).emit('messageDeleted', { chatId: message.chatId, messageId });
-            }
+            io.to(userRoom(recipientId)).emit('messageDeleted', { chatId: message.chatId, messageId });
         }
 
         return res.status(200).json({ success: true, message: 'Message deleted' });
@@ -230,6 +637,7 @@ const deleteChat = async (req, res) => {
 
         // If no participants remain, delete chat completely
         if (chat.participants.length === 0) {
+            await deleteMedia({ 'attachedTo.chatId': chat._id }); // Delete attachments
             await Message.deleteMany({ chatId }); // Delete messages
             await chat.deleteOne();
             return res.status(200).json({ success: true, message: 'Chat fully deleted' });
@@ -250,6 +658,16 @@ module.exports = {
     getChatList,
     getChatMessages,
     markMessagesAsRead,
+    markMessagesAsDelivered,
+    editMessage,
+    getMessageEditHistory,
+    reactToMessage,
+    enableChatEncryption,
+    sendChatRequest,
+    acceptChatRequest,
+    declineChatRequest,
+    updateChatSettings,
+    setChatRetention,
     deleteMessage,  // ✅ Ensure this is exported
     deleteChat      // ✅ Ensure this is exported
 };
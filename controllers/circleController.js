@@ -2,6 +2,17 @@ const SupportCircle = require('../models/SupportCircles');
 const User = require('../models/User');
 const Notification = require('../models/Notification');
 const mongoose = require('mongoose');
+const { userHasPermission } = require('../middleware/permissionMiddleware');
+const { getBlockedUserIds } = require('../services/blockService');
+const { PUBLIC_USER_FIELDS } = require('../services/profileService');
+const {
+  toMediaSummary,
+  withAttachmentSummaries,
+  resolveAttachments,
+  attachMedia,
+  deleteMedia
+} = require('../services/mediaService');
+const { queueCircleMessageAnalysis } = require('../services/messageAnalysisService');
 
 /**
  * ✅ Get all public support circles
@@ -135,9 +146,10 @@ const getCircleDetails = async (req, res) => {
     
     // If user is a member, include messages
     if (circle.isMember(userId)) {
-      // Get only the most recent messages (limited to 50)
+      // Get only the most recent messages (limited to 50), hiding blocked users
+      const blockedUserIds = await getBlockedUserIds(userId);
       circleData.recentMessages = circleData.messages
-        .filter(msg => !msg.isDeleted)
+        .filter(msg => !msg.isDeleted && !blockedUserIds.includes(msg.userId.toString()))
         .sort((a, b) => b.createdAt - a.createdAt)
         .slice(0, 50)
         .reverse();
@@ -145,7 +157,7 @@ const getCircleDetails = async (req, res) => {
       // Populate user data for messages
       const userIds = [...new Set(circleData.recentMessages.map(msg => msg.userId))];
       const users = await User.find({ _id: { $in: userIds } })
-        .select('username profilePic')
+        .select(PUBLIC_USER_FIELDS)
         .lean();
       
       const userMap = {};
@@ -153,7 +165,7 @@ const getCircleDetails = async (req, res) => {
         userMap[user._id.toString()] = user;
       });
       
-      circleData.recentMessages = circleData.recentMessages.map(msg => {
+      circleData.recentMessages = (await withAttachmentSummaries(circleData.recentMessages)).map(msg => {
         const user = userMap[msg.userId.toString()];
         return {
           ...msg,
@@ -311,14 +323,6 @@ const updateCircle = async (req, res) => {
       });
     }
     
-    // Check if user is a moderator
-    if (!circle.isModerator(userId)) {
-      return res.status(403).json({
-        success: false,
-        message: 'Only moderators can update circle settings'
-      });
-    }
-    
     // Update fields if provided
     if (name) circle.name = name;
     if (description) circle.description = description;
@@ -614,14 +618,6 @@ const handleJoinRequest = async (req, res) => {
       });
     }
     
-    // Check if user is a moderator
-    if (!circle.isModerator(userId)) {
-      return res.status(403).json({
-        success: false,
-        message: 'Only moderators can handle join requests'
-      });
-    }
-    
     // Find the join request
     const requestIndex = circle.joinRequests.findIndex(
       req => req._id.toString() === requestId
@@ -735,21 +731,13 @@ const getJoinRequests = async (req, res) => {
       });
     }
     
-    // Check if user is a moderator
-    if (!circle.isModerator(userId)) {
-      return res.status(403).json({
-        success: false,
-        message: 'Only moderators can view join requests'
-      });
-    }
-    
     // Get pending requests
     const pendingRequests = circle.joinRequests.filter(req => req.status === 'pending');
     
     // Get user details for the requests
     const userIds = pendingRequests.map(req => req.userId);
     const users = await User.find({ _id: { $in: userIds } })
-      .select('username profilePic');
+      .select(PUBLIC_USER_FIELDS);
     
     const userMap = {};
     users.forEach(user => {
@@ -921,14 +909,6 @@ const addWeeklyTopic = async (req, res) => {
       });
     }
     
-    // Check if user is a moderator
-    if (!circle.isModerator(userId)) {
-      return res.status(403).json({
-        success: false,
-        message: 'Only moderators can add weekly topics'
-      });
-    }
-    
     // Create new topic
     const newTopic = {
       title,
@@ -977,6 +957,7 @@ const addWeeklyTopic = async (req, res) => {
 
 /**
  * ✅ Send a message to the circle
+ * - `attachments`: media ids uploaded with purpose `circle` (content becomes optional)
  */
 const sendMessage = async (req, res) => {
   const { circleId } = req.params;
@@ -987,10 +968,10 @@ const sendMessage = async (req, res) => {
     attachments = []
   } = req.body;
   
-  if (!content) {
+  if (!content && !(Array.isArray(attachments) && attachments.length > 0)) {
     return res.status(400).json({
       success: false,
-      message: 'Message content is required'
+      message: 'Message content or an attachment is required'
     });
   }
   
@@ -1035,11 +1016,21 @@ const sendMessage = async (req, res) => {
       }
     }
     
+    // Attachments must be the sender's own unsent uploads
+    const media = await resolveAttachments(userId, attachments, 'circle');
+    if (!media.valid) {
+      return res.status(400).json({
+        success: false,
+        message: media.message
+      });
+    }
+    
     // Create new message
     const newMessage = {
       userId,
-      content,
-      attachments,
+      content: content || '',
+      attachments: media.media.map(item => item._id),
+      messageType: media.messageType,
       parentMessageId,
       createdAt: new Date(),
       updatedAt: new Date()
@@ -1052,11 +1043,14 @@ const sendMessage = async (req, res) => {
     
     // Get the saved message with its ID
     const savedMessage = circle.messages[circle.messages.length - 1];
+    await attachMedia(savedMessage.attachments, { circleId: circle._id, messageId: savedMessage._id });
+    queueCircleMessageAnalysis(circle._id, savedMessage._id);
     
     // Add user details to the message
-    const user = await User.findById(userId).select('username profilePic');
+    const user = await User.findById(userId).select(PUBLIC_USER_FIELDS);
     const messageWithUser = {
       ...savedMessage.toObject(),
+      attachments: media.media.map(toMediaSummary),
       user: {
         _id: userId,
         username: user ? user.username : 'Unknown User',
@@ -1114,8 +1108,11 @@ const getMessages = async (req, res) => {
       });
     }
     
-    // Filter messages
-    let filteredMessages = circle.messages.filter(msg => !msg.isDeleted);
+    // Filter messages (deleted ones and those from users the viewer blocked)
+    const blockedUserIds = await getBlockedUserIds(userId);
+    let filteredMessages = circle.messages.filter(
+      msg => !msg.isDeleted && !blockedUserIds.includes(msg.userId.toString())
+    );
     
     // Apply time-based filters if provided
     if (before) {
@@ -1149,7 +1146,7 @@ const getMessages = async (req, res) => {
     // Populate user data for messages
     const userIds = [...new Set(paginatedMessages.map(msg => msg.userId))];
     const users = await User.find({ _id: { $in: userIds } })
-      .select('username profilePic')
+      .select(PUBLIC_USER_FIELDS)
       .lean();
     
     const userMap = {};
@@ -1157,10 +1154,11 @@ const getMessages = async (req, res) => {
       userMap[user._id.toString()] = user;
     });
     
-    const messagesWithUsers = paginatedMessages.map(msg => {
+    const messagesWithAttachments = await withAttachmentSummaries(paginatedMessages.map(msg => msg.toObject()));
+    const messagesWithUsers = messagesWithAttachments.map(msg => {
       const user = userMap[msg.userId.toString()];
       return {
-        ...msg.toObject(),
+        ...msg,
         user: {
           _id: msg.userId,
           username: user ? user.username : 'Unknown User',
@@ -1331,8 +1329,8 @@ const deleteMessage = async (req, res) => {
     
     const message = circle.messages[messageIndex];
     
-    // Check if user is the message author or a moderator
-    const isModerator = circle.isModerator(userId);
+    // Check if user is the message author or a moderator (circle or platform)
+    const isModerator = circle.isModerator(userId) || await userHasPermission(userId, 'circles:moderate');
     const isAuthor = message.userId.toString() === userId;
     
     if (!isAuthor && !isModerator) {
@@ -1342,7 +1340,8 @@ const deleteMessage = async (req, res) => {
       });
     }
     
-    // Soft delete the message
+    // Soft delete the message (uploaded attachments are removed for good)
+    await deleteMedia({ _id: { $in: message.attachments } });
     circle.messages[messageIndex].isDeleted = true;
     circle.messages[messageIndex].content = 'This message has been deleted';
     circle.messages[messageIndex].attachments = [];
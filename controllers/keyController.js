@@ -0,0 +1,120 @@
+const mongoose = require('mongoose');
+const {
+    LOW_PREKEY_THRESHOLD,
+    registerBundle,
+    uploadPreKeys,
+    getPreKeyStatus,
+    canFetchKeys,
+    claimBundles,
+    removeDevice
+} = require('../services/e2eeKeyService');
+
+/**
+ * ✅ Register or replace this device's public key bundle
+ * - Only public keys are accepted; private keys stay on the device
+ */
+const putKeyBundle = async (req, res) => {
+    try {
+        const result = await registerBundle(req.user.userId, req.body || {});
+        if (!result.success) {
+            return res.status(result.statusCode).json({ success: false, message: result.message });
+        }
+
+        return res.status(200).json({
+            success: true,
+            message: 'Key bundle registered',
+            deviceId: result.bundle.deviceId,
+            remainingPreKeys: result.bundle.oneTimePreKeys.length
+        });
+    } catch (error) {
+        console.error("❌ Error registering key bundle:", error);
+        return res.status(500).json({ success: false, message: 'Error registering key bundle', error });
+    }
+};
+
+/**
+ * ✅ Upload more one-time pre-keys for a device
+ */
+const addPreKeys = async (req, res) => {
+    const { deviceId, oneTimePreKeys } = req.body;
+
+    if (typeof deviceId !== 'string' || !deviceId) {
+        return res.status(400).json({ success: false, message: 'deviceId is required' });
+    }
+
+    try {
+        const result = await uploadPreKeys(req.user.userId, deviceId, oneTimePreKeys);
+        if (!result.success) {
+            return res.status(result.statusCode).json({ success: false, message: result.message });
+        }
+
+        return res.status(200).json({ success: true, remainingPreKeys: result.remaining });
+    } catch (error) {
+        console.error("❌ Error uploading pre-keys:", error);
+        return res.status(500).json({ success: false, message: 'Error uploading pre-keys', error });
+    }
+};
+
+/**
+ * ✅ Remaining one-time pre-keys for each of my devices
+ */
+const getMyKeyStatus = async (req, res) => {
+    try {
+        const devices = await getPreKeyStatus(req.user.userId);
+        return res.status(200).json({ success: true, lowPreKeyThreshold: LOW_PREKEY_THRESHOLD, devices });
+    } catch (error) {
+        console.error("❌ Error fetching key status:", error);
+        return res.status(500).json({ success: false, message: 'Error fetching key status', error });
+    }
+};
+
+/**
+ * ✅ Fetch a chat partner's key bundles to start an encrypted session
+ * - One bundle per device, each with a freshly claimed one-time pre-key
+ */
+const getUserKeyBundles = async (req, res) => {
+    const { userId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+        return res.status(400).json({ success: false, message: 'A valid user ID is required' });
+    }
+
+    try {
+        if (!(await canFetchKeys(req.user.userId, userId))) {
+            return res.status(403).json({ success: false, message: 'You can only fetch keys of users you have an active chat with' });
+        }
+
+        const devices = await claimBundles(userId);
+        if (devices.length === 0) {
+            return res.status(404).json({ success: false, message: 'This user has not registered encryption keys' });
+        }
+
+        return res.status(200).json({ success: true, userId, devices });
+    } catch (error) {
+        console.error("❌ Error fetching key bundles:", error);
+        return res.status(500).json({ success: false, message: 'Error fetching key bundles', error });
+    }
+};
+
+/**
+ * ✅ Remove one of my devices' keys
+ */
+const deleteDeviceKeys = async (req, res) => {
+    try {
+        const removed = await removeDevice(req.user.userId, req.params.deviceId);
+        if (!removed) return res.status(404).json({ success: false, message: 'Device not found' });
+
+        return res.status(200).json({ success: true, message: 'Device keys removed' });
+    } catch (error) {
+        console.error("❌ Error removing device keys:", error);
+        return res.status(500).json({ success: false, message: 'Error removing device keys', error });
+    }
+};
+
+module.exports = {
+    putKeyBundle,
+    addPreKeys,
+    getMyKeyStatus,
+    getUserKeyBundles,
+    deleteDeviceKeys
+};
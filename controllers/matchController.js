@@ -4,6 +4,45 @@ const Vent = require('../models/Vent');
 const mongoose = require('mongoose');
 const { updateMatchesForUser } = require('../services/matchScoringService');
 const { connectUsers, removeUserConnection, findUserMatches, getUserConnections } = require('../services/neo4jService');
+const { getBlockRelationIds } = require('../services/blockService');
+const { PROFILE_SOURCE_FIELDS, toPublicProfile } = require('../services/profileService');
+const { canSeeAuthor, getAcceptedMatchIds, presentVents } = require('../services/ventVisibilityService');
+
+/**
+ * ✅ Both users of a match, projected for the viewer
+ * - "Matches only" profile sections are shown once the match is accepted
+ */
+const matchProfiles = (match, viewerId) => {
+  const relationTo = (user) => ({
+    isSelf: user?._id.toString() === viewerId,
+    isMatch: match.status === 'accepted'
+  });
+  return {
+    user1: toPublicProfile(match.user1, relationTo(match.user1)),
+    user2: toPublicProfile(match.user2, relationTo(match.user2))
+  };
+};
+
+/**
+ * ✅ The vent pairs of each match, as the viewer may see them
+ * - Pairs with an anonymous vent whose author is hidden from the viewer are left out:
+ *   next to the other user's profile, the text alone would give the author away
+ * @returns one array of `{ vent1, vent2, matchScore }` per match
+ */
+const presentVentMatches = async (matches, viewerId) => {
+  const matchIds = await getAcceptedMatchIds(viewerId);
+  const visiblePairs = matches.map(match => (match.ventMatches || []).filter(pair =>
+    [pair.vent1, pair.vent2].every(vent => vent && canSeeAuthor(vent, viewerId, matchIds))
+  ));
+
+  const vents = await presentVents(visiblePairs.flat().flatMap(pair => [pair.vent1, pair.vent2]), viewerId);
+  let next = 0;
+  return visiblePairs.map(pairs => pairs.map(pair => ({
+    vent1: vents[next++],
+    vent2: vents[next++],
+    matchScore: pair.matchScore
+  })));
+};
 
 /**
  * ✅ Get direct match suggestions for a user
@@ -12,14 +51,31 @@ const { connectUsers, removeUserConnection, findUserMatches, getUserConnections
 const getMatchSuggestions = async (req, res) => {
   try {
     const userId = req.user.userId;
+    const blockedUserIds = await getBlockRelationIds(userId);
     
     const matches = await Match.find({
-      $or: [{ user1: userId }, { user2: userId }],
+      $or: [
+        { user1: userId, user2: { $nin: blockedUserIds } },
+        { user2: userId, user1: { $nin: blockedUserIds } }
+      ],
       status: 'pending',
       matchScore: { $gte: 0.6 }
-    }).populate('user1 user2 ventMatches.vent1 ventMatches.vent2');
+    })
+      .populate('user1', PROFILE_SOURCE_FIELDS)
+      .populate('user2', PROFILE_SOURCE_FIELDS)
+      .populate({ path: 'ventMatches.vent1 ventMatches.vent2', select: '-processing' }) // Ingestion state is the author's only
+      .lean();
+
+    const ventMatches = await presentVentMatches(matches, userId);
+
+    // Pending suggestions are not matches yet, so only "everyone" profile sections are shown
+    const projectedMatches = matches.map((match, index) => ({
+      ...match,
+      ...matchProfiles(match, userId),
+      ventMatches: ventMatches[index]
+    }));
 
-    res.json({ success: true, matches });
+    res.json({ success: true, matches: projectedMatches });
   } catch (error) {
     res.status(500).json({ success: false, message: 'Error fetching matches', error });
   }
@@ -52,6 +108,12 @@ const acceptMatch = async (req, res) => {
     const match = await Match.findById(matchId);
     if (!match) return res.status(404).json({ success: false, message: 'Match not found' });
 
+    // 🚫 Blocked pairs can never be matched again
+    const otherUserId = match.user1.toString() === userId ? match.user2.toString() : match.user1.toString();
+    if ((await getBlockRelationIds(userId)).includes(otherUserId)) {
+      return res.status(403).json({ success: false, message: 'This match is no longer available' });
+    }
+
     // Identify which user is accepting
     if (match.user1.toString() === userId) {
       match.user1Accepted = true;
@@ -164,15 +226,20 @@ const getMatchDetails = async (req, res) => {
     const userId = req.user.userId;
     const matches = await Match.find({
       $or: [{ user1: userId }, { user2: userId }]
-    }).populate('user1 user2 ventMatches.vent1 ventMatches.vent2');
+    })
+      .populate('user1', PROFILE_SOURCE_FIELDS)
+      .populate('user2', PROFILE_SOURCE_FIELDS)
+      .populate({ path: 'ventMatches.vent1 ventMatches.vent2', select: '-processing' });
 
-    const matchDetails = matches.map(match => ({
+    const ventMatches = await presentVentMatches(matches, userId);
+    const matchDetails = matches.map((match, index) => ({
       id: match._id,
       user1: match.user1.username,
       user2: match.user2.username,
+      profiles: matchProfiles(match, userId),
       matchScore: match.matchScore,
       commonEmotions: match.commonEmotions,
-      ventMatches: match.ventMatches.map(v => ({
+      ventMatches: ventMatches[index].map(v => ({
         vent1: v.vent1.text,
         vent2: v.vent2.text,
         matchScore: v.matchScore
@@ -198,25 +265,27 @@ const getPendingMatches = async (req, res) => {
     const receivedMatches = await Match.find({
       user2: userId,
       status: 'pending'
-    }).populate('user1', 'username');
+    }).populate('user1', PROFILE_SOURCE_FIELDS);
 
     // Matches the user has sent (Waiting for user2 to accept/reject)
     const sentMatches = await Match.find({
       user1: userId,
       status: 'pending'
-    }).populate('user2', 'username');
+    }).populate('user2', PROFILE_SOURCE_FIELDS);
 
     res.status(200).json({
       success: true,
       receivedMatches: receivedMatches.map(m => ({
         matchId: m._id,
         from: m.user1.username,
+        fromProfile: toPublicProfile(m.user1), // Not a match yet: "everyone" sections only
         matchScore: m.matchScore,
         status: m.status
       })),
       sentMatches: sentMatches.map(m => ({
         matchId: m._id,
         to: m.user2.username,
+        toProfile: toPublicProfile(m.user2),
         matchScore: m.matchScore,
         status: m.status
       }))
@@ -240,12 +309,15 @@ const getMatchHistory = async (req, res) => {
     const matches = await Match.find({
       $or: [{ user1: userId }, { user2: userId }],
       status: { $in: ['accepted', 'rejected'] }
-    }).populate('user1 user2');
+    })
+      .populate('user1', PROFILE_SOURCE_FIELDS)
+      .populate('user2', PROFILE_SOURCE_FIELDS);
 
     const history = matches.map(m => ({
       matchId: m._id,
       user1: m.user1.username,
       user2: m.user2.username,
+      profiles: matchProfiles(m, userId),
       matchScore: m.matchScore,
       status: m.status,
       timestamp: m.updatedAt
@@ -0,0 +1,169 @@
+const mongoose = require('mongoose');
+const Media = require('../models/Media');
+const {
+    uploadMedia: storeUpload,
+    toMediaSummary,
+    createPlaybackUrl,
+    verifyPlaybackUrl,
+    canAccessMedia,
+    openMediaStream,
+    deleteMedia
+} = require('../services/mediaService');
+
+/**
+ * ✅ Upload a media file (multipart field `file`, body field `purpose`: chat | circle)
+ * - Voice notes (audio) also send `durationMs` and optionally `waveform`
+ * - Returns a media id to reference from a chat or circle message
+ */
+const uploadMedia = async (req, res) => {
+    const { purpose, durationMs, waveform } = req.body;
+
+    try {
+        const result = await storeUpload(req.user.userId, req.file, purpose, { durationMs, waveform });
+        if (!result.success) {
+            return res.status(result.statusCode).json({ success: false, message: result.message });
+        }
+
+        return res.status(201).json({ success: true, media: toMediaSummary(result.media) });
+    } catch (error) {
+        console.error("❌ Error uploading media:", error);
+        return res.status(500).json({ success: false, message: 'Error uploading media', error });
+    }
+};
+
+const findAccessibleMedia = async (userId, mediaId) => {
+    if (!mongoose.Types.ObjectId.isValid(mediaId)) return null;
+
+    const media = await Media.findById(mediaId);
+    if (!media || !(await canAccessMedia(userId, media))) return null;
+    return media;
+};
+
+/**
+ * ✅ Get a media object's details
+ */
+const getMedia = async (req, res) => {
+    try {
+        const media = await findAccessibleMedia(req.user.userId, req.params.mediaId);
+        if (!media) return res.status(404).json({ success: false, message: 'Media not found' });
+
+        return res.status(200).json({ success: true, media: toMediaSummary(media) });
+    } catch (error) {
+        console.error("❌ Error fetching media:", error);
+        return res.status(500).json({ success: false, message: 'Error fetching media', error });
+    }
+};
+
+/**
+ * ✅ Download a media file (`?variant=thumbnail` for the image thumbnail)
+ * - Only the uploader and people who can see the message it is attached to
+ */
+const downloadMedia = async (req, res) => {
+    const variant = req.query.variant === 'thumbnail' ? 'thumbnail' : 'original';
+
+    try {
+        const media = await findAccessibleMedia(req.user.userId, req.params.mediaId);
+        if (!media) return res.status(404).json({ success: false, message: 'Media not found' });
+
+        const file = await openMediaStream(media, variant);
+        if (!file) return res.status(404).json({ success: false, message: 'File not found' });
+
+        res.set({
+            'Content-Type': file.contentType,
+            'Content-Length': file.size,
+            'Cache-Control': 'private, max-age=86400',
+            'X-Content-Type-Options': 'nosniff'
+        });
+        file.stream.on('error', (error) => {
+            console.error("❌ Error streaming media:", error);
+            res.destroy(error);
+        });
+        file.stream.pipe(res);
+    } catch (error) {
+        console.error("❌ Error downloading media:", error);
+        return res.status(500).json({ success: false, message: 'Error downloading media', error });
+    }
+};
+
+/**
+ * ✅ Get a fresh playback URL for a voice note (URLs in message payloads expire)
+ */
+const getPlaybackUrl = async (req, res) => {
+    try {
+        const media = await findAccessibleMedia(req.user.userId, req.params.mediaId);
+        if (!media || media.kind !== 'audio') return res.status(404).json({ success: false, message: 'Voice note not found' });
+
+        const playback = createPlaybackUrl(media);
+        return res.status(200).json({ success: true, playbackUrl: playback.url, expiresAt: playback.expiresAt });
+    } catch (error) {
+        console.error("❌ Error creating playback URL:", error);
+        return res.status(500).json({ success: false, message: 'Error creating playback URL', error });
+    }
+};
+
+/**
+ * ✅ Play a voice note through a signed, expiring URL (no Authorization header needed)
+ */
+const playMedia = async (req, res) => {
+    const { mediaId } = req.params;
+    const { expires, signature } = req.query;
+
+    if (!mongoose.Types.ObjectId.isValid(mediaId) || !verifyPlaybackUrl(mediaId, expires, signature)) {
+        return res.status(403).json({ success: false, message: 'Playback link is invalid or has expired' });
+    }
+
+    try {
+        const media = await Media.findById(mediaId);
+        if (!media || media.kind !== 'audio') return res.status(404).json({ success: false, message: 'Voice note not found' });
+
+        const file = await openMediaStream(media);
+        if (!file) return res.status(404).json({ success: false, message: 'File not found' });
+
+        res.set({
+            'Content-Type': file.contentType,
+            'Content-Length': file.size,
+            'Cache-Control': 'private, no-store',
+            'X-Content-Type-Options': 'nosniff'
+        });
+        file.stream.on('error', (error) => {
+            console.error("❌ Error streaming voice note:", error);
+            res.destroy(error);
+        });
+        file.stream.pipe(res);
+    } catch (error) {
+        console.error("❌ Error playing voice note:", error);
+        return res.status(500).json({ success: false, message: 'Error playing voice note', error });
+    }
+};
+
+/**
+ * ✅ Delete one of my uploads that is not attached to a message yet
+ */
+const deletePendingMedia = async (req, res) => {
+    const { mediaId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(mediaId)) {
+        return res.status(404).json({ success: false, message: 'Media not found' });
+    }
+
+    try {
+        const deleted = await deleteMedia({ _id: mediaId, ownerId: req.user.userId, status: 'pending' });
+        if (!deleted) {
+            return res.status(404).json({ success: false, message: 'No unused upload with this id' });
+        }
+
+        return res.status(200).json({ success: true, message: 'Upload deleted' });
+    } catch (error) {
+        console.error("❌ Error deleting media:", error);
+        return res.status(500).json({ success: false, message: 'Error deleting media', error });
+    }
+};
+
+module.exports = {
+    uploadMedia,
+    getMedia,
+    downloadMedia,
+    getPlaybackUrl,
+    playMedia,
+    deletePendingMedia
+};
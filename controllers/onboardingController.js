@@ -0,0 +1,104 @@
+const User = require('../models/User');
+const onboardingService = require('../services/onboardingService');
+
+/**
+ * ✅ Get onboarding progress
+ * - Includes the options each step accepts so the app can render them
+ */
+const getOnboardingStatus = async (req, res) => {
+    try {
+        const user = await User.findById(req.user.userId).select('onboarding');
+        if (!user) return res.status(404).json({ success: false, message: 'User not found' });
+
+        return res.status(200).json({
+            success: true,
+            progress: onboardingService.getProgress(user),
+            options: {
+                emotions: onboardingService.ONBOARDING_EMOTIONS,
+                matchPreferences: onboardingService.MATCH_PREFERENCES
+            }
+        });
+    } catch (error) {
+        console.error("❌ Error fetching onboarding status:", error);
+        return res.status(500).json({ success: false, message: 'Error fetching onboarding status', error });
+    }
+};
+
+/**
+ * ✅ Save one onboarding step
+ * - check-in: { emotions, intensity?, note? }
+ * - interests: { interests, likes?, dislikes? }
+ * - match-preference: { matchPreference, anonymousChat? }
+ * - journaling: { journalReminders?, journalReminderTime?, journalPrivacyDefault?, autoAnalyzeJournals? }
+ */
+const saveOnboardingStep = async (req, res) => {
+    const { step } = req.params;
+
+    try {
+        const result = await onboardingService.saveStep(req.user.userId, step, req.body);
+        if (!result.success) {
+            return res.status(result.statusCode).json({ success: false, message: result.message });
+        }
+
+        return res.status(200).json({
+            success: true,
+            message: 'Onboarding step saved',
+            progress: onboardingService.getProgress(result.user)
+        });
+    } catch (error) {
+        console.error("❌ Error saving onboarding step:", error);
+        return res.status(500).json({ success: false, message: 'Error saving onboarding step', error });
+    }
+};
+
+/**
+ * ✅ Finish onboarding
+ * - Seeds matching from the stated emotions & interests
+ * - Returns starter circles and journal prompts
+ */
+const completeOnboarding = async (req, res) => {
+    try {
+        const result = await onboardingService.completeOnboarding(req.user.userId);
+        if (!result.success) {
+            return res.status(result.statusCode).json({
+                success: false,
+                message: result.message,
+                missingSteps: result.missingSteps
+            });
+        }
+
+        return res.status(200).json({
+            success: true,
+            message: 'Onboarding complete',
+            progress: onboardingService.getProgress(result.user),
+            seededConnections: result.seededConnections,
+            recommendations: result.recommendations
+        });
+    } catch (error) {
+        console.error("❌ Error completing onboarding:", error);
+        return res.status(500).json({ success: false, message: 'Error completing onboarding', error });
+    }
+};
+
+/**
+ * ✅ Starter circles & journal prompts (can be fetched again after onboarding)
+ */
+const getOnboardingRecommendations = async (req, res) => {
+    try {
+        const user = await User.findById(req.user.userId).select('onboarding interests');
+        if (!user) return res.status(404).json({ success: false, message: 'User not found' });
+
+        const recommendations = await onboardingService.getRecommendations(user);
+        return res.status(200).json({ success: true, recommendations });
+    } catch (error) {
+        console.error("❌ Error fetching onboarding recommendations:", error);
+        return res.status(500).json({ success: false, message: 'Error fetching onboarding recommendations', error });
+    }
+};
+
+module.exports = {
+    getOnboardingStatus,
+    saveOnboardingStep,
+    completeOnboarding,
+    getOnboardingRecommendations
+};
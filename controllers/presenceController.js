@@ -0,0 +1,120 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const { getPresence, getConnections, setAppearOffline } = require('../services/presenceService');
+const { getBlockRelationIds } = require('../services/blockService');
+
+const MAX_PRESENCE_QUERY = 100;
+
+/**
+ * ✅ Presence of several users
+ * - Users on either side of a block always look offline with no last seen
+ */
+const presenceForViewer = async (viewerId, userIds) => {
+    const [presence, blockedIds] = await Promise.all([
+        getPresence(userIds),
+        getBlockRelationIds(viewerId)
+    ]);
+    const blocked = new Set(blockedIds);
+
+    return presence.map(entry => (blocked.has(entry.userId)
+        ? { userId: entry.userId, online: false, lastSeenAt: null }
+        : entry));
+};
+
+/**
+ * ✅ Get one user's presence
+ */
+const getUserPresence = async (req, res) => {
+    const { userId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+        return res.status(400).json({ success: false, message: 'A valid user ID is required' });
+    }
+
+    try {
+        const [presence] = await presenceForViewer(req.user.userId, [userId]);
+        if (!presence) return res.status(404).json({ success: false, message: 'User not found' });
+
+        return res.status(200).json({ success: true, presence });
+    } catch (error) {
+        console.error("❌ Error fetching presence:", error);
+        return res.status(500).json({ success: false, message: 'Error fetching presence', error });
+    }
+};
+
+/**
+ * ✅ Get presence for a list of users (e.g. everyone in the chat list)
+ */
+const queryPresence = async (req, res) => {
+    const { userIds } = req.body;
+
+    if (!Array.isArray(userIds) || userIds.length === 0) {
+        return res.status(400).json({ success: false, message: 'userIds must be a non-empty array' });
+    }
+    if (userIds.length > MAX_PRESENCE_QUERY) {
+        return res.status(400).json({ success: false, message: `At most ${MAX_PRESENCE_QUERY} users per request` });
+    }
+
+    const validIds = userIds.filter(id => mongoose.Types.ObjectId.isValid(id));
+
+    try {
+        const presence = await presenceForViewer(req.user.userId, validIds);
+        return res.status(200).json({ success: true, presence });
+    } catch (error) {
+        console.error("❌ Error fetching presence:", error);
+        return res.status(500).json({ success: false, message: 'Error fetching presence', error });
+    }
+};
+
+/**
+ * ✅ Get my own presence, including every connected device
+ */
+const getMyPresence = async (req, res) => {
+    const userId = req.user.userId;
+
+    try {
+        const user = await User.findById(userId).select('presence').lean();
+        if (!user) return res.status(404).json({ success: false, message: 'User not found' });
+
+        return res.status(200).json({
+            success: true,
+            presence: {
+                userId,
+                appearOffline: !!user.presence?.appearOffline,
+                lastSeenAt: user.presence?.lastSeenAt || null,
+                connections: (await getConnections(userId)).map(({ namespace, connectedAt }) => ({ namespace, connectedAt }))
+            }
+        });
+    } catch (error) {
+        console.error("❌ Error fetching presence:", error);
+        return res.status(500).json({ success: false, message: 'Error fetching presence', error });
+    }
+};
+
+/**
+ * ✅ Turn "appear offline" on or off
+ */
+const updateAppearOffline = async (req, res) => {
+    const { enabled } = req.body;
+
+    if (typeof enabled !== 'boolean') {
+        return res.status(400).json({ success: false, message: 'enabled must be true or false' });
+    }
+
+    try {
+        const presence = await setAppearOffline(req.user.userId, enabled);
+        if (!presence) return res.status(404).json({ success: false, message: 'User not found' });
+
+        return res.status(200).json({ success: true, message: enabled ? 'You now appear offline' : 'You now appear online', presence });
+    } catch (error) {
+        console.error("❌ Error updating appear offline:", error);
+        return res.status(500).json({ success: false, message: 'Error updating appear offline', error });
+    }
+};
+
+module.exports = {
+    getUserPresence,
+    queryPresence,
+    getMyPresence,
+    updateAppearOffline
+};
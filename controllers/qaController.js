@@ -4,6 +4,8 @@ const ExpertProfile = require('../models/ExpertProfile');
 const Vote = require('../models/Vote');
 const User = require('../models/User');
 const mongoose = require('mongoose');
+const { getBlockedUserIds } = require('../services/blockService');
+const { PUBLIC_USER_FIELDS } = require('../services/profileService');
 
 /**
  * ✅ Get questions with filtering, sorting, and pagination
@@ -101,7 +103,7 @@ const getQuestions = async (req, res) => {
       
       if (userIds.length > 0) {
         const users = await User.find({ _id: { $in: userIds } })
-          .select('username profilePic')
+          .select(PUBLIC_USER_FIELDS)
           .lean();
         
         const userMap = {};
@@ -136,7 +138,7 @@ const getQuestions = async (req, res) => {
       
       if (userIds.length > 0) {
         const users = await User.find({ _id: { $in: userIds } })
-          .select('username profilePic')
+          .select(PUBLIC_USER_FIELDS)
           .lean();
         
         const userMap = {};
@@ -202,7 +204,7 @@ const getQuestionById = async (req, res) => {
     let authorData = { username: 'Anonymous', profilePic: '' };
     if (!question.isAnonymous) {
       const author = await User.findById(question.userId)
-        .select('username profilePic')
+        .select(PUBLIC_USER_FIELDS)
         .lean();
       
       if (author) {
@@ -210,8 +212,9 @@ const getQuestionById = async (req, res) => {
       }
     }
     
-    // Process answers
+    // Process answers (answers from users the viewer blocked are hidden)
     const processedAnswers = [];
+    const blockedUserIds = await getBlockedUserIds(userId);
     if (question.answers && question.answers.length > 0) {
       // Get all user IDs from answers (non-anonymous only)
       const answerUserIds = question.answers
@@ -220,7 +223,7 @@ const getQuestionById = async (req, res) => {
       
       // Fetch user data
       const answerUsers = await User.find({ _id: { $in: answerUserIds } })
-        .select('username profilePic')
+        .select(PUBLIC_USER_FIELDS)
         .lean();
       
       const userMap = {};
@@ -264,7 +267,7 @@ const getQuestionById = async (req, res) => {
       
       // Process each answer
       for (const answer of question.answers) {
-        if (answer.isDeleted) continue;
+        if (answer.isDeleted || blockedUserIds.includes(answer.userId.toString())) continue;
         
         // Get user data
         let userData = { username: 'Anonymous', profilePic: '' };
@@ -1369,7 +1372,7 @@ const acceptAnswer = async (req, res) => {
         .sort(sortOption)
         .skip((Number(page) - 1) * Number(limit))
         .limit(Number(limit))
-        .populate('userId', 'username profilePic')
+        .populate('userId', PUBLIC_USER_FIELDS)
         .lean();
       
       // Get total question count
@@ -1452,7 +1455,7 @@ const acceptAnswer = async (req, res) => {
         .sort(sortOption)
         .skip((Number(page) - 1) * Number(limit))
         .limit(Number(limit))
-        .populate('userId', 'username profilePic')
+        .populate('userId', PUBLIC_USER_FIELDS)
         .populate('topicsOfExpertise', 'name slug')
         .lean();
       
@@ -1493,7 +1496,7 @@ const acceptAnswer = async (req, res) => {
         isVerified: true,
         publicProfile: true
       })
-        .populate('userId', 'username profilePic')
+        .populate('userId', PUBLIC_USER_FIELDS)
         .populate('topicsOfExpertise', 'name slug')
         .lean();
       
@@ -9,18 +9,38 @@ const router = express.Router();
 const authMiddleware = require('../middleware/authMiddleware');
 const natural = require('natural');
 const { updateMatchesForUser } = require('../services/matchScoringService'); 
-const { storeVentEmbedding, findSimilarVents } = require('../services/pineconeService');
-const { connectUsers } = require('../services/neo4jService');
+const { queueVentIngestion, resetVentIngestion, toProcessingStatus } = require('../services/ventIngestionService');
 const tokenizer = new natural.WordTokenizer();
 const Report = require('../models/Report');
+const { getBlockedUserIds } = require('../services/blockService');
+const { PUBLIC_USER_FIELDS } = require('../services/profileService');
+const { presentVents } = require('../services/ventVisibilityService');
+const {
+    COMMENT_AUDIENCES,
+    listComments,
+    listReplies,
+    addComment: addVentComment,
+    editComment: editVentComment,
+    deleteComment: deleteVentComment,
+    toggleCommentReaction,
+    reportComment: reportVentComment,
+    setCommentHidden,
+    setCommentAudience
+} = require('../services/ventCommentService');
+const VentComment = require('../models/VentComment');
+const { toggleVentReaction, listVentReactions } = require('../services/ventReactionService');
+const VentReaction = require('../models/VentReaction');
 
 dotenv.config();
 
 /**
  * ✅ Create a new vent
- * - Saves vent in MongoDB
- * - Stores vector embedding in Pinecone
- * - Finds & Updates Matches
+ * - `anonymous: true` hides the author from everyone else; `revealToMatches: true`
+ *   still shows them to the author's accepted matches
+ * - `commentAudience: 'matches'` lets only accepted matches comment
+ * - Saves vent in MongoDB and returns right away
+ * - Embedding, similarity graph & match updates run in the background
+ *   (poll GET /api/vent/:ventId/status for `processing.status`)
  */
 const createVent = async (req, res) => {
     const userId = req.user.userId;
@@ -28,47 +48,153 @@ const createVent = async (req, res) => {
         return res.status(400).json({ success: false, message: 'User ID is missing' });
     }
 
-    const { title, text, emotion, hashtags = [], issueType = "" } = req.body;
+    const { title, text, emotion, hashtags = [], issueType = "", anonymous = false, revealToMatches = false, commentAudience = 'everyone' } = req.body;
     if (!title || !text || !emotion) {
         return res.status(400).json({ success: false, message: 'Title, text, and emotion are required' });
     }
+    if (typeof anonymous !== 'boolean' || typeof revealToMatches !== 'boolean') {
+        return res.status(400).json({ success: false, message: 'anonymous and revealToMatches must be true or false' });
+    }
+    if (!COMMENT_AUDIENCES.includes(commentAudience)) {
+        return res.status(400).json({ success: false, message: `commentAudience must be one of: ${COMMENT_AUDIENCES.join(', ')}` });
+    }
 
     try {
         // ✅ Save Vent in MongoDB first
-        const newVent = new Vent({ userId, title, text, emotion, hashtags, issueType });
+        const newVent = new Vent({
+            userId, title, text, emotion, hashtags, issueType,
+            anonymous,
+            revealToMatches: anonymous && revealToMatches,
+            commentAudience,
+            processing: { status: 'queued' }
+        });
         await newVent.save();
 
+        // ✅ Embedding & match work happens in the ingestion worker
         try {
-            // ✅ Store Vent Embedding in Pinecone (Handle Errors)
-            await storeVentEmbedding(newVent._id, text, { userId, emotion });
-        } catch (pineconeError) {
-            console.error("⚠️ Pinecone Storage Failed:", pineconeError);
-            // Continue without failing vent creation
+            await queueVentIngestion(newVent);
+        } catch (error) {
+            // The client sees an error and will post again, so don't keep a copy that has no job
+            // (if this delete fails too, the stuck-vent sweep picks the vent up)
+            await Vent.deleteOne({ _id: newVent._id });
+            throw error;
         }
 
-        // ✅ Find & Update Matches
-        const similarVents = await findSimilarVents(text);
-        console.log("🔍 Pinecone found similar vents:", similarVents);
-        if (!similarVents || similarVents.length === 0) {
-            console.warn("⚠️ No similar vents found, skipping match updates.");
+        const [vent] = await presentVents([newVent], userId);
+        res.status(201).json({ success: true, vent, processing: toProcessingStatus(newVent) });
+    } catch (error) {
+        console.error("❌ Error in createVent:", error);
+        res.status(500).json({ success: false, message: 'Error creating vent', error });
+    }
+};
+
+
+// Fields the owner may change; a change to text or emotion re-runs embedding & matching
+const EDITABLE_VENT_FIELDS = ['title', 'text', 'emotion', 'hashtags', 'issueType'];
+const MATCHING_VENT_FIELDS = ['text', 'emotion'];
+
+/**
+ * ✅ Edit one of my vents
+ * - The previous version is kept in `revisions` (visible to moderators only)
+ * - Locked while the vent has unreviewed reports, and while it is still being processed
+ * - Text/emotion changes re-embed the vent, refresh the graph edges it produced and recompute its matches
+ */
+const updateVent = async (req, res) => {
+    const userId = req.user.userId;
+    const { ventId } = req.params;
+
+    const changes = {};
+    for (const field of EDITABLE_VENT_FIELDS) {
+        if (req.body[field] !== undefined) changes[field] = req.body[field];
+    }
+    if (Object.keys(changes).length === 0) {
+        return res.status(400).json({ success: false, message: `Provide at least one of: ${EDITABLE_VENT_FIELDS.join(', ')}` });
+    }
+    if (['title', 'text'].some(field => field in changes && (typeof changes[field] !== 'string' || !changes[field].trim()))) {
+        return res.status(400).json({ success: false, message: 'Title and text cannot be empty' });
+    }
+    if ('emotion' in changes && !Vent.schema.path('emotion').enumValues.includes(changes.emotion)) {
+        return res.status(400).json({ success: false, message: `Emotion must be one of: ${Vent.schema.path('emotion').enumValues.join(', ')}` });
+    }
+    if ('hashtags' in changes && (!Array.isArray(changes.hashtags) || changes.hashtags.some(tag => typeof tag !== 'string'))) {
+        return res.status(400).json({ success: false, message: 'Hashtags must be a list of strings' });
+    }
+    if ('issueType' in changes && typeof changes.issueType !== 'string') {
+        return res.status(400).json({ success: false, message: 'Issue type must be a string' });
+    }
+
+    try {
+        const vent = await Vent.findOne({ _id: ventId, userId }).select('+revisions');
+        if (!vent) {
+            return res.status(404).json({ success: false, message: 'Vent not found or unauthorized' });
         }
-        for (const match of similarVents) {
-            const matchUserId = match.metadata.userId;
-            if (matchUserId !== userId) {
-                await connectUsers(userId, matchUserId, match.score, [emotion]);
-                await updateMatchesForUser(matchUserId);
-            }
+
+        // 🔒 No rewriting content that moderators have yet to review
+        if (await Report.exists({ ventId: vent._id, reviewedAt: null })) {
+            return res.status(409).json({ success: false, message: 'This vent has been reported and cannot be edited until it is reviewed' });
+        }
+        if (['queued', 'processing'].includes(vent.processing.status)) {
+            return res.status(409).json({ success: false, message: 'This vent is still being processed. Please try again shortly' });
+        }
+
+        const changedFields = Object.keys(changes).filter(field => (
+            Array.isArray(changes[field])
+                ? JSON.stringify(changes[field]) !== JSON.stringify(vent[field] || [])
+                : changes[field] !== vent[field]
+        ));
+        if (changedFields.length === 0) {
+            return res.status(200).json({ success: true, message: 'No changes', processing: toProcessingStatus(vent) });
         }
-        await updateMatchesForUser(userId);
 
+        // ✏️ Keep the version being replaced
+        const editedAt = new Date();
+        vent.revisions.push({
+            title: vent.title,
+            text: vent.text,
+            emotion: vent.emotion,
+            hashtags: vent.hashtags,
+            issueType: vent.issueType || '',
+            editedAt
+        });
+        changedFields.forEach(field => { vent[field] = changes[field]; });
+        vent.isEdited = true;
+        vent.editedAt = editedAt;
+
+        const rematch = changedFields.some(field => MATCHING_VENT_FIELDS.includes(field));
+        if (rematch) await resetVentIngestion(vent);
+        await vent.save();
+
+        // ⚙️ Re-embed and re-match in the background
+        if (rematch) await queueVentIngestion(vent);
 
-        res.status(201).json({ success: true, vent: newVent });
+        const updated = await Vent.findById(vent._id);
+        const [visibleVent] = await presentVents([updated], userId);
+        return res.status(200).json({ success: true, vent: visibleVent, processing: toProcessingStatus(updated) });
     } catch (error) {
-        console.error("❌ Error in createVent:", error);
-        res.status(500).json({ success: false, message: 'Error creating vent', error });
+        console.error("❌ Error updating vent:", error);
+        return res.status(500).json({ success: false, message: 'Error updating vent', error });
     }
 };
 
+/**
+ * ✅ Get the background processing status of one of my vents
+ */
+const getVentStatus = async (req, res) => {
+    const userId = req.user.userId;
+    const { ventId } = req.params;
+
+    try {
+        const vent = await Vent.findOne({ _id: ventId, userId }).select('processing');
+        if (!vent) {
+            return res.status(404).json({ success: false, message: 'Vent not found or unauthorized' });
+        }
+
+        return res.status(200).json({ success: true, processing: toProcessingStatus(vent) });
+    } catch (error) {
+        console.error("❌ Error fetching vent status:", error);
+        return res.status(500).json({ success: false, message: 'Error fetching vent status', error });
+    }
+};
 
 /**
  * ✅ Get all vents (Newest first)
@@ -86,15 +212,21 @@ const getVents = async (req, res) => {
             sortQuery = { createdAt: -1 };
         }
 
-        // ✅ Include comments in response
-        const vents = await Vent.find()
+        // 🚫 Hide vents from users the viewer has blocked
+        const blockedUserIds = await getBlockedUserIds(req.user?.userId);
+
+        // Comments are fetched per vent (GET /api/vent/:ventId/comments); `commentCount` is included
+        const vents = await Vent.find({ userId: { $nin: blockedUserIds } })
+            .select('-processing') // Ingestion state is the author's only (GET /api/vent/:ventId/status)
             .sort(sortQuery)
             .skip(skip)
             .limit(Number(limit))
-            .populate("userId", "username profilePic allowComments") // Fetch user details
-            .populate("comments.userId", "username profilePic") // Fetch comment user details
+            .populate("userId", `${PUBLIC_USER_FIELDS} allowComments`) // Fetch user details
 
-        return res.status(200).json({ success: true, vents });
+        // 🎭 Anonymous vents lose their author
+        const visibleVents = await presentVents(vents, req.user?.userId);
+
+        return res.status(200).json({ success: true, vents: visibleVents });
 
     } catch (error) {
         console.error("❌ Error fetching vents:", error);
@@ -104,33 +236,58 @@ const getVents = async (req, res) => {
 
 
 /**
- * ✅ Add reaction to a vent
- * - Supports reactions: ['hug', 'heart', 'listen']
+ * ✅ React to a vent (toggle)
+ * - Supports reactions: ['hug', 'heart', 'listen'], one per user per vent
+ * - Same reaction again removes it; a different one replaces it
  */
 const reactToVent = async (req, res) => {
     const userId = req.user.userId;
     const { ventId, reactionType } = req.body;
 
-    if (!ventId || !reactionType || !['hug', 'heart', 'listen'].includes(reactionType)) {
+    if (!ventId || !reactionType) {
         return res.status(400).json({ success: false, message: 'Invalid reaction type or missing ventId' });
     }
 
     try {
-        const vent = await Vent.findById(ventId);
-        if (!vent) {
-            return res.status(404).json({ success: false, message: 'Vent not found' });
+        const result = await toggleVentReaction(userId, ventId, reactionType);
+        if (!result.success) {
+            return res.status(result.statusCode).json({ success: false, message: result.message });
         }
 
-        // ✅ Increment reaction count atomically
-        await Vent.updateOne({ _id: ventId }, { $inc: { [`reactions.${reactionType}`]: 1 } });
-
-        return res.status(200).json({ success: true, message: 'Reaction added' });
+        return res.status(200).json({
+            success: true,
+            message: result.reaction ? 'Reaction saved' : 'Reaction removed',
+            reaction: result.reaction,
+            reactions: result.reactions
+        });
     } catch (error) {
         console.error("❌ Error reacting to vent:", error);
         return res.status(500).json({ success: false, message: 'Error reacting to vent', error });
     }
 };
 
+/**
+ * ✅ List who reacted to a vent
+ * - Optional `type` filter, paginated with `page` & `limit`
+ */
+const getVentReactions = async (req, res) => {
+    const { ventId } = req.params;
+    const { type, page, limit } = req.query;
+
+    try {
+        const result = await listVentReactions(ventId, req.user?.userId, { reactionType: type, page, limit });
+        if (!result.success) {
+            return res.status(result.statusCode).json({ success: false, message: result.message });
+        }
+
+        const { success, ...list } = result;
+        return res.status(200).json({ success, ...list });
+    } catch (error) {
+        console.error("❌ Error fetching vent reactions:", error);
+        return res.status(500).json({ success: false, message: 'Error fetching vent reactions', error });
+    }
+};
+
 /**
  * ✅ Delete a vent & remove its matches
  */
@@ -145,6 +302,11 @@ const deleteVent = async (req, res) => {
             return res.status(404).json({ success: false, message: 'Vent not found or unauthorized' });
         }
 
+        await Promise.all([
+            VentReaction.deleteMany({ ventId: vent._id }),
+            VentComment.deleteMany({ ventId: vent._id })
+        ]);
+
         // 🔥 Recalculate matches after deleting a vent
         await updateMatchesForUser(userId);
 
@@ -163,11 +325,16 @@ const searchVents = async (req, res) => {
     if (!query) return res.status(400).json({ success: false, message: 'Search query is required' });
 
     try {
+        const blockedUserIds = await getBlockedUserIds(req.user?.userId);
+
         const vents = await Vent.find({
-            $text: { $search: query } // 🔹 Use MongoDB full-text search
-        }).sort({ createdAt: -1 });
+            $text: { $search: query }, // 🔹 Use MongoDB full-text search
+            userId: { $nin: blockedUserIds }
+        }).select('-processing').sort({ createdAt: -1 });
+
+        const visibleVents = await presentVents(vents, req.user?.userId);
 
-        return res.status(200).json({ success: true, vents });
+        return res.status(200).json({ success: true, vents: visibleVents });
     } catch (error) {
         console.error("❌ Error searching vents:", error);
         return res.status(500).json({ success: false, message: 'Error searching vents', error });
@@ -187,17 +354,22 @@ const getVentFeed = async (req, res) => {
   
     try {
       let vents = [];
+
+      // 🚫 Vents from blocked users never appear in the feed
+      const blockedUserIds = await getBlockedUserIds(userId);
   
       if (type === 'trending') {
         const yesterday = new Date();
         yesterday.setDate(yesterday.getDate() - 1);
   
-        vents = await Vent.find({ createdAt: { $gte: yesterday } })
+        vents = await Vent.find({ createdAt: { $gte: yesterday }, userId: { $nin: blockedUserIds } })
+          .select('-processing')
           .sort({ "reactions.heart": -1, "reactions.hug": -1, "reactions.listen": -1 })
           .skip(skip)
           .limit(Number(limit));
       } else if (type === 'recent') {
-        vents = await Vent.find()
+        vents = await Vent.find({ userId: { $nin: blockedUserIds } })
+          .select('-processing')
           .sort({ createdAt: -1 })
           .skip(skip)
           .limit(Number(limit));
@@ -208,34 +380,27 @@ const getVentFeed = async (req, res) => {
         });
   
         const matchedUserIds = matchedUsers.flatMap(match => [match.user1.toString(), match.user2.toString()])
-                                           .filter(id => id !== userId);
+                                           .filter(id => id !== userId && !blockedUserIds.includes(id));
   
-        vents = await Vent.find({ userId: { $in: matchedUserIds } })
+        // Anonymous vents only appear here when revealed to matches; otherwise this feed would give the author away
+        vents = await Vent.find({
+          userId: { $in: matchedUserIds },
+          $or: [{ anonymous: { $ne: true } }, { revealToMatches: true }]
+        })
+          .select('-processing')
           .sort({ createdAt: -1 })
           .skip(skip)
           .limit(Number(limit));
       }
   
-      // Populate user and comment details
+      // Populate user details
       // IMPORTANT: Include the allowComments field when populating the vent owner (userId)
       const populatedVents = await Vent.populate(vents, [
-        { path: "userId", select: "username profilePic allowComments" },
-        { 
-          path: "comments",
-          populate: { path: "userId", select: "username profilePic" }
-        }
+        { path: "userId", select: `${PUBLIC_USER_FIELDS} allowComments` }
       ]);
   
-      // Filter comments based on whether the vent owner's allowComments flag is true.
-      const filteredVents = populatedVents.map((vent) => {
-        if (vent.userId.allowComments) {
-          return vent;
-        } else {
-          return { ...vent.toObject(), comments: [] };
-        }
-      });
-  
-      return res.status(200).json({ success: true, vents: filteredVents });
+      // 🎭 Anonymous vents lose their author (unless revealed to this matched viewer)
+      return res.status(200).json({ success: true, vents: await presentVents(populatedVents, userId) });
     } catch (error) {
       console.error("❌ Error fetching vent feed:", error);
       return res.status(500).json({ success: false, message: 'Error fetching vent feed', error });
@@ -281,72 +446,185 @@ const reportVent = async (req, res) => {
 };
 
 
+/**
+ * ✅ Comment on a vent or reply to a comment
+ * - `parentId` makes it a reply; replies are threaded under the top-level comment
+ */
 const addComment = async (req, res) => {
     const userId = req.user.userId;
-    const { ventId, text } = req.body;
+    const { ventId, text, parentId = null } = req.body;
 
     if (!ventId || !text) {
         return res.status(400).json({ success: false, message: 'Vent ID and text are required' });
     }
 
     try {
-        const vent = await Vent.findById(ventId);
-        if (!vent) {
-            return res.status(404).json({ success: false, message: 'Vent not found' });
+        const result = await addVentComment(userId, ventId, text, parentId);
+        if (!result.success) {
+            return res.status(result.statusCode).json({ success: false, message: result.message });
         }
 
-        // ✅ Get the vent owner
-        const ventOwner = await User.findById(vent.userId);
-        if (!ventOwner) {
-            return res.status(404).json({ success: false, message: 'Vent owner not found' });
+        return res.status(201).json({ success: true, message: 'Comment added successfully', comment: result.comment });
+
+    } catch (error) {
+        console.error("❌ Error adding comment:", error);
+        return res.status(500).json({ success: false, message: 'Error adding comment', error });
+    }
+};
+
+/**
+ * ✅ Get a vent's top-level comments (newest first, `page` & `limit`)
+ */
+const getComments = async (req, res) => {
+    const { ventId } = req.params;
+    const { page, limit } = req.query;
+
+    try {
+        const result = await listComments(ventId, req.user?.userId, { page, limit });
+        if (!result.success) {
+            return res.status(result.statusCode).json({ success: false, message: result.message });
         }
 
-        // ✅ Check if comments are allowed
-        if (!ventOwner.allowComments) {
-            return res.status(403).json({ success: false, message: 'This user has disabled comments on their vents' });
+        return res.status(200).json(result);
+    } catch (error) {
+        console.error("❌ Error fetching comments:", error);
+        return res.status(500).json({ success: false, message: 'Error fetching comments', error });
+    }
+};
+
+/**
+ * ✅ Get the replies in a comment's thread (oldest first, `page` & `limit`)
+ */
+const getCommentReplies = async (req, res) => {
+    const { commentId } = req.params;
+    const { page, limit } = req.query;
+
+    try {
+        const result = await listReplies(commentId, req.user?.userId, { page, limit });
+        if (!result.success) {
+            return res.status(result.statusCode).json({ success: false, message: result.message });
         }
 
-        // ✅ Add Comment
-        const newComment = {
-            userId,
-            text,
-            createdAt: new Date()
-        };
+        return res.status(200).json(result);
+    } catch (error) {
+        console.error("❌ Error fetching replies:", error);
+        return res.status(500).json({ success: false, message: 'Error fetching replies', error });
+    }
+};
 
-        await Vent.updateOne({ _id: ventId }, { $push: { comments: newComment } });
+/**
+ * ✅ Edit my comment (previous text kept in its edit history)
+ */
+const editComment = async (req, res) => {
+    const userId = req.user.userId;
+    const { commentId } = req.params;
 
-        return res.status(201).json({ success: true, message: 'Comment added successfully' });
+    try {
+        const result = await editVentComment(userId, commentId, req.body.text);
+        if (!result.success) {
+            return res.status(result.statusCode).json({ success: false, message: result.message });
+        }
 
+        return res.status(200).json({ success: true, comment: result.comment });
     } catch (error) {
-        console.error("❌ Error adding comment:", error);
-        return res.status(500).json({ success: false, message: 'Error adding comment', error });
+        console.error("❌ Error editing comment:", error);
+        return res.status(500).json({ success: false, message: 'Error editing comment', error });
     }
 };
 
-const deleteComment = async (req, res) => {
+/**
+ * ✅ React to a comment (toggle)
+ * - Supportive reactions: ['heart', 'hug', 'support', 'thanks']
+ */
+const reactToComment = async (req, res) => {
     const userId = req.user.userId;
-    const { ventId, commentId } = req.params;
+    const { commentId } = req.params;
 
     try {
-        const vent = await Vent.findById(ventId);
-        if (!vent) {
-            return res.status(404).json({ success: false, message: 'Vent not found' });
+        const result = await toggleCommentReaction(userId, commentId, req.body.reactionType);
+        if (!result.success) {
+            return res.status(result.statusCode).json({ success: false, message: result.message });
         }
 
-        // ✅ Only allow comment deletion if:
-        // - The comment belongs to the user OR
-        // - The vent belongs to the user
-        const comment = vent.comments.find(c => c._id.toString() === commentId);
-        if (!comment) {
-            return res.status(404).json({ success: false, message: 'Comment not found' });
+        return res.status(200).json({ success: true, action: result.action, reactions: result.reactions });
+    } catch (error) {
+        console.error("❌ Error reacting to comment:", error);
+        return res.status(500).json({ success: false, message: 'Error reacting to comment', error });
+    }
+};
+
+/**
+ * ✅ Report a comment
+ */
+const reportComment = async (req, res) => {
+    const userId = req.user.userId;
+    const { commentId } = req.params;
+
+    try {
+        const result = await reportVentComment(userId, commentId, req.body.reason);
+        if (!result.success) {
+            return res.status(result.statusCode).json({ success: false, message: result.message });
+        }
+
+        return res.status(201).json({ success: true, message: 'Comment reported successfully' });
+    } catch (error) {
+        console.error("❌ Error reporting comment:", error);
+        return res.status(500).json({ success: false, message: 'Error reporting comment', error });
+    }
+};
+
+/**
+ * ✅ Hide or unhide a comment on my vent
+ */
+const setCommentVisibility = async (req, res) => {
+    const userId = req.user.userId;
+    const { commentId } = req.params;
+
+    try {
+        const result = await setCommentHidden(userId, commentId, req.body.hidden);
+        if (!result.success) {
+            return res.status(result.statusCode).json({ success: false, message: result.message });
         }
 
-        if (comment.userId.toString() !== userId && vent.userId.toString() !== userId) {
-            return res.status(403).json({ success: false, message: 'Unauthorized to delete this comment' });
+        return res.status(200).json({ success: true, commentId, hidden: result.hidden });
+    } catch (error) {
+        console.error("❌ Error updating comment visibility:", error);
+        return res.status(500).json({ success: false, message: 'Error updating comment visibility', error });
+    }
+};
+
+/**
+ * ✅ Choose who may comment on my vent (`audience`: everyone or matches)
+ */
+const updateCommentSettings = async (req, res) => {
+    const userId = req.user.userId;
+    const { ventId } = req.params;
+
+    try {
+        const result = await setCommentAudience(userId, ventId, req.body.audience);
+        if (!result.success) {
+            return res.status(result.statusCode).json({ success: false, message: result.message });
         }
 
-        // ✅ Remove comment
-        await Vent.updateOne({ _id: ventId }, { $pull: { comments: { _id: commentId } } });
+        return res.status(200).json({ success: true, ventId, audience: result.audience });
+    } catch (error) {
+        console.error("❌ Error updating comment settings:", error);
+        return res.status(500).json({ success: false, message: 'Error updating comment settings', error });
+    }
+};
+
+const deleteComment = async (req, res) => {
+    const userId = req.user.userId;
+    const { ventId, commentId } = req.params;
+
+    try {
+        // ✅ Only allow comment deletion if:
+        // - The comment belongs to the user OR
+        // - The vent belongs to the user
+        const result = await deleteVentComment(userId, ventId, commentId);
+        if (!result.success) {
+            return res.status(result.statusCode).json({ success: false, message: result.message });
+        }
 
         return res.status(200).json({ success: true, message: 'Comment deleted successfully' });
 
@@ -357,5 +635,9 @@ const deleteComment = async (req, res) => {
 };
 
 
-module.exports = { createVent, getVents, reactToVent, deleteVent, searchVents, getVentFeed, reportVent, addComment, deleteComment };
+module.exports = {
+    createVent, updateVent, getVentStatus, getVents, reactToVent, getVentReactions, deleteVent, searchVents, getVentFeed, reportVent,
+    addComment, getComments, getCommentReplies, editComment, reactToComment, reportComment, setCommentVisibility,
+    updateCommentSettings, deleteComment
+};
 
@@ -5,11 +5,35 @@ const helmet = require('helmet');
 const http = require('http');
 const https = require('https'); 
 const { Server } = require('socket.io');
+const { createAdapter } = require('@socket.io/redis-adapter');
 const connectDB = require('./config/db');
+const { configureTrustProxy } = require('./config/proxy');
+const { connectRedis } = require('./config/redis');
 const Chat = require('./models/Chat');
 const Message = require('./models/Message');
 const fs = require('fs');
 const configureCircleSocket = require('./services/circleSocketService');
+const socketAuthMiddleware = require('./middleware/socketAuthMiddleware');
+const {
+    userRoom,
+    attachPresence,
+    addConnection,
+    removeConnection,
+    setAppearOffline
+} = require('./services/presenceService');
+const {
+    deliverNewMessage,
+    markDelivered,
+    markRead,
+    replayUndelivered
+} = require('./services/messageDeliveryService');
+const { resolveReplyTo, editMessage, toggleReaction } = require('./services/chatMessageService');
+const { resolveMessageContent } = require('./services/chatEncryptionService');
+const { MEDIA_SUMMARY_FIELDS, resolveAttachments, attachMedia, deleteMedia } = require('./services/mediaService');
+const { queueChatMessageAnalysis } = require('./services/messageAnalysisService');
+const { inactiveChatMessage } = require('./services/chatConsentService');
+const { retentionExpiry } = require('./services/chatRetentionService');
+const { startVentIngestionWorker } = require('./services/ventIngestionService');
 
 dotenv.config();
 const app = express();
@@ -18,6 +42,7 @@ const app = express();
 connectDB();
 
 // Middleware
+configureTrustProxy(app); // req.ip is the client's address, not the load balancer's
 app.use(helmet());
 app.use(cors());
 app.use(express.json({ limit: '50mb' })); // Increased limit for rich content
@@ -25,6 +50,10 @@ app.use(express.json({ limit: '50mb' })); // Increased limit for rich content
 // ✅ Load Background Services
 require('./services/matchScheduler');  // Runs Match Updating Daily
 require('./services/journalScheduler'); // Runs Journal Analysis and Reminders
+require('./services/accountDeletionScheduler'); // Purges accounts after the deletion grace period
+require('./services/mediaCleanupScheduler'); // Removes uploads that were never sent
+require('./services/messageRetentionScheduler'); // Purges disappearing messages past their expiry
+require('./services/ventIngestionScheduler'); // Re-queues vents left unprocessed
 
 // Create HTTP Server and Attach Socket.io
 const server = http.createServer(app);
@@ -35,85 +64,176 @@ const io = new Server(server, {
     }
 });
 
-// Store connected users (userId -> socketId mapping)
-const onlineUsers = new Map();
+// 🔐 Every socket must present a valid access token in the handshake
+io.use(socketAuthMiddleware);
 
 // Handle Socket.io Connections
 io.on('connection', (socket) => {
-    console.log('🔥 A user connected:', socket.id);
+    // Verified at handshake; ids sent in event payloads are never trusted
+    const userId = socket.data.userId;
+    console.log(`🔥 User ${userId} connected:`, socket.id);
 
-    // 🔹 User joins and is stored in online users map
-    socket.on('join', (userId) => {
-        onlineUsers.set(userId, socket.id);
-        console.log(`✅ User ${userId} is online`);
-        io.emit('userOnline', { userId });
+    // Personal room reaches every device of the user
+    socket.join(userRoom(userId));
+    addConnection(userId, socket.id, '/').catch(error => {
+        console.error("❌ Error registering presence:", error);
+    });
+
+    // 📬 Replay messages that arrived while this user was offline
+    replayUndelivered(socket, userId).catch(error => {
+        console.error("❌ Error replaying undelivered messages:", error);
+    });
+
+    // 🔹 Kept for older clients; the user is already online after the handshake
+    socket.on('join', () => {});
+
+    // 🔹 Toggle "appear offline"
+    socket.on('setAppearOffline', async ({ enabled }) => {
+        try {
+            await setAppearOffline(userId, !!enabled);
+        } catch (error) {
+            console.error("❌ Error updating appear offline:", error);
+        }
     });
 
     // 🔹 Send a message (Store in DB before emitting)
-    socket.on('sendMessage', async ({ chatId, senderId, recipientId, text }) => {
-        console.log('📨 New Message:', text);
+    // - Optional ack callback receives the stored message id
+    // - `attachments`: media ids uploaded through /api/media with purpose `chat`
+    // - Encrypted chats send `envelopes` + `senderDeviceId` instead of `text`
+    socket.on('sendMessage', async ({ chatId, text, envelopes, senderDeviceId, replyTo, attachments }, ack) => {
+        const reply = typeof ack === 'function' ? ack : () => {};
+        console.log('📨 New Message in chat:', chatId);
 
         try {
+            const chat = await Chat.findOne({ _id: chatId, participants: userId });
+            if (!chat) {
+                return reply({ success: false, message: 'Chat not found' });
+            }
+
+            // Closed chats (unmatched or blocked) are read-only; requests wait for the recipient
+            if (chat.status !== 'active') {
+                const message = inactiveChatMessage(chat, userId);
+                socket.emit('error', { message });
+                return reply({ success: false, message });
+            }
+
+            // Attachments must be the sender's own unsent uploads
+            const media = await resolveAttachments(userId, attachments, 'chat');
+            if (!media.valid) {
+                return reply({ success: false, message: media.message });
+            }
+
+            // Plaintext or ciphertext envelopes, depending on the chat's encryption mode
+            const content = resolveMessageContent(chat, { text, envelopes, senderDeviceId, hasAttachments: media.media.length > 0 });
+            if (!content.valid) {
+                return reply({ success: false, message: content.message });
+            }
+
+            // Quoted reply must point at a message in this chat
+            const quoted = await resolveReplyTo(chatId, replyTo);
+            if (!quoted.valid) {
+                return reply({ success: false, message: quoted.message });
+            }
+
             // Store message in MongoDB
-            const message = new Message({ chatId, sender: senderId, text, status: 'sent' });
+            const message = new Message({
+                chatId,
+                sender: userId,
+                ...content.fields,
+                attachments: media.media.map(item => item._id),
+                messageType: media.messageType,
+                replyTo: quoted.replyTo?._id || null,
+                status: 'sent',
+                expiresAt: retentionExpiry(chat)
+            });
             await message.save();
+            await attachMedia(message.attachments, { chatId: chat._id, messageId: message._id });
+            await message.populate('attachments', MEDIA_SUMMARY_FIELDS);
 
             // Update last message in Chat
             await Chat.findByIdAndUpdate(chatId, { lastMessage: message._id, updatedAt: new Date() });
 
-            // Send to recipient if online
-            const recipientSocketId = onlineUsers.get(recipientId);
-            if (recipientSocketId) {
-                io.to(recipientSocketId).emit('newMessage', { chatId, senderId, text, messageId: message._id });
-            }
+            // Send to every device of the recipient (stays queued as `sent` if they are offline)
+            deliverNewMessage(io, chat, message, quoted.replyTo);
+            queueChatMessageAnalysis(io, message._id);
+            reply({ success: true, messageId: message._id, status: message.status, createdAt: message.createdAt });
         } catch (error) {
             console.error("❌ Error sending message via Socket.io:", error);
+            reply({ success: false, message: 'Error sending message' });
+        }
+    });
+
+    // 🔹 Delivery acks: the client received these messages
+    socket.on('messageDelivered', async ({ messageIds }) => {
+        try {
+            await markDelivered(io, userId, messageIds);
+        } catch (error) {
+            console.error("❌ Error marking messages as delivered in Socket.io:", error);
         }
     });
 
     // 🔹 Real-time message read receipts
-    socket.on('markAsRead', async ({ chatId, readerId }) => {
+    socket.on('markAsRead', async ({ chatId }) => {
         try {
-            // Mark messages as read
-            await Message.updateMany(
-                { chatId, sender: { $ne: readerId }, status: 'sent' },
-                { $set: { status: 'read' } }
-            );
-
-            // Notify sender that messages are read
-            const chat = await Chat.findById(chatId).populate('participants');
-            const otherUser = chat.participants.find(user => user._id.toString() !== readerId);
-
-            if (otherUser) {
-                const senderSocketId = onlineUsers.get(otherUser._id.toString());
-                if (senderSocketId) {
-                    io.to(senderSocketId).emit('messagesRead', { chatId, readerId });
-                }
-            }
+            const chat = await Chat.findOne({ _id: chatId, participants: userId });
+            if (!chat) return;
+
+            // Mark messages as read & notify the sender per message
+            await markRead(io, userId, chat);
         } catch (error) {
             console.error("❌ Error marking messages as read in Socket.io:", error);
         }
     });
 
-    // 🔹 Delete a message in real-time
-    socket.on('deleteMessage', async ({ chatId, messageId, senderId }) => {
+    // 🔹 Edit a message (own messages only; both participants get `messageEdited`)
+    socket.on('editMessage', async ({ messageId, text }, ack) => {
+        const reply = typeof ack === 'function' ? ack : () => {};
+        try {
+            const result = await editMessage(io, userId, messageId, text);
+            if (result.success) queueChatMessageAnalysis(io, result.data._id);
+            reply(result.success ? { success: true } : { success: false, message: result.message });
+        } catch (error) {
+            console.error("❌ Error editing message via Socket.io:", error);
+            reply({ success: false, message: 'Error editing message' });
+        }
+    });
+
+    // 🔹 React to a message (toggle; both participants get `messageReaction`)
+    socket.on('reactToMessage', async ({ messageId, reactionType }, ack) => {
+        const reply = typeof ack === 'function' ? ack : () => {};
+        try {
+            const result = await toggleReaction(io, userId, messageId, reactionType);
+            reply(result.success
+                ? { success: true, action: result.action, reactions: result.reactions }
+                : { success: false, message: result.message });
+        } catch (error) {
+            console.error("❌ Error reacting to message via Socket.io:", error);
+            reply({ success: false, message: 'Error updating reaction' });
+        }
+    });
+
+    // 🔹 Delete a message in real-time (own messages only)
+    socket.on('deleteMessage', async ({ chatId, messageId }) => {
         try {
             // Soft delete the message
-            const message = await Message.findById(messageId);
+            const message = await Message.findOne({ _id: messageId, chatId, sender: userId });
             if (message) {
+                await deleteMedia({ _id: { $in: message.attachments } });
                 message.text = 'Message deleted';
+                message.envelopes = [];
+                message.attachments = [];
+                message.editHistory = []; // Earlier versions of the text go with it
+                message.isEdited = false;
+                message.editedAt = null;
                 message.isDeleted = true;
                 await message.save();
 
                 // Notify recipient in real-time
                 const chat = await Chat.findById(chatId);
-                const recipientId = chat.participants.find(participant => participant.toString() !== senderId);
+                const recipientId = chat.participants.find(participant => participant.toString() !== userId);
 
                 if (recipientId) {
-                    const recipientSocketId = onlineUsers.get(recipientId.toString());
-                    if (recipientSocketId) {
-                        io.to(recipientSocketId).emit('messageDeleted', { chatId, messageId });
-                    }
+                    io.to(userRoom(recipientId)).emit('messageDeleted', { chatId, messageId });
                 }
             }
         } catch (error) {
@@ -122,14 +242,14 @@ io.on('connection', (socket) => {
     });
     
     // 🆕 Journal Entry Notification
-    socket.on('journalEntryCreated', ({ userId }) => {
+    socket.on('journalEntryCreated', () => {
         // Notify user's matches about new journal entry (if public)
         // This would be implemented based on your visibility rules
     });
     
     // 🆕 Real-time notifications
-    socket.on('subscribeToNotifications', (userId) => {
-        // Add user to a personal notification room
+    socket.on('subscribeToNotifications', () => {
+        // Add user to their own personal notification room
         socket.join(`user:${userId}:notifications`);
         console.log(`👂 User ${userId} subscribed to notifications`);
     });
@@ -147,25 +267,17 @@ io.on('connection', (socket) => {
 
     // 🔹 Handle user disconnection properly
     socket.on('disconnect', () => {
-        console.log(`❌ User disconnected: ${socket.id}`);
-        
-        let disconnectedUserId;
-        for (const [userId, socketId] of onlineUsers.entries()) {
-            if (socketId === socket.id) {
-                disconnectedUserId = userId;
-                onlineUsers.delete(userId);
-                break;
-            }
-        }
+        console.log(`❌ User ${userId} disconnected: ${socket.id}`);
 
-        if (disconnectedUserId) {
-            io.emit('userOffline', { userId: disconnectedUserId });
-        }
+        // Offline only once the user's last socket (any device, any namespace) is gone
+        removeConnection(userId, socket.id).catch(error => {
+            console.error("❌ Error updating presence:", error);
+        });
     });
 });
 
 // Set up circle socket namespace
-const circleIO = configureCircleSocket(io, onlineUsers);
+const circleIO = configureCircleSocket(io);
 
 // Import route handlers
 const authRoutes = require('./routes/authRoutes');
@@ -178,6 +290,11 @@ const circleRoutes = require('./routes/circleRoutes');
 const notificationRoutes = require('./routes/notificationRoutes');
 const notificationSettingsRoutes = require('./routes/notificationSettingsRoutes');
 const qaRoutes = require('./routes/qaRoutes'); // New! Q&A Forum routes
+const blockRoutes = require('./routes/blockRoutes');
+const onboardingRoutes = require('./routes/onboardingRoutes');
+const presenceRoutes = require('./routes/presenceRoutes');
+const keyRoutes = require('./routes/keyRoutes');
+const mediaRoutes = require('./routes/mediaRoutes');
 
 // Register routes
 app.use('/api/auth', authRoutes);
@@ -190,6 +307,11 @@ app.use('/api/circles', circleRoutes);
 //app.use('/api/notifications', notificationRoutes);
 app.use('/api/notification-settings', notificationSettingsRoutes);
 app.use('/api/qa', qaRoutes); // New! Q&A Forum routes
+app.use('/api/blocks', blockRoutes);
+app.use('/api/onboarding', onboardingRoutes);
+app.use('/api/presence', presenceRoutes);
+app.use('/api/keys', keyRoutes);
+app.use('/api/media', mediaRoutes);
 
 // Home route
 app.get('/', (req, res) => {
@@ -233,7 +355,7 @@ io.on('connection', (socket) => {
     });
 });
 
-// Function to emit a notification to a specific user
+// Function to emit a notification to a specific user (on any instance, via the Redis adapter)
 global.emitNotification = (userId, notification) => {
     io.to(`user:${userId}:notifications`).emit('newNotification', notification);
 };
@@ -248,6 +370,21 @@ app.use((err, req, res, next) => {
     });
 });
 
-// Start the server
+// Start the server once Redis is up, so sockets and presence are shared by every instance
 const PORT = process.env.PORT || 5002;
-server.listen(PORT, () => console.log(`🚀 Server running on port ${PORT}`));
\ No newline at end of file
+const startServer = async () => {
+    const { pubClient, subClient } = await connectRedis();
+
+    // io.to(...) and broadcasts reach sockets connected to any instance
+    io.adapter(createAdapter(pubClient, subClient));
+
+    // Track every socket of every user (multi-device presence, both namespaces)
+    await attachPresence(io);
+
+    // Vent embedding & matching jobs (the queue lives in Redis, so any instance can pick them up)
+    startVentIngestionWorker();
+
+    server.listen(PORT, () => console.log(`🚀 Server running on port ${PORT}`));
+};
+
+startServer();
\ No newline at end of file
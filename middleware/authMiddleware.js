@@ -1,22 +1,56 @@
 const jwt = require('jsonwebtoken');
 const dotenv = require('dotenv');
+const { getActiveSession } = require('../services/sessionService');
 
 dotenv.config();
 
-const authMiddleware = (req, res, next) => {
+const authMiddleware = async (req, res, next) => {
   const token = req.headers.authorization;
 
   if (!token) {
     return res.status(403).json({ success: false, message: 'Access Denied: No Token Provided' });
   }
 
+  let decoded;
   try {
-    const decoded = jwt.verify(token.replace('Bearer ', ''), process.env.JWT_SECRET);
+    decoded = jwt.verify(token.replace('Bearer ', ''), process.env.JWT_SECRET);
+  } catch (error) {
+    return res.status(401).json({ success: false, message: 'Invalid Token' });
+  }
+
+  try {
+    // Tokens must belong to a live session so revoked devices lose access immediately
+    const session = await getActiveSession(decoded.sid);
+    if (!session || session.userId.toString() !== decoded.userId) {
+      return res.status(401).json({ success: false, message: 'Session expired or revoked' });
+    }
+
     req.user = decoded;
+    req.sessionId = decoded.sid;
     next();
   } catch (error) {
-    return res.status(401).json({ success: false, message: 'Invalid Token' });
+    console.error('❌ Error validating session:', error);
+    return res.status(500).json({ success: false, message: 'Error validating session' });
+  }
+};
+
+// Same checks as authMiddleware, but anonymous or invalid requests continue without req.user
+const optionalAuth = async (req, res, next) => {
+  const token = req.headers.authorization;
+  if (!token) return next();
+
+  try {
+    const decoded = jwt.verify(token.replace('Bearer ', ''), process.env.JWT_SECRET);
+    const session = await getActiveSession(decoded.sid);
+    if (session && session.userId.toString() === decoded.userId) {
+      req.user = decoded;
+      req.sessionId = decoded.sid;
+    }
+  } catch (error) {
+    // Treat bad tokens as anonymous on public routes
   }
+  next();
 };
 
 module.exports = authMiddleware;
+module.exports.optionalAuth = optionalAuth;
@@ -0,0 +1,40 @@
+const multer = require('multer');
+const { MEDIA_TYPES, MAX_UPLOAD_BYTES } = require('../services/mediaService');
+
+// Files are kept in memory: images are re-encoded before anything is written to storage
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_UPLOAD_BYTES, files: 1 },
+  fileFilter: (req, file, cb) => {
+    if (!MEDIA_TYPES[file.mimetype]) {
+      const error = new multer.MulterError('LIMIT_UNEXPECTED_FILE', file.fieldname);
+      error.message = `Unsupported content type. Allowed: ${Object.keys(MEDIA_TYPES).join(', ')}`;
+      error.statusCode = 415;
+      return cb(error);
+    }
+    cb(null, true);
+  }
+}).single('file');
+
+/**
+ * ✅ Parse a single multipart `file` field
+ * - Upload errors become JSON responses instead of reaching the global error handler
+ */
+const mediaUpload = (req, res, next) => {
+  upload(req, res, (error) => {
+    if (!error) return next();
+
+    if (error instanceof multer.MulterError) {
+      const statusCode = error.statusCode || (error.code === 'LIMIT_FILE_SIZE' ? 413 : 400);
+      const message = error.code === 'LIMIT_FILE_SIZE'
+        ? `Files can be at most ${MAX_UPLOAD_BYTES / (1024 * 1024)} MB`
+        : error.message;
+      return res.status(statusCode).json({ success: false, message });
+    }
+
+    console.error("❌ Error receiving upload:", error);
+    return res.status(500).json({ success: false, message: 'Error receiving upload' });
+  });
+};
+
+module.exports = mediaUpload;
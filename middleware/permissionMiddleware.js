@@ -0,0 +1,99 @@
+const User = require('../models/User');
+const SupportCircle = require('../models/SupportCircles');
+
+// What each platform role is allowed to do. 'admin' implicitly has every permission.
+const ROLE_PERMISSIONS = {
+  user: [],
+  moderator: ['reports:read', 'reports:review', 'vents:moderate', 'circles:moderate', 'users:lookup'],
+  'expert-reviewer': ['experts:verify'],
+  admin: ['*']
+};
+
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+/**
+ * ✅ Check whether a set of roles grants a permission
+ */
+const hasPermission = (roles = [], permission) => {
+  return roles.some(role => {
+    const permissions = ROLE_PERMISSIONS[role] || [];
+    return permissions.includes('*') || permissions.includes(permission);
+  });
+};
+
+/**
+ * ✅ Load the current roles of a user
+ * - Roles are read from the database, never from the JWT, so revocations apply immediately
+ */
+const getUserRoles = async (userId) => {
+  const user = await User.findById(userId).select('roles').lean();
+  return user ? (user.roles || ['user']) : null;
+};
+
+/**
+ * ✅ Check a permission for a user id
+ */
+const userHasPermission = async (userId, permission) => {
+  const roles = await getUserRoles(userId);
+  return roles ? hasPermission(roles, permission) : false;
+};
+
+/**
+ * ✅ Require a platform permission
+ * - Must run after authMiddleware
+ * - Exposes the caller's roles on req.user.roles
+ */
+const requirePermission = (permission) => async (req, res, next) => {
+  try {
+    const roles = await getUserRoles(req.user.userId);
+    if (!roles) {
+      return res.status(401).json({ success: false, message: 'User not found' });
+    }
+
+    if (!hasPermission(roles, permission)) {
+      return res.status(403).json({ success: false, message: 'You do not have permission to perform this action' });
+    }
+
+    req.user.roles = roles;
+    next();
+  } catch (error) {
+    console.error('❌ Error checking permissions:', error);
+    return res.status(500).json({ success: false, message: 'Error checking permissions' });
+  }
+};
+
+/**
+ * ✅ Require moderator rights on the circle in req.params.circleId
+ * - Passes for the circle's own moderators/admins
+ * - Also passes for platform users holding the 'circles:moderate' permission
+ */
+const requireCircleModerator = async (req, res, next) => {
+  const { circleId } = req.params;
+  const userId = req.user.userId;
+
+  try {
+    const circle = await SupportCircle.findById(circleId).select('members');
+    if (!circle) {
+      return res.status(404).json({ success: false, message: 'Circle not found' });
+    }
+
+    if (circle.isModerator(userId) || await userHasPermission(userId, 'circles:moderate')) {
+      return next();
+    }
+
+    return res.status(403).json({ success: false, message: 'Only moderators can perform this action' });
+  } catch (error) {
+    console.error('❌ Error checking circle permissions:', error);
+    return res.status(500).json({ success: false, message: 'Error checking permissions' });
+  }
+};
+
+module.exports = {
+  ROLES,
+  ROLE_PERMISSIONS,
+  hasPermission,
+  getUserRoles,
+  userHasPermission,
+  requirePermission,
+  requireCircleModerator
+};
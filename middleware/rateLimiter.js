@@ -0,0 +1,32 @@
+const rateLimit = require('express-rate-limit');
+
+// ✅ Per-IP limit on OTP sends (per-phone limits and SMS-pumping checks live in otpGuardService)
+const otpRequestLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 10, // 10 OTP requests per IP per 15 minutes
+    message: { success: false, message: "⚠️ Too many OTP requests. Please try again later." },
+});
+
+// ✅ Per-IP limit on OTP verification attempts
+const otpVerifyLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 20, // 20 verification attempts per IP per 15 minutes
+    message: { success: false, message: "⚠️ Too many verification attempts. Please try again later." },
+});
+
+// ✅ Per-pair limit on fetching a chat partner's key bundles (each fetch claims one of their one-time pre-keys per device)
+const keyClaimLimiter = rateLimit({
+    windowMs: 60 * 60 * 1000, // 1 hour
+    max: 10, // 10 fetches of the same user's keys per requester per hour
+    keyGenerator: (req) => `${req.user.userId}:${req.params.userId}`,
+    message: { success: false, message: "⚠️ Too many key requests for this user. Please try again later." },
+});
+
+// ✅ Per-IP limit on media uploads (each one is decoded and re-encoded)
+const mediaUploadLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 60, // 60 uploads per IP per 15 minutes
+    message: { success: false, message: "⚠️ Too many uploads. Please try again later." },
+});
+
+module.exports = { otpRequestLimiter, otpVerifyLimiter, keyClaimLimiter, mediaUploadLimiter };
@@ -0,0 +1,51 @@
+const jwt = require('jsonwebtoken');
+const dotenv = require('dotenv');
+const { getActiveSession } = require('../services/sessionService');
+
+dotenv.config();
+
+const authError = (message) => {
+  const error = new Error(message);
+  error.data = { success: false, message };
+  return error;
+};
+
+// Clients send the API access token as `auth: { token }`; the Authorization header also works
+const getHandshakeToken = (handshake) => {
+  const token = handshake.auth?.token || handshake.headers?.authorization;
+  return token ? token.replace('Bearer ', '') : null;
+};
+
+/**
+ * ✅ Socket.IO handshake authentication
+ * - Same rules as authMiddleware: valid JWT that belongs to a live session
+ * - Sets socket.data.userId / socket.data.sessionId; handlers must use these, never ids sent by the client
+ * - Register on every namespace (`io.use` only covers the default one)
+ */
+const socketAuthMiddleware = async (socket, next) => {
+  const token = getHandshakeToken(socket.handshake);
+  if (!token) return next(authError('Access Denied: No Token Provided'));
+
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    return next(authError('Invalid Token'));
+  }
+
+  try {
+    const session = await getActiveSession(decoded.sid);
+    if (!session || session.userId.toString() !== decoded.userId) {
+      return next(authError('Session expired or revoked'));
+    }
+
+    socket.data.userId = decoded.userId;
+    socket.data.sessionId = decoded.sid;
+    next();
+  } catch (error) {
+    console.error('❌ Error validating socket session:', error);
+    next(authError('Error validating session'));
+  }
+};
+
+module.exports = socketAuthMiddleware;
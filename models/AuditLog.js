@@ -0,0 +1,18 @@
+const mongoose = require('mongoose');
+
+// Append-only record of privileged actions (role changes, moderation decisions, ...)
+const AuditLogSchema = new mongoose.Schema({
+  actorId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  action: { type: String, required: true }, // e.g. 'role_granted', 'role_revoked'
+  targetUserId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  targetType: { type: String, default: null }, // 'user', 'vent', 'report', 'expert_profile', ...
+  targetId: { type: mongoose.Schema.Types.ObjectId, default: null },
+  details: { type: Object, default: {} },
+  ipAddress: { type: String, default: '' }
+}, { timestamps: true });
+
+AuditLogSchema.index({ targetUserId: 1, createdAt: -1 });
+AuditLogSchema.index({ actorId: 1, createdAt: -1 });
+AuditLogSchema.index({ action: 1, createdAt: -1 });
+
+module.exports = mongoose.model('AuditLog', AuditLogSchema);
@@ -0,0 +1,12 @@
+const mongoose = require('mongoose');
+
+// A user-to-user block. Direction matters for content hiding, not for chat/matching (those stop both ways).
+const BlockSchema = new mongoose.Schema({
+  blocker: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  blocked: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  reason: { type: String, default: '' }
+}, { timestamps: true });
+
+BlockSchema.index({ blocker: 1, blocked: 1 }, { unique: true });
+
+module.exports = mongoose.model('Block', BlockSchema);
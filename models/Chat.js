@@ -4,13 +4,43 @@ const ChatSchema = new mongoose.Schema({
     participants: [
         { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true }
     ],
+    // Both participant ids, sorted ("<id>:<id>"): one chat per pair, whoever starts it (chats from before it have none)
+    pairKey: { type: String, default: undefined },
     lastMessage: { type: mongoose.Schema.Types.ObjectId, ref: 'Message' }, // Stores last message for easy access
-    status: { type: String, enum: ['active', 'closed'], default: 'active' }, // Closed if users unmatch
+    // `requested`: a message request waiting for the recipient (only the opener so far)
+    // `declined`: the recipient turned the request down; `closed`: unmatched or blocked
+    status: { type: String, enum: ['requested', 'active', 'declined', 'closed'], default: 'active' },
+    request: {
+        requestedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+        requestedAt: { type: Date, default: null },
+        respondedAt: { type: Date, default: null }
+    },
+    // 🔕 Per-participant inbox state; private to each user (never shown to the other side)
+    memberSettings: [{
+        _id: false,
+        userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+        mutedUntil: { type: Date, default: null },    // Muted while in the future (far future = until unmuted)
+        archivedAt: { type: Date, default: null },
+        pinnedAt: { type: Date, default: null }
+    }],
+    // 🔒 Opt-in end-to-end encryption; once on, messages are stored only as ciphertext envelopes
+    encryption: {
+        enabled: { type: Boolean, default: false },
+        enabledAt: { type: Date, default: null },
+        enabledBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null }
+    },
+    // ⏳ Disappearing messages: new messages expire after this period (visible to both participants)
+    retention: {
+        period: { type: String, enum: ['off', '24h', '7d', '30d'], default: 'off' },
+        updatedAt: { type: Date, default: null },
+        updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null }
+    },
     createdAt: { type: Date, default: Date.now },
     updatedAt: { type: Date, default: Date.now }
 });
 
 // 🔥 Ensure users are unique per chat (prevent duplicate chats)
 ChatSchema.index({ participants: 1 }, { unique: true });
+ChatSchema.index({ pairKey: 1 }, { unique: true, partialFilterExpression: { pairKey: { $type: 'string' } } });
 
 module.exports = mongoose.model('Chat', ChatSchema);
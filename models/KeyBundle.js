@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+// Public keys one device publishes for end-to-end encrypted chats (X3DH-style).
+// Private keys never leave the device; the server only hands these out to chat partners.
+const KeyBundleSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  deviceId: { type: String, required: true },            // Chosen by the client, stable per install
+  registrationId: { type: Number, default: null },
+  identityKey: { type: String, required: true },          // Base64 public identity key
+  signedPreKey: {
+    keyId: { type: Number, required: true },
+    publicKey: { type: String, required: true },
+    signature: { type: String, required: true }           // Signed with the identity key
+  },
+  oneTimePreKeys: [{
+    _id: false,
+    keyId: { type: Number, required: true },
+    publicKey: { type: String, required: true }
+  }],                                                     // Each one is handed out once, then removed
+  lastRefilledAt: { type: Date, default: Date.now }
+}, { timestamps: true });
+
+KeyBundleSchema.index({ userId: 1, deviceId: 1 }, { unique: true });
+
+module.exports = mongoose.model('KeyBundle', KeyBundleSchema);
@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+const StoredObjectSchema = new mongoose.Schema({
+  key: { type: String, required: true },           // Object key in the storage backend
+  contentType: { type: String, required: true },
+  size: { type: Number, required: true },          // Bytes
+  width: { type: Number, default: null },
+  height: { type: Number, default: null }
+}, { _id: false });
+
+// An uploaded file; chat & circle messages reference these by id
+const MediaSchema = new mongoose.Schema({
+  ownerId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  purpose: { type: String, enum: ['chat', 'circle'], required: true },
+  kind: { type: String, enum: ['image', 'video', 'audio'], required: true },
+  storage: { type: String, required: true },       // Backend the objects live in (local, s3)
+  original: { type: StoredObjectSchema, required: true },
+  thumbnail: { type: StoredObjectSchema, default: null },
+  originalName: { type: String, default: '' },
+  // 🎙️ Voice notes: metadata measured by the recording client
+  audio: {
+    durationMs: { type: Number, default: null },
+    waveform: { type: [Number], default: undefined }   // Amplitude samples 0-100 for the player
+  },
+  transcript: {
+    status: { type: String, enum: ['none', 'pending', 'completed', 'failed'], default: 'none' },
+    text: { type: String, default: null },
+    language: { type: String, default: null },
+    provider: { type: String, default: null },
+    completedAt: { type: Date, default: null }
+  },
+  // Uploads stay `pending` until a message references them, then they belong to that chat/circle
+  status: { type: String, enum: ['pending', 'attached'], default: 'pending' },
+  attachedTo: {
+    chatId: { type: mongoose.Schema.Types.ObjectId, ref: 'Chat', default: null },
+    circleId: { type: mongoose.Schema.Types.ObjectId, ref: 'SupportCircle', default: null },
+    messageId: { type: mongoose.Schema.Types.ObjectId, default: null }
+  },
+  attachedAt: { type: Date, default: null }
+}, { timestamps: true });
+
+MediaSchema.index({ ownerId: 1, createdAt: -1 });
+MediaSchema.index({ status: 1, createdAt: 1 });
+
+module.exports = mongoose.model('Media', MediaSchema);
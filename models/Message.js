@@ -3,12 +3,68 @@ const mongoose = require('mongoose');
 const MessageSchema = new mongoose.Schema({
     chatId: { type: mongoose.Schema.Types.ObjectId, ref: 'Chat', required: true },
     sender: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
-    text: { type: String, required: true },
+    // Never set for encrypted messages; may be empty when the message has attachments
+    text: { type: String, required: function () { return !this.encrypted && !(this.attachments?.length > 0); } },
+    attachments: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Media' }], // Uploaded via /api/media
+    // `voice`: one audio attachment; `system`: chat event recorded by the server (e.g. retention changed)
+    messageType: { type: String, enum: ['text', 'voice', 'system'], default: 'text' },
+    systemEvent: {
+        type: new mongoose.Schema({
+            kind: { type: String, enum: ['retention_changed'], required: true },
+            retention: String
+        }, { _id: false }),
+        default: null
+    },
+    // 🧭 Moderation & sentiment of the text and/or voice-note transcript (never for encrypted messages)
+    analysis: {
+        type: new mongoose.Schema({
+            sentimentScore: Number,
+            sentiment: { type: String, enum: ['negative', 'neutral', 'positive'] },
+            flagged: { type: Boolean, default: false },
+            categories: [String],
+            source: String,            // text, transcript or text+transcript
+            analyzedAt: Date
+        }, { _id: false }),
+        default: null,
+        select: false                  // Internal: never sent to chat participants
+    },
+    // 🔒 End-to-end encrypted messages: one ciphertext copy per recipient device, no plaintext
+    encrypted: { type: Boolean, default: false },
+    senderDeviceId: { type: String, default: null },
+    envelopes: [{
+        _id: false,
+        recipientId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+        deviceId: { type: String, required: true },
+        type: { type: String, enum: ['prekey', 'message'], required: true },
+        ciphertext: { type: String, required: true }
+    }],
+    replyTo: { type: mongoose.Schema.Types.ObjectId, ref: 'Message', default: null }, // Quoted reply (same chat)
+    // ✏️ Edits keep the previous versions
+    isEdited: { type: Boolean, default: false },
+    editedAt: { type: Date, default: null },
+    editHistory: [{
+        text: { type: String, required: true },
+        editedAt: { type: Date, default: Date.now }
+    }],
+    // One reaction per user; reacting again with the same type removes it
+    reactions: [{
+        userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+        reactionType: { type: String, enum: ['heart', 'hug', 'support', 'laugh', 'sad', 'thanks'], required: true },
+        reactedAt: { type: Date, default: Date.now }
+    }],
+    isDeleted: { type: Boolean, default: false },
     status: { type: String, enum: ['sent', 'delivered', 'read'], default: 'sent' }, // Track read receipts
+    deliveredAt: { type: Date, default: null }, // Set when the recipient's device acks the message
+    readAt: { type: Date, default: null },
+    expiresAt: { type: Date, default: null }, // ⏳ Set from the chat's retention period when sent; purged after this
     createdAt: { type: Date, default: Date.now }
 });
 
 // 🔥 Index messages by chatId for fast retrieval
-MessageSchema.index({ chatId: 1, createdAt: -1 });
+MessageSchema.index({ chatId: 1, createdAt: -1, _id: -1 }); // Also serves cursor pagination
+// 📬 Undelivered messages are replayed when the recipient reconnects
+MessageSchema.index({ chatId: 1, status: 1 });
+// ⏳ Retention purge only scans messages that can expire
+MessageSchema.index({ expiresAt: 1 }, { partialFilterExpression: { expiresAt: { $type: 'date' } } });
 
 module.exports = mongoose.model('Message', MessageSchema);
@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+// Abuse-tracking state for OTP endpoints, one document per phone number or IP address
+const OtpGuardSchema = new mongoose.Schema({
+  kind: { type: String, enum: ['phone', 'ip'], required: true },
+  key: { type: String, required: true }, // The phone number or IP address
+  // Recent OTP requests (trimmed to the tracking window)
+  requests: [{
+    at: { type: Date, default: Date.now },
+    phone: { type: String }, // For IP documents: which number was requested
+    _id: false
+  }],
+  failedVerifications: { type: Number, default: 0 },
+  lockoutLevel: { type: Number, default: 0 }, // Grows with each lockout, drives the exponential back-off
+  blockedUntil: { type: Date, default: null },
+  blockReason: { type: String, default: null }, // 'request_limit', 'failed_verifications', 'sms_pumping', 'manual'
+  lastBlockedAt: { type: Date, default: null }
+}, { timestamps: true });
+
+OtpGuardSchema.index({ kind: 1, key: 1 }, { unique: true });
+OtpGuardSchema.index({ blockedUntil: 1 });
+
+OtpGuardSchema.methods.isBlocked = function() {
+  return !!this.blockedUntil && this.blockedUntil > new Date();
+};
+
+module.exports = mongoose.model('OtpGuard', OtpGuardSchema);
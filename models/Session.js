@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+// One session per logged-in device. The refresh token is never stored, only its hash.
+const SessionSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  refreshTokenHash: { type: String, required: true },
+  previousTokenHashes: { type: [String], default: [] }, // Rotated-out hashes, used for reuse detection
+  deviceName: { type: String, default: 'Unknown device' },
+  userAgent: { type: String, default: '' },
+  ipAddress: { type: String, default: '' },
+  lastUsedAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, required: true },
+  revokedAt: { type: Date, default: null },
+  revokedReason: { type: String, enum: ['logout', 'logout_all', 'revoked', 'token_reuse', null], default: null }
+}, { timestamps: true });
+
+SessionSchema.index({ userId: 1, revokedAt: 1 });
+SessionSchema.index({ expiresAt: 1 });
+
+// A session can be used only while it is neither revoked nor expired
+SessionSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+module.exports = mongoose.model('Session', SessionSchema);
@@ -10,11 +10,31 @@ const CircleMessageSchema = new mongoose.Schema({
   },
   content: { 
     type: String, 
-    required: true 
+    // May be empty when the message carries attachments
+    required: function() { return !(this.attachments?.length > 0); }
   },
   attachments: [{ 
-    type: String 
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Media'  // Uploaded via /api/media with purpose `circle`
   }],
+  messageType: {
+    type: String,
+    enum: ['text', 'voice'],  // `voice`: one audio attachment
+    default: 'text'
+  },
+  // Moderation & sentiment of the content and/or voice-note transcript
+  analysis: {
+    type: new mongoose.Schema({
+      sentimentScore: Number,
+      sentiment: { type: String, enum: ['negative', 'neutral', 'positive'] },
+      flagged: { type: Boolean, default: false },
+      categories: [String],
+      source: String,
+      analyzedAt: Date
+    }, { _id: false }),
+    default: null,
+    select: false  // Internal: never sent to circle members
+  },
   reactions: {
     supportive: { 
       type: Number, 
@@ -3,8 +3,16 @@ const mongoose = require('mongoose');
 // User Schema
 const UserSchema = new mongoose.Schema({
   phone: { type: String, required: true, unique: true },
-  username: { type: String, required: true, unique: true },
+  username: { type: String, required: true }, // Unique regardless of case, see the index below
   randomUsernameGenerated: { type: Boolean, default: true },
+  // 🆕 Username changes (see utils/usernamePolicy.js for the rules)
+  usernameChangedAt: { type: Date, default: null },
+  usernameHistory: [{
+    username: { type: String, required: true },
+    source: { type: String, enum: ['generated', 'custom'], default: 'generated' },
+    assignedAt: { type: Date, default: Date.now },
+    releasedAt: { type: Date, default: null }   // null while it is the current username
+  }],
   profilePic: { type: String, default: '' },
   bio: { type: String, default: '' },
   interests: { type: [String], default: [] },
@@ -13,6 +21,7 @@ const UserSchema = new mongoose.Schema({
   preferences: {
     anonymousChat: { type: Boolean, default: true },
     matchPreference: { type: String, default: 'Similar Emotions' },
+    allowMessageRequests: { type: Boolean, default: true }, // Openers from people without an accepted match
     // Journal preferences
     journalReminders: { type: Boolean, default: true },
     journalReminderTime: { type: String, default: '20:00' }, // 24-hour format
@@ -20,6 +29,35 @@ const UserSchema = new mongoose.Schema({
     journalPrivacyDefault: { type: String, default: 'private', enum: ['private', 'matches', 'public'] }
   },
   allowComments: { type: Boolean, default: true },
+  // 🆕 Who can see each part of the public profile
+  profileVisibility: {
+    bio: { type: String, enum: ['everyone', 'matches', 'nobody'], default: 'everyone' },
+    interests: { type: String, enum: ['everyone', 'matches', 'nobody'], default: 'everyone' },
+    likesDislikes: { type: String, enum: ['everyone', 'matches', 'nobody'], default: 'matches' },
+    activityStats: { type: String, enum: ['everyone', 'matches', 'nobody'], default: 'nobody' }
+  },
+  // 🆕 Onboarding progress (see services/onboardingService.js for the steps)
+  onboarding: {
+    completedSteps: { type: [String], default: [] },
+    currentStep: { type: String, default: 'check-in' },
+    completedAt: { type: Date, default: null },
+    checkIn: {
+      emotions: { type: [String], default: [] },
+      intensity: { type: Number, min: 1, max: 10 },
+      note: { type: String, default: '' },
+      recordedAt: { type: Date }
+    }
+  },
+  // 🆕 Presence (who is online is tracked in memory by services/presenceService.js)
+  presence: {
+    lastSeenAt: { type: Date, default: null },
+    appearOffline: { type: Boolean, default: false }
+  },
+  // Platform-wide roles (see middleware/permissionMiddleware.js for what each role can do)
+  roles: {
+    type: [{ type: String, enum: ['user', 'moderator', 'admin', 'expert-reviewer'] }],
+    default: ['user']
+  },
   // Journal feature related fields
   journalStats: {
     totalEntries: { type: Number, default: 0 },
@@ -84,10 +122,22 @@ const UserSchema = new mongoose.Schema({
     messagesSent: { type: Number, default: 0 },
     lastActive: { type: Date }
   },
+  // 🆕 Account deletion (set while the grace period is running)
+  deletion: {
+    requestedAt: { type: Date, default: null },
+    scheduledFor: { type: Date, default: null }
+  },
   joinedAt: { type: Date, default: Date.now }
 }, { timestamps: true });
 
 UserSchema.index({ phone: 1 }, { unique: true });
-UserSchema.index({ username: 1 }, { unique: true });
+// Same case-insensitive collation as the availability check in usernameService ("CalmMeadow" = "calmmeadow");
+// named so it can be built next to the old case-sensitive username_1 index, which can be dropped afterwards
+UserSchema.index(
+  { username: 1 },
+  { unique: true, collation: { locale: 'en', strength: 2 }, name: 'username_case_insensitive' }
+);
+UserSchema.index({ 'deletion.scheduledFor': 1 });
+UserSchema.index({ 'usernameHistory.username': 1 });
 
 module.exports = mongoose.model('User', UserSchema);
\ No newline at end of file
@@ -1,9 +1,13 @@
 const mongoose = require('mongoose');
 
-const CommentSchema = new mongoose.Schema({
-    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+// ✏️ A previous version of an edited vent (kept for moderators)
+const RevisionSchema = new mongoose.Schema({
+    title: { type: String, required: true },
     text: { type: String, required: true },
-    createdAt: { type: Date, default: Date.now }
+    emotion: { type: String, required: true },
+    hashtags: { type: [String], default: [] },
+    issueType: { type: String, default: '' },
+    editedAt: { type: Date, default: Date.now }   // When this version was replaced
 });
 
 const VentSchema = new mongoose.Schema({
@@ -13,12 +17,31 @@ const VentSchema = new mongoose.Schema({
     emotion: { type: String, required: true, enum: ['Happy', 'Sad', 'Angry', 'Anxious', 'Neutral', 'Burnout'] },
     hashtags: { type: [String], index: true },
     issueType: { type: String, index: true },
+    // 🎭 Anonymous vents never show the author; accepted matches see them only with revealToMatches
+    anonymous: { type: Boolean, default: false },
+    revealToMatches: { type: Boolean, default: false },
     reactions: {
         hug: { type: Number, default: 0 },
         heart: { type: Number, default: 0 },
         listen: { type: Number, default: 0 }
     },
-    comments: [CommentSchema],  // ✅ Added Comments
+    // 💬 Comments live in the VentComment collection
+    commentCount: { type: Number, default: 0 },   // Comments that are not deleted (hidden ones included)
+    commentAudience: { type: String, enum: ['everyone', 'matches'], default: 'everyone' }, // Who may comment
+    isEdited: { type: Boolean, default: false },
+    editedAt: { type: Date, default: null },
+    revisions: { type: [RevisionSchema], select: false }, // Internal: moderators only
+    // ⚙️ Background ingestion (embedding, similarity graph, matches); clients poll GET /api/vent/:ventId/status
+    processing: {
+        // New vents start `queued`; vents from before the pipeline were processed inline
+        status: { type: String, enum: ['queued', 'processing', 'completed', 'failed'], default: 'completed' },
+        attempts: { type: Number, default: 0 },
+        queuedAt: { type: Date, default: null },           // Last hand-off to the queue (see requeueStuckVents)
+        embeddedAt: { type: Date, default: null },         // Steps already done are skipped on retry
+        connectedUserIds: [{ type: String }],              // Graph edges already written for this vent
+        lastError: { type: String, default: null },
+        completedAt: { type: Date, default: null }
+    },
     createdAt: { type: Date, default: Date.now }
 }, { timestamps: true });
 
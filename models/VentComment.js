@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+// 💬 A comment on a vent. Replies point at the comment they answer (`parentId`) and at the
+// top-level comment of their thread (`rootId`), so a whole thread is read with one query.
+const VentCommentSchema = new mongoose.Schema({
+  ventId: { type: mongoose.Schema.Types.ObjectId, ref: 'Vent', required: true },
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  parentId: { type: mongoose.Schema.Types.ObjectId, ref: 'VentComment', default: null },
+  rootId: { type: mongoose.Schema.Types.ObjectId, ref: 'VentComment', default: null }, // null for top-level comments
+  text: { type: String, required: function () { return !this.isDeleted; } },
+  replyCount: { type: Number, default: 0 }, // Replies in this thread (top-level comments only)
+  // ✏️ Edits keep the previous versions
+  isEdited: { type: Boolean, default: false },
+  editedAt: { type: Date, default: null },
+  editHistory: [{
+    _id: false,
+    text: { type: String, required: true },
+    editedAt: { type: Date, default: Date.now }
+  }],
+  // One supportive reaction per user; reacting again with the same type removes it
+  reactions: [{
+    _id: false,
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    reactionType: { type: String, enum: ['heart', 'hug', 'support', 'thanks'], required: true },
+    reactedAt: { type: Date, default: Date.now }
+  }],
+  // 🙈 Hidden by the vent owner: only the owner and the comment's author still see it
+  hiddenAt: { type: Date, default: null },
+  // Deleted comments that have replies stay as a placeholder so the thread holds together
+  isDeleted: { type: Boolean, default: false },
+  deletedAt: { type: Date, default: null }
+}, { timestamps: true });
+
+VentCommentSchema.index({ ventId: 1, rootId: 1, createdAt: 1 }); // Top-level comments & thread replies in order
+
+module.exports = mongoose.model('VentComment', VentCommentSchema);
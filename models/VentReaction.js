@@ -0,0 +1,13 @@
+const mongoose = require('mongoose');
+
+// One reaction per user per vent; `Vent.reactions` holds the counts of these records
+const VentReactionSchema = new mongoose.Schema({
+  ventId: { type: mongoose.Schema.Types.ObjectId, ref: 'Vent', required: true },
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  reactionType: { type: String, enum: ['hug', 'heart', 'listen'], required: true }
+}, { timestamps: true });
+
+VentReactionSchema.index({ ventId: 1, userId: 1 }, { unique: true });
+VentReactionSchema.index({ ventId: 1, reactionType: 1, createdAt: -1 }); // Reaction list, newest first
+
+module.exports = mongoose.model('VentReaction', VentReactionSchema);
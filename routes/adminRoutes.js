@@ -3,22 +3,59 @@ const {
     getReports, 
     reviewReport, 
     getFlaggedVents, 
-    clearFlaggedVent 
+    getFlaggedMessages,
+    getVentRevisions,
+    clearFlaggedVent,
+    getUserRoles,
+    updateUserRole,
+    getAuditLog,
+    getPendingExperts,
+    reviewExpertProfile,
+    getOtpBlocks,
+    clearOtpBlock,
+    getUsernameHistory,
+    lookupUsername
 } = require('../controllers/adminController');
 const authMiddleware = require('../middleware/authMiddleware');
+const { requirePermission } = require('../middleware/permissionMiddleware');
 
 const router = express.Router();
 
 // ✅ Get all reports (For Admin Review)
-router.get('/reports', authMiddleware, getReports);
+router.get('/reports', authMiddleware, requirePermission('reports:read'), getReports);
 
 // ✅ Review & act on a report
-router.post('/review', authMiddleware, reviewReport);
+router.post('/review', authMiddleware, requirePermission('reports:review'), reviewReport);
 
 // ✅ Get flagged vents
-router.get('/flagged', authMiddleware, getFlaggedVents);
+router.get('/flagged', authMiddleware, requirePermission('vents:moderate'), getFlaggedVents);
+
+// ✅ Chat & circle messages flagged by automated moderation (incl. voice-note transcripts)
+router.get('/flagged-messages', authMiddleware, requirePermission('reports:read'), getFlaggedMessages);
+
+// ✅ Vent edit history
+router.get('/vents/:ventId/revisions', authMiddleware, requirePermission('vents:moderate'), getVentRevisions);
 
 // ✅ Unflag a vent
-router.post('/unflag', authMiddleware, clearFlaggedVent);
+router.post('/unflag', authMiddleware, requirePermission('vents:moderate'), clearFlaggedVent);
+
+// ✅ Role management (Admins only)
+router.get('/users/:userId/roles', authMiddleware, requirePermission('roles:manage'), getUserRoles);
+router.post('/users/:userId/roles', authMiddleware, requirePermission('roles:manage'), updateUserRole);
+
+// ✅ Audit log
+router.get('/audit-log', authMiddleware, requirePermission('audit:read'), getAuditLog);
+
+// ✅ Expert verification
+router.get('/experts/pending', authMiddleware, requirePermission('experts:verify'), getPendingExperts);
+router.post('/experts/:expertId/review', authMiddleware, requirePermission('experts:verify'), reviewExpertProfile);
+
+// ✅ OTP abuse protection (blocked phones & IPs)
+router.get('/otp-blocks', authMiddleware, requirePermission('security:manage'), getOtpBlocks);
+router.delete('/otp-blocks/:blockId', authMiddleware, requirePermission('security:manage'), clearOtpBlock);
+
+// ✅ Username history (trace past handles)
+router.get('/users/:userId/username-history', authMiddleware, requirePermission('users:lookup'), getUsernameHistory);
+router.get('/username-lookup', authMiddleware, requirePermission('users:lookup'), lookupUsername);
 
 module.exports = router;
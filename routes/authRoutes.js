@@ -1,13 +1,44 @@
 const express = require('express');
-const { requestOTP, verifyUserOTP, changeUsername,updateUserDetails, getUserDetails } = require('../controllers/authController');
+const {
+  requestOTP,
+  verifyUserOTP,
+  changeUsername,
+  regenerateUsername,
+  updateUserDetails,
+  getUserDetails,
+  updateProfileVisibility,
+  refreshAccessToken,
+  getSessions,
+  deleteSession,
+  logout,
+  logoutAll,
+  exportUserData,
+  requestAccountDeletion,
+  cancelDeletion
+} = require('../controllers/authController');
 const authMiddleware = require('../middleware/authMiddleware');
+const { otpRequestLimiter, otpVerifyLimiter } = require('../middleware/rateLimiter');
 
 const router = express.Router();
 
-router.post('/request-otp', requestOTP);
-router.post('/verify-otp', verifyUserOTP);
+router.post('/request-otp', otpRequestLimiter, requestOTP);
+router.post('/verify-otp', otpVerifyLimiter, verifyUserOTP);
 router.put('/change-username', authMiddleware, changeUsername);
+router.post('/regenerate-username', authMiddleware, regenerateUsername);
 router.put('/update-details', authMiddleware, updateUserDetails);
 router.get('/user/:userId', authMiddleware, getUserDetails);
+router.put('/profile-visibility', authMiddleware, updateProfileVisibility);
+
+// ✅ Session management
+router.post('/refresh', refreshAccessToken);
+router.get('/sessions', authMiddleware, getSessions);
+router.delete('/sessions/:sessionId', authMiddleware, deleteSession);
+router.post('/logout', authMiddleware, logout);
+router.post('/logout-all', authMiddleware, logoutAll);
+
+// ✅ Data export & account deletion
+router.get('/export', authMiddleware, exportUserData);
+router.post('/delete', authMiddleware, requestAccountDeletion);
+router.post('/delete/cancel', authMiddleware, cancelDeletion);
 
 module.exports = router;
@@ -0,0 +1,16 @@
+const express = require('express');
+const { addBlock, removeBlock, getBlockedUsers } = require('../controllers/blockController');
+const authMiddleware = require('../middleware/authMiddleware');
+
+const router = express.Router();
+
+// ✅ List blocked users
+router.get('/', authMiddleware, getBlockedUsers);
+
+// ✅ Block a user
+router.post('/', authMiddleware, addBlock);
+
+// ✅ Unblock a user
+router.delete('/:blockedId', authMiddleware, removeBlock);
+
+module.exports = router;
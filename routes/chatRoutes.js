@@ -7,6 +7,16 @@ module.exports = (io) => {
         getChatList,
         getChatMessages,
         markMessagesAsRead,
+        markMessagesAsDelivered,
+        editMessage,
+        getMessageEditHistory,
+        reactToMessage,
+        enableChatEncryption,
+        sendChatRequest,
+        acceptChatRequest,
+        declineChatRequest,
+        updateChatSettings,
+        setChatRetention,
         deleteMessage,
         deleteChat
     } = require('../controllers/chatController'); 
@@ -18,10 +28,21 @@ module.exports = (io) => {
     // ✅ Start or retrieve a chat (Only if match is accepted)
     router.post('/start', authMiddleware, startChat);
 
+    // 💌 Message requests: one opener, then the recipient accepts or declines
+    router.post('/request', authMiddleware, (req, res) => sendChatRequest(req, res, io));
+    router.post('/:chatId/request/accept', authMiddleware, (req, res) => acceptChatRequest(req, res, io));
+    router.post('/:chatId/request/decline', authMiddleware, (req, res) => declineChatRequest(req, res, io));
+
+    // 🔕 Mute / archive / pin (my inbox only)
+    router.put('/:chatId/settings', authMiddleware, updateChatSettings);
+
+    // ⏳ Disappearing messages (either participant; both see the change)
+    router.put('/:chatId/retention', authMiddleware, (req, res) => setChatRetention(req, res, io));
+
     // ✅ Send a message (Pass `io` to controller)
     router.post('/send', authMiddleware, (req, res) => sendMessage(req, res, io));
 
-    // ✅ Get all active chats for the user
+    // ✅ Get the user's chats (?filter=inbox|archived|pinned|muted|requests|sent-requests|all)
     router.get('/list', authMiddleware, getChatList);
 
     // ✅ Get messages of a specific chat
@@ -30,8 +51,21 @@ module.exports = (io) => {
     // ✅ Mark messages as read (Pass `io` to controller)
     router.post('/read', authMiddleware, (req, res) => markMessagesAsRead(req, res, io));
 
+    // ✅ Acknowledge delivery of messages (Pass `io` to controller)
+    router.post('/delivered', authMiddleware, (req, res) => markMessagesAsDelivered(req, res, io));
+
+    // ✅ Edit a message & view its edit history
+    router.put('/message/:messageId', authMiddleware, (req, res) => editMessage(req, res, io));
+    router.get('/message/:messageId/history', authMiddleware, getMessageEditHistory);
+
+    // ✅ React to a message (toggle)
+    router.post('/message/:messageId/reactions', authMiddleware, (req, res) => reactToMessage(req, res, io));
+
+    // 🔒 Turn on end-to-end encryption for a chat (one-way)
+    router.post('/:chatId/encryption', authMiddleware, (req, res) => enableChatEncryption(req, res, io));
+
     // ✅ Delete a single message (Soft Delete)
-    router.delete('/message', authMiddleware, deleteMessage);
+    router.delete('/message', authMiddleware, (req, res) => deleteMessage(req, res, io));
 
     // ✅ Delete a chat (Soft Delete or Full Delete if both users delete)
     router.delete('/chat', authMiddleware, deleteChat);
@@ -18,6 +18,7 @@ const {
   getCategories
 } = require('../controllers/circleController');
 const authMiddleware = require('../middleware/authMiddleware');
+const { requireCircleModerator } = require('../middleware/permissionMiddleware');
 
 const router = express.Router();
 
@@ -34,17 +35,17 @@ router.get('/categories', authMiddleware, getCategories);
 // ✅ Individual circle operations
 router.post('/', authMiddleware, createCircle);
 router.get('/:circleId', authMiddleware, getCircleDetails);
-router.put('/:circleId', authMiddleware, updateCircle);
+router.put('/:circleId', authMiddleware, requireCircleModerator, updateCircle);
 
 // ✅ Circle membership operations
 router.post('/:circleId/join', authMiddleware, joinCircle);
 router.post('/:circleId/leave', authMiddleware, leaveCircle);
-router.get('/:circleId/join-requests', authMiddleware, getJoinRequests);
-router.post('/:circleId/join-requests/:requestId', authMiddleware, handleJoinRequest);
+router.get('/:circleId/join-requests', authMiddleware, requireCircleModerator, getJoinRequests);
+router.post('/:circleId/join-requests/:requestId', authMiddleware, requireCircleModerator, handleJoinRequest);
 router.post('/:circleId/members/:memberId/role', authMiddleware, changeMemberRole);
 
 // ✅ Circle content operations
-router.post('/:circleId/topics', authMiddleware, addWeeklyTopic);
+router.post('/:circleId/topics', authMiddleware, requireCircleModerator, addWeeklyTopic);
 router.post('/:circleId/messages', authMiddleware, sendMessage);
 router.get('/:circleId/messages', authMiddleware, getMessages);
 router.post('/:circleId/messages/:messageId/react', authMiddleware, reactToMessage);
@@ -0,0 +1,29 @@
+const express = require('express');
+const {
+    putKeyBundle,
+    addPreKeys,
+    getMyKeyStatus,
+    getUserKeyBundles,
+    deleteDeviceKeys
+} = require('../controllers/keyController');
+const authMiddleware = require('../middleware/authMiddleware');
+const { keyClaimLimiter } = require('../middleware/rateLimiter');
+
+const router = express.Router();
+
+// ✅ Register / replace this device's public key bundle
+router.put('/bundle', authMiddleware, putKeyBundle);
+
+// ✅ Top up one-time pre-keys
+router.post('/prekeys', authMiddleware, addPreKeys);
+
+// ✅ Pre-key counts for my devices
+router.get('/me', authMiddleware, getMyKeyStatus);
+
+// ✅ Remove a device's keys
+router.delete('/devices/:deviceId', authMiddleware, deleteDeviceKeys);
+
+// ✅ Fetch a chat partner's key bundles (claims one pre-key per device, so fetches are rate limited)
+router.get('/:userId', authMiddleware, keyClaimLimiter, getUserKeyBundles);
+
+module.exports = router;
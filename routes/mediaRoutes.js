@@ -0,0 +1,30 @@
+const express = require('express');
+const {
+    uploadMedia,
+    getMedia,
+    downloadMedia,
+    getPlaybackUrl,
+    playMedia,
+    deletePendingMedia
+} = require('../controllers/mediaController');
+const authMiddleware = require('../middleware/authMiddleware');
+const mediaUpload = require('../middleware/mediaUpload');
+const { mediaUploadLimiter } = require('../middleware/rateLimiter');
+
+const router = express.Router();
+
+// ✅ Upload a file for a chat or circle message
+router.post('/', authMiddleware, mediaUploadLimiter, mediaUpload, uploadMedia);
+
+// ✅ Media details & file download
+router.get('/:mediaId', authMiddleware, getMedia);
+router.get('/:mediaId/file', authMiddleware, downloadMedia);
+
+// 🎙️ Voice notes: refresh a playback URL, and play through the signed URL itself
+router.get('/:mediaId/playback-url', authMiddleware, getPlaybackUrl);
+router.get('/:mediaId/play', playMedia);
+
+// ✅ Delete an upload that was never sent
+router.delete('/:mediaId', authMiddleware, deletePendingMedia);
+
+module.exports = router;
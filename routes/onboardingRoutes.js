@@ -0,0 +1,24 @@
+const express = require('express');
+const {
+    getOnboardingStatus,
+    saveOnboardingStep,
+    completeOnboarding,
+    getOnboardingRecommendations
+} = require('../controllers/onboardingController');
+const authMiddleware = require('../middleware/authMiddleware');
+
+const router = express.Router();
+
+// ✅ Onboarding progress
+router.get('/', authMiddleware, getOnboardingStatus);
+
+// ✅ Save a step (check-in, interests, match-preference, journaling)
+router.put('/steps/:step', authMiddleware, saveOnboardingStep);
+
+// ✅ Finish onboarding & get starter recommendations
+router.post('/complete', authMiddleware, completeOnboarding);
+
+// ✅ Starter circles & journal prompts
+router.get('/recommendations', authMiddleware, getOnboardingRecommendations);
+
+module.exports = router;
@@ -0,0 +1,24 @@
+const express = require('express');
+const {
+    getUserPresence,
+    queryPresence,
+    getMyPresence,
+    updateAppearOffline
+} = require('../controllers/presenceController');
+const authMiddleware = require('../middleware/authMiddleware');
+
+const router = express.Router();
+
+// ✅ My presence & connected devices
+router.get('/me', authMiddleware, getMyPresence);
+
+// ✅ Appear offline
+router.put('/appear-offline', authMiddleware, updateAppearOffline);
+
+// ✅ Presence for many users
+router.post('/query', authMiddleware, queryPresence);
+
+// ✅ Presence for one user
+router.get('/:userId', authMiddleware, getUserPresence);
+
+module.exports = router;
@@ -29,6 +29,7 @@ const {
   getExpertProfile
 } = require('../controllers/qaController');
 const authMiddleware = require('../middleware/authMiddleware');
+const { optionalAuth } = require('../middleware/authMiddleware');
 
 const router = express.Router();
 
@@ -58,7 +59,7 @@ const voteLimiter = rateLimit({
 
 // ✅ Question routes
 router.get('/questions', getQuestions);
-router.get('/questions/:questionId', getQuestionById);
+router.get('/questions/:questionId', optionalAuth, getQuestionById);
 router.post('/questions', authMiddleware, questionLimiter, createQuestion);
 router.put('/questions/:questionId', authMiddleware, updateQuestion);
 router.delete('/questions/:questionId', authMiddleware, deleteQuestion);
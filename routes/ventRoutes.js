@@ -1,6 +1,11 @@
 const express = require('express');
-const { createVent, getVents, reactToVent, deleteVent, searchVents,getVentFeed , reportVent, addComment, deleteComment} = require('../controllers/ventController');
+const {
+    createVent, updateVent, getVentStatus, getVents, reactToVent, getVentReactions, deleteVent, searchVents, getVentFeed, reportVent,
+    addComment, getComments, getCommentReplies, editComment, reactToComment, reportComment, setCommentVisibility,
+    updateCommentSettings, deleteComment
+} = require('../controllers/ventController');
 const authMiddleware = require('../middleware/authMiddleware');
+const { optionalAuth } = require('../middleware/authMiddleware');
 
 const router = express.Router();
 
@@ -14,15 +19,27 @@ const ventLimiter = rateLimit({
 
 // ✅ Routes
 router.post('/create', authMiddleware, ventLimiter, createVent);  // 🚀 Added Rate Limiting
-router.get('/all', getVents); // 🚀 Added Pagination Support
-router.post('/react', authMiddleware, reactToVent);
+router.get('/:ventId/status', authMiddleware, getVentStatus); // ⚙️ Background processing status
+router.get('/all', optionalAuth, getVents); // 🚀 Added Pagination Support
+router.post('/react', authMiddleware, reactToVent); // Toggle: same reaction again removes it
+router.get('/:ventId/reactions', optionalAuth, getVentReactions);
+router.put('/:ventId', authMiddleware, updateVent); // ✏️ Owner edits (revision kept for moderators)
 router.delete('/:ventId', authMiddleware, deleteVent);
-router.get('/search', searchVents);
+router.get('/search', optionalAuth, searchVents);
 router.get('/feed', authMiddleware, getVentFeed);
 router.post('/report', authMiddleware, reportVent);
-router.post('/comment', authMiddleware, addComment);
+router.post('/comment', authMiddleware, addComment); // `parentId` to reply
 router.delete('/comment/:ventId/:commentId', authMiddleware, deleteComment);
 
+// 💬 Threaded comments
+router.get('/:ventId/comments', optionalAuth, getComments);
+router.put('/:ventId/comment-settings', authMiddleware, updateCommentSettings); // Owner: everyone or matches only
+router.get('/comments/:commentId/replies', optionalAuth, getCommentReplies);
+router.put('/comments/:commentId', authMiddleware, editComment);
+router.post('/comments/:commentId/reactions', authMiddleware, reactToComment);
+router.post('/comments/:commentId/report', authMiddleware, reportComment);
+router.put('/comments/:commentId/visibility', authMiddleware, setCommentVisibility); // Owner: hide/unhide
+
 
 
 module.exports = router;
@@ -0,0 +1,19 @@
+const cron = require('node-cron');
+const { purgeDueAccounts } = require('./accountService');
+
+// Permanently delete accounts whose deletion grace period has ended
+const runAccountDeletionJob = async () => {
+    console.log('🔄 Running account deletion job...');
+
+    try {
+        const { due, purged } = await purgeDueAccounts();
+        console.log(`📊 Account deletion job completed: ${purged}/${due} accounts purged.`);
+    } catch (error) {
+        console.error('❌ Critical Error: Account deletion job failed:', error);
+    }
+};
+
+// Schedule job at 3:00 AM daily
+cron.schedule('0 3 * * *', runAccountDeletionJob);
+
+module.exports = { runAccountDeletionJob };
@@ -0,0 +1,293 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Vent = require('../models/Vent');
+const Match = require('../models/Match');
+const Chat = require('../models/Chat');
+const Message = require('../models/Message');
+const Report = require('../models/Report');
+const Notification = require('../models/Notification');
+const SupportCircle = require('../models/SupportCircles');
+const Question = require('../models/Question');
+const Vote = require('../models/Vote');
+const ExpertProfile = require('../models/ExpertProfile');
+const Session = require('../models/Session');
+const OtpGuard = require('../models/OtpGuard');
+const AuditLog = require('../models/AuditLog');
+const Block = require('../models/Block');
+const KeyBundle = require('../models/KeyBundle');
+const Media = require('../models/Media');
+const VentReaction = require('../models/VentReaction');
+const VentComment = require('../models/VentComment');
+const { JournalEntry, JournalStreak } = require('../models/Journal');
+const { deleteVentEmbeddings } = require('./pineconeService');
+const { deleteUserNode } = require('./neo4jService');
+const { deleteMedia } = require('./mediaService');
+const { removeUserReactions } = require('./ventReactionService');
+const { removeComment } = require('./ventCommentService');
+
+const DELETION_GRACE_PERIOD_DAYS = 14;
+
+// Content that stays visible to the community (Q&A, circle conversations) is re-attributed to this id
+const DELETED_USER_ID = new mongoose.Types.ObjectId('000000000000000000000000');
+
+/**
+ * ✅ Build a JSON archive of everything a user owns
+ * - Only the user's own contributions are included, not other people's messages
+ */
+const buildUserExport = async (userId) => {
+  const objectId = new mongoose.Types.ObjectId(userId);
+
+  const user = await User.findById(userId).lean();
+  if (!user) return null;
+
+  const [
+    sessions,
+    vents,
+    commentedVents,
+    journalEntries,
+    journalStreak,
+    circles,
+    questions,
+    answeredQuestions,
+    votes,
+    matches,
+    chats,
+    messages,
+    notifications,
+    reports,
+    expertProfile,
+    blocks,
+    keyDevices,
+    uploads,
+    ventReactions
+  ] = await Promise.all([
+    Session.find({ userId }).select('-refreshTokenHash -previousTokenHashes').lean(),
+    Vent.find({ userId }).lean(),
+    VentComment.find({ userId, isDeleted: false }).populate('ventId', 'title').lean(),
+    JournalEntry.find({ userId }).lean(),
+    JournalStreak.findOne({ userId }).lean(),
+    SupportCircle.find({
+      $or: [{ 'members.userId': objectId }, { 'messages.userId': objectId }, { 'joinRequests.userId': objectId }]
+    }).select('name category members messages joinRequests').lean(),
+    Question.find({ userId }).select('-answers').lean(),
+    Question.find({ 'answers.userId': objectId }).select('_id title answers').lean(),
+    Vote.find({ userId }).lean(),
+    Match.find({ $or: [{ user1: userId }, { user2: userId }] }).lean(),
+    Chat.find({ participants: userId }).select('participants status encryption createdAt updatedAt').lean(),
+    // Ciphertext of encrypted messages is addressed to other devices and useless in an export
+    Message.find({ sender: userId }).select('-envelopes').lean(),
+    Notification.find({ userId }).lean(),
+    Report.find({ reportedBy: userId }).lean(),
+    ExpertProfile.findOne({ userId }).lean(),
+    Block.find({ blocker: userId }).select('blocked reason createdAt').lean(),
+    KeyBundle.find({ userId }).select('deviceId createdAt updatedAt').lean(),
+    Media.find({ ownerId: userId }).select('purpose kind original.contentType original.size originalName status attachedTo createdAt').lean(),
+    VentReaction.find({ userId }).select('ventId reactionType createdAt').lean()
+  ]);
+
+  const ownsEntry = (entry) => entry.userId && entry.userId.toString() === userId.toString();
+
+  return {
+    exportedAt: new Date(),
+    format: 'unmute-export-v1',
+    profile: user,
+    sessions,
+    vents,
+    ventReactions,
+    ventComments: commentedVents.map(({ ventId, ...comment }) => ({
+      ...comment,
+      ventId: ventId ? ventId._id : null,
+      ventTitle: ventId ? ventId.title : null
+    })),
+    journal: {
+      entries: journalEntries,
+      streak: journalStreak
+    },
+    circles: circles.map(circle => ({
+      circleId: circle._id,
+      name: circle.name,
+      category: circle.category,
+      membership: circle.members.find(ownsEntry) || null,
+      joinRequests: circle.joinRequests.filter(ownsEntry),
+      messages: circle.messages.filter(ownsEntry)
+    })),
+    questions,
+    answers: answeredQuestions.flatMap(question =>
+      question.answers.filter(ownsEntry).map(answer => ({ questionId: question._id, questionTitle: question.title, ...answer }))
+    ),
+    votes,
+    matches,
+    chats,
+    messages,
+    notifications,
+    reports,
+    expertProfile,
+    blocks,
+    encryptionDevices: keyDevices,
+    media: uploads
+  };
+};
+
+/**
+ * ✅ Schedule an account for deletion after the grace period
+ */
+const scheduleAccountDeletion = async (userId) => {
+  const requestedAt = new Date();
+  const scheduledFor = new Date(requestedAt.getTime() + DELETION_GRACE_PERIOD_DAYS * 24 * 60 * 60 * 1000);
+
+  return User.findByIdAndUpdate(
+    userId,
+    { $set: { 'deletion.requestedAt': requestedAt, 'deletion.scheduledFor': scheduledFor } },
+    { new: true }
+  ).select('deletion');
+};
+
+/**
+ * ✅ Cancel a pending deletion during the grace period
+ */
+const cancelAccountDeletion = async (userId) => {
+  return User.findOneAndUpdate(
+    { _id: userId, 'deletion.scheduledFor': { $ne: null } },
+    { $set: { 'deletion.requestedAt': null, 'deletion.scheduledFor': null } },
+    { new: true }
+  ).select('deletion');
+};
+
+/**
+ * ✅ Permanently delete an account
+ * - Private data (vents, journal, chats, matches, notifications, sessions) is deleted
+ * - Community content (Q&A, circle messages, reports) is anonymised to DELETED_USER_ID
+ * - External stores (Pinecone vent vectors, Neo4j user node, media files) are cleaned up first,
+ *   so a failure there leaves the account intact and the job can retry
+ */
+const purgeUserAccount = async (userId) => {
+  const user = await User.findById(userId).select('phone');
+  if (!user) return false;
+
+  const objectId = new mongoose.Types.ObjectId(userId);
+
+  // 1️⃣ External stores
+  const ventIds = (await Vent.find({ userId }).select('_id').lean()).map(v => v._id);
+  const chatIds = (await Chat.find({ participants: userId }).select('_id').lean()).map(c => c._id);
+  await deleteVentEmbeddings(ventIds);
+  await deleteUserNode(userId.toString());
+  // The user's uploads (chat & circle) and everything shared in their chats
+  await deleteMedia({ $or: [{ ownerId: objectId }, { 'attachedTo.chatId': { $in: chatIds } }] });
+
+  // 2️⃣ Private data
+  // Reactions on other people's vents come off their counters first
+  await removeUserReactions(userId);
+
+  // Comments on other people's vents are deleted as usual (placeholders where others replied)
+  const comments = await VentComment.find({ userId, ventId: { $nin: ventIds }, isDeleted: false });
+  for (const comment of comments) {
+    await removeComment(comment);
+  }
+  const ventCommentIds = await VentComment.distinct('_id', { ventId: { $in: ventIds } });
+
+  await Promise.all([
+    Vent.deleteMany({ userId }),
+    VentComment.deleteMany({ ventId: { $in: ventIds } }),
+    VentComment.updateMany({ 'reactions.userId': objectId }, { $pull: { reactions: { userId: objectId } } }),
+    Report.deleteMany({ $or: [{ ventId: { $in: ventIds } }, { commentId: { $in: ventCommentIds } }] }),
+    VentReaction.deleteMany({ ventId: { $in: ventIds } }),
+    JournalEntry.deleteMany({ userId }),
+    JournalStreak.deleteMany({ userId }),
+    Match.deleteMany({ $or: [{ user1: userId }, { user2: userId }] }),
+    Message.deleteMany({ chatId: { $in: chatIds } }),
+    Chat.deleteMany({ _id: { $in: chatIds } }),
+    Notification.deleteMany({ userId }),
+    Notification.updateMany({ fromUserId: userId }, { $set: { fromUserId: null } }),
+    Vote.deleteMany({ userId }),
+    ExpertProfile.deleteMany({ userId }),
+    Session.deleteMany({ userId }),
+    KeyBundle.deleteMany({ userId }),
+    Block.deleteMany({ $or: [{ blocker: userId }, { blocked: userId }] }),
+    OtpGuard.deleteMany({ kind: 'phone', key: user.phone })
+  ]);
+
+  // 3️⃣ Community content: keep the conversation, drop the identity
+  await SupportCircle.updateMany(
+    { 'members.userId': objectId },
+    { $pull: { members: { userId: objectId }, moderators: objectId } }
+  );
+  await SupportCircle.updateMany(
+    { 'joinRequests.userId': objectId },
+    { $pull: { joinRequests: { userId: objectId } } }
+  );
+  await SupportCircle.updateMany(
+    { 'messages.reactedBy.userId': objectId },
+    { $pull: { 'messages.$[].reactedBy': { userId: objectId } } }
+  );
+  await SupportCircle.updateMany(
+    { 'messages.userId': objectId },
+    { $set: { 'messages.$[msg].userId': DELETED_USER_ID } },
+    { arrayFilters: [{ 'msg.userId': objectId }] }
+  );
+
+  await Question.updateMany(
+    { userId },
+    { $set: { userId: DELETED_USER_ID, isAnonymous: true } }
+  );
+  await Question.updateMany(
+    { 'answers.userId': objectId },
+    { $set: { 'answers.$[ans].userId': DELETED_USER_ID, 'answers.$[ans].isAnonymous': true } },
+    { arrayFilters: [{ 'ans.userId': objectId }] }
+  );
+  await Question.updateMany(
+    { 'answers.comments.userId': objectId },
+    { $set: { 'answers.$[].comments.$[c].userId': DELETED_USER_ID } },
+    { arrayFilters: [{ 'c.userId': objectId }] }
+  );
+  await Question.updateMany(
+    { followers: objectId },
+    { $pull: { followers: objectId }, $inc: { followersCount: -1 } }
+  );
+
+  // Deleted-comment placeholders that keep reply threads together
+  await VentComment.updateMany({ userId }, { $set: { userId: DELETED_USER_ID } });
+
+  await Report.updateMany({ reportedBy: userId }, { $set: { reportedBy: DELETED_USER_ID } });
+
+  // 4️⃣ Finally the user document itself
+  await User.deleteOne({ _id: userId });
+
+  await AuditLog.create({
+    actorId: DELETED_USER_ID,
+    action: 'account_deleted',
+    targetUserId: userId,
+    targetType: 'user',
+    targetId: userId,
+    details: { ventsDeleted: ventIds.length, chatsDeleted: chatIds.length }
+  });
+
+  console.log(`🗑️ Account ${userId} permanently deleted`);
+  return true;
+};
+
+/**
+ * ✅ Purge every account whose grace period has ended
+ */
+const purgeDueAccounts = async () => {
+  const dueUsers = await User.find({ 'deletion.scheduledFor': { $ne: null, $lte: new Date() } }).select('_id');
+
+  let purged = 0;
+  for (const user of dueUsers) {
+    try {
+      if (await purgeUserAccount(user._id)) purged += 1;
+    } catch (error) {
+      console.error(`❌ Error purging account ${user._id}, will retry next run:`, error);
+    }
+  }
+  return { due: dueUsers.length, purged };
+};
+
+module.exports = {
+  DELETION_GRACE_PERIOD_DAYS,
+  DELETED_USER_ID,
+  buildUserExport,
+  scheduleAccountDeletion,
+  cancelAccountDeletion,
+  purgeUserAccount,
+  purgeDueAccounts
+};
@@ -0,0 +1,100 @@
+const Block = require('../models/Block');
+const Chat = require('../models/Chat');
+const Match = require('../models/Match');
+const { blockUserConnection, unblockUserConnection } = require('./neo4jService');
+
+/**
+ * ✅ Block a user
+ * - Closes any chat between the two users
+ * - Marks their match as unmatched
+ * - Adds a BLOCKED edge in Neo4j so neither is suggested to the other
+ */
+const blockUser = async (blockerId, blockedId, reason = '') => {
+  const block = await Block.findOneAndUpdate(
+    { blocker: blockerId, blocked: blockedId },
+    { $setOnInsert: { blocker: blockerId, blocked: blockedId, reason } },
+    { upsert: true, new: true }
+  );
+
+  await Chat.updateMany(
+    { participants: { $all: [blockerId, blockedId] } },
+    { $set: { status: 'closed', updatedAt: new Date() } }
+  );
+
+  await Match.updateMany(
+    {
+      $or: [
+        { user1: blockerId, user2: blockedId },
+        { user1: blockedId, user2: blockerId }
+      ]
+    },
+    { $set: { status: 'unmatched', user1Accepted: false, user2Accepted: false } }
+  );
+
+  await blockUserConnection(blockerId.toString(), blockedId.toString());
+
+  return block;
+};
+
+/**
+ * ✅ Unblock a user
+ * - Closed chats and unmatched matches stay as they are; the users have to match again
+ */
+const unblockUser = async (blockerId, blockedId) => {
+  const result = await Block.deleteOne({ blocker: blockerId, blocked: blockedId });
+  if (result.deletedCount > 0) {
+    await unblockUserConnection(blockerId.toString(), blockedId.toString());
+  }
+  return result.deletedCount > 0;
+};
+
+/**
+ * ✅ Ids of users this user has blocked (their content is hidden from this user)
+ */
+const getBlockedUserIds = async (userId) => {
+  if (!userId) return [];
+  const blocks = await Block.find({ blocker: userId }).select('blocked').lean();
+  return blocks.map(b => b.blocked.toString());
+};
+
+/**
+ * ✅ Ids of users who have blocked this user
+ */
+const getBlockerIds = async (userId) => {
+  if (!userId) return [];
+  const blocks = await Block.find({ blocked: userId }).select('blocker').lean();
+  return blocks.map(b => b.blocker.toString());
+};
+
+/**
+ * ✅ Ids of users on either side of a block with this user (for chat & matching)
+ */
+const getBlockRelationIds = async (userId) => {
+  if (!userId) return [];
+  const blocks = await Block.find({ $or: [{ blocker: userId }, { blocked: userId }] }).lean();
+  return [...new Set(blocks.map(b =>
+    b.blocker.toString() === userId.toString() ? b.blocked.toString() : b.blocker.toString()
+  ))];
+};
+
+/**
+ * ✅ Whether either user has blocked the other
+ */
+const isBlockedEitherWay = async (userA, userB) => {
+  const block = await Block.exists({
+    $or: [
+      { blocker: userA, blocked: userB },
+      { blocker: userB, blocked: userA }
+    ]
+  });
+  return !!block;
+};
+
+module.exports = {
+  blockUser,
+  unblockUser,
+  getBlockedUserIds,
+  getBlockerIds,
+  getBlockRelationIds,
+  isBlockedEitherWay
+};
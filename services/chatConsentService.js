@@ -0,0 +1,328 @@
+const mongoose = require('mongoose');
+const Chat = require('../models/Chat');
+const Match = require('../models/Match');
+const Message = require('../models/Message');
+const User = require('../models/User');
+const { isBlockedEitherWay } = require('./blockService');
+const { userRoom } = require('./presenceService');
+const { sendNotification } = require('./notificationService');
+
+const MAX_PINNED_CHATS = 5;
+const MAX_OPENER_LENGTH = 1000;
+const MUTE_FOREVER = new Date('9999-12-31T23:59:59.999Z');
+
+// Inbox views accepted by getChatList
+const CHAT_LIST_FILTERS = ['inbox', 'archived', 'pinned', 'muted', 'requests', 'sent-requests', 'all'];
+
+/**
+ * ✅ Key shared by both orders of a pair of users (see Chat.pairKey)
+ */
+const chatPairKey = (userId, otherUserId) => [userId.toString(), otherUserId.toString()].sort().join(':');
+
+/**
+ * ✅ A user's own inbox settings for a chat (defaults when they never changed anything)
+ */
+const getMemberSettings = (chat, userId) => {
+    const entry = (chat.memberSettings || []).find(s => s.userId.toString() === userId.toString());
+    return {
+        mutedUntil: entry?.mutedUntil || null,
+        archivedAt: entry?.archivedAt || null,
+        pinnedAt: entry?.pinnedAt || null
+    };
+};
+
+const isMuted = (chat, userId, now = new Date()) => {
+    const { mutedUntil } = getMemberSettings(chat, userId);
+    return !!mutedUntil && mutedUntil > now;
+};
+
+/**
+ * ✅ Settings as the user sees them in the chat list
+ */
+const toSettingsView = (chat, userId) => {
+    const settings = getMemberSettings(chat, userId);
+    const muted = isMuted(chat, userId);
+    return {
+        muted,
+        mutedUntil: muted && settings.mutedUntil.getTime() !== MUTE_FOREVER.getTime() ? settings.mutedUntil : null,
+        archived: !!settings.archivedAt,
+        pinned: !!settings.pinnedAt,
+        pinnedAt: settings.pinnedAt
+    };
+};
+
+/**
+ * ✅ Mongo condition matching chats where the user's settings satisfy `condition`
+ */
+const settingsMatch = (userId, condition) => ({
+    memberSettings: { $elemMatch: { userId: new mongoose.Types.ObjectId(userId), ...condition } }
+});
+
+/**
+ * ✅ Query for one of the chat list views
+ * - inbox: active, not archived · archived · pinned · muted
+ * - requests: message requests waiting for me · sent-requests: mine, waiting for them
+ * - all: every active chat
+ */
+const chatListQuery = (userId, filter = 'inbox') => {
+    const base = { participants: userId };
+    const now = new Date();
+
+    switch (filter) {
+        case 'inbox':
+            return { ...base, status: 'active', $nor: [settingsMatch(userId, { archivedAt: { $ne: null } })] };
+        case 'archived':
+            return { ...base, status: 'active', ...settingsMatch(userId, { archivedAt: { $ne: null } }) };
+        case 'pinned':
+            return { ...base, status: 'active', ...settingsMatch(userId, { pinnedAt: { $ne: null } }) };
+        case 'muted':
+            return { ...base, status: 'active', ...settingsMatch(userId, { mutedUntil: { $gt: now } }) };
+        case 'requests':
+            return { ...base, status: 'requested', 'request.requestedBy': { $ne: new mongoose.Types.ObjectId(userId) } };
+        case 'sent-requests':
+            return { ...base, status: 'requested', 'request.requestedBy': new mongoose.Types.ObjectId(userId) };
+        case 'all':
+            return { ...base, status: 'active' };
+        default:
+            return null;
+    }
+};
+
+/**
+ * ✅ Why a participant cannot send a message in a chat that is not active
+ */
+const inactiveChatMessage = (chat, userId) => {
+    if (chat.status === 'requested') {
+        return chat.request?.requestedBy?.toString() === userId.toString()
+            ? 'Your message request has not been accepted yet'
+            : 'Accept the message request to reply';
+    }
+    return 'This chat is closed';
+};
+
+/**
+ * ✅ Why a message request cannot be sent when the pair already has a chat
+ */
+const existingChatMessage = (chat) => ({
+    active: 'You already have a chat with this user',
+    requested: 'A message request between you is already pending',
+    declined: 'This user declined your message request',
+    closed: 'This chat is closed'
+}[chat.status]);
+
+/**
+ * ✅ Change a user's mute / archive / pin state for a chat
+ * - mute: `{ mute: true, durationMinutes? }` (no duration = until unmuted), `{ mute: false }` to unmute
+ * - archive: `{ archived: true|false }` · pin: `{ pinned: true|false }` (up to 5 pinned chats)
+ * - Pinning a chat takes it out of the archive, archiving it unpins it
+ * @returns {{ success: boolean, statusCode?: number, message?: string, settings?: Object }}
+ */
+const updateMemberSettings = async (userId, chatId, { mute, durationMinutes, archived, pinned }) => {
+    if (mute === undefined && archived === undefined && pinned === undefined) {
+        return { success: false, statusCode: 400, message: 'Provide mute, archived or pinned' };
+    }
+    if ([mute, archived, pinned].some(value => value !== undefined && typeof value !== 'boolean')) {
+        return { success: false, statusCode: 400, message: 'mute, archived and pinned must be true or false' };
+    }
+    if (durationMinutes !== undefined && (!Number.isInteger(durationMinutes) || durationMinutes < 1)) {
+        return { success: false, statusCode: 400, message: 'durationMinutes must be a positive whole number' };
+    }
+
+    const chat = await Chat.findOne({ _id: chatId, participants: userId });
+    if (!chat) return { success: false, statusCode: 404, message: 'Chat not found' };
+
+    let entry = chat.memberSettings.find(s => s.userId.toString() === userId.toString());
+    if (!entry) {
+        chat.memberSettings.push({ userId });
+        entry = chat.memberSettings[chat.memberSettings.length - 1];
+    }
+
+    const now = new Date();
+
+    if (pinned === true && !entry.pinnedAt) {
+        const pinnedCount = await Chat.countDocuments({
+            participants: userId,
+            status: 'active',
+            ...settingsMatch(userId, { pinnedAt: { $ne: null } })
+        });
+        if (pinnedCount >= MAX_PINNED_CHATS) {
+            return { success: false, statusCode: 400, message: `You can pin up to ${MAX_PINNED_CHATS} chats` };
+        }
+    }
+
+    if (mute !== undefined) {
+        entry.mutedUntil = mute
+            ? (durationMinutes ? new Date(now.getTime() + durationMinutes * 60 * 1000) : MUTE_FOREVER)
+            : null;
+    }
+    if (archived !== undefined) {
+        entry.archivedAt = archived ? (entry.archivedAt || now) : null;
+        if (archived) entry.pinnedAt = null;
+    }
+    if (pinned !== undefined) {
+        entry.pinnedAt = pinned ? (entry.pinnedAt || now) : null;
+        if (pinned) entry.archivedAt = null;
+    }
+
+    // updatedAt is left alone, so the chat keeps its place in both users' lists
+    await chat.save();
+
+    return { success: true, settings: toSettingsView(chat, userId) };
+};
+
+/**
+ * ✅ Send a message request: a single opener to someone without an accepted match
+ * - Only for pairs with a pending (suggested) match, never across a block
+ * - The recipient can turn requests off (preferences.allowMessageRequests)
+ * - No more messages until the recipient accepts
+ * @returns {{ success: boolean, statusCode?: number, message?: string, chat?: Object, opener?: Object }}
+ */
+const sendChatRequest = async (io, userId, recipientId, text) => {
+    if (!mongoose.Types.ObjectId.isValid(recipientId) || recipientId.toString() === userId.toString()) {
+        return { success: false, statusCode: 400, message: 'A valid recipient is required' };
+    }
+    if (typeof text !== 'string' || !text.trim()) {
+        return { success: false, statusCode: 400, message: 'An opening message is required' };
+    }
+    if (text.length > MAX_OPENER_LENGTH) {
+        return { success: false, statusCode: 400, message: `Opening messages can be at most ${MAX_OPENER_LENGTH} characters` };
+    }
+
+    if (await isBlockedEitherWay(userId, recipientId)) {
+        return { success: false, statusCode: 403, message: 'You cannot message this user' };
+    }
+
+    const [recipient, sender, match] = await Promise.all([
+        User.findById(recipientId).select('preferences.allowMessageRequests'),
+        User.findById(userId).select('username'),
+        Match.findOne({
+            $or: [
+                { user1: userId, user2: recipientId },
+                { user1: recipientId, user2: userId }
+            ],
+            status: { $in: ['pending', 'accepted'] }
+        }).select('status')
+    ]);
+    if (!recipient) return { success: false, statusCode: 404, message: 'User not found' };
+    if (!match) {
+        return { success: false, statusCode: 403, message: 'You can only send message requests to your matches' };
+    }
+    if (match.status === 'accepted') {
+        return { success: false, statusCode: 409, message: 'You are already matched; start a chat instead' };
+    }
+    if (recipient.preferences?.allowMessageRequests === false) {
+        return { success: false, statusCode: 403, message: 'This user is not accepting message requests' };
+    }
+
+    // Chats from before pair keys can only be found by their participants
+    const unkeyed = await Chat.findOne({ participants: { $all: [userId, recipientId] }, pairKey: { $exists: false } });
+    if (unkeyed) return { success: false, statusCode: 409, message: existingChatMessage(unkeyed), chat: unkeyed };
+
+    // One upsert on the pair's key, so two users requesting each other at once still end up with one chat
+    const now = new Date();
+    const pairKey = chatPairKey(userId, recipientId);
+    const upsertRequest = () => Chat.findOneAndUpdate(
+        { pairKey },
+        {
+            $setOnInsert: {
+                pairKey,
+                participants: [userId, recipientId],
+                status: 'requested',
+                request: { requestedBy: userId, requestedAt: now, respondedAt: null },
+                createdAt: now,
+                updatedAt: now
+            }
+        },
+        { upsert: true, new: true, includeResultMetadata: true }
+    );
+
+    let result;
+    try {
+        result = await upsertRequest();
+    } catch (error) {
+        if (error.code !== 11000) throw error;
+        result = await upsertRequest(); // The other request inserted first; this time the filter matches it
+    }
+
+    const chat = result.value;
+    if (result.lastErrorObject?.updatedExisting) {
+        return { success: false, statusCode: 409, message: existingChatMessage(chat), chat };
+    }
+
+    const opener = await Message.create({ chatId: chat._id, sender: userId, text, status: 'sent' });
+    chat.lastMessage = opener._id;
+    chat.updatedAt = now;
+    await chat.save();
+
+    io.to(userRoom(recipientId)).emit('chatRequest', {
+        chatId: chat._id,
+        fromUserId: userId,
+        message: { messageId: opener._id, text: opener.text, createdAt: opener.createdAt }
+    });
+    await sendNotification({
+        userId: recipientId,
+        type: 'chat_request',
+        message: `${sender?.username || 'Someone'} sent you a message request`,
+        reference: { type: 'chat', id: chat._id },
+        fromUserId: userId
+    });
+
+    return { success: true, chat, opener };
+};
+
+/**
+ * ✅ Accept or decline a message request (recipient only)
+ * - Accepting opens the chat for both sides; declining closes it for good
+ * - Only the recipient learns about a decline; the sender just sees the request disappear
+ * @returns {{ success: boolean, statusCode?: number, message?: string, chat?: Object }}
+ */
+const respondToChatRequest = async (io, userId, chatId, accept) => {
+    const chat = await Chat.findOne({ _id: chatId, participants: userId, status: 'requested' });
+    if (!chat) return { success: false, statusCode: 404, message: 'Message request not found' };
+    if (chat.request.requestedBy.toString() === userId.toString()) {
+        return { success: false, statusCode: 403, message: 'Only the recipient can respond to a message request' };
+    }
+    if (accept && await isBlockedEitherWay(userId, chat.request.requestedBy)) {
+        return { success: false, statusCode: 403, message: 'You cannot chat with this user' };
+    }
+
+    chat.status = accept ? 'active' : 'declined';
+    chat.request.respondedAt = new Date();
+    if (accept) chat.updatedAt = new Date();
+    await chat.save();
+
+    if (accept) {
+        io.to(chat.participants.map(participant => userRoom(participant))).emit('chatRequestAccepted', {
+            chatId: chat._id,
+            acceptedBy: userId
+        });
+    }
+
+    return { success: true, chat };
+};
+
+/**
+ * ✅ Turn a message request (pending or declined) into a normal chat once the pair has an accepted match
+ */
+const activateRequestedChat = async (chat) => {
+    if (!['requested', 'declined'].includes(chat.status)) return chat;
+    chat.status = 'active';
+    chat.request.respondedAt = new Date();
+    await chat.save();
+    return chat;
+};
+
+module.exports = {
+    CHAT_LIST_FILTERS,
+    MAX_PINNED_CHATS,
+    getMemberSettings,
+    isMuted,
+    toSettingsView,
+    chatListQuery,
+    inactiveChatMessage,
+    updateMemberSettings,
+    chatPairKey,
+    sendChatRequest,
+    respondToChatRequest,
+    activateRequestedChat
+};
@@ -0,0 +1,124 @@
+const Chat = require('../models/Chat');
+const KeyBundle = require('../models/KeyBundle');
+const { emitToChat } = require('./chatMessageService');
+
+// Each envelope is one device's copy of the message, encrypted on the sender's device
+const MAX_ENVELOPES = 20;
+const MAX_CIPHERTEXT_LENGTH = 64 * 1024;
+const ENVELOPE_TYPES = ['prekey', 'message']; // `prekey` opens a new session, `message` continues one
+
+const isEncryptedChat = (chat) => !!chat?.encryption?.enabled;
+
+/**
+ * ✅ Validate the envelopes of an encrypted message
+ * - Every envelope must target a participant of the chat and carry base64 ciphertext
+ * @returns {{ valid: boolean, message?: string, envelopes?: Array }}
+ */
+const validateEnvelopes = (chat, envelopes) => {
+    if (!Array.isArray(envelopes) || envelopes.length === 0) {
+        return { valid: false, message: 'Encrypted messages need at least one envelope' };
+    }
+    if (envelopes.length > MAX_ENVELOPES) {
+        return { valid: false, message: `At most ${MAX_ENVELOPES} envelopes per message` };
+    }
+
+    const participantIds = chat.participants.map(participant => participant.toString());
+
+    for (const envelope of envelopes) {
+        if (!envelope || !participantIds.includes(String(envelope.recipientId))) {
+            return { valid: false, message: 'Envelopes can only be addressed to chat participants' };
+        }
+        if (typeof envelope.deviceId !== 'string' || !envelope.deviceId) {
+            return { valid: false, message: 'Each envelope needs a deviceId' };
+        }
+        if (!ENVELOPE_TYPES.includes(envelope.type)) {
+            return { valid: false, message: `Envelope type must be one of: ${ENVELOPE_TYPES.join(', ')}` };
+        }
+        if (typeof envelope.ciphertext !== 'string' || !envelope.ciphertext
+            || envelope.ciphertext.length > MAX_CIPHERTEXT_LENGTH || !/^[A-Za-z0-9+/_-]+={0,2}$/.test(envelope.ciphertext)) {
+            return { valid: false, message: 'Each envelope needs base64 ciphertext' };
+        }
+    }
+
+    return {
+        valid: true,
+        envelopes: envelopes.map(({ recipientId, deviceId, type, ciphertext }) => ({ recipientId, deviceId, type, ciphertext }))
+    };
+};
+
+/**
+ * ✅ Check the content of a new message against the chat's mode
+ * - Plain chats take `text` (optional when the message has attachments)
+ * - Encrypted chats take `envelopes` and never plaintext or server-readable attachments
+ * @returns {{ valid: boolean, message?: string, fields?: Object }} fields to store on the Message
+ */
+const resolveMessageContent = (chat, { text, envelopes, senderDeviceId, hasAttachments = false }) => {
+    if (!isEncryptedChat(chat)) {
+        if (text !== undefined && text !== null && typeof text !== 'string') return { valid: false, message: 'Text must be a string' };
+        if (!text?.trim() && !hasAttachments) return { valid: false, message: 'Text or an attachment is required' };
+        return { valid: true, fields: { text: text || '' } };
+    }
+
+    if (text) {
+        return { valid: false, message: 'This chat is end-to-end encrypted; send envelopes instead of text' };
+    }
+    if (hasAttachments) {
+        return { valid: false, message: 'Attachments are not supported in end-to-end encrypted chats yet' };
+    }
+    if (typeof senderDeviceId !== 'string' || !senderDeviceId) {
+        return { valid: false, message: 'senderDeviceId is required in encrypted chats' };
+    }
+
+    const checked = validateEnvelopes(chat, envelopes);
+    if (!checked.valid) return checked;
+
+    return { valid: true, fields: { encrypted: true, senderDeviceId, envelopes: checked.envelopes } };
+};
+
+/**
+ * ✅ Message as a given user may see it
+ * - Encrypted messages only carry the envelopes addressed to that user's devices
+ */
+const forViewer = (message, viewerId) => {
+    const data = typeof message.toObject === 'function' ? message.toObject() : { ...message };
+    if (!data.encrypted) return data;
+
+    data.envelopes = (data.envelopes || []).filter(envelope => envelope.recipientId.toString() === viewerId.toString());
+    return data;
+};
+
+/**
+ * ✅ Turn on end-to-end encryption for a 1:1 chat
+ * - Both participants need at least one registered device
+ * - One-way: an encrypted chat cannot be downgraded back to plaintext
+ * @returns {{ success: boolean, statusCode?: number, message?: string, chat?: Object }}
+ */
+const enableEncryption = async (io, userId, chatId) => {
+    const chat = await Chat.findOne({ _id: chatId, participants: userId });
+    if (!chat) return { success: false, statusCode: 404, message: 'Chat not found' };
+    if (chat.status !== 'active') return { success: false, statusCode: 403, message: 'This chat is closed' };
+    if (isEncryptedChat(chat)) return { success: true, chat };
+
+    const registered = await KeyBundle.distinct('userId', { userId: { $in: chat.participants } });
+    if (registered.length < chat.participants.length) {
+        return { success: false, statusCode: 409, message: 'Both participants need to register encryption keys first' };
+    }
+
+    chat.encryption = { enabled: true, enabledAt: new Date(), enabledBy: userId };
+    await chat.save();
+
+    emitToChat(io, chat, 'chatEncryptionEnabled', {
+        chatId: chat._id,
+        enabledBy: userId,
+        enabledAt: chat.encryption.enabledAt
+    });
+
+    return { success: true, chat };
+};
+
+module.exports = {
+    isEncryptedChat,
+    resolveMessageContent,
+    forViewer,
+    enableEncryption
+};
@@ -0,0 +1,164 @@
+const mongoose = require('mongoose');
+const Chat = require('../models/Chat');
+const Message = require('../models/Message');
+const { userRoom } = require('./presenceService');
+
+const CHAT_REACTIONS = Message.schema.path('reactions').schema.path('reactionType').enumValues;
+
+// Fields of the quoted message shown with a reply (encrypted messages have no text to preview)
+const REPLY_PREVIEW_FIELDS = 'text encrypted sender isDeleted createdAt';
+
+/**
+ * ✅ Query condition hiding messages that already expired but were not purged yet
+ */
+const notExpiredCondition = (now = new Date()) => ({
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }]
+});
+
+/**
+ * ✅ Emit an event to every device of both participants
+ */
+const emitToChat = (io, chat, event, payload) => {
+    io.to(chat.participants.map(participant => userRoom(participant))).emit(event, payload);
+};
+
+/**
+ * ✅ Validate a reply-to reference
+ * - The quoted message must exist in the same chat
+ * @returns {{ valid: boolean, message?: string, replyTo?: Object }}
+ */
+const resolveReplyTo = async (chatId, replyToId) => {
+    if (!replyToId) return { valid: true, replyTo: null };
+    if (!mongoose.Types.ObjectId.isValid(replyToId)) return { valid: false, message: 'Invalid reply reference' };
+
+    const replyTo = await Message.findOne({ _id: replyToId, chatId }).select(REPLY_PREVIEW_FIELDS).lean();
+    if (!replyTo) return { valid: false, message: 'The message you are replying to was not found in this chat' };
+
+    return { valid: true, replyTo };
+};
+
+/**
+ * ✅ Load a message the user can act on (they must be a participant of its chat)
+ */
+const findChatMessage = async (userId, messageId) => {
+    if (!mongoose.Types.ObjectId.isValid(messageId)) return { statusCode: 404, message: 'Message not found' };
+
+    const message = await Message.findById(messageId);
+    if (!message) return { statusCode: 404, message: 'Message not found' };
+
+    const chat = await Chat.findOne({ _id: message.chatId, participants: userId });
+    if (!chat) return { statusCode: 404, message: 'Message not found' };
+
+    return { message, chat };
+};
+
+/**
+ * ✅ Edit a message
+ * - Only the sender, only in active chats, not after deletion
+ * - The previous text goes to editHistory and the message is marked edited
+ * @returns {{ success: boolean, statusCode?: number, message?: string, data?: Object }}
+ */
+const editMessage = async (io, userId, messageId, text) => {
+    if (typeof text !== 'string' || !text.trim()) {
+        return { success: false, statusCode: 400, message: 'Text is required' };
+    }
+
+    const found = await findChatMessage(userId, messageId);
+    if (!found.message) return { success: false, statusCode: found.statusCode, message: found.message };
+    const { message, chat } = found;
+
+    if (message.sender.toString() !== userId.toString()) {
+        return { success: false, statusCode: 403, message: 'You can only edit your own messages' };
+    }
+    if (message.isDeleted) {
+        return { success: false, statusCode: 400, message: 'Deleted messages cannot be edited' };
+    }
+    if (message.messageType === 'system') {
+        return { success: false, statusCode: 400, message: 'System messages cannot be edited' };
+    }
+    // The server cannot re-encrypt, and a plaintext edit would leak the content
+    if (message.encrypted) {
+        return { success: false, statusCode: 400, message: 'Encrypted messages cannot be edited' };
+    }
+    if (chat.status !== 'active') {
+        return { success: false, statusCode: 403, message: 'This chat is closed' };
+    }
+    if (message.text === text) {
+        return { success: true, data: message };
+    }
+
+    const editedAt = new Date();
+    message.editHistory.push({ text: message.text, editedAt });
+    message.text = text;
+    message.isEdited = true;
+    message.editedAt = editedAt;
+    await message.save();
+
+    emitToChat(io, chat, 'messageEdited', {
+        chatId: chat._id,
+        messageId: message._id,
+        text: message.text,
+        isEdited: true,
+        editedAt
+    });
+
+    return { success: true, data: message };
+};
+
+/**
+ * ✅ React to a message
+ * - Same type again removes the reaction, a different type replaces it
+ * @returns {{ success: boolean, statusCode?: number, message?: string, action?: string, reactions?: Array }}
+ */
+const toggleReaction = async (io, userId, messageId, reactionType) => {
+    if (!CHAT_REACTIONS.includes(reactionType)) {
+        return { success: false, statusCode: 400, message: `reactionType must be one of: ${CHAT_REACTIONS.join(', ')}` };
+    }
+
+    const found = await findChatMessage(userId, messageId);
+    if (!found.message) return { success: false, statusCode: found.statusCode, message: found.message };
+    const { message, chat } = found;
+
+    if (message.isDeleted) {
+        return { success: false, statusCode: 400, message: 'Deleted messages cannot be reacted to' };
+    }
+    if (chat.status !== 'active') {
+        return { success: false, statusCode: 403, message: 'This chat is closed' };
+    }
+
+    const existing = message.reactions.find(r => r.userId.toString() === userId.toString());
+    let action = 'added';
+
+    if (existing && existing.reactionType === reactionType) {
+        message.reactions.pull(existing._id);
+        action = 'removed';
+    } else if (existing) {
+        existing.reactionType = reactionType;
+        existing.reactedAt = new Date();
+        action = 'changed';
+    } else {
+        message.reactions.push({ userId, reactionType });
+    }
+    await message.save();
+
+    emitToChat(io, chat, 'messageReaction', {
+        chatId: chat._id,
+        messageId: message._id,
+        userId,
+        reactionType,
+        action,
+        reactions: message.reactions
+    });
+
+    return { success: true, action, reactions: message.reactions };
+};
+
+module.exports = {
+    CHAT_REACTIONS,
+    REPLY_PREVIEW_FIELDS,
+    notExpiredCondition,
+    emitToChat,
+    resolveReplyTo,
+    editMessage,
+    toggleReaction
+};
@@ -0,0 +1,124 @@
+const Chat = require('../models/Chat');
+const Message = require('../models/Message');
+const Report = require('../models/Report');
+const { emitToChat } = require('./chatMessageService');
+const { deliverNewMessage } = require('./messageDeliveryService');
+const { deleteMedia } = require('./mediaService');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Disappearing-message periods; `off` keeps messages until they are deleted
+const RETENTION_PERIODS = {
+    off: null,
+    '24h': 24 * HOUR_MS,
+    '7d': 7 * 24 * HOUR_MS,
+    '30d': 30 * 24 * HOUR_MS
+};
+const RETENTION_OPTIONS = Object.keys(RETENTION_PERIODS);
+
+const RETENTION_LABELS = {
+    '24h': '24 hours',
+    '7d': '7 days',
+    '30d': '30 days'
+};
+
+// Expired messages removed per purge batch
+const PURGE_BATCH_SIZE = 500;
+
+/**
+ * ✅ When a message sent now in this chat should disappear
+ * - Only messages sent while a period is set expire; changing the setting never rewrites older ones
+ * @returns {Date|null}
+ */
+const retentionExpiry = (chat, from = new Date()) => {
+    const period = RETENTION_PERIODS[chat?.retention?.period];
+    return period ? new Date(from.getTime() + period) : null;
+};
+
+/**
+ * ✅ Change a chat's disappearing-message period (either participant)
+ * - Records the change as a system message both participants see in the history
+ * @returns {{ success: boolean, statusCode?: number, message?: string, chat?: Object, systemMessage?: Object }}
+ */
+const setRetention = async (io, userId, chatId, period) => {
+    if (!RETENTION_OPTIONS.includes(period)) {
+        return { success: false, statusCode: 400, message: `retention must be one of: ${RETENTION_OPTIONS.join(', ')}` };
+    }
+
+    const chat = await Chat.findOne({ _id: chatId, participants: userId });
+    if (!chat) return { success: false, statusCode: 404, message: 'Chat not found' };
+    if (chat.status !== 'active') return { success: false, statusCode: 403, message: 'This chat is closed' };
+    if ((chat.retention?.period || 'off') === period) return { success: true, chat, systemMessage: null };
+
+    const now = new Date();
+    chat.retention = { period, updatedAt: now, updatedBy: userId };
+
+    const systemMessage = await Message.create({
+        chatId: chat._id,
+        sender: userId,
+        text: period === 'off'
+            ? 'Disappearing messages turned off'
+            : `Disappearing messages set to ${RETENTION_LABELS[period]}`,
+        messageType: 'system',
+        systemEvent: { kind: 'retention_changed', retention: period },
+        status: 'sent',
+        createdAt: now
+    });
+
+    chat.lastMessage = systemMessage._id;
+    chat.updatedAt = now;
+    await chat.save();
+
+    deliverNewMessage(io, chat, systemMessage);
+    emitToChat(io, chat, 'chatRetentionChanged', {
+        chatId: chat._id,
+        retention: chat.retention
+    });
+
+    return { success: true, chat, systemMessage };
+};
+
+/**
+ * ✅ Delete messages past their expiry
+ * - Chats with an open (unreviewed) report are held until moderation finishes
+ * - Attachments go with their messages; chats get their newest remaining message as `lastMessage`
+ * @returns {number} how many messages were deleted
+ */
+const purgeExpiredMessages = async () => {
+    const now = new Date();
+    const heldChatIds = await Report.distinct('chatId', { chatId: { $ne: null }, reviewedAt: null });
+
+    let purged = 0;
+    for (;;) {
+        const expired = await Message.find({ expiresAt: { $lte: now }, chatId: { $nin: heldChatIds } })
+            .select('_id chatId attachments')
+            .limit(PURGE_BATCH_SIZE)
+            .lean();
+        if (expired.length === 0) break;
+
+        const messageIds = expired.map(message => message._id);
+        const attachmentIds = expired.flatMap(message => message.attachments || []);
+        if (attachmentIds.length > 0) await deleteMedia({ _id: { $in: attachmentIds } });
+        await Message.deleteMany({ _id: { $in: messageIds } });
+
+        const chatIds = [...new Set(expired.map(message => message.chatId.toString()))];
+        for (const chatId of chatIds) {
+            const latest = await Message.findOne({ chatId }).sort({ createdAt: -1, _id: -1 }).select('_id').lean();
+            await Chat.updateOne(
+                { _id: chatId, lastMessage: { $in: messageIds } },
+                { $set: { lastMessage: latest?._id || null } }
+            );
+        }
+
+        purged += expired.length;
+        if (expired.length < PURGE_BATCH_SIZE) break;
+    }
+    return purged;
+};
+
+module.exports = {
+    RETENTION_OPTIONS,
+    retentionExpiry,
+    setRetention,
+    purgeExpiredMessages
+};
@@ -1,113 +1,174 @@
 const SupportCircle = require('../models/SupportCircles');
 const User = require('../models/User');
 const mongoose = require('mongoose');
+const { getBlockerIds } = require('./blockService');
+const { PUBLIC_USER_FIELDS } = require('./profileService');
+const socketAuthMiddleware = require('../middleware/socketAuthMiddleware');
+const { redisClient } = require('../config/redis');
+const {
+  userRoom,
+  addConnection,
+  removeConnection,
+  isConnected,
+  isAppearingOffline,
+  getConnections
+} = require('./presenceService');
+const { startTyping, stopTyping, getTypingUsers } = require('./typingService');
+const { toMediaSummary, resolveAttachments, attachMedia } = require('./mediaService');
+const { queueCircleMessageAnalysis } = require('./messageAnalysisService');
+
+// Who is online in each circle, shared by every instance:
+// - circle:online:<circleId>    set of userIds
+// - circle:user-circles:<userId> set of circleIds the user is counted in (for cleanup on disconnect)
+const CIRCLE_ONLINE_KEY = (circleId) => `circle:online:${circleId}`;
+const USER_CIRCLES_KEY = (userId) => `circle:user-circles:${userId}`;
+
+const addCircleUser = (circleId, userId) => redisClient.multi()
+  .sAdd(CIRCLE_ONLINE_KEY(circleId), userId)
+  .sAdd(USER_CIRCLES_KEY(userId), circleId)
+  .exec();
+
+const removeCircleUser = (circleId, userId) => redisClient.multi()
+  .sRem(CIRCLE_ONLINE_KEY(circleId), userId)
+  .sRem(USER_CIRCLES_KEY(userId), circleId)
+  .exec();
+
+// Users in "appear offline" mode, and leftovers from crashed instances, are left out of online lists
+const visibleOnlineMembers = async (circleId) => {
+  const userIds = await redisClient.sMembers(CIRCLE_ONLINE_KEY(circleId));
+  const visible = await Promise.all(
+    userIds.map(async userId => (await isConnected(userId)) && !(await isAppearingOffline(userId)))
+  );
+  return userIds.filter((userId, index) => visible[index]);
+};
 
 /**
  * Configure Socket.io events for Support Circles
  * @param {Object} io - Socket.io instance
- * @param {Map} onlineUsers - Map of online users (userId -> socketId)
  */
-const configureCircleSocket = (io, onlineUsers) => {
+const configureCircleSocket = (io) => {
   // Create a namespace for circles
   const circleIo = io.of('/circles');
   
-  // Track users in each circle room
-  const circleUsers = new Map(); // circleId -> Set of userIds
+  
+  // 🔐 Namespaces have their own middleware chain, so verify the handshake here too
+  circleIo.use(socketAuthMiddleware);
   
   circleIo.on('connection', (socket) => {
-    console.log('🔄 User connected to circles namespace:', socket.id);
-    let currentUserId = null;
+    // Verified at handshake; ids sent in event payloads are never trusted
+    const currentUserId = socket.data.userId;
+    console.log(`🔄 User ${currentUserId} connected to circles namespace:`, socket.id);
     
-    // 🔹 User authenticates with the socket
-    socket.on('authenticate', async ({ userId, token }) => {
+    // 🔹 Register the user and join their circle rooms
+    const joinUserCircles = async () => {
       try {
-        // In a real app, validate token here
-        currentUserId = userId;
-        console.log(`✅ User ${userId} authenticated with circle socket`);
-        
-        // Add user to the global online users map
-        onlineUsers.set(userId, socket.id);
+        // Personal room, used to leave out users who blocked a sender
+        socket.join(userRoom(currentUserId));
         
         // Get the user's circle memberships to auto-join rooms
         const circles = await SupportCircle.find({
-          'members.userId': mongoose.Types.ObjectId(userId),
+          'members.userId': new mongoose.Types.ObjectId(currentUserId),
           'members.status': 'active'
         }).select('_id');
         
+        const appearingOffline = await isAppearingOffline(currentUserId);
+        
         // Join socket rooms for each circle
-        circles.forEach(circle => {
+        for (const circle of circles) {
           const circleId = circle._id.toString();
           socket.join(`circle:${circleId}`);
           
           // Update circle users tracking
-          if (!circleUsers.has(circleId)) {
-            circleUsers.set(circleId, new Set());
-          }
-          circleUsers.get(circleId).add(userId);
+          await addCircleUser(circleId, currentUserId);
           
           // Notify other users in the circle that this user is online
-          socket.to(`circle:${circleId}`).emit('userJoinedCircle', {
-            circleId,
-            userId
-          });
-        });
+          if (!appearingOffline) {
+            socket.to(`circle:${circleId}`).emit('userJoinedCircle', {
+              circleId,
+              userId: currentUserId
+            });
+          }
+        }
         
         // Emit the list of online users in each circle to the client
-        circles.forEach(circle => {
+        for (const circle of circles) {
           const circleId = circle._id.toString();
-          const onlineMembers = Array.from(circleUsers.get(circleId) || []);
           socket.emit('circleOnlineUsers', {
             circleId,
-            onlineUsers: onlineMembers
+            onlineUsers: await visibleOnlineMembers(circleId),
+            typingUsers: await getTypingUsers(`circle:${circleId}`)
           });
-        });
+        }
         
+        console.log(`✅ User ${currentUserId} authenticated with circle socket`);
       } catch (error) {
-        console.error('❌ Error authenticating user with circle socket:', error);
-        socket.emit('error', { message: 'Authentication failed' });
+        console.error('❌ Error joining circle rooms:', error);
+        socket.emit('error', { message: 'Error joining circles' });
       }
+    };
+    
+    addConnection(currentUserId, socket.id, '/circles')
+      .catch(error => console.error('❌ Error registering presence:', error))
+      .then(joinUserCircles);
+    
+    // 🔹 Kept for older clients; authentication now happens at the handshake
+    socket.on('authenticate', () => {
+      joinUserCircles();
     });
     
     // 🔹 User manually joins a circle room
-    socket.on('joinCircle', ({ circleId }) => {
+    socket.on('joinCircle', async ({ circleId }) => {
       if (!currentUserId) return;
       
+      // Only active members may listen to a circle's room
+      const isMember = await SupportCircle.exists({
+        _id: circleId,
+        members: { $elemMatch: { userId: currentUserId, status: 'active' } }
+      }).catch(() => null);
+      if (!isMember) {
+        socket.emit('error', { message: 'You must be a member to join this circle' });
+        return;
+      }
+      
       // Join the room
       socket.join(`circle:${circleId}`);
       
-      // Update tracking
-      if (!circleUsers.has(circleId)) {
-        circleUsers.set(circleId, new Set());
+      try {
+        // Update tracking
+        await addCircleUser(circleId, currentUserId);
+        
+        // Notify others in the circle
+        if (!(await isAppearingOffline(currentUserId))) {
+          socket.to(`circle:${circleId}`).emit('userJoinedCircle', {
+            circleId,
+            userId: currentUserId
+          });
+        }
+        
+        // Send list of online users to the joining user
+        socket.emit('circleOnlineUsers', {
+          circleId,
+          onlineUsers: await visibleOnlineMembers(circleId),
+          typingUsers: await getTypingUsers(`circle:${circleId}`)
+        });
+      } catch (error) {
+        console.error('❌ Error joining circle room:', error);
       }
-      circleUsers.get(circleId).add(currentUserId);
-      
-      // Notify others in the circle
-      socket.to(`circle:${circleId}`).emit('userJoinedCircle', {
-        circleId,
-        userId: currentUserId
-      });
-      
-      // Send list of online users to the joining user
-      const onlineMembers = Array.from(circleUsers.get(circleId) || []);
-      socket.emit('circleOnlineUsers', {
-        circleId,
-        onlineUsers: onlineMembers
-      });
       
       console.log(`👤 User ${currentUserId} joined circle ${circleId}`);
     });
     
     // 🔹 User leaves a circle room
-    socket.on('leaveCircle', ({ circleId }) => {
+    socket.on('leaveCircle', async ({ circleId }) => {
       if (!currentUserId) return;
       
       // Leave the room
       socket.leave(`circle:${circleId}`);
       
       // Update tracking
-      if (circleUsers.has(circleId)) {
-        circleUsers.get(circleId).delete(currentUserId);
-      }
+      await removeCircleUser(circleId, currentUserId).catch(error => {
+        console.error('❌ Error leaving circle room:', error);
+      });
       
       // Notify others in the circle
       socket.to(`circle:${circleId}`).emit('userLeftCircle', {
@@ -125,7 +186,8 @@ const configureCircleSocket = (io, onlineUsers) => {
       parentMessageId = null,
       attachments = [] 
     }) => {
-      if (!currentUserId || !circleId || !content) return;
+      const hasAttachments = Array.isArray(attachments) && attachments.length > 0;
+      if (!currentUserId || !circleId || (!content && !hasAttachments)) return;
       
       try {
         const circle = await SupportCircle.findById(circleId);
@@ -163,11 +225,19 @@ const configureCircleSocket = (io, onlineUsers) => {
           }
         }
         
+        // Attachments must be the sender's own unsent uploads
+        const media = await resolveAttachments(currentUserId, attachments, 'circle');
+        if (!media.valid) {
+          socket.emit('error', { message: media.message });
+          return;
+        }
+        
         // Create new message
         const newMessage = {
-          userId: mongoose.Types.ObjectId(currentUserId),
-          content,
-          attachments,
+          userId: new mongoose.Types.ObjectId(currentUserId),
+          content: content || '',
+          attachments: media.media.map(item => item._id),
+          messageType: media.messageType,
           parentMessageId,
           createdAt: new Date(),
           updatedAt: new Date()
@@ -180,13 +250,16 @@ const configureCircleSocket = (io, onlineUsers) => {
         
         // Get the saved message with its ID
         const savedMessage = circle.messages[circle.messages.length - 1];
+        await attachMedia(savedMessage.attachments, { circleId: circle._id, messageId: savedMessage._id });
+        queueCircleMessageAnalysis(circle._id, savedMessage._id);
         
         // Get user details
-        const user = await User.findById(currentUserId).select('username profilePic');
+        const user = await User.findById(currentUserId).select(PUBLIC_USER_FIELDS);
         
         // Prepare message for sending
         const messageToSend = {
           ...savedMessage.toObject(),
+          attachments: media.media.map(toMediaSummary),
           user: {
             _id: currentUserId,
             username: user ? user.username : 'Unknown User',
@@ -194,8 +267,9 @@ const configureCircleSocket = (io, onlineUsers) => {
           }
         };
         
-        // Broadcast to all users in the circle
-        circleIo.to(`circle:${circleId}`).emit('newCircleMessage', {
+        // Broadcast to all users in the circle, except those who blocked the sender
+        const blockerRooms = (await getBlockerIds(currentUserId)).map(userRoom);
+        circleIo.to(`circle:${circleId}`).except(blockerRooms).emit('newCircleMessage', {
           circleId,
           message: messageToSend
         });
@@ -211,6 +285,11 @@ const configureCircleSocket = (io, onlineUsers) => {
     socket.on('circleTyping', ({ circleId }) => {
       if (!currentUserId) return;
       
+      // Shared state, so users joining later (on any instance) see who is typing
+      startTyping(`circle:${circleId}`, currentUserId).catch(error => {
+        console.error('❌ Error updating typing state:', error);
+      });
+      
       // Broadcast to others in the circle
       socket.to(`circle:${circleId}`).emit('userTyping', {
         circleId,
@@ -222,6 +301,10 @@ const configureCircleSocket = (io, onlineUsers) => {
     socket.on('circleStoppedTyping', ({ circleId }) => {
       if (!currentUserId) return;
       
+      stopTyping(`circle:${circleId}`, currentUserId).catch(error => {
+        console.error('❌ Error updating typing state:', error);
+      });
+      
       // Broadcast to others in the circle
       socket.to(`circle:${circleId}`).emit('userStoppedTyping', {
         circleId,
@@ -293,7 +376,7 @@ const configureCircleSocket = (io, onlineUsers) => {
           // Add new reaction
           message.reactions[reactionType] += 1;
           message.reactedBy.push({
-            userId: mongoose.Types.ObjectId(currentUserId),
+            userId: new mongoose.Types.ObjectId(currentUserId),
             reactionType
           });
         }
@@ -317,15 +400,24 @@ const configureCircleSocket = (io, onlineUsers) => {
     });
     
     // 🔹 Handle disconnection
-    socket.on('disconnect', () => {
+    socket.on('disconnect', async () => {
       if (!currentUserId) return;
       
       console.log(`❌ User ${currentUserId} disconnected from circles`);
       
-      // Remove user from all circle rooms they were in
-      circleUsers.forEach((users, circleId) => {
-        if (users.has(currentUserId)) {
-          users.delete(currentUserId);
+      try {
+        // Offline only once the user's last socket (any device, any namespace) is gone
+        await removeConnection(currentUserId, socket.id);
+        
+        // Another device (on any instance) is still in the circles namespace, so the user stays in the rooms
+        const stillInCircles = (await getConnections(currentUserId)).some(c => c.namespace === '/circles');
+        if (stillInCircles) return;
+        
+        // Remove user from all circle rooms they were in
+        const circleIds = await redisClient.sMembers(USER_CIRCLES_KEY(currentUserId));
+        for (const circleId of circleIds) {
+          await removeCircleUser(circleId, currentUserId);
+          await stopTyping(`circle:${circleId}`, currentUserId);
           
           // Notify others in the circle
           socket.to(`circle:${circleId}`).emit('userLeftCircle', {
@@ -333,10 +425,9 @@ const configureCircleSocket = (io, onlineUsers) => {
             userId: currentUserId
           });
         }
-      });
-      
-      // Remove from global online users map
-      onlineUsers.delete(currentUserId);
+      } catch (error) {
+        console.error('❌ Error cleaning up circle presence:', error);
+      }
     });
   });
   
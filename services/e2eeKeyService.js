@@ -0,0 +1,171 @@
+const Chat = require('../models/Chat');
+const KeyBundle = require('../models/KeyBundle');
+const { isBlockedEitherWay } = require('./blockService');
+
+const MAX_KEY_LENGTH = 256;              // Base64 public keys (Curve25519 keys are ~44 chars)
+const MAX_SIGNATURE_LENGTH = 512;
+const MAX_DEVICE_ID_LENGTH = 64;
+const MAX_PREKEYS_PER_UPLOAD = 100;
+const MAX_STORED_PREKEYS = 200;
+const LOW_PREKEY_THRESHOLD = 10;         // Clients should upload more below this
+
+const BASE64 = /^[A-Za-z0-9+/_-]+={0,2}$/;
+
+const isKey = (value, maxLength = MAX_KEY_LENGTH) =>
+  typeof value === 'string' && value.length > 0 && value.length <= maxLength && BASE64.test(value);
+
+const isKeyId = (value) => Number.isInteger(value) && value >= 0;
+
+const isDeviceId = (value) =>
+  typeof value === 'string' && value.length > 0 && value.length <= MAX_DEVICE_ID_LENGTH;
+
+/**
+ * ✅ Validate a list of one-time pre-keys
+ * @returns {string|null} error message, or null when valid
+ */
+const validatePreKeys = (preKeys) => {
+  if (!Array.isArray(preKeys)) return 'oneTimePreKeys must be an array';
+  if (preKeys.length > MAX_PREKEYS_PER_UPLOAD) return `At most ${MAX_PREKEYS_PER_UPLOAD} pre-keys per upload`;
+  if (preKeys.some(k => !k || !isKeyId(k.keyId) || !isKey(k.publicKey))) {
+    return 'Each pre-key needs a numeric keyId and a base64 publicKey';
+  }
+  return null;
+};
+
+/**
+ * ✅ Register (or replace) the key bundle of one device
+ * - Replacing the identity key drops the device's old one-time pre-keys
+ * @returns {{ success: boolean, statusCode?: number, message?: string, bundle?: Object }}
+ */
+const registerBundle = async (userId, { deviceId, registrationId = null, identityKey, signedPreKey, oneTimePreKeys = [] }) => {
+  if (!isDeviceId(deviceId)) {
+    return { success: false, statusCode: 400, message: `deviceId must be 1-${MAX_DEVICE_ID_LENGTH} characters` };
+  }
+  if (!isKey(identityKey)) {
+    return { success: false, statusCode: 400, message: 'identityKey must be a base64 public key' };
+  }
+  if (!signedPreKey || !isKeyId(signedPreKey.keyId) || !isKey(signedPreKey.publicKey)
+    || !isKey(signedPreKey.signature, MAX_SIGNATURE_LENGTH)) {
+    return { success: false, statusCode: 400, message: 'signedPreKey needs keyId, publicKey and signature' };
+  }
+  const preKeyError = validatePreKeys(oneTimePreKeys);
+  if (preKeyError) return { success: false, statusCode: 400, message: preKeyError };
+
+  const bundle = await KeyBundle.findOneAndUpdate(
+    { userId, deviceId },
+    {
+      $set: {
+        registrationId,
+        identityKey,
+        signedPreKey: { keyId: signedPreKey.keyId, publicKey: signedPreKey.publicKey, signature: signedPreKey.signature },
+        oneTimePreKeys: oneTimePreKeys.map(({ keyId, publicKey }) => ({ keyId, publicKey })),
+        lastRefilledAt: new Date()
+      }
+    },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+
+  return { success: true, bundle };
+};
+
+/**
+ * ✅ Add one-time pre-keys to a device's bundle
+ */
+const uploadPreKeys = async (userId, deviceId, oneTimePreKeys) => {
+  const preKeyError = validatePreKeys(oneTimePreKeys);
+  if (preKeyError) return { success: false, statusCode: 400, message: preKeyError };
+
+  const bundle = await KeyBundle.findOneAndUpdate(
+    { userId, deviceId },
+    {
+      $push: {
+        oneTimePreKeys: {
+          $each: oneTimePreKeys.map(({ keyId, publicKey }) => ({ keyId, publicKey })),
+          $slice: -MAX_STORED_PREKEYS
+        }
+      },
+      $set: { lastRefilledAt: new Date() }
+    },
+    { new: true }
+  );
+  if (!bundle) return { success: false, statusCode: 404, message: 'Register this device first' };
+
+  return { success: true, remaining: bundle.oneTimePreKeys.length };
+};
+
+/**
+ * ✅ Remaining one-time pre-keys per device of the user
+ */
+const getPreKeyStatus = async (userId) => {
+  const bundles = await KeyBundle.find({ userId }).select('deviceId oneTimePreKeys updatedAt lastRefilledAt').lean();
+  return bundles.map(bundle => ({
+    deviceId: bundle.deviceId,
+    remainingPreKeys: bundle.oneTimePreKeys.length,
+    needsRefill: bundle.oneTimePreKeys.length < LOW_PREKEY_THRESHOLD,
+    lastRefilledAt: bundle.lastRefilledAt
+  }));
+};
+
+/**
+ * ✅ Whether a user may fetch another user's keys
+ * - Only chat partners with an active chat, never across a block
+ */
+const canFetchKeys = async (requesterId, targetUserId) => {
+  if (requesterId.toString() === targetUserId.toString()) return true;
+
+  const sharesChat = await Chat.exists({ participants: { $all: [requesterId, targetUserId] }, status: 'active' });
+  if (!sharesChat) return false;
+  return !(await isBlockedEitherWay(requesterId, targetUserId));
+};
+
+/**
+ * ✅ Fetch the key bundles of every device of a user
+ * - Claims (removes) one one-time pre-key per device so no pre-key is used twice
+ */
+const claimBundles = async (targetUserId) => {
+  const deviceIds = await KeyBundle.find({ userId: targetUserId }).distinct('_id');
+
+  const bundles = await Promise.all(deviceIds.map(async (bundleId) => {
+    // Returns the document as it was before the pop, so the first pre-key is the one we claimed
+    const before = await KeyBundle.findOneAndUpdate(
+      { _id: bundleId },
+      { $pop: { oneTimePreKeys: -1 } },
+      { new: false }
+    ).lean();
+    if (!before) return null;
+
+    return {
+      deviceId: before.deviceId,
+      registrationId: before.registrationId,
+      identityKey: before.identityKey,
+      signedPreKey: before.signedPreKey,
+      oneTimePreKey: before.oneTimePreKeys[0] || null   // null: fall back to the signed pre-key only
+    };
+  }));
+
+  return bundles.filter(Boolean);
+};
+
+/**
+ * ✅ Remove a device's keys (e.g. after logging out of that device)
+ */
+const removeDevice = async (userId, deviceId) => {
+  const result = await KeyBundle.deleteOne({ userId, deviceId });
+  return result.deletedCount > 0;
+};
+
+/**
+ * ✅ Whether a user has at least one device registered for encryption
+ */
+const hasKeys = async (userId) => !!(await KeyBundle.exists({ userId }));
+
+module.exports = {
+  LOW_PREKEY_THRESHOLD,
+  registerBundle,
+  uploadPreKeys,
+  getPreKeyStatus,
+  canFetchKeys,
+  claimBundles,
+  removeDevice,
+  hasKeys
+};
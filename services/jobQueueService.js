@@ -0,0 +1,58 @@
+const dotenv = require('dotenv');
+const { createMemoryJobQueue } = require('./memoryJobQueue');
+
+dotenv.config();
+
+/**
+ * Background job queue registry.
+ * A queue driver is any object with:
+ *   - name: string
+ *   - enqueue(queue, jobId, payload) -> { jobId, duplicate }
+ *   - process(queue, handler, { maxAttempts, retryDelayMs, onFailed? }) -> starts a worker
+ *       handler(payload, { jobId, attempt }) throws to have the job retried
+ *   - close() -> stops the workers
+ * Select one with JOB_QUEUE=redis|memory (defaults to redis, or memory when NODE_ENV=test).
+ */
+let activeQueue = null;
+
+const DEFAULT_MAX_ATTEMPTS = 5;
+const BASE_RETRY_DELAY_MS = 5 * 1000;
+const MAX_RETRY_DELAY_MS = 5 * 60 * 1000;
+
+// 5s, 10s, 20s, ... capped at 5 minutes
+const exponentialBackoff = (attempt) => Math.min(BASE_RETRY_DELAY_MS * 2 ** (attempt - 1), MAX_RETRY_DELAY_MS);
+
+const createQueue = (name) => {
+  switch (name) {
+    case 'redis':
+      return require('./redisJobQueue').createRedisJobQueue();
+    case 'memory':
+      return createMemoryJobQueue();
+    default:
+      throw new Error(`Unknown job queue "${name}"`);
+  }
+};
+
+const getJobQueue = () => {
+  if (!activeQueue) {
+    const name = process.env.JOB_QUEUE || (process.env.NODE_ENV === 'test' ? 'memory' : 'redis');
+    activeQueue = createQueue(name);
+    console.log(`✅ Job queue: ${activeQueue.name}`);
+  }
+  return activeQueue;
+};
+
+// Lets integration tests inject their own driver (e.g. createMemoryJobQueue())
+const setJobQueue = (queue) => {
+  activeQueue = queue;
+};
+
+const enqueueJob = (queue, jobId, payload) => getJobQueue().enqueue(queue, jobId.toString(), payload);
+
+const processJobs = (queue, handler, options = {}) => getJobQueue().process(queue, handler, {
+  maxAttempts: DEFAULT_MAX_ATTEMPTS,
+  retryDelayMs: exponentialBackoff,
+  ...options
+});
+
+module.exports = { getJobQueue, setJobQueue, enqueueJob, processJobs };
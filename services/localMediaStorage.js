@@ -0,0 +1,45 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_ROOT = path.join(__dirname, '..', 'uploads');
+
+/**
+ * ✅ Media storage on the local filesystem, for development and tests
+ * - Same interface as the S3 backend: putObject / getObjectStream / deleteObject
+ * - Files are never served statically; the media API streams them after an access check
+ * @param {Object} options - `rootDir` (defaults to MEDIA_LOCAL_DIR or ./uploads)
+ */
+const createLocalMediaStorage = (options = {}) => {
+  const rootDir = path.resolve(options.rootDir || process.env.MEDIA_LOCAL_DIR || DEFAULT_ROOT);
+
+  // Keys are generated by the media service, but never let one escape the root
+  const resolveKey = (key) => {
+    const filePath = path.resolve(rootDir, key);
+    if (!filePath.startsWith(rootDir + path.sep)) throw new Error(`Invalid storage key "${key}"`);
+    return filePath;
+  };
+
+  const putObject = async (key, buffer) => {
+    const filePath = resolveKey(key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, buffer);
+  };
+
+  const getObjectStream = async (key) => {
+    const filePath = resolveKey(key);
+    try {
+      await fs.promises.access(filePath);
+    } catch {
+      return null;
+    }
+    return fs.createReadStream(filePath);
+  };
+
+  const deleteObject = async (key) => {
+    await fs.promises.rm(resolveKey(key), { force: true });
+  };
+
+  return { name: 'local', rootDir, putObject, getObjectStream, deleteObject };
+};
+
+module.exports = { createLocalMediaStorage };
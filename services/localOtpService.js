@@ -0,0 +1,128 @@
+const crypto = require('crypto');
+
+const DEFAULTS = {
+  codeLength: 6,
+  ttlMs: 5 * 60 * 1000,        // Codes expire after 5 minutes
+  maxAttempts: 5,              // Wrong guesses allowed per code
+  resendCooldownMs: 30 * 1000, // Minimum gap between two sends to the same phone
+  keepOutbox: process.env.NODE_ENV === 'test', // Plaintext codes are only kept for tests to read
+  maxOutbox: 100,
+  logCodes: process.env.OTP_LOG_CODES === 'true' // Explicit opt-in for local development
+};
+
+const hashCode = (code, salt) => crypto.createHash('sha256').update(`${salt}:${code}`).digest('hex');
+
+const randomCode = (length) => {
+  let code = '';
+  for (let i = 0; i < length; i++) {
+    code += crypto.randomInt(0, 10).toString();
+  }
+  return code;
+};
+
+/**
+ * ✅ In-process OTP provider for local development and integration tests
+ * - Same interface as the Twilio provider: sendOTP(phone) / verifyOTP(phone, code)
+ * - Only a salted hash of each code is kept, with expiry, attempt limit and resend cooldown
+ * - Nothing is sent: under NODE_ENV=test codes go to `outbox` (capped, expired with the code),
+ *   and OTP_LOG_CODES=true prints them to the console for local development
+ * @param {Object} options - Overrides for DEFAULTS, plus optional `generateCode` and `now`
+ */
+const createLocalOtpProvider = (options = {}) => {
+  const config = { ...DEFAULTS, ...options };
+  const generateCode = config.generateCode || (() => randomCode(config.codeLength));
+  const now = config.now || (() => Date.now());
+
+  const pending = new Map(); // phone -> { codeHash, salt, expiresAt, attempts, lastSentAt }
+  const outbox = [];         // { phone, code, sentAt, expiresAt } - stands in for the SMS channel
+
+  // Drop expired codes so abandoned requests do not pile up
+  const sweep = (currentTime) => {
+    for (const [phone, entry] of pending) {
+      if (currentTime > entry.expiresAt) pending.delete(phone);
+    }
+    const firstLive = outbox.findIndex(entry => entry.expiresAt >= currentTime);
+    outbox.splice(0, firstLive === -1 ? outbox.length : firstLive);
+  };
+
+  const sendOTP = async (phone) => {
+    const currentTime = now();
+    sweep(currentTime);
+    const existing = pending.get(phone);
+
+    if (existing && currentTime - existing.lastSentAt < config.resendCooldownMs) {
+      const retryAfter = Math.ceil((config.resendCooldownMs - (currentTime - existing.lastSentAt)) / 1000);
+      return {
+        success: false,
+        statusCode: 429,
+        message: `Please wait ${retryAfter}s before requesting another OTP`,
+        retryAfter
+      };
+    }
+
+    const code = generateCode();
+    const salt = crypto.randomBytes(8).toString('hex');
+
+    pending.set(phone, {
+      codeHash: hashCode(code, salt),
+      salt,
+      expiresAt: currentTime + config.ttlMs,
+      attempts: 0,
+      lastSentAt: currentTime
+    });
+
+    if (config.keepOutbox) {
+      outbox.push({ phone, code, sentAt: new Date(currentTime), expiresAt: currentTime + config.ttlMs });
+      if (outbox.length > config.maxOutbox) outbox.splice(0, outbox.length - config.maxOutbox);
+    }
+    if (config.logCodes) {
+      console.log(`📟 [local OTP] Code for ${phone}: ${code}`);
+    }
+
+    return { success: true, message: 'OTP Sent' };
+  };
+
+  const verifyOTP = async (phone, code) => {
+    const entry = pending.get(phone);
+
+    if (!entry) {
+      return { success: false, message: 'No OTP requested for this number' };
+    }
+
+    if (now() > entry.expiresAt) {
+      pending.delete(phone);
+      return { success: false, message: 'OTP expired' };
+    }
+
+    if (entry.attempts >= config.maxAttempts) {
+      pending.delete(phone);
+      return { success: false, message: 'Too many attempts. Please request a new OTP' };
+    }
+
+    entry.attempts += 1;
+
+    const expected = Buffer.from(entry.codeHash, 'hex');
+    const actual = Buffer.from(hashCode(String(code), entry.salt), 'hex');
+    if (!crypto.timingSafeEqual(expected, actual)) {
+      return { success: false, message: 'Invalid OTP', attemptsRemaining: config.maxAttempts - entry.attempts };
+    }
+
+    pending.delete(phone);
+    return { success: true, message: 'OTP Verified' };
+  };
+
+  // Test helpers
+  const getLastCode = (phone) => {
+    const sent = outbox.filter(entry => entry.phone === phone);
+    return sent.length > 0 ? sent[sent.length - 1].code : null;
+  };
+
+  const reset = () => {
+    pending.clear();
+    outbox.length = 0;
+  };
+
+  return { name: 'local', sendOTP, verifyOTP, outbox, getLastCode, reset };
+};
+
+module.exports = { createLocalOtpProvider };
@@ -1,6 +1,7 @@
 const natural = require('natural');
 const Vent = require('../models/Vent');
 const Match = require('../models/Match');
+const { getBlockRelationIds } = require('./blockService');
 
 const tokenizer = new natural.WordTokenizer();
 const stopwords = new Set(natural.stopwords);
@@ -46,8 +47,9 @@ const updateMatchesForUser = async (userId) => {
         return;
     }
 
-    // Fetch vents from all other users
-    const allOtherUsersVents = await Vent.find({ userId: { $ne: userId } }).lean();
+    // Fetch vents from all other users (never match across a block)
+    const blockedUserIds = await getBlockRelationIds(userId);
+    const allOtherUsersVents = await Vent.find({ userId: { $nin: [userId, ...blockedUserIds] } }).lean();
     if (allOtherUsersVents.length === 0) {
         console.log(`⚠️ No other vents found. Skipping match update.`);
         return;
@@ -0,0 +1,19 @@
+const cron = require('node-cron');
+const { deleteStalePendingMedia } = require('./mediaService');
+
+// Remove uploads that were never attached to a chat or circle message
+const runMediaCleanupJob = async () => {
+    console.log('🔄 Running media cleanup job...');
+
+    try {
+        const deleted = await deleteStalePendingMedia();
+        console.log(`📊 Media cleanup job completed: ${deleted} unused uploads removed.`);
+    } catch (error) {
+        console.error('❌ Critical Error: Media cleanup job failed:', error);
+    }
+};
+
+// Schedule job every hour
+cron.schedule('15 * * * *', runMediaCleanupJob);
+
+module.exports = { runMediaCleanupJob };
@@ -0,0 +1,436 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const sharp = require('sharp');
+const Media = require('../models/Media');
+const Chat = require('../models/Chat');
+const SupportCircle = require('../models/SupportCircles');
+const { getMediaStorage, getStorageFor } = require('./mediaStorageService');
+
+// Accepted uploads: content type -> kind, max size and file extension
+const MEDIA_TYPES = {
+  'image/jpeg': { kind: 'image', maxBytes: 10 * 1024 * 1024, extension: 'jpg', format: 'jpeg' },
+  'image/png': { kind: 'image', maxBytes: 10 * 1024 * 1024, extension: 'png', format: 'png' },
+  'image/webp': { kind: 'image', maxBytes: 10 * 1024 * 1024, extension: 'webp', format: 'webp' },
+  'image/gif': { kind: 'image', maxBytes: 10 * 1024 * 1024, extension: 'gif', format: 'gif' },
+  'video/mp4': { kind: 'video', maxBytes: 25 * 1024 * 1024, extension: 'mp4' },
+  'video/webm': { kind: 'video', maxBytes: 25 * 1024 * 1024, extension: 'webm' },
+  'audio/webm': { kind: 'audio', maxBytes: 10 * 1024 * 1024, extension: 'webm' },
+  'audio/ogg': { kind: 'audio', maxBytes: 10 * 1024 * 1024, extension: 'ogg' },
+  'audio/mp4': { kind: 'audio', maxBytes: 10 * 1024 * 1024, extension: 'm4a' },
+  'audio/mpeg': { kind: 'audio', maxBytes: 10 * 1024 * 1024, extension: 'mp3' },
+  'audio/wav': { kind: 'audio', maxBytes: 10 * 1024 * 1024, extension: 'wav' }
+};
+const MAX_UPLOAD_BYTES = Math.max(...Object.values(MEDIA_TYPES).map(type => type.maxBytes));
+
+const MEDIA_PURPOSES = Media.schema.path('purpose').enumValues;
+const MAX_ATTACHMENTS_PER_MESSAGE = 10;
+
+// 🎙️ Voice notes
+const MAX_VOICE_NOTE_DURATION_MS = 5 * 60 * 1000;
+const MAX_WAVEFORM_SAMPLES = 200;
+const PLAYBACK_URL_TTL_SECONDS = Number(process.env.MEDIA_PLAYBACK_URL_TTL_SECONDS) || 15 * 60;
+
+const MAX_IMAGE_DIMENSION = 4096;     // Larger images are scaled down
+const MAX_INPUT_PIXELS = 50000000;    // Refuse decompression bombs
+const THUMBNAIL_SIZE = 320;
+
+// Uploads never attached to a message are removed after this long
+const PENDING_MEDIA_TTL_HOURS = 24;
+
+/**
+ * ✅ Check the file's actual bytes match its declared video/audio type
+ * - Images are checked by decoding them instead
+ */
+const matchesSignature = (buffer, contentType) => {
+  if (buffer.length < 12) return false;
+  switch (contentType) {
+    case 'video/mp4':
+    case 'audio/mp4':
+      return buffer.toString('ascii', 4, 8) === 'ftyp';
+    case 'video/webm':
+    case 'audio/webm':
+      return buffer.readUInt32BE(0) === 0x1a45dfa3;
+    case 'audio/ogg':
+      return buffer.toString('ascii', 0, 4) === 'OggS';
+    case 'audio/mpeg':
+      // ID3 tag, or an MPEG frame sync
+      return buffer.toString('ascii', 0, 3) === 'ID3' || (buffer[0] === 0xff && (buffer[1] & 0xe0) === 0xe0);
+    case 'audio/wav':
+      return buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WAVE';
+    default:
+      return false;
+  }
+};
+
+/**
+ * ✅ Validate the voice-note metadata sent with an audio upload
+ * - `durationMs`: whole milliseconds, up to 5 minutes
+ * - `waveform`: up to 200 amplitude samples from 0 to 100 (array, or JSON string from multipart forms)
+ * @returns {{ valid: boolean, message?: string, audio?: Object }}
+ */
+const parseAudioMetadata = ({ durationMs, waveform } = {}) => {
+  const duration = Number(durationMs);
+  if (!Number.isInteger(duration) || duration <= 0 || duration > MAX_VOICE_NOTE_DURATION_MS) {
+    return { valid: false, message: `durationMs must be a whole number from 1 to ${MAX_VOICE_NOTE_DURATION_MS}` };
+  }
+
+  let samples = waveform;
+  if (typeof samples === 'string') {
+    try {
+      samples = JSON.parse(samples);
+    } catch {
+      return { valid: false, message: 'waveform must be a JSON array of numbers' };
+    }
+  }
+  if (samples === undefined || samples === null) samples = [];
+  if (!Array.isArray(samples) || samples.length > MAX_WAVEFORM_SAMPLES
+    || samples.some(sample => typeof sample !== 'number' || sample < 0 || sample > 100)) {
+    return { valid: false, message: `waveform must be up to ${MAX_WAVEFORM_SAMPLES} numbers from 0 to 100` };
+  }
+
+  return { valid: true, audio: { durationMs: duration, waveform: samples.map(sample => Math.round(sample)) } };
+};
+
+/**
+ * ✅ Re-encode an uploaded image
+ * - Applies the EXIF orientation, then drops all metadata (EXIF, GPS, camera info)
+ * - Caps the dimensions and builds a WebP thumbnail
+ * @returns {{ valid: boolean, message?: string, original?: Object, thumbnail?: Object }}
+ */
+const processImage = async (buffer, type) => {
+  const animated = type.format === 'gif';
+  let metadata;
+  try {
+    metadata = await sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS }).metadata();
+  } catch {
+    return { valid: false, message: 'The file is not a valid image' };
+  }
+  if (metadata.format !== type.format) {
+    return { valid: false, message: 'The file content does not match its content type' };
+  }
+
+  // sharp writes no metadata unless asked to, so re-encoding strips EXIF
+  const image = sharp(buffer, { animated, limitInputPixels: MAX_INPUT_PIXELS })
+    .rotate()
+    .resize(MAX_IMAGE_DIMENSION, MAX_IMAGE_DIMENSION, { fit: 'inside', withoutEnlargement: true });
+  const { data: original, info } = await image.toFormat(type.format).toBuffer({ resolveWithObject: true });
+
+  const { data: thumbnail, info: thumbnailInfo } = await sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS })
+    .rotate()
+    .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+    .webp({ quality: 70 })
+    .toBuffer({ resolveWithObject: true });
+
+  return {
+    valid: true,
+    original: { buffer: original, width: info.width, height: info.pageHeight || info.height },
+    thumbnail: { buffer: thumbnail, width: thumbnailInfo.width, height: thumbnailInfo.height }
+  };
+};
+
+/**
+ * ✅ Validate, process and store an upload
+ * - Content type and size are checked per type; images are re-encoded (EXIF stripped) and thumbnailed
+ * - The stored media is `pending` until a message references it
+ * - Audio (voice notes) also needs `durationMs` and may carry a `waveform`
+ * @param {{ buffer: Buffer, mimetype: string, originalname?: string }} file - multer memory file
+ * @param {Object} metadata - extra form fields (durationMs, waveform)
+ * @returns {{ success: boolean, statusCode?: number, message?: string, media?: Object }}
+ */
+const uploadMedia = async (ownerId, file, purpose, metadata = {}) => {
+  if (!MEDIA_PURPOSES.includes(purpose)) {
+    return { success: false, statusCode: 400, message: `purpose must be one of: ${MEDIA_PURPOSES.join(', ')}` };
+  }
+  if (!file || !file.buffer || file.buffer.length === 0) {
+    return { success: false, statusCode: 400, message: 'A file is required' };
+  }
+
+  const type = MEDIA_TYPES[file.mimetype];
+  if (!type) {
+    return { success: false, statusCode: 415, message: `Unsupported content type. Allowed: ${Object.keys(MEDIA_TYPES).join(', ')}` };
+  }
+  if (file.buffer.length > type.maxBytes) {
+    return { success: false, statusCode: 413, message: `Files of this type can be at most ${type.maxBytes / (1024 * 1024)} MB` };
+  }
+
+  let original = { buffer: file.buffer, width: null, height: null };
+  let thumbnail = null;
+  let audio;
+
+  if (type.kind === 'image') {
+    const processed = await processImage(file.buffer, type);
+    if (!processed.valid) return { success: false, statusCode: 400, message: processed.message };
+    ({ original, thumbnail } = processed);
+  } else if (!matchesSignature(file.buffer, file.mimetype)) {
+    return { success: false, statusCode: 400, message: 'The file content does not match its content type' };
+  }
+
+  if (type.kind === 'audio') {
+    const parsed = parseAudioMetadata(metadata);
+    if (!parsed.valid) return { success: false, statusCode: 400, message: parsed.message };
+    audio = parsed.audio;
+  }
+
+  const storage = getMediaStorage();
+  const mediaId = new mongoose.Types.ObjectId();
+  const prefix = `${purpose}/${ownerId}/${mediaId}-${crypto.randomBytes(6).toString('hex')}`;
+
+  const stored = {
+    key: `${prefix}.${type.extension}`,
+    contentType: file.mimetype,
+    size: original.buffer.length,
+    width: original.width,
+    height: original.height
+  };
+  await storage.putObject(stored.key, original.buffer, stored.contentType);
+
+  let storedThumbnail = null;
+  if (thumbnail) {
+    storedThumbnail = {
+      key: `${prefix}-thumb.webp`,
+      contentType: 'image/webp',
+      size: thumbnail.buffer.length,
+      width: thumbnail.width,
+      height: thumbnail.height
+    };
+    await storage.putObject(storedThumbnail.key, thumbnail.buffer, storedThumbnail.contentType);
+  }
+
+  const media = await Media.create({
+    _id: mediaId,
+    ownerId,
+    purpose,
+    kind: type.kind,
+    storage: storage.name,
+    original: stored,
+    thumbnail: storedThumbnail,
+    audio,
+    originalName: typeof file.originalname === 'string' ? file.originalname.slice(0, 255) : ''
+  });
+
+  return { success: true, media };
+};
+
+const signPlayback = (mediaId, expires) => crypto
+  .createHmac('sha256', process.env.MEDIA_URL_SECRET || process.env.JWT_SECRET)
+  .update(`${mediaId}:${expires}`)
+  .digest('base64url');
+
+/**
+ * ✅ Short-lived playback URL for a voice note
+ * - Audio players cannot send an Authorization header, so the URL itself carries a signature
+ * - Only handed to users who passed the access check for the message
+ */
+const createPlaybackUrl = (media) => {
+  const expires = Math.floor(Date.now() / 1000) + PLAYBACK_URL_TTL_SECONDS;
+  return {
+    url: `/api/media/${media._id}/play?expires=${expires}&signature=${signPlayback(media._id, expires)}`,
+    expiresAt: new Date(expires * 1000)
+  };
+};
+
+/**
+ * ✅ Check a playback URL's signature and expiry
+ */
+const verifyPlaybackUrl = (mediaId, expires, signature) => {
+  const expiresAt = Number(expires);
+  if (!Number.isInteger(expiresAt) || expiresAt < Math.floor(Date.now() / 1000)) return false;
+  if (typeof signature !== 'string') return false;
+
+  const expected = Buffer.from(signPlayback(mediaId, expiresAt));
+  const given = Buffer.from(signature);
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+};
+
+/**
+ * ✅ Media as clients see it (attached to messages or returned after upload)
+ * - Voice notes add duration, waveform, transcript and a fresh playback URL
+ */
+const toMediaSummary = (media) => {
+  const summary = {
+    _id: media._id,
+    kind: media.kind,
+    contentType: media.original.contentType,
+    size: media.original.size,
+    width: media.original.width,
+    height: media.original.height,
+    url: `/api/media/${media._id}/file`,
+    thumbnailUrl: media.thumbnail ? `/api/media/${media._id}/file?variant=thumbnail` : null
+  };
+
+  if (media.kind === 'audio') {
+    const playback = createPlaybackUrl(media);
+    Object.assign(summary, {
+      durationMs: media.audio?.durationMs || null,
+      waveform: media.audio?.waveform || [],
+      transcript: media.transcript?.status === 'completed'
+        ? { status: 'completed', text: media.transcript.text, language: media.transcript.language }
+        : { status: media.transcript?.status || 'none' },
+      playbackUrl: playback.url,
+      playbackUrlExpiresAt: playback.expiresAt
+    });
+  }
+  return summary;
+};
+
+// Fields to populate on message attachments
+const MEDIA_SUMMARY_FIELDS = 'kind original thumbnail audio transcript';
+
+/**
+ * ✅ Message attachments for clients: populated media become summaries, bare ids stay ids
+ * - Media deleted since (populated as null) are dropped
+ */
+const summarizeAttachments = (attachments = []) => attachments
+  .filter(Boolean)
+  .map(item => (item.original ? toMediaSummary(item) : item));
+
+/**
+ * ✅ Replace attachment ids with summaries on plain message objects (e.g. circle messages)
+ * - One query for all messages; media deleted since are dropped
+ */
+const withAttachmentSummaries = async (messages) => {
+  const ids = [...new Set(messages.flatMap(message => (message.attachments || []).map(String)))];
+  if (ids.length === 0) return messages;
+
+  const media = await Media.find({ _id: { $in: ids } }).select(MEDIA_SUMMARY_FIELDS).lean();
+  const byId = new Map(media.map(item => [item._id.toString(), toMediaSummary(item)]));
+
+  return messages.map(message => ({
+    ...message,
+    attachments: (message.attachments || []).map(id => byId.get(String(id))).filter(Boolean)
+  }));
+};
+
+/**
+ * ✅ Check media ids a user wants to attach to a new message
+ * - Every id must be the user's own pending upload made for the same purpose
+ * - A voice note (audio) must be the message's only attachment
+ * @returns {{ valid: boolean, message?: string, media?: Array, messageType?: string }}
+ */
+const resolveAttachments = async (ownerId, mediaIds, purpose) => {
+  if (mediaIds === undefined || mediaIds === null) return { valid: true, media: [], messageType: 'text' };
+  if (!Array.isArray(mediaIds)) return { valid: false, message: 'attachments must be an array of media ids' };
+  if (mediaIds.length === 0) return { valid: true, media: [], messageType: 'text' };
+
+  const ids = [...new Set(mediaIds.map(String))];
+  if (ids.length > MAX_ATTACHMENTS_PER_MESSAGE) {
+    return { valid: false, message: `At most ${MAX_ATTACHMENTS_PER_MESSAGE} attachments per message` };
+  }
+  if (ids.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+    return { valid: false, message: 'Invalid attachment id' };
+  }
+
+  const media = await Media.find({ _id: { $in: ids }, ownerId, purpose, status: 'pending' });
+  if (media.length !== ids.length) {
+    return { valid: false, message: 'Attachments must be your own unused uploads' };
+  }
+
+  const isVoiceNote = media.some(item => item.kind === 'audio');
+  if (isVoiceNote && media.length > 1) {
+    return { valid: false, message: 'A voice note must be sent on its own' };
+  }
+
+  // Keep the order the client sent
+  const byId = new Map(media.map(item => [item._id.toString(), item]));
+  return { valid: true, media: ids.map(id => byId.get(id)), messageType: isVoiceNote ? 'voice' : 'text' };
+};
+
+/**
+ * ✅ Mark uploads as belonging to a message
+ * @param {Object} target - { chatId } or { circleId }, plus messageId
+ */
+const attachMedia = async (mediaIds, target) => {
+  if (mediaIds.length === 0) return;
+  await Media.updateMany(
+    { _id: { $in: mediaIds }, status: 'pending' },
+    {
+      $set: {
+        status: 'attached',
+        attachedTo: { chatId: target.chatId || null, circleId: target.circleId || null, messageId: target.messageId },
+        attachedAt: new Date()
+      }
+    }
+  );
+};
+
+/**
+ * ✅ Whether a user may download a media object
+ * - Pending uploads: only the owner
+ * - Chat media: participants of the chat; circle media: active members of the circle
+ */
+const canAccessMedia = async (userId, media) => {
+  if (media.ownerId.toString() === userId.toString()) return true;
+  if (media.status !== 'attached') return false;
+
+  if (media.attachedTo.chatId) {
+    return !!(await Chat.exists({ _id: media.attachedTo.chatId, participants: userId }));
+  }
+  if (media.attachedTo.circleId) {
+    const circle = await SupportCircle.findById(media.attachedTo.circleId).select('members');
+    return !!circle && circle.isMember(userId);
+  }
+  return false;
+};
+
+/**
+ * ✅ Open the stored bytes of a media object
+ * @param {'original'|'thumbnail'} variant
+ * @returns {{ stream: Object, contentType: string, size: number } | null}
+ */
+const openMediaStream = async (media, variant = 'original') => {
+  const object = variant === 'thumbnail' ? media.thumbnail : media.original;
+  if (!object) return null;
+
+  const stream = await getStorageFor(media).getObjectStream(object.key);
+  if (!stream) return null;
+
+  return { stream, contentType: object.contentType, size: object.size };
+};
+
+/**
+ * ✅ Delete media objects (storage first, then the records)
+ * - Each object is removed from the backend it was stored in
+ * @param {Object} filter - Media query, e.g. { _id: { $in: ids } } or { ownerId }
+ * @returns {number} how many were deleted
+ */
+const deleteMedia = async (filter) => {
+  const media = await Media.find(filter).select('storage original thumbnail');
+  if (media.length === 0) return 0;
+
+  for (const item of media) {
+    const storage = getStorageFor(item);
+    await storage.deleteObject(item.original.key);
+    if (item.thumbnail) await storage.deleteObject(item.thumbnail.key);
+  }
+
+  await Media.deleteMany({ _id: { $in: media.map(item => item._id) } });
+  return media.length;
+};
+
+/**
+ * ✅ Remove uploads that were never attached to a message
+ */
+const deleteStalePendingMedia = async () => {
+  const cutoff = new Date(Date.now() - PENDING_MEDIA_TTL_HOURS * 60 * 60 * 1000);
+  return deleteMedia({ status: 'pending', createdAt: { $lt: cutoff } });
+};
+
+module.exports = {
+  MEDIA_TYPES,
+  MEDIA_PURPOSES,
+  MAX_UPLOAD_BYTES,
+  MAX_ATTACHMENTS_PER_MESSAGE,
+  MEDIA_SUMMARY_FIELDS,
+  uploadMedia,
+  toMediaSummary,
+  createPlaybackUrl,
+  verifyPlaybackUrl,
+  summarizeAttachments,
+  withAttachmentSummaries,
+  resolveAttachments,
+  attachMedia,
+  canAccessMedia,
+  openMediaStream,
+  deleteMedia,
+  deleteStalePendingMedia
+};
@@ -0,0 +1,58 @@
+const dotenv = require('dotenv');
+const { createLocalMediaStorage } = require('./localMediaStorage');
+
+dotenv.config();
+
+/**
+ * Media storage registry.
+ * A storage backend is any object with:
+ *   - name: string
+ *   - putObject(key, buffer, contentType) -> void
+ *   - getObjectStream(key) -> readable stream, or null if the object is missing
+ *   - deleteObject(key) -> void
+ * Select one with MEDIA_STORAGE=local|s3 (defaults to s3 in production, local otherwise).
+ * New uploads go to the selected backend; existing media keep using the backend
+ * recorded on them (`media.storage`), so switching MEDIA_STORAGE does not strand old files.
+ */
+let activeStorage = null;
+const storagesByName = new Map(); // Backends already in use, by name
+
+const createStorage = (name) => {
+  switch (name) {
+    case 'local':
+      return createLocalMediaStorage();
+    case 's3':
+      return require('./s3MediaStorage').createS3MediaStorage();
+    default:
+      throw new Error(`Unknown media storage "${name}"`);
+  }
+};
+
+const getMediaStorage = () => {
+  if (!activeStorage) {
+    const name = process.env.MEDIA_STORAGE || (process.env.NODE_ENV === 'production' ? 's3' : 'local');
+    activeStorage = storagesByName.get(name) || createStorage(name);
+    storagesByName.set(name, activeStorage);
+    console.log(`✅ Media storage: ${activeStorage.name}`);
+  }
+  return activeStorage;
+};
+
+/**
+ * ✅ Backend a stored media object lives in (its `storage` field)
+ * - Falls back to the active backend for records without one
+ */
+const getStorageFor = (media) => {
+  const name = media && media.storage;
+  if (!name) return getMediaStorage();
+  if (!storagesByName.has(name)) storagesByName.set(name, createStorage(name));
+  return storagesByName.get(name);
+};
+
+// Lets integration tests inject their own backend (e.g. createLocalMediaStorage({ rootDir: tmpDir }))
+const setMediaStorage = (storage) => {
+  activeStorage = storage;
+  if (storage) storagesByName.set(storage.name, storage);
+};
+
+module.exports = { getMediaStorage, getStorageFor, setMediaStorage };
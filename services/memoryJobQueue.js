@@ -0,0 +1,85 @@
+/**
+ * ✅ In-process job queue for local development and integration tests
+ * - Same interface as the Redis queue: enqueue(queue, jobId, payload) / process(queue, handler, options) / close()
+ * - Jobs only live in memory, so anything still queued is lost on restart
+ * - A job id that is already waiting or being retried is not queued twice
+ */
+const createMemoryJobQueue = () => {
+  const queues = new Map(); // queue name -> { waiting: [jobId], jobs: Map(jobId -> job), worker, running }
+  const timers = new Set(); // pending retries
+  let closed = false;
+
+  const getQueue = (name) => {
+    if (!queues.has(name)) {
+      queues.set(name, { waiting: [], jobs: new Map(), worker: null, running: false });
+    }
+    return queues.get(name);
+  };
+
+  const runJob = async (queue, name, job) => {
+    const { handler, options } = queue.worker;
+    job.attempts += 1;
+
+    try {
+      await handler(job.payload, { jobId: job.id, attempt: job.attempts });
+      queue.jobs.delete(job.id);
+    } catch (error) {
+      if (job.attempts >= options.maxAttempts) {
+        queue.jobs.delete(job.id);
+        console.error(`❌ Job ${name}:${job.id} failed after ${job.attempts} attempts:`, error);
+        if (options.onFailed) await options.onFailed(job.payload, error, { jobId: job.id, attempts: job.attempts });
+        return;
+      }
+
+      const timer = setTimeout(() => {
+        timers.delete(timer);
+        queue.waiting.push(job.id);
+        drain(name);
+      }, options.retryDelayMs(job.attempts));
+      timer.unref();
+      timers.add(timer);
+    }
+  };
+
+  const drain = async (name) => {
+    const queue = getQueue(name);
+    if (!queue.worker || queue.running || closed) return;
+
+    queue.running = true;
+    try {
+      while (queue.waiting.length > 0 && !closed) {
+        const job = queue.jobs.get(queue.waiting.shift());
+        if (job) await runJob(queue, name, job);
+      }
+    } catch (error) {
+      console.error(`❌ Error draining job queue ${name}:`, error);
+    } finally {
+      queue.running = false;
+    }
+  };
+
+  const enqueue = async (name, jobId, payload) => {
+    const queue = getQueue(name);
+    if (queue.jobs.has(jobId)) return { jobId, duplicate: true };
+
+    queue.jobs.set(jobId, { id: jobId, payload, attempts: 0 });
+    queue.waiting.push(jobId);
+    setImmediate(() => drain(name));
+    return { jobId, duplicate: false };
+  };
+
+  const process = (name, handler, options) => {
+    getQueue(name).worker = { handler, options };
+    setImmediate(() => drain(name));
+  };
+
+  const close = async () => {
+    closed = true;
+    timers.forEach(timer => clearTimeout(timer));
+    timers.clear();
+  };
+
+  return { name: 'memory', enqueue, process, close };
+};
+
+module.exports = { createMemoryJobQueue };
@@ -0,0 +1,172 @@
+const natural = require('natural');
+const OpenAI = require('openai');
+const dotenv = require('dotenv');
+const Message = require('../models/Message');
+const Chat = require('../models/Chat');
+const SupportCircle = require('../models/SupportCircles');
+const { transcribeMedia } = require('./transcriptionService');
+const { emitToChat } = require('./chatMessageService');
+
+dotenv.config();
+
+// Created on first use so the server (and tests) run without an OpenAI key
+let openai = null;
+const getOpenAI = () => {
+  if (!openai) openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+  return openai;
+};
+
+const tokenizer = new natural.WordTokenizer();
+const sentimentAnalyzer = new natural.SentimentAnalyzer('English', natural.PorterStemmer, 'afinn');
+
+// AFINN average per word; beyond these the message reads clearly negative/positive
+const NEGATIVE_THRESHOLD = -0.25;
+const POSITIVE_THRESHOLD = 0.25;
+
+/**
+ * ✅ Lexicon-based sentiment (runs locally, no API call)
+ */
+const scoreSentiment = (text) => {
+  const tokens = tokenizer.tokenize(text.toLowerCase());
+  const score = tokens.length > 0 ? sentimentAnalyzer.getSentiment(tokens) : 0;
+  const sentiment = score <= NEGATIVE_THRESHOLD ? 'negative' : score >= POSITIVE_THRESHOLD ? 'positive' : 'neutral';
+  return { sentimentScore: Math.round(score * 1000) / 1000, sentiment };
+};
+
+/**
+ * ✅ Moderation check with the OpenAI moderation endpoint
+ * - Skipped (not flagged) without an API key or under NODE_ENV=test, so tests run offline
+ */
+const moderateText = async (text) => {
+  if (!process.env.OPENAI_API_KEY || process.env.NODE_ENV === 'test') {
+    return { flagged: false, categories: [] };
+  }
+
+  const response = await getOpenAI().moderations.create({ model: 'omni-moderation-latest', input: text });
+  const result = response.results[0];
+  return {
+    flagged: !!result?.flagged,
+    categories: Object.entries(result?.categories || {}).filter(([, hit]) => hit).map(([category]) => category)
+  };
+};
+
+/**
+ * ✅ Moderation + sentiment for one piece of message content
+ * - Text messages and voice-note transcripts both go through here
+ */
+const analyzeText = async (text) => {
+  const [sentiment, moderation] = await Promise.all([scoreSentiment(text), moderateText(text)]);
+  return { ...sentiment, ...moderation, analyzedAt: new Date() };
+};
+
+/**
+ * ✅ Text to analyse for a message: its text and, for voice notes, the transcript
+ * @returns {{ text: string, source: string } | null}
+ */
+const collectContent = (text, transcript) => {
+  const parts = [];
+  if (text && text.trim()) parts.push(['text', text.trim()]);
+  if (transcript && transcript.trim()) parts.push(['transcript', transcript.trim()]);
+  if (parts.length === 0) return null;
+
+  return { text: parts.map(([, part]) => part).join('\n'), source: parts.map(([source]) => source).join('+') };
+};
+
+const logFlagged = (where, id, analysis) => {
+  if (analysis.flagged) {
+    console.warn(`🚩 ${where} ${id} flagged by moderation: ${analysis.categories.join(', ')}`);
+  }
+};
+
+/**
+ * ✅ Analyse a chat message
+ * - Voice notes are transcribed first (when a provider is configured); both participants
+ *   get `voiceNoteTranscribed` once the transcript is ready
+ * - Encrypted and deleted messages are skipped: the server cannot (or should not) read them
+ */
+const analyzeChatMessage = async (io, messageId) => {
+  const message = await Message.findById(messageId).populate('attachments', 'kind transcript');
+  if (!message || message.encrypted || message.isDeleted) return null;
+
+  let transcript = null;
+  if (message.messageType === 'voice') {
+    const voiceNote = message.attachments[0];
+    if (voiceNote) {
+      transcript = await transcribeMedia(voiceNote._id);
+      if (transcript !== null && io) {
+        const chat = await Chat.findById(message.chatId).select('participants');
+        if (chat) {
+          emitToChat(io, chat, 'voiceNoteTranscribed', {
+            chatId: message.chatId,
+            messageId: message._id,
+            mediaId: voiceNote._id,
+            transcript
+          });
+        }
+      }
+    }
+  }
+
+  const content = collectContent(message.text, transcript);
+  if (!content) return null;
+
+  const analysis = { ...(await analyzeText(content.text)), source: content.source };
+  await Message.updateOne({ _id: message._id }, { $set: { analysis } });
+  logFlagged('Chat message', message._id, analysis);
+  return analysis;
+};
+
+/**
+ * ✅ Analyse a circle message (same pipeline as chat messages)
+ */
+const analyzeCircleMessage = async (circleId, messageId) => {
+  const circle = await SupportCircle.findOne(
+    { _id: circleId, 'messages._id': messageId },
+    { 'messages.$': 1 }
+  ).lean();
+  const message = circle?.messages?.[0];
+  if (!message || message.isDeleted) return null;
+
+  let transcript = null;
+  if (message.messageType === 'voice' && message.attachments?.[0]) {
+    transcript = await transcribeMedia(message.attachments[0]);
+  }
+
+  const content = collectContent(message.content, transcript);
+  if (!content) return null;
+
+  const analysis = { ...(await analyzeText(content.text)), source: content.source };
+  await SupportCircle.updateOne(
+    { _id: circleId, 'messages._id': messageId },
+    { $set: { 'messages.$.analysis': analysis } }
+  );
+  logFlagged('Circle message', messageId, analysis);
+  return analysis;
+};
+
+/**
+ * ✅ Run analysis after the response has been sent; failures are only logged
+ */
+const queueChatMessageAnalysis = (io, messageId) => {
+  setImmediate(() => {
+    analyzeChatMessage(io, messageId).catch(error => {
+      console.error(`❌ Error analysing chat message ${messageId}:`, error);
+    });
+  });
+};
+
+const queueCircleMessageAnalysis = (circleId, messageId) => {
+  setImmediate(() => {
+    analyzeCircleMessage(circleId, messageId).catch(error => {
+      console.error(`❌ Error analysing circle message ${messageId}:`, error);
+    });
+  });
+};
+
+module.exports = {
+  analyzeText,
+  analyzeChatMessage,
+  analyzeCircleMessage,
+  queueChatMessageAnalysis,
+  queueCircleMessageAnalysis
+};
@@ -0,0 +1,187 @@
+const mongoose = require('mongoose');
+const Chat = require('../models/Chat');
+const Message = require('../models/Message');
+const { userRoom } = require('./presenceService');
+const { REPLY_PREVIEW_FIELDS, notExpiredCondition } = require('./chatMessageService');
+const { MEDIA_SUMMARY_FIELDS, summarizeAttachments } = require('./mediaService');
+const { isMuted } = require('./chatConsentService');
+
+// Most undelivered messages replayed to a device on reconnect; the rest arrive with the chat history
+const MAX_REPLAY_MESSAGES = 500;
+
+/**
+ * ✅ Message as the recipient receives it in `newMessage`
+ * - `replyTo` is the quoted message preview when available, otherwise its id
+ * - Encrypted messages have no text, only the envelopes for the recipient's devices
+ */
+const toMessagePayload = (message, replyTo = null, recipientId = null) => ({
+    chatId: message.chatId,
+    senderId: message.sender,
+    text: message.encrypted ? null : message.text,
+    encrypted: !!message.encrypted,
+    ...(message.encrypted && {
+        senderDeviceId: message.senderDeviceId,
+        envelopes: (message.envelopes || []).filter(envelope => String(envelope.recipientId) === String(recipientId))
+    }),
+    messageId: message._id,
+    status: message.status,
+    replyTo: replyTo || message.replyTo || null,
+    attachments: summarizeAttachments(message.attachments),
+    messageType: message.messageType || 'text',
+    ...(message.systemEvent && { systemEvent: message.systemEvent }),
+    expiresAt: message.expiresAt || null,
+    isEdited: !!message.isEdited,
+    reactions: message.reactions || [],
+    createdAt: message.createdAt
+});
+
+/**
+ * ✅ Tell every device of the sender about a status change
+ * - `messageStatus` is emitted once per message: sent, delivered, read
+ */
+const emitStatus = (io, senderId, message, status) => {
+    io.to(userRoom(senderId)).emit('messageStatus', {
+        chatId: message.chatId,
+        messageId: message._id,
+        status,
+        deliveredAt: message.deliveredAt || null,
+        readAt: message.readAt || null
+    });
+};
+
+/**
+ * ✅ Push a freshly stored message
+ * - Recipient devices get `newMessage` and should ack it with `messageDelivered`
+ * - `muted: true` when the recipient muted the chat: deliver silently, no alert
+ * - If the recipient is offline it stays `sent` and is replayed on reconnect
+ */
+const deliverNewMessage = (io, chat, message, replyTo = null) => {
+    const senderId = message.sender.toString();
+    const recipientId = chat.participants.find(participant => participant.toString() !== senderId);
+
+    if (recipientId) {
+        io.to(userRoom(recipientId)).emit('newMessage', {
+            ...toMessagePayload(message, replyTo, recipientId),
+            muted: isMuted(chat, recipientId)
+        });
+    }
+    emitStatus(io, senderId, message, 'sent');
+};
+
+/**
+ * ✅ Move messages `sent` → `delivered` after the recipient's device acks them
+ * - Only messages addressed to the user (in their chats, from someone else) are updated
+ * @returns {number} how many messages changed state
+ */
+const markDelivered = async (io, userId, messageIds) => {
+    const validIds = Array.isArray(messageIds) ? messageIds.filter(id => mongoose.Types.ObjectId.isValid(id)) : [];
+    if (validIds.length === 0) return 0;
+
+    const chatIds = (await Chat.find({ participants: userId }).select('_id').lean()).map(c => c._id);
+    const messages = await Message.find({
+        _id: { $in: validIds },
+        chatId: { $in: chatIds },
+        sender: { $ne: userId },
+        status: 'sent'
+    }).select('_id chatId sender');
+    if (messages.length === 0) return 0;
+
+    const deliveredAt = new Date();
+    await Message.updateMany(
+        { _id: { $in: messages.map(m => m._id) }, status: 'sent' },
+        { $set: { status: 'delivered', deliveredAt } }
+    );
+
+    messages.forEach(message => {
+        message.deliveredAt = deliveredAt;
+        emitStatus(io, message.sender, message, 'delivered');
+    });
+    return messages.length;
+};
+
+/**
+ * ✅ Mark everything the other participant sent in a chat as read
+ * - Messages that were never acked as delivered are delivered now too
+ * @returns {number} how many messages changed state
+ */
+const markRead = async (io, userId, chat) => {
+    const messages = await Message.find({
+        chatId: chat._id,
+        sender: { $ne: userId },
+        status: { $in: ['sent', 'delivered'] }
+    }).select('_id chatId sender deliveredAt');
+    if (messages.length === 0) return 0;
+
+    const readAt = new Date();
+    await Message.updateMany(
+        { _id: { $in: messages.map(m => m._id) } },
+        [{ $set: { status: 'read', readAt, deliveredAt: { $ifNull: ['$deliveredAt', readAt] } } }]
+    );
+
+    messages.forEach(message => {
+        message.deliveredAt = message.deliveredAt || readAt;
+        message.readAt = readAt;
+        emitStatus(io, message.sender, message, 'read');
+    });
+
+    // Chat-level event kept for existing clients
+    const otherUserId = chat.participants.find(participant => participant.toString() !== userId.toString());
+    if (otherUserId) {
+        io.to(userRoom(otherUserId)).emit('messagesRead', { chatId: chat._id, readerId: userId });
+    }
+    return messages.length;
+};
+
+/**
+ * ✅ Replay messages that arrived while the user was offline to a newly connected socket
+ * - Oldest first, as regular `newMessage` events flagged `replayed: true`
+ */
+const replayUndelivered = async (socket, userId) => {
+    const chatIds = (await Chat.find({ participants: userId }).select('_id').lean()).map(c => c._id);
+    if (chatIds.length === 0) return 0;
+
+    const messages = await Message.find({
+        chatId: { $in: chatIds },
+        sender: { $ne: userId },
+        status: 'sent',
+        ...notExpiredCondition() // Expired messages waiting for the purge job are not replayed
+    })
+        .sort({ createdAt: 1 })
+        .limit(MAX_REPLAY_MESSAGES)
+        .populate('replyTo', REPLY_PREVIEW_FIELDS)
+        .populate('attachments', MEDIA_SUMMARY_FIELDS)
+        .lean();
+
+    messages.forEach(message => socket.emit('newMessage', { ...toMessagePayload(message, null, userId), replayed: true }));
+    return messages.length;
+};
+
+/**
+ * ✅ Unread messages per chat for a user (messages from the other participant not yet read)
+ * @returns {Map<string, number>} chatId -> unread count (chats without unread messages are absent)
+ */
+const getUnreadCounts = async (userId, chatIds) => {
+    if (chatIds.length === 0) return new Map();
+
+    const counts = await Message.aggregate([
+        {
+            $match: {
+                chatId: { $in: chatIds.map(id => new mongoose.Types.ObjectId(id)) },
+                sender: { $ne: new mongoose.Types.ObjectId(userId) },
+                status: { $in: ['sent', 'delivered'] },
+                ...notExpiredCondition() // Expired messages no longer count as unread
+            }
+        },
+        { $group: { _id: '$chatId', count: { $sum: 1 } } }
+    ]);
+    return new Map(counts.map(c => [c._id.toString(), c.count]));
+};
+
+module.exports = {
+    toMessagePayload,
+    deliverNewMessage,
+    markDelivered,
+    markRead,
+    replayUndelivered,
+    getUnreadCounts
+};
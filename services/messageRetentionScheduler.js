@@ -0,0 +1,19 @@
+const cron = require('node-cron');
+const { purgeExpiredMessages } = require('./chatRetentionService');
+
+// Delete disappearing messages past their expiry (reported chats are held until reviewed)
+const runMessageRetentionJob = async () => {
+    console.log('🔄 Running message retention job...');
+
+    try {
+        const purged = await purgeExpiredMessages();
+        console.log(`📊 Message retention job completed: ${purged} expired messages removed.`);
+    } catch (error) {
+        console.error('❌ Critical Error: Message retention job failed:', error);
+    }
+};
+
+// Schedule job every 10 minutes
+cron.schedule('*/10 * * * *', runMessageRetentionJob);
+
+module.exports = { runMessageRetentionJob };
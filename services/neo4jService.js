@@ -42,6 +42,7 @@ const findUserMatches = async (userId) => {
     try {
         const result = await session.run(
             `MATCH (u:User {id: $userId})-[r:MATCHED]->(other:User)
+             WHERE NOT EXISTS {(u)-[:BLOCKED]-(other)}
              RETURN other.id AS matchedUser, r.similarity AS similarity, r.commonEmotions AS commonEmotions
              ORDER BY similarity DESC LIMIT 10`,
             { userId }
@@ -80,6 +81,7 @@ const getUserConnections = async (userId, options = {}) => {
         } else {
             query = `
                 MATCH (u:User {id: $userId})-[r:MATCHED]->(other:User)
+                WHERE NOT EXISTS {(u)-[:BLOCKED]-(other)}
                 RETURN other.id AS userId, r.similarity AS similarity, r.commonEmotions AS commonEmotions
                 ORDER BY similarity DESC LIMIT 10
             `;
@@ -95,6 +97,7 @@ const getUserConnections = async (userId, options = {}) => {
             // If no second-degree matches exist, return direct matches instead.
             query = `
                 MATCH (u:User {id: $userId})-[r:MATCHED]->(other:User)
+                WHERE NOT EXISTS {(u)-[:BLOCKED]-(other)}
                 RETURN other.id AS userId, r.similarity AS similarity, r.commonEmotions AS commonEmotions
                 ORDER BY similarity DESC LIMIT 10
             `;
@@ -144,4 +147,118 @@ const removeUserConnection = async (user1, user2) => {
     }
 };
 
-module.exports = { connectUsers, findUserMatches, getUserConnections, removeUserConnection };
+/**
+ * ✅ Block a User
+ * - Creates the BLOCKED relationship and drops any MATCHED edges in both directions
+ */
+const blockUserConnection = async (blockerId, blockedId) => {
+    const session = driver.session();
+    try {
+        await session.run(
+            `MERGE (u1:User {id: $blockerId})
+             MERGE (u2:User {id: $blockedId})
+             MERGE (u1)-[:BLOCKED]->(u2)
+             WITH u1, u2
+             OPTIONAL MATCH (u1)-[m:MATCHED]-(u2)
+             DELETE m`,
+            { blockerId, blockedId }
+        );
+        console.log(`🚫 ${blockerId} BLOCKED ${blockedId}`);
+    } catch (error) {
+        console.error("❌ Error blocking user in Neo4j:", error);
+    } finally {
+        await session.close();
+    }
+};
+
+/**
+ * ✅ Unblock a User
+ */
+const unblockUserConnection = async (blockerId, blockedId) => {
+    const session = driver.session();
+    try {
+        await session.run(
+            `MATCH (u1:User {id: $blockerId})-[b:BLOCKED]->(u2:User {id: $blockedId})
+             DELETE b`,
+            { blockerId, blockedId }
+        );
+    } catch (error) {
+        console.error("❌ Error unblocking user in Neo4j:", error);
+    } finally {
+        await session.close();
+    }
+};
+
+/**
+ * ✅ Delete a User Node and All Its Relationships
+ * - Called when an account is permanently deleted
+ */
+const deleteUserNode = async (userId) => {
+    const session = driver.session();
+    try {
+        await session.run(
+            `MATCH (u:User {id: $userId})
+             DETACH DELETE u`,
+            { userId }
+        );
+        console.log(`🗑️ Deleted Neo4j node for user ${userId}`);
+    } catch (error) {
+        console.error("❌ Error deleting user node in Neo4j:", error);
+        throw error;
+    } finally {
+        await session.close();
+    }
+};
+
+/**
+ * ✅ Seed a New User's Graph From Onboarding
+ * - Stores the stated emotions & interests on the user node
+ * - Connects the user to others who share them, so matching has a starting point before any vents
+ * - Only creates edges; existing vent-based similarity is never overwritten
+ */
+const seedUserProfile = async (userId, { emotions = [], interests = [] }, limit = 20) => {
+    const session = driver.session();
+    try {
+        const result = await session.run(
+            `MERGE (u:User {id: $userId})
+             SET u.emotions = $emotions, u.interests = $interests
+             WITH u
+             MATCH (other:User)
+             WHERE other.id <> $userId
+               AND NOT EXISTS {(u)-[:BLOCKED]-(other)}
+             WITH u, other,
+                  [e IN coalesce(other.emotions, []) WHERE e IN $emotions] AS sharedEmotions,
+                  [i IN coalesce(other.interests, []) WHERE i IN $interests] AS sharedInterests
+             WHERE size(sharedEmotions) + size(sharedInterests) > 0
+             WITH u, other, sharedEmotions,
+                  toFloat(size(sharedEmotions) + size(sharedInterests)) /
+                  (size($emotions) + size($interests)) * 0.5 AS similarity
+             ORDER BY similarity DESC LIMIT toInteger($limit)
+             MERGE (u)-[r1:MATCHED]->(other)
+             ON CREATE SET r1.similarity = similarity, r1.commonEmotions = sharedEmotions
+             MERGE (other)-[r2:MATCHED]->(u)
+             ON CREATE SET r2.similarity = similarity, r2.commonEmotions = sharedEmotions
+             RETURN count(other) AS connected`,
+            { userId, emotions, interests, limit }
+        );
+        const connected = result.records[0] ? result.records[0].get('connected').toNumber() : 0;
+        console.log(`🌱 Seeded ${connected} onboarding connections for user ${userId}`);
+        return connected;
+    } catch (error) {
+        console.error("❌ Error seeding user profile in Neo4j:", error);
+        return 0;
+    } finally {
+        await session.close();
+    }
+};
+
+module.exports = {
+    connectUsers,
+    findUserMatches,
+    getUserConnections,
+    removeUserConnection,
+    blockUserConnection,
+    unblockUserConnection,
+    deleteUserNode,
+    seedUserProfile
+};
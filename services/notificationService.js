@@ -146,6 +146,15 @@ const sendNotification = async (options) => {
       }
     }
     
+    // Vent notifications
+    else if (type.startsWith('vent_')) {
+      if (type === 'vent_comment' && !user.notifications.ventComments) {
+        shouldSend = false;
+      } else if (type === 'vent_reaction' && !user.notifications.ventReactions) {
+        shouldSend = false;
+      }
+    }
+    
     // If notification should not be sent based on preferences, skip it
     if (!shouldSend) {
       console.log(`ℹ️ Notification skipped: User ${userId} has disabled ${type} notifications`);
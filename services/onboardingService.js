@@ -0,0 +1,232 @@
+const User = require('../models/User');
+const SupportCircle = require('../models/SupportCircles');
+const { JournalPrompt } = require('../models/Journal');
+const { seedUserProfile } = require('./neo4jService');
+
+// Steps in the order the app walks through them
+const ONBOARDING_STEPS = ['check-in', 'interests', 'match-preference', 'journaling'];
+
+// Same vocabulary as journal entries and journal prompt targetEmotions
+const ONBOARDING_EMOTIONS = [
+  'Happy', 'Sad', 'Angry', 'Anxious', 'Neutral', 'Burnout',
+  'Peaceful', 'Excited', 'Grateful', 'Overwhelmed', 'Hopeful', 'Disappointed'
+];
+
+const MATCH_PREFERENCES = ['Similar Emotions', 'Similar Interests', 'Anyone'];
+
+// Seeded circle categories (utils/circleSeeder.js) that fit each emotion
+const EMOTION_CIRCLE_CATEGORIES = {
+  Anxious: ['Anxiety & Stress'],
+  Overwhelmed: ['Anxiety & Stress', 'Work Stress & Burnout'],
+  Burnout: ['Work Stress & Burnout'],
+  Sad: ['Grief & Loss', 'Relationship Challenges'],
+  Disappointed: ['Relationship Challenges', 'Life Transitions'],
+  Angry: ['Relationship Challenges', 'Anxiety & Stress'],
+  Hopeful: ['Life Transitions'],
+  Excited: ['Life Transitions'],
+  Neutral: ['Life Transitions']
+};
+
+const MAX_INTERESTS = 20;
+const SUGGESTED_CIRCLES_LIMIT = 5;
+const SUGGESTED_PROMPTS_LIMIT = 5;
+
+/**
+ * ✅ Progress summary returned by every onboarding endpoint
+ */
+const getProgress = (user) => {
+  const onboarding = user.onboarding || {};
+  const completedSteps = onboarding.completedSteps || [];
+
+  return {
+    steps: ONBOARDING_STEPS,
+    completedSteps,
+    currentStep: onboarding.completedAt ? null : (onboarding.currentStep || ONBOARDING_STEPS[0]),
+    completed: !!onboarding.completedAt,
+    completedAt: onboarding.completedAt || null
+  };
+};
+
+/**
+ * ✅ Mark a step done and move on to the first step that is still open
+ * - Steps may be revisited; they are only recorded once
+ */
+const markStepComplete = (user, step) => {
+  if (!user.onboarding.completedSteps.includes(step)) {
+    user.onboarding.completedSteps.push(step);
+  }
+  const nextStep = ONBOARDING_STEPS.find(s => !user.onboarding.completedSteps.includes(s));
+  user.onboarding.currentStep = nextStep || 'complete';
+};
+
+const normalizeList = (values) => [...new Set(
+  values
+    .filter(value => typeof value === 'string')
+    .map(value => value.trim())
+    .filter(Boolean)
+)];
+
+/**
+ * ✅ Save one onboarding step
+ * @returns {{ success: boolean, statusCode?: number, message?: string, user?: Object }}
+ */
+const saveStep = async (userId, step, data = {}) => {
+  const user = await User.findById(userId);
+  if (!user) return { success: false, statusCode: 404, message: 'User not found' };
+
+  switch (step) {
+    case 'check-in': {
+      const emotions = normalizeList(Array.isArray(data.emotions) ? data.emotions : []);
+      if (emotions.length === 0) {
+        return { success: false, statusCode: 400, message: 'Select at least one emotion' };
+      }
+      const invalid = emotions.filter(emotion => !ONBOARDING_EMOTIONS.includes(emotion));
+      if (invalid.length > 0) {
+        return { success: false, statusCode: 400, message: `Unknown emotions: ${invalid.join(', ')}` };
+      }
+      if (data.intensity !== undefined && (!Number.isInteger(data.intensity) || data.intensity < 1 || data.intensity > 10)) {
+        return { success: false, statusCode: 400, message: 'Intensity must be a whole number from 1 to 10' };
+      }
+
+      user.onboarding.checkIn = {
+        emotions,
+        intensity: data.intensity,
+        note: typeof data.note === 'string' ? data.note.trim() : '',
+        recordedAt: new Date()
+      };
+      break;
+    }
+
+    case 'interests': {
+      const interests = normalizeList(Array.isArray(data.interests) ? data.interests : []);
+      if (interests.length === 0) {
+        return { success: false, statusCode: 400, message: 'Add at least one interest' };
+      }
+      if (interests.length > MAX_INTERESTS) {
+        return { success: false, statusCode: 400, message: `You can add up to ${MAX_INTERESTS} interests` };
+      }
+
+      user.interests = interests;
+      if (Array.isArray(data.likes)) user.likes = normalizeList(data.likes);
+      if (Array.isArray(data.dislikes)) user.dislikes = normalizeList(data.dislikes);
+      break;
+    }
+
+    case 'match-preference': {
+      if (!MATCH_PREFERENCES.includes(data.matchPreference)) {
+        return { success: false, statusCode: 400, message: `matchPreference must be one of: ${MATCH_PREFERENCES.join(', ')}` };
+      }
+
+      user.preferences.matchPreference = data.matchPreference;
+      if (typeof data.anonymousChat === 'boolean') user.preferences.anonymousChat = data.anonymousChat;
+      break;
+    }
+
+    case 'journaling': {
+      const { journalReminders, journalReminderTime, journalPrivacyDefault, autoAnalyzeJournals } = data;
+
+      if (journalReminderTime !== undefined && !/^([01]\d|2[0-3]):[0-5]\d$/.test(journalReminderTime)) {
+        return { success: false, statusCode: 400, message: 'journalReminderTime must be in HH:mm (24-hour) format' };
+      }
+      if (journalPrivacyDefault !== undefined && !['private', 'matches', 'public'].includes(journalPrivacyDefault)) {
+        return { success: false, statusCode: 400, message: 'journalPrivacyDefault must be private, matches or public' };
+      }
+
+      if (typeof journalReminders === 'boolean') user.preferences.journalReminders = journalReminders;
+      if (journalReminderTime !== undefined) user.preferences.journalReminderTime = journalReminderTime;
+      if (journalPrivacyDefault !== undefined) user.preferences.journalPrivacyDefault = journalPrivacyDefault;
+      if (typeof autoAnalyzeJournals === 'boolean') user.preferences.autoAnalyzeJournals = autoAnalyzeJournals;
+      break;
+    }
+
+    default:
+      return { success: false, statusCode: 400, message: `Unknown onboarding step: ${step}` };
+  }
+
+  markStepComplete(user, step);
+  await user.save();
+
+  return { success: true, user };
+};
+
+/**
+ * ✅ Starter circles & journal prompts for what the user told us during onboarding
+ * - Circles: public, active circles in categories that fit the check-in emotions,
+ *   plus any whose tags overlap the user's interests
+ * - Prompts: active prompts targeting the check-in emotions, gentlest first
+ */
+const getRecommendations = async (user) => {
+  const emotions = user.onboarding?.checkIn?.emotions || [];
+  const interests = (user.interests || []).map(interest => interest.toLowerCase());
+
+  const categories = [...new Set(emotions.flatMap(emotion => EMOTION_CIRCLE_CATEGORIES[emotion] || []))];
+
+  const circleMatch = [];
+  if (categories.length > 0) circleMatch.push({ category: { $in: categories } });
+  if (interests.length > 0) circleMatch.push({ tags: { $in: interests } });
+
+  const [circles, prompts] = await Promise.all([
+    circleMatch.length > 0
+      ? SupportCircle.find({
+        $or: circleMatch,
+        status: 'active',
+        isPrivate: false,
+        'members.userId': { $ne: user._id }
+      })
+        .select('name description category tags memberCount memberLimit')
+        .sort({ memberCount: -1 })
+        .limit(SUGGESTED_CIRCLES_LIMIT)
+        .lean()
+      : [],
+    emotions.length > 0
+      ? JournalPrompt.find({ isActive: true, targetEmotions: { $in: emotions } })
+        .select('title text category difficultyLevel targetEmotions')
+        .sort({ difficultyLevel: 1 })
+        .limit(SUGGESTED_PROMPTS_LIMIT)
+        .lean()
+      : []
+  ]);
+
+  return { circles, prompts };
+};
+
+/**
+ * ✅ Finish onboarding
+ * - Every step has to be done first
+ * - Seeds the matching graph with the stated emotions & interests
+ * - Returns starter circles and journal prompts
+ */
+const completeOnboarding = async (userId) => {
+  const user = await User.findById(userId);
+  if (!user) return { success: false, statusCode: 404, message: 'User not found' };
+
+  const missingSteps = ONBOARDING_STEPS.filter(step => !user.onboarding.completedSteps.includes(step));
+  if (missingSteps.length > 0) {
+    return { success: false, statusCode: 400, message: `Complete these steps first: ${missingSteps.join(', ')}`, missingSteps };
+  }
+
+  if (!user.onboarding.completedAt) {
+    user.onboarding.completedAt = new Date();
+    user.onboarding.currentStep = 'complete';
+    await user.save();
+  }
+
+  const seededConnections = await seedUserProfile(userId.toString(), {
+    emotions: user.onboarding.checkIn.emotions,
+    interests: user.interests.map(interest => interest.toLowerCase())
+  });
+
+  const recommendations = await getRecommendations(user);
+
+  return { success: true, user, seededConnections, recommendations };
+};
+
+module.exports = {
+  ONBOARDING_STEPS,
+  ONBOARDING_EMOTIONS,
+  MATCH_PREFERENCES,
+  getProgress,
+  saveStep,
+  getRecommendations,
+  completeOnboarding
+};
@@ -0,0 +1,25 @@
+const OpenAI = require('openai');
+const { toFile } = require('openai');
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+
+const TRANSCRIPTION_MODEL = process.env.TRANSCRIPTION_MODEL || 'whisper-1';
+
+/**
+ * ✅ Transcribe a voice note with the OpenAI audio API
+ */
+const transcribe = async ({ buffer, contentType, filename }) => {
+  const file = await toFile(buffer, filename || 'voice-note', { type: contentType });
+  const result = await openai.audio.transcriptions.create({
+    file,
+    model: TRANSCRIPTION_MODEL,
+    response_format: 'verbose_json'
+  });
+
+  return { text: (result.text || '').trim(), language: result.language || null };
+};
+
+module.exports = { name: 'openai', transcribe };
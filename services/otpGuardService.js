@@ -0,0 +1,228 @@
+const OtpGuard = require('../models/OtpGuard');
+
+const WINDOW_MS = 60 * 60 * 1000;              // Requests are counted over the last hour
+const MAX_REQUESTS_PER_PHONE = 5;              // OTP sends per phone per window
+const MAX_PHONES_PER_IP = 5;                   // Distinct numbers one IP may request per window
+const SEQUENTIAL_RUN_LENGTH = 3;               // This many near-consecutive numbers from one IP = pumping
+const SEQUENTIAL_GAP = 10;                     // Max numeric gap between "sequential" numbers
+const MAX_FAILED_VERIFICATIONS = 5;            // Wrong codes before a lockout
+const BASE_LOCKOUT_MS = 60 * 1000;             // First lockout: 1 minute, doubled each time
+const MAX_LOCKOUT_MS = 24 * 60 * 60 * 1000;    // Lockouts never exceed 24 hours
+const PUMPING_BLOCK_MS = 24 * 60 * 60 * 1000;  // IPs caught SMS pumping are blocked for a day
+const MAX_TRACKED_REQUESTS = 50;               // Request history kept per guard (older entries are dropped)
+
+const isDuplicateKeyError = (error) => error && error.code === 11000;
+
+const retryAfterSeconds = (guard) => Math.max(1, Math.ceil((guard.blockedUntil - Date.now()) / 1000));
+
+const blockedResult = (guard, message) => ({
+  allowed: false,
+  message,
+  reason: guard.blockReason,
+  retryAfter: retryAfterSeconds(guard)
+});
+
+const recentRequests = (guard) => {
+  const cutoff = Date.now() - WINDOW_MS;
+  return guard.requests.filter(r => r.at.getTime() > cutoff);
+};
+
+/**
+ * ✅ Atomically record an OTP request on a phone/IP guard, creating the guard if needed
+ * - Blocked guards are returned as they are, without counting the request
+ */
+const recordRequest = async (kind, key, entry) => {
+  const now = new Date();
+  const filter = { kind, key, $or: [{ blockedUntil: null }, { blockedUntil: { $lte: now } }] };
+  const update = { $push: { requests: { $each: [entry], $slice: -MAX_TRACKED_REQUESTS } } };
+
+  try {
+    return await OtpGuard.findOneAndUpdate(filter, update, { upsert: true, new: true });
+  } catch (error) {
+    if (!isDuplicateKeyError(error)) throw error;
+
+    // The filter missed an existing guard: either it is blocked, or a concurrent request created it first
+    const guard = await OtpGuard.findOne({ kind, key });
+    if (guard && guard.isBlocked()) return guard;
+    return OtpGuard.findOneAndUpdate(filter, update, { new: true });
+  }
+};
+
+/**
+ * ✅ Block a guard for a while
+ * - `filter` narrows which state the block applies to, `update` is merged into the same write
+ * @returns the blocked guard, or null if the filter no longer matched
+ */
+const block = async (guard, durationMs, reason, { filter = {}, update = {} } = {}) => {
+  const blocked = await OtpGuard.findOneAndUpdate(
+    { _id: guard._id, ...filter },
+    {
+      ...update,
+      $set: {
+        ...update.$set,
+        blockedUntil: new Date(Date.now() + durationMs),
+        blockReason: reason,
+        lastBlockedAt: new Date()
+      }
+    },
+    { new: true }
+  );
+  if (blocked) console.warn(`🚫 OTP ${guard.kind} ${guard.key} blocked for ${Math.round(durationMs / 1000)}s (${reason})`);
+  return blocked;
+};
+
+/**
+ * ✅ Detect runs of near-consecutive phone numbers (e.g. +15550001, +15550002, +15550003)
+ */
+const hasSequentialRun = (phones) => {
+  const numbers = [...new Set(phones)]
+    .map(phone => phone.replace(/\D/g, ''))
+    .filter(Boolean)
+    .map(digits => ({ length: digits.length, value: BigInt(digits) }))
+    .sort((a, b) => (a.length - b.length) || (a.value < b.value ? -1 : a.value > b.value ? 1 : 0));
+
+  let run = 1;
+  for (let i = 1; i < numbers.length; i++) {
+    const prev = numbers[i - 1];
+    const curr = numbers[i];
+    const gap = curr.value - prev.value;
+    if (curr.length === prev.length && gap > 0n && gap <= BigInt(SEQUENTIAL_GAP)) {
+      run += 1;
+      if (run >= SEQUENTIAL_RUN_LENGTH) return true;
+    } else {
+      run = 1;
+    }
+  }
+  return false;
+};
+
+/**
+ * ✅ Check & record an OTP request
+ * - Enforces the per-phone send limit
+ * - Blocks IPs that request many different or sequential numbers (SMS pumping)
+ * @returns {{ allowed: boolean, message?: string, retryAfter?: number }}
+ */
+const checkOtpRequest = async (phone, ip) => {
+  const now = new Date();
+
+  const ipGuard = await recordRequest('ip', ip, { at: now, phone });
+  if (ipGuard.isBlocked()) {
+    return blockedResult(ipGuard, 'Too many OTP requests from this network. Please try again later.');
+  }
+
+  const phonesFromIp = recentRequests(ipGuard).map(r => r.phone);
+  const distinctPhones = new Set(phonesFromIp).size;
+
+  if (distinctPhones > MAX_PHONES_PER_IP || hasSequentialRun(phonesFromIp)) {
+    const blocked = await block(ipGuard, PUMPING_BLOCK_MS, 'sms_pumping');
+    return blockedResult(blocked, 'Too many OTP requests from this network. Please try again later.');
+  }
+
+  const phoneGuard = await recordRequest('phone', phone, { at: now });
+  if (phoneGuard.isBlocked()) {
+    return blockedResult(phoneGuard, 'Too many OTP requests for this number. Please try again later.');
+  }
+
+  // The request just recorded is included, so going over the limit means this one is refused
+  const phoneRequests = recentRequests(phoneGuard);
+  if (phoneRequests.length > MAX_REQUESTS_PER_PHONE) {
+    const oldest = phoneRequests[0].at.getTime();
+    const blocked = await block(phoneGuard, oldest + WINDOW_MS - Date.now(), 'request_limit');
+    return blockedResult(blocked, 'Too many OTP requests for this number. Please try again later.');
+  }
+
+  return { allowed: true };
+};
+
+/**
+ * ✅ Check whether a phone/IP may attempt verification right now
+ */
+const checkOtpVerify = async (phone, ip) => {
+  const [phoneGuard, ipGuard] = await Promise.all([
+    OtpGuard.findOne({ kind: 'phone', key: phone }),
+    OtpGuard.findOne({ kind: 'ip', key: ip })
+  ]);
+
+  if (ipGuard && ipGuard.isBlocked()) {
+    return blockedResult(ipGuard, 'Too many attempts from this network. Please try again later.');
+  }
+  if (phoneGuard && phoneGuard.isBlocked()) {
+    return blockedResult(phoneGuard, 'Too many failed attempts. Please try again later.');
+  }
+  return { allowed: true };
+};
+
+/**
+ * ✅ Record a wrong code
+ * - Every MAX_FAILED_VERIFICATIONS failures locks the phone out, doubling the lockout each time
+ */
+const recordFailedVerification = async (phone) => {
+  let guard;
+  try {
+    guard = await OtpGuard.findOneAndUpdate(
+      { kind: 'phone', key: phone },
+      { $inc: { failedVerifications: 1 } },
+      { upsert: true, new: true }
+    );
+  } catch (error) {
+    if (!isDuplicateKeyError(error)) throw error;
+    // A concurrent wrong guess created the guard first; the update now matches it
+    guard = await OtpGuard.findOneAndUpdate({ kind: 'phone', key: phone }, { $inc: { failedVerifications: 1 } }, { new: true });
+  }
+
+  if (guard.failedVerifications >= MAX_FAILED_VERIFICATIONS) {
+    // Only the request that still sees this lockout level applies the lockout; concurrent ones read its result
+    const duration = Math.min(BASE_LOCKOUT_MS * 2 ** guard.lockoutLevel, MAX_LOCKOUT_MS);
+    const lockedOut = await block(guard, duration, 'failed_verifications', {
+      filter: { lockoutLevel: guard.lockoutLevel },
+      update: { $set: { failedVerifications: 0 }, $inc: { lockoutLevel: 1 } }
+    });
+    guard = lockedOut || await OtpGuard.findById(guard._id);
+  }
+
+  return guard.isBlocked() ? blockedResult(guard, 'Too many failed attempts. Please try again later.') : { allowed: true };
+};
+
+/**
+ * ✅ Reset failure tracking after a successful login
+ */
+const recordSuccessfulVerification = async (phone) => {
+  await OtpGuard.updateOne(
+    { kind: 'phone', key: phone },
+    { $set: { failedVerifications: 0, lockoutLevel: 0 } }
+  );
+};
+
+/**
+ * ✅ List phones and IPs that are currently blocked
+ */
+const getActiveBlocks = async (kind = null) => {
+  const query = { blockedUntil: { $gt: new Date() } };
+  if (kind) query.kind = kind;
+
+  return OtpGuard.find(query)
+    .select('kind key blockReason blockedUntil lastBlockedAt lockoutLevel failedVerifications requests')
+    .sort({ lastBlockedAt: -1 })
+    .lean();
+};
+
+/**
+ * ✅ Lift a block (and reset its counters)
+ */
+const clearBlock = async (guardId) => {
+  return OtpGuard.findByIdAndUpdate(
+    guardId,
+    { $set: { blockedUntil: null, blockReason: null, failedVerifications: 0, lockoutLevel: 0, requests: [] } },
+    { new: true }
+  );
+};
+
+module.exports = {
+  checkOtpRequest,
+  checkOtpVerify,
+  recordFailedVerification,
+  recordSuccessfulVerification,
+  getActiveBlocks,
+  clearBlock,
+  hasSequentialRun
+};
@@ -0,0 +1,44 @@
+const dotenv = require('dotenv');
+const { createLocalOtpProvider } = require('./localOtpService');
+
+dotenv.config();
+
+/**
+ * OTP provider registry.
+ * A provider is any object with:
+ *   - name: string
+ *   - sendOTP(phone) -> { success, message, statusCode?, retryAfter? }
+ *   - verifyOTP(phone, code) -> { success, message }
+ * Select one with OTP_PROVIDER=twilio|local (defaults to twilio, or local when NODE_ENV=test).
+ */
+let activeProvider = null;
+
+const createProvider = (name) => {
+  switch (name) {
+    case 'twilio':
+      return require('./twilioService');
+    case 'local':
+      return createLocalOtpProvider();
+    default:
+      throw new Error(`Unknown OTP provider "${name}"`);
+  }
+};
+
+const getOtpProvider = () => {
+  if (!activeProvider) {
+    const name = process.env.OTP_PROVIDER || (process.env.NODE_ENV === 'test' ? 'local' : 'twilio');
+    activeProvider = createProvider(name);
+    console.log(`✅ OTP provider: ${activeProvider.name}`);
+  }
+  return activeProvider;
+};
+
+// Lets integration tests inject their own provider (e.g. createLocalOtpProvider({ generateCode: () => '123456' }))
+const setOtpProvider = (provider) => {
+  activeProvider = provider;
+};
+
+const sendOTP = (phone) => getOtpProvider().sendOTP(phone);
+const verifyOTP = (phone, code) => getOtpProvider().verifyOTP(phone, code);
+
+module.exports = { getOtpProvider, setOtpProvider, sendOTP, verifyOTP };
@@ -36,6 +36,7 @@ const storeVentEmbedding = async (ventId, text, metadata) => {
         await pineconeIndex.upsert([{ id: ventId.toString(), values: embedding, metadata }]);
     } catch (error) {
         console.error("❌ Error storing vent embedding:", error);
+        throw error;
     }
 };
 
@@ -52,8 +53,20 @@ const findSimilarVents = async (text) => {
         return results.matches;
     } catch (error) {
         console.error("❌ Error querying similar vents:", error);
-        return [];
+        throw error;
     }
 };
 
-module.exports = { storeVentEmbedding, findSimilarVents };
\ No newline at end of file
+// Function to Remove Vents from Pinecone (e.g. on account deletion)
+const deleteVentEmbeddings = async (ventIds) => {
+    if (!ventIds || ventIds.length === 0) return;
+    try {
+        const pineconeIndex = getPineconeIndex();
+        await pineconeIndex.deleteMany(ventIds.map(id => id.toString()));
+    } catch (error) {
+        console.error("❌ Error deleting vent embeddings:", error);
+        throw error;
+    }
+};
+
+module.exports = { storeVentEmbedding, findSimilarVents, deleteVentEmbeddings };
\ No newline at end of file
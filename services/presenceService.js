@@ -0,0 +1,215 @@
+const os = require('os');
+const crypto = require('crypto');
+const User = require('../models/User');
+const { redisClient } = require('../config/redis');
+
+// Presence lives in Redis so every API instance sees every socket:
+// - presence:user:<userId>            hash socketId -> { namespace, connectedAt, instanceId }
+// - presence:appear-offline           set of connected userIds in "appear offline" mode
+// - presence:instance:<id>            heartbeat key, expires if the instance dies
+// - presence:instance:<id>:sockets    set of "<userId> <socketId>" owned by that instance
+// - presence:instances                set of instance ids, swept for dead instances
+const USER_KEY = (userId) => `presence:user:${userId}`;
+const APPEAR_OFFLINE_KEY = 'presence:appear-offline';
+const INSTANCE_KEY = (id) => `presence:instance:${id}`;
+const INSTANCE_SOCKETS_KEY = (id) => `presence:instance:${id}:sockets`;
+const INSTANCES_KEY = 'presence:instances';
+
+const HEARTBEAT_INTERVAL_MS = 10 * 1000;
+const HEARTBEAT_TTL_SECONDS = 30;
+
+const instanceId = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+
+let presenceIo = null;
+let heartbeatTimer = null;
+
+/**
+ * ✅ Personal room every socket of a user joins (in each namespace)
+ * - Emit to this room to reach all of the user's devices, on any instance
+ */
+const userRoom = (userId) => `user:${userId}`;
+
+const broadcast = (event, payload) => {
+  if (presenceIo) presenceIo.emit(event, payload);
+};
+
+/**
+ * ✅ Register a socket for a user
+ * - The first socket (on any namespace, on any instance) brings the user online
+ */
+const addConnection = async (userId, socketId, namespace = '/') => {
+  const key = userId.toString();
+  const entry = JSON.stringify({ namespace, connectedAt: new Date(), instanceId });
+
+  const [, socketCount] = await redisClient.multi()
+    .hSet(USER_KEY(key), socketId, entry)
+    .hLen(USER_KEY(key))
+    .sAdd(INSTANCE_SOCKETS_KEY(instanceId), `${key} ${socketId}`)
+    .exec();
+
+  const cameOnline = Number(socketCount) === 1;
+  if (cameOnline) {
+    const user = await User.findById(key).select('presence.appearOffline').lean();
+    if (user?.presence?.appearOffline) {
+      await redisClient.sAdd(APPEAR_OFFLINE_KEY, key);
+    } else {
+      await redisClient.sRem(APPEAR_OFFLINE_KEY, key);
+      broadcast('userOnline', { userId: key });
+    }
+  }
+  return cameOnline;
+};
+
+/**
+ * ✅ Remove a socket
+ * - The user goes offline (and last seen is saved) only when their last socket disconnects
+ */
+const removeConnection = async (userId, socketId, ownerInstanceId = instanceId) => {
+  const key = userId.toString();
+
+  const [removed, socketCount] = await redisClient.multi()
+    .hDel(USER_KEY(key), socketId)
+    .hLen(USER_KEY(key))
+    .sRem(INSTANCE_SOCKETS_KEY(ownerInstanceId), `${key} ${socketId}`)
+    .exec();
+
+  if (Number(removed) === 0 || Number(socketCount) > 0) return false;
+
+  const [appearOffline] = await redisClient.multi()
+    .sIsMember(APPEAR_OFFLINE_KEY, key)
+    .sRem(APPEAR_OFFLINE_KEY, key)
+    .exec();
+
+  // While appearing offline, last seen stays frozen at the moment the user went invisible
+  if (!appearOffline) {
+    const lastSeenAt = new Date();
+    await User.updateOne({ _id: key }, { $set: { 'presence.lastSeenAt': lastSeenAt } });
+    broadcast('userOffline', { userId: key, lastSeenAt });
+  }
+  return true;
+};
+
+const isConnected = async (userId) => (await redisClient.exists(USER_KEY(userId.toString()))) === 1;
+
+/**
+ * ✅ Whether a connected user is in "appear offline" mode
+ */
+const isAppearingOffline = async (userId) => redisClient.sIsMember(APPEAR_OFFLINE_KEY, userId.toString());
+
+/**
+ * ✅ Sockets currently open for a user, on every instance
+ */
+const getConnections = async (userId) => {
+  const sockets = await redisClient.hGetAll(USER_KEY(userId.toString()));
+  return Object.entries(sockets).map(([socketId, info]) => ({ socketId, ...JSON.parse(info) }));
+};
+
+/**
+ * ✅ Turn "appear offline" on or off
+ * - Others see the user go offline/online immediately
+ */
+const setAppearOffline = async (userId, enabled) => {
+  const key = userId.toString();
+  const update = { 'presence.appearOffline': enabled };
+  const online = await isConnected(key);
+
+  // Going invisible while connected: freeze last seen at this moment
+  if (enabled && online) update['presence.lastSeenAt'] = new Date();
+
+  const user = await User.findByIdAndUpdate(key, { $set: update }, { new: true }).select('presence').lean();
+  if (!user) return null;
+
+  if (online) {
+    const changed = enabled
+      ? await redisClient.sAdd(APPEAR_OFFLINE_KEY, key)
+      : await redisClient.sRem(APPEAR_OFFLINE_KEY, key);
+
+    if (changed && enabled) {
+      broadcast('userOffline', { userId: key, lastSeenAt: user.presence.lastSeenAt });
+    } else if (changed) {
+      broadcast('userOnline', { userId: key });
+    }
+  }
+  return user.presence;
+};
+
+/**
+ * ✅ Presence of several users as others see it
+ * - Users appearing offline are reported offline with their frozen last seen
+ */
+const getPresence = async (userIds) => {
+  const ids = [...new Set(userIds.map(id => id.toString()))];
+  if (ids.length === 0) return [];
+
+  const users = await User.find({ _id: { $in: ids } }).select('presence').lean();
+  const connected = await Promise.all(users.map(user => isConnected(user._id)));
+
+  return users.map((user, index) => {
+    const key = user._id.toString();
+    const appearOffline = !!user.presence?.appearOffline;
+    const online = connected[index] && !appearOffline;
+
+    return {
+      userId: key,
+      online,
+      lastSeenAt: online ? null : (user.presence?.lastSeenAt || null)
+    };
+  });
+};
+
+/**
+ * ✅ Drop sockets registered by instances that stopped heartbeating (crashed or killed)
+ */
+const sweepDeadInstances = async () => {
+  const instances = await redisClient.sMembers(INSTANCES_KEY);
+
+  for (const id of instances) {
+    if (id === instanceId || (await redisClient.exists(INSTANCE_KEY(id)))) continue;
+
+    const sockets = await redisClient.sMembers(INSTANCE_SOCKETS_KEY(id));
+    for (const member of sockets) {
+      const [userId, socketId] = member.split(' ');
+      await removeConnection(userId, socketId, id);
+    }
+    await redisClient.multi().del(INSTANCE_SOCKETS_KEY(id)).sRem(INSTANCES_KEY, id).exec();
+    console.warn(`🧹 Cleared ${sockets.length} stale presence entries from instance ${id}`);
+  }
+};
+
+const heartbeat = async () => {
+  try {
+    await redisClient.multi()
+      .set(INSTANCE_KEY(instanceId), Date.now().toString(), { EX: HEARTBEAT_TTL_SECONDS })
+      .sAdd(INSTANCES_KEY, instanceId)
+      .exec();
+    await sweepDeadInstances();
+  } catch (error) {
+    console.error('❌ Error in presence heartbeat:', error);
+  }
+};
+
+/**
+ * ✅ Start presence tracking for this instance
+ * - Gives the service the Socket.io server so it can broadcast presence changes
+ *   (with the Redis adapter, broadcasts reach sockets on every instance)
+ */
+const attachPresence = async (io) => {
+  presenceIo = io;
+  await heartbeat();
+  if (!heartbeatTimer) {
+    heartbeatTimer = setInterval(heartbeat, HEARTBEAT_INTERVAL_MS);
+    heartbeatTimer.unref();
+  }
+};
+
+module.exports = {
+  userRoom,
+  attachPresence,
+  addConnection,
+  removeConnection,
+  isConnected,
+  isAppearingOffline,
+  getConnections,
+  setAppearOffline,
+  getPresence
+};
@@ -0,0 +1,110 @@
+const User = require('../models/User');
+const Match = require('../models/Match');
+
+// Fields anyone can see. Use this for every populate/select that shows another user.
+const PUBLIC_USER_FIELDS = 'username profilePic';
+
+// Fields needed to build a full public profile (filtered by the owner's visibility settings)
+const PROFILE_SOURCE_FIELDS = 'username profilePic bio interests likes dislikes journalStats circleStats joinedAt profileVisibility';
+
+const VISIBILITY_LEVELS = ['everyone', 'matches', 'nobody'];
+const PROFILE_SECTIONS = ['bio', 'interests', 'likesDislikes', 'activityStats'];
+
+const canSee = (level, { isSelf, isMatch }) => {
+  if (isSelf) return true;
+  if (level === 'everyone') return true;
+  if (level === 'matches') return isMatch;
+  return false;
+};
+
+/**
+ * ✅ Project a user document to what the viewer is allowed to see
+ * @param {Object} user - User doc/object selected with PROFILE_SOURCE_FIELDS
+ * @param {Object} relation - { isSelf, isMatch } relative to the viewer
+ */
+const toPublicProfile = (user, relation = {}) => {
+  if (!user) return null;
+  const visibility = user.profileVisibility || {};
+  const viewer = { isSelf: !!relation.isSelf, isMatch: !!relation.isMatch };
+
+  const profile = {
+    _id: user._id,
+    username: user.username,
+    profilePic: user.profilePic
+  };
+
+  if (canSee(visibility.bio, viewer)) {
+    profile.bio = user.bio;
+  }
+  if (canSee(visibility.interests, viewer)) {
+    profile.interests = user.interests;
+  }
+  if (canSee(visibility.likesDislikes, viewer)) {
+    profile.likes = user.likes;
+    profile.dislikes = user.dislikes;
+  }
+  if (canSee(visibility.activityStats, viewer)) {
+    profile.activityStats = {
+      journalEntries: user.journalStats?.totalEntries || 0,
+      lastJournalEntry: user.journalStats?.lastEntryDate || null,
+      circlesJoined: user.circleStats?.joinedCount || 0,
+      circleMessages: user.circleStats?.messagesSent || 0,
+      joinedAt: user.joinedAt
+    };
+  }
+
+  return profile;
+};
+
+/**
+ * ✅ Ids of users the viewer has an accepted match with
+ */
+const getMatchedUserIds = async (viewerId, candidateIds = null) => {
+  if (!viewerId) return new Set();
+
+  const query = { $or: [{ user1: viewerId }, { user2: viewerId }], status: 'accepted' };
+  if (candidateIds) {
+    query.$or = [
+      { user1: viewerId, user2: { $in: candidateIds } },
+      { user2: viewerId, user1: { $in: candidateIds } }
+    ];
+  }
+
+  const matches = await Match.find(query).select('user1 user2').lean();
+  return new Set(matches.map(m => (m.user1.toString() === viewerId.toString() ? m.user2 : m.user1).toString()));
+};
+
+/**
+ * ✅ Project many user objects for one viewer (one match lookup for the whole batch)
+ */
+const toPublicProfiles = async (users, viewerId) => {
+  const present = users.filter(Boolean);
+  const matchedIds = await getMatchedUserIds(viewerId, present.map(u => u._id));
+
+  return users.map(user => user && toPublicProfile(user, {
+    isSelf: viewerId && user._id.toString() === viewerId.toString(),
+    isMatch: matchedIds.has(user._id.toString())
+  }));
+};
+
+/**
+ * ✅ Load one user's profile as seen by the viewer
+ */
+const getPublicProfile = async (userId, viewerId) => {
+  const user = await User.findById(userId).select(PROFILE_SOURCE_FIELDS).lean();
+  if (!user) return null;
+
+  const [profile] = await toPublicProfiles([user], viewerId);
+  return profile;
+};
+
+module.exports = {
+  PUBLIC_USER_FIELDS,
+  PROFILE_SOURCE_FIELDS,
+  VISIBILITY_LEVELS,
+  PROFILE_SECTIONS,
+  toPublicProfile,
+  toPublicProfiles,
+  getPublicProfile,
+  getMatchedUserIds
+};
@@ -0,0 +1,160 @@
+const { redisClient } = require('../config/redis');
+
+// Per queue:
+// - jobs:<queue>:waiting        list of job ids ready to run
+// - jobs:<queue>:active         list of job ids claimed by a worker
+// - jobs:<queue>:delayed        sorted set of job ids waiting for a retry, scored by when to run
+// - jobs:<queue>:job:<jobId>    hash { payload, attempts, lockedUntil } (exists while the job is queued)
+// - jobs:<queue>:failed         list of jobs that ran out of attempts (newest first, capped)
+const WAITING_KEY = (queue) => `jobs:${queue}:waiting`;
+const ACTIVE_KEY = (queue) => `jobs:${queue}:active`;
+const DELAYED_KEY = (queue) => `jobs:${queue}:delayed`;
+const JOB_KEY = (queue, jobId) => `jobs:${queue}:job:${jobId}`;
+const FAILED_KEY = (queue) => `jobs:${queue}:failed`;
+
+const DEFAULTS = {
+  pollIntervalMs: 1000,  // Idle wait when there is nothing to run
+  lockMs: 5 * 60 * 1000, // A claimed job goes back to `waiting` if its worker stops renewing the lock
+  maxFailedJobs: 1000
+};
+
+const sleep = (ms) => new Promise(resolve => {
+  const timer = setTimeout(resolve, ms);
+  timer.unref();
+});
+
+/**
+ * ✅ Durable job queue on Redis
+ * - Same interface as the in-memory queue: enqueue(queue, jobId, payload) / process(queue, handler, options) / close()
+ * - Queued jobs survive restarts; jobs held by a crashed worker are picked up again once their lock expires
+ * - A job id that is already queued is not queued twice
+ * @param {Object} options - Overrides for DEFAULTS, plus optional `client` (defaults to the shared Redis client)
+ */
+const createRedisJobQueue = (options = {}) => {
+  const config = { ...DEFAULTS, ...options };
+  const client = config.client || redisClient;
+  let closed = false;
+
+  const enqueue = async (queue, jobId, payload) => {
+    const created = await client.hSetNX(JOB_KEY(queue, jobId), 'payload', JSON.stringify(payload));
+    if (!created) return { jobId, duplicate: true };
+
+    await client.multi()
+      .hSet(JOB_KEY(queue, jobId), 'attempts', 0)
+      .lPush(WAITING_KEY(queue), jobId)
+      .exec();
+    return { jobId, duplicate: false };
+  };
+
+  // Retries whose delay is over become runnable again
+  const promoteDelayed = async (queue) => {
+    const due = await client.zRangeByScore(DELAYED_KEY(queue), 0, Date.now());
+    for (const jobId of due) {
+      if (await client.zRem(DELAYED_KEY(queue), jobId)) await client.lPush(WAITING_KEY(queue), jobId);
+    }
+  };
+
+  // Claimed jobs whose worker died (lock expired) go back to `waiting`
+  const requeueStalled = async (queue) => {
+    const activeIds = await client.lRange(ACTIVE_KEY(queue), 0, -1);
+    const now = Date.now();
+
+    for (const jobId of activeIds) {
+      const lockedUntil = await client.hGet(JOB_KEY(queue, jobId), 'lockedUntil');
+      if (!lockedUntil) {
+        // Claimed but not locked yet (or the worker crashed in between): give it one lock period
+        await client.hSetNX(JOB_KEY(queue, jobId), 'lockedUntil', String(now + config.lockMs));
+        continue;
+      }
+      if (Number(lockedUntil) < now && await client.lRem(ACTIVE_KEY(queue), 1, jobId)) {
+        await client.hDel(JOB_KEY(queue, jobId), 'lockedUntil');
+        await client.lPush(WAITING_KEY(queue), jobId);
+        console.warn(`🧹 Requeued stalled job ${queue}:${jobId}`);
+      }
+    }
+  };
+
+  const fail = async (queue, jobId, payload, attempts, error, workerOptions) => {
+    await client.multi()
+      .lRem(ACTIVE_KEY(queue), 1, jobId)
+      .del(JOB_KEY(queue, jobId))
+      .lPush(FAILED_KEY(queue), JSON.stringify({ jobId, payload, attempts, error: error.message, failedAt: new Date() }))
+      .lTrim(FAILED_KEY(queue), 0, config.maxFailedJobs - 1)
+      .exec();
+
+    console.error(`❌ Job ${queue}:${jobId} failed after ${attempts} attempts:`, error);
+    if (workerOptions.onFailed) await workerOptions.onFailed(payload, error, { jobId, attempts });
+  };
+
+  /**
+   * Claim and run one job
+   * @returns {boolean} false when the queue was empty
+   */
+  const runNext = async (queue, handler, workerOptions) => {
+    const jobId = await client.lMove(WAITING_KEY(queue), ACTIVE_KEY(queue), 'RIGHT', 'LEFT');
+    if (!jobId) return false;
+
+    const jobKey = JOB_KEY(queue, jobId);
+    await client.hSet(jobKey, 'lockedUntil', String(Date.now() + config.lockMs));
+    const attempts = await client.hIncrBy(jobKey, 'attempts', 1);
+    const rawPayload = await client.hGet(jobKey, 'payload');
+    if (!rawPayload) {
+      await client.lRem(ACTIVE_KEY(queue), 1, jobId);
+      return true;
+    }
+    const payload = JSON.parse(rawPayload);
+
+    // Keep the lock while the handler runs
+    const renewTimer = setInterval(() => {
+      client.hSet(jobKey, 'lockedUntil', String(Date.now() + config.lockMs)).catch(() => {});
+    }, config.lockMs / 2);
+    renewTimer.unref();
+
+    try {
+      await handler(payload, { jobId, attempt: attempts });
+      await client.multi().lRem(ACTIVE_KEY(queue), 1, jobId).del(jobKey).exec();
+    } catch (error) {
+      if (attempts >= workerOptions.maxAttempts) {
+        await fail(queue, jobId, payload, attempts, error, workerOptions);
+      } else {
+        await client.multi()
+          .lRem(ACTIVE_KEY(queue), 1, jobId)
+          .hDel(jobKey, 'lockedUntil')
+          .zAdd(DELAYED_KEY(queue), { score: Date.now() + workerOptions.retryDelayMs(attempts), value: jobId })
+          .exec();
+        console.warn(`⚠️ Job ${queue}:${jobId} failed (attempt ${attempts}), retrying:`, error.message);
+      }
+    } finally {
+      clearInterval(renewTimer);
+    }
+    return true;
+  };
+
+  const process = (queue, handler, workerOptions) => {
+    const loop = async () => {
+      let idleTicks = 0;
+      while (!closed) {
+        try {
+          await promoteDelayed(queue);
+          if (idleTicks % 30 === 0) await requeueStalled(queue);
+
+          const worked = await runNext(queue, handler, workerOptions);
+          idleTicks = worked ? 0 : idleTicks + 1;
+          if (!worked) await sleep(config.pollIntervalMs);
+        } catch (error) {
+          console.error(`❌ Error in job worker for ${queue}:`, error);
+          await sleep(config.pollIntervalMs);
+        }
+      }
+    };
+    loop();
+  };
+
+  const close = async () => {
+    closed = true;
+  };
+
+  return { name: 'redis', enqueue, process, close };
+};
+
+module.exports = { createRedisJobQueue };
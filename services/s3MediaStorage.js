@@ -0,0 +1,44 @@
+const { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand } = require('@aws-sdk/client-s3');
+
+/**
+ * ✅ Media storage in an S3-compatible bucket (AWS S3, MinIO, R2, ...)
+ * - Configured with S3_BUCKET, S3_REGION and, for non-AWS services, S3_ENDPOINT
+ *   (path-style addressing is used whenever an endpoint is set)
+ * - Credentials come from S3_ACCESS_KEY_ID / S3_SECRET_ACCESS_KEY, or the default AWS chain
+ */
+const createS3MediaStorage = (options = {}) => {
+  const bucket = options.bucket || process.env.S3_BUCKET;
+  if (!bucket) throw new Error('S3_BUCKET is required for the s3 media storage');
+
+  const endpoint = options.endpoint || process.env.S3_ENDPOINT;
+  const client = options.client || new S3Client({
+    region: options.region || process.env.S3_REGION || 'us-east-1',
+    endpoint,
+    forcePathStyle: !!endpoint,
+    credentials: process.env.S3_ACCESS_KEY_ID
+      ? { accessKeyId: process.env.S3_ACCESS_KEY_ID, secretAccessKey: process.env.S3_SECRET_ACCESS_KEY }
+      : undefined
+  });
+
+  const putObject = async (key, buffer, contentType) => {
+    await client.send(new PutObjectCommand({ Bucket: bucket, Key: key, Body: buffer, ContentType: contentType }));
+  };
+
+  const getObjectStream = async (key) => {
+    try {
+      const object = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+      return object.Body;
+    } catch (error) {
+      if (error.name === 'NoSuchKey') return null;
+      throw error;
+    }
+  };
+
+  const deleteObject = async (key) => {
+    await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+  };
+
+  return { name: 's3', bucket, putObject, getObjectStream, deleteObject };
+};
+
+module.exports = { createS3MediaStorage };
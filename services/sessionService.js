@@ -0,0 +1,168 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const User = require('../models/User');
+require('dotenv').config();
+
+const ACCESS_TOKEN_TTL = '15m';
+const REFRESH_TOKEN_TTL_MS = 30 * 24 * 60 * 60 * 1000; // 30 days
+const MAX_PREVIOUS_HASHES = 20;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Refresh tokens are "<sessionId>.<secret>" so the session can be found without a hash scan
+const generateRefreshToken = (sessionId) => `${sessionId}.${crypto.randomBytes(48).toString('hex')}`;
+
+/**
+ * ✅ Sign a short-lived access token bound to a session
+ */
+const generateAccessToken = (user, sessionId) => {
+    return jwt.sign(
+        { userId: user._id, phone: user.phone, sid: sessionId.toString() },
+        process.env.JWT_SECRET,
+        { expiresIn: ACCESS_TOKEN_TTL }
+    );
+};
+
+/**
+ * ✅ Create a new session for a device after a successful login
+ */
+const createSession = async (user, { deviceName, userAgent, ipAddress } = {}) => {
+    const session = new Session({
+        userId: user._id,
+        refreshTokenHash: 'pending',
+        deviceName: deviceName || 'Unknown device',
+        userAgent: userAgent || '',
+        ipAddress: ipAddress || '',
+        expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS)
+    });
+
+    const refreshToken = generateRefreshToken(session._id);
+    session.refreshTokenHash = hashToken(refreshToken);
+    await session.save();
+
+    return {
+        session,
+        accessToken: generateAccessToken(user, session._id),
+        refreshToken
+    };
+};
+
+/**
+ * ✅ Exchange a refresh token for a new access/refresh pair
+ * - Every refresh rotates the refresh token, as a single compare-and-set on the current hash,
+ *   so two requests with the same token can never both succeed
+ * - Presenting an already-rotated token revokes the whole session (reuse detection)
+ */
+const rotateSession = async (refreshToken, { userAgent, ipAddress } = {}) => {
+    const [sessionId] = (refreshToken || '').split('.');
+    if (!sessionId || !/^[a-f0-9]{24}$/i.test(sessionId)) {
+        return { success: false, message: 'Invalid refresh token' };
+    }
+
+    const presentedHash = hashToken(refreshToken);
+    const newRefreshToken = generateRefreshToken(sessionId);
+    const now = new Date();
+
+    const update = {
+        refreshTokenHash: hashToken(newRefreshToken),
+        lastUsedAt: now,
+        expiresAt: new Date(now.getTime() + REFRESH_TOKEN_TTL_MS)
+    };
+    if (userAgent) update.userAgent = userAgent;
+    if (ipAddress) update.ipAddress = ipAddress;
+
+    const session = await Session.findOneAndUpdate(
+        { _id: sessionId, refreshTokenHash: presentedHash, revokedAt: null, expiresAt: { $gt: now } },
+        {
+            $set: update,
+            $push: { previousTokenHashes: { $each: [presentedHash], $slice: -MAX_PREVIOUS_HASHES } }
+        },
+        { new: true }
+    );
+
+    if (!session) {
+        // Not rotated: find out why (unknown token, reuse of a rotated-out one, or a dead session)
+        const existing = await Session.findById(sessionId).select('refreshTokenHash previousTokenHashes revokedAt');
+        if (!existing) return { success: false, message: 'Invalid refresh token' };
+
+        if (existing.previousTokenHashes.includes(presentedHash)) {
+            // 🚨 A rotated-out token came back (stolen, or raced a concurrent refresh): kill the session
+            await Session.updateOne(
+                { _id: existing._id, revokedAt: null },
+                { $set: { revokedAt: new Date(), revokedReason: 'token_reuse' } }
+            );
+            console.warn(`🚨 Refresh token reuse detected for session ${existing._id}, session revoked`);
+            return { success: false, message: 'Refresh token reuse detected. Please log in again.' };
+        }
+
+        if (existing.refreshTokenHash !== presentedHash) {
+            return { success: false, message: 'Invalid refresh token' };
+        }
+
+        return { success: false, message: 'Session expired or revoked' };
+    }
+
+    const user = await User.findById(session.userId).select('phone');
+    if (!user) return { success: false, message: 'User not found' };
+
+    return {
+        success: true,
+        session,
+        accessToken: generateAccessToken(user, session._id),
+        refreshToken: newRefreshToken
+    };
+};
+
+/**
+ * ✅ Look up the session an access token belongs to
+ * - Returns null if the session is missing, revoked or expired
+ */
+const getActiveSession = async (sessionId) => {
+    if (!sessionId) return null;
+    const session = await Session.findById(sessionId);
+    if (!session || !session.isActive()) return null;
+    return session;
+};
+
+/**
+ * ✅ Revoke a single session owned by a user
+ */
+const revokeSession = async (userId, sessionId, reason = 'revoked') => {
+    const result = await Session.updateOne(
+        { _id: sessionId, userId, revokedAt: null },
+        { $set: { revokedAt: new Date(), revokedReason: reason } }
+    );
+    return result.modifiedCount > 0;
+};
+
+/**
+ * ✅ Revoke every active session for a user
+ */
+const revokeAllSessions = async (userId, reason = 'logout_all') => {
+    const result = await Session.updateMany(
+        { userId, revokedAt: null },
+        { $set: { revokedAt: new Date(), revokedReason: reason } }
+    );
+    return result.modifiedCount;
+};
+
+/**
+ * ✅ List the active sessions (devices) of a user
+ */
+const listActiveSessions = async (userId) => {
+    return Session.find({ userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+        .select('deviceName userAgent ipAddress lastUsedAt expiresAt createdAt')
+        .sort({ lastUsedAt: -1 })
+        .lean();
+};
+
+module.exports = {
+    generateAccessToken,
+    createSession,
+    rotateSession,
+    getActiveSession,
+    revokeSession,
+    revokeAllSessions,
+    listActiveSessions
+};
@@ -0,0 +1,23 @@
+/**
+ * ✅ Offline transcriber for local development and tests
+ * - Same interface as the OpenAI transcriber: transcribe({ buffer, contentType, durationMs })
+ * - Returns a fixed (or generated) transcript without calling any external service
+ * @param {Object} options - `transcript` string or function ({ buffer, contentType, durationMs }) => string,
+ *   and `language` (defaults to 'en')
+ */
+const createStubTranscriber = (options = {}) => {
+  const transcript = options.transcript
+    || (({ durationMs }) => `[voice note, ${Math.round((durationMs || 0) / 1000)}s]`);
+  const language = options.language || 'en';
+  const calls = []; // { contentType, size, durationMs } - lets tests assert what was transcribed
+
+  const transcribe = async (input) => {
+    calls.push({ contentType: input.contentType, size: input.buffer.length, durationMs: input.durationMs });
+    const text = typeof transcript === 'function' ? transcript(input) : transcript;
+    return { text, language };
+  };
+
+  return { name: 'stub', transcribe, calls };
+};
+
+module.exports = { createStubTranscriber };
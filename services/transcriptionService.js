@@ -0,0 +1,90 @@
+const dotenv = require('dotenv');
+const Media = require('../models/Media');
+const { getStorageFor } = require('./mediaStorageService');
+const { createStubTranscriber } = require('./stubTranscriber');
+
+dotenv.config();
+
+/**
+ * Transcription provider registry (voice notes).
+ * A provider is any object with:
+ *   - name: string
+ *   - transcribe({ buffer, contentType, filename, durationMs }) -> { text, language }
+ * Select one with TRANSCRIPTION_PROVIDER=openai|stub|none
+ * (defaults to stub when NODE_ENV=test, none otherwise - transcription is opt-in).
+ */
+let activeProvider;
+
+const createProvider = (name) => {
+  switch (name) {
+    case 'openai':
+      return require('./openaiTranscriber');
+    case 'stub':
+      return createStubTranscriber();
+    case 'none':
+      return null;
+    default:
+      throw new Error(`Unknown transcription provider "${name}"`);
+  }
+};
+
+const getTranscriber = () => {
+  if (activeProvider === undefined) {
+    const name = process.env.TRANSCRIPTION_PROVIDER || (process.env.NODE_ENV === 'test' ? 'stub' : 'none');
+    activeProvider = createProvider(name);
+    console.log(`✅ Transcription provider: ${activeProvider ? activeProvider.name : 'none'}`);
+  }
+  return activeProvider;
+};
+
+// Lets integration tests inject their own provider (e.g. createStubTranscriber({ transcript: 'hello' })), or null to disable
+const setTranscriber = (provider) => {
+  activeProvider = provider;
+};
+
+const streamToBuffer = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(Buffer.from(chunk));
+  return Buffer.concat(chunks);
+};
+
+/**
+ * ✅ Transcribe a voice note and store the transcript on the media
+ * - Does nothing when no provider is configured or the media is not audio
+ * - Already transcribed media are not sent to the provider again
+ * @returns {string|null} the transcript text
+ */
+const transcribeMedia = async (mediaId) => {
+  const media = await Media.findById(mediaId);
+  if (!media || media.kind !== 'audio') return null;
+  if (media.transcript?.status === 'completed') return media.transcript.text;
+
+  const provider = getTranscriber();
+  if (!provider) return null;
+
+  media.transcript = { status: 'pending', provider: provider.name };
+  await media.save();
+
+  try {
+    const stream = await getStorageFor(media).getObjectStream(media.original.key);
+    if (!stream) throw new Error(`Stored audio for media ${media._id} not found`);
+
+    const { text, language } = await provider.transcribe({
+      buffer: await streamToBuffer(stream),
+      contentType: media.original.contentType,
+      filename: media.original.key.split('/').pop(),
+      durationMs: media.audio?.durationMs || null
+    });
+
+    media.transcript = { status: 'completed', text, language, provider: provider.name, completedAt: new Date() };
+    await media.save();
+    return text;
+  } catch (error) {
+    console.error(`❌ Error transcribing voice note ${media._id}:`, error);
+    media.transcript = { status: 'failed', provider: provider.name };
+    await media.save();
+    return null;
+  }
+};
+
+module.exports = { getTranscriber, setTranscriber, transcribeMedia };
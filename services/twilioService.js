@@ -3,11 +3,18 @@ const dotenv = require('dotenv');
 
 dotenv.config();
 
-const client = twilio(process.env.TWILIO_ACCOUNT_SID, process.env.TWILIO_AUTH_TOKEN);
+// Created on first use so the app can boot without Twilio credentials when another OTP provider is configured
+let client = null;
+const getClient = () => {
+  if (!client) {
+    client = twilio(process.env.TWILIO_ACCOUNT_SID, process.env.TWILIO_AUTH_TOKEN);
+  }
+  return client;
+};
 
 const sendOTP = async (phoneNumber) => {
   try {
-    const verification = await client.verify.v2.services(process.env.TWILIO_VERIFY_SERVICE_SID)
+    const verification = await getClient().verify.v2.services(process.env.TWILIO_VERIFY_SERVICE_SID)
       .verifications.create({ to: phoneNumber, channel: 'sms' });
 
     return { success: true, message: 'OTP Sent', verification };
@@ -19,7 +26,7 @@ const sendOTP = async (phoneNumber) => {
 
 const verifyOTP = async (phoneNumber, code) => {
   try {
-    const verificationCheck = await client.verify.v2.services(process.env.TWILIO_VERIFY_SERVICE_SID)
+    const verificationCheck = await getClient().verify.v2.services(process.env.TWILIO_VERIFY_SERVICE_SID)
       .verificationChecks.create({ to: phoneNumber, code });
 
     if (verificationCheck.status === 'approved') {
@@ -33,4 +40,4 @@ const verifyOTP = async (phoneNumber, code) => {
   }
 };
 
-module.exports = { sendOTP, verifyOTP };
+module.exports = { name: 'twilio', sendOTP, verifyOTP };
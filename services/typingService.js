@@ -0,0 +1,42 @@
+const { redisClient } = require('../config/redis');
+
+// Who is typing where, shared by every instance:
+// typing:<scope> is a sorted set of userIds scored by when their typing indicator expires
+const TYPING_KEY = (scope) => `typing:${scope}`;
+
+// Clients re-send "typing" while the user keeps typing; a silent client drops off after this
+const TYPING_TTL_MS = 6 * 1000;
+
+/**
+ * ✅ Mark a user as typing in a scope (e.g. `circle:<circleId>`)
+ */
+const startTyping = async (scope, userId) => {
+  const key = TYPING_KEY(scope);
+  await redisClient.multi()
+    .zAdd(key, { score: Date.now() + TYPING_TTL_MS, value: userId.toString() })
+    .pExpire(key, TYPING_TTL_MS)
+    .exec();
+};
+
+/**
+ * ✅ Clear a user's typing indicator
+ */
+const stopTyping = async (scope, userId) => {
+  await redisClient.zRem(TYPING_KEY(scope), userId.toString());
+};
+
+/**
+ * ✅ Users currently typing in a scope (expired entries are dropped)
+ */
+const getTypingUsers = async (scope) => {
+  const key = TYPING_KEY(scope);
+  const now = Date.now();
+
+  const [, userIds] = await redisClient.multi()
+    .zRemRangeByScore(key, '-inf', now)
+    .zRangeByScore(key, now, '+inf')
+    .exec();
+  return userIds;
+};
+
+module.exports = { TYPING_TTL_MS, startTyping, stopTyping, getTypingUsers };
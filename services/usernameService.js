@@ -0,0 +1,151 @@
+const User = require('../models/User');
+const {
+  USERNAME_CHANGE_COOLDOWN_DAYS,
+  USERNAME_HOLD_DAYS,
+  validateUsername
+} = require('../utils/usernamePolicy');
+const { generateUniqueUsername } = require('../utils/generateUsername');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Usernames are compared case-insensitively ("CalmMeadow" and "calmmeadow" are the same handle)
+const CASE_INSENSITIVE = { locale: 'en', strength: 2 };
+
+/**
+ * ✅ Whether a username can be taken by a user
+ * - Not the current username of anyone else
+ * - Not released by someone else within the hold period (prevents impersonating a recent handle)
+ */
+const isUsernameAvailable = async (username, userId = null) => {
+  const holdCutoff = new Date(Date.now() - USERNAME_HOLD_DAYS * DAY_MS);
+  const notSelf = userId ? { _id: { $ne: userId } } : {};
+
+  const [current, held] = await Promise.all([
+    User.exists({ username, ...notSelf }).collation(CASE_INSENSITIVE),
+    User.exists({
+      ...notSelf,
+      usernameHistory: { $elemMatch: { username, releasedAt: { $gt: holdCutoff } } }
+    }).collation(CASE_INSENSITIVE)
+  ]);
+
+  return !current && !held;
+};
+
+/**
+ * ✅ When the user may change their username again (null = now)
+ * - Accounts that still have their generated username are not on cooldown
+ */
+const getNextChangeAllowedAt = (user) => {
+  if (user.randomUsernameGenerated || !user.usernameChangedAt) return null;
+
+  const nextAllowed = new Date(user.usernameChangedAt.getTime() + USERNAME_CHANGE_COOLDOWN_DAYS * DAY_MS);
+  return nextAllowed > new Date() ? nextAllowed : null;
+};
+
+/**
+ * ✅ History entry for a brand new account
+ */
+const initialHistoryEntry = (username) => ({ username, source: 'generated', assignedAt: new Date() });
+
+/**
+ * ✅ Pick a readable username nobody holds
+ */
+const generateAvailableUsername = (userId = null) => {
+  return generateUniqueUsername(candidate => isUsernameAvailable(candidate, userId));
+};
+
+/**
+ * ✅ Switch a user to a new username and record the old one in their history
+ * @param {'custom'|'generated'} source
+ * @returns {{ success: boolean, statusCode?: number, message?: string, user?: Object, nextChangeAllowedAt?: Date }}
+ */
+const applyUsernameChange = async (userId, newUsername, source) => {
+  const user = await User.findById(userId);
+  if (!user) return { success: false, statusCode: 404, message: 'User not found' };
+
+  const nextChangeAllowedAt = getNextChangeAllowedAt(user);
+  if (nextChangeAllowedAt) {
+    return {
+      success: false,
+      statusCode: 429,
+      message: `You can change your username again after ${nextChangeAllowedAt.toISOString()}`,
+      nextChangeAllowedAt
+    };
+  }
+
+  if (newUsername === user.username) {
+    return { success: false, statusCode: 400, message: 'This is already your username' };
+  }
+
+  const now = new Date();
+
+  // Accounts created before history was tracked get their current name backfilled
+  const current = user.usernameHistory.find(entry => !entry.releasedAt && entry.username === user.username);
+  if (current) {
+    current.releasedAt = now;
+  } else {
+    user.usernameHistory.push({
+      username: user.username,
+      source: user.randomUsernameGenerated ? 'generated' : 'custom',
+      assignedAt: user.joinedAt,
+      releasedAt: now
+    });
+  }
+
+  user.usernameHistory.push({ username: newUsername, source, assignedAt: now });
+  user.username = newUsername;
+  user.randomUsernameGenerated = source === 'generated';
+  user.usernameChangedAt = now;
+
+  try {
+    await user.save();
+  } catch (error) {
+    // Unique index caught a concurrent claim of the same name
+    if (error.code === 11000) return { success: false, statusCode: 400, message: 'Username already taken' };
+    throw error;
+  }
+
+  return { success: true, user, nextChangeAllowedAt: getNextChangeAllowedAt(user) };
+};
+
+/**
+ * ✅ Change to a username the user picked
+ */
+const changeUsername = async (userId, newUsername) => {
+  const validation = validateUsername(newUsername);
+  if (!validation.valid) return { success: false, statusCode: 400, message: validation.message };
+
+  if (!(await isUsernameAvailable(newUsername, userId))) {
+    return { success: false, statusCode: 400, message: 'Username already taken' };
+  }
+
+  return applyUsernameChange(userId, newUsername, 'custom');
+};
+
+/**
+ * ✅ Replace the username with a freshly generated one
+ */
+const regenerateUsername = async (userId) => {
+  const newUsername = await generateAvailableUsername(userId);
+  return applyUsernameChange(userId, newUsername, 'generated');
+};
+
+/**
+ * ✅ Find every account that currently uses or has used a username (for moderators)
+ */
+const findUsersByUsername = async (username) => {
+  return User.find({ $or: [{ username }, { 'usernameHistory.username': username }] })
+    .collation(CASE_INSENSITIVE)
+    .select('username usernameHistory usernameChangedAt joinedAt')
+    .lean();
+};
+
+module.exports = {
+  isUsernameAvailable,
+  getNextChangeAllowedAt,
+  initialHistoryEntry,
+  generateAvailableUsername,
+  changeUsername,
+  regenerateUsername,
+  findUsersByUsername
+};
@@ -0,0 +1,463 @@
+const mongoose = require('mongoose');
+const Vent = require('../models/Vent');
+const VentComment = require('../models/VentComment');
+const User = require('../models/User');
+const Report = require('../models/Report');
+const { getBlockedUserIds, getBlockRelationIds, isBlockedEitherWay } = require('./blockService');
+const { PUBLIC_USER_FIELDS } = require('./profileService');
+const { sendNotification } = require('./notificationService');
+const { ANONYMOUS_AUTHOR, canSeeAuthor, getAcceptedMatchIds } = require('./ventVisibilityService');
+
+const COMMENT_REACTION_TYPES = ['heart', 'hug', 'support', 'thanks'];
+const COMMENT_AUDIENCES = ['everyone', 'matches'];
+const MAX_COMMENT_LENGTH = 2000;
+const DEFAULT_COMMENT_PAGE_SIZE = 20;
+const MAX_COMMENT_PAGE_SIZE = 100;
+
+const VENT_CONTEXT_FIELDS = 'userId title anonymous revealToMatches commentAudience';
+
+const validateText = (text) => {
+  if (typeof text !== 'string' || !text.trim()) return 'Text is required';
+  if (text.length > MAX_COMMENT_LENGTH) return `Comments can be at most ${MAX_COMMENT_LENGTH} characters`;
+  return null;
+};
+
+const pagination = ({ page, limit }) => {
+  const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
+  const pageSize = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_COMMENT_PAGE_SIZE, 1), MAX_COMMENT_PAGE_SIZE);
+  return { page: pageNumber, limit: pageSize, skip: (pageNumber - 1) * pageSize };
+};
+
+/**
+ * ✅ Whether a user may comment on a vent
+ * - The author's `allowComments` switch turns comments off on all their vents
+ * - `commentAudience: 'matches'` limits a vent to the author's accepted matches
+ * - Never across a block
+ * @returns {{ allowed: boolean, statusCode?: number, message?: string }}
+ */
+const canComment = async (vent, userId) => {
+  const authorId = vent.userId.toString();
+  if (authorId === userId.toString()) return { allowed: true };
+
+  const author = await User.findById(authorId).select('allowComments').lean();
+  if (!author) return { allowed: false, statusCode: 404, message: 'Vent owner not found' };
+  if (!author.allowComments) {
+    return { allowed: false, statusCode: 403, message: 'This user has disabled comments on their vents' };
+  }
+  if (await isBlockedEitherWay(userId, authorId)) {
+    return { allowed: false, statusCode: 403, message: 'You cannot comment on this vent' };
+  }
+  if (vent.commentAudience === 'matches' && !(await getAcceptedMatchIds(userId.toString())).has(authorId)) {
+    return { allowed: false, statusCode: 403, message: 'Only matches can comment on this vent' };
+  }
+  return { allowed: true };
+};
+
+/**
+ * ✅ Comments as a viewer sees them
+ * - Deleted comments are placeholders without text or author
+ * - On anonymous vents the author's comments do not reveal them (`byAuthor` instead)
+ * - Reactions are summarised as counts plus the viewer's own reaction
+ */
+const presentComments = (comments, vent, viewerId, hideAuthor) => {
+  const authorId = vent.userId.toString();
+
+  return comments.map(comment => {
+    const commenterId = (comment.userId?._id || comment.userId)?.toString();
+    const counts = Object.fromEntries(COMMENT_REACTION_TYPES.map(type => [type, 0]));
+    (comment.reactions || []).forEach(reaction => { counts[reaction.reactionType] += 1; });
+    const mine = viewerId && (comment.reactions || []).find(reaction => reaction.userId.toString() === viewerId.toString());
+
+    const view = {
+      _id: comment._id,
+      ventId: comment.ventId,
+      parentId: comment.parentId,
+      rootId: comment.rootId,
+      user: comment.userId,
+      byAuthor: commenterId === authorId,
+      text: comment.text,
+      replyCount: comment.replyCount,
+      isEdited: comment.isEdited,
+      editedAt: comment.editedAt,
+      reactions: counts,
+      myReaction: mine ? mine.reactionType : null,
+      hidden: !!comment.hiddenAt,
+      isDeleted: comment.isDeleted,
+      createdAt: comment.createdAt
+    };
+
+    if (comment.isDeleted) return { ...view, user: null, byAuthor: false, text: null, reactions: counts, myReaction: null };
+    if (hideAuthor && commenterId === authorId) return { ...view, user: ANONYMOUS_AUTHOR };
+    return view;
+  });
+};
+
+/**
+ * Comments of one vent the viewer may see (page of top-level comments, or one thread's replies)
+ */
+const listVisibleComments = async (vent, viewerId, filter, sort, page) => {
+  const viewer = viewerId ? viewerId.toString() : null;
+  const blockedUserIds = await getBlockedUserIds(viewer);
+  if (blockedUserIds.includes(vent.userId.toString())) {
+    return { success: false, statusCode: 404, message: 'Vent not found' };
+  }
+
+  const author = await User.findById(vent.userId).select('allowComments').lean();
+  if (!author?.allowComments) {
+    return { success: true, commentsEnabled: false, comments: [], page: page.page, limit: page.limit };
+  }
+
+  const isOwner = viewer === vent.userId.toString();
+  const query = { ventId: vent._id, ...filter, userId: { $nin: blockedUserIds } };
+  // Hidden comments stay visible to the vent owner and to whoever wrote them
+  if (!isOwner) query.$or = [{ hiddenAt: null }, ...(viewer ? [{ userId: viewer }] : [])];
+
+  const comments = await VentComment.find(query)
+    .sort(sort)
+    .skip(page.skip)
+    .limit(page.limit)
+    .populate('userId', PUBLIC_USER_FIELDS)
+    .lean();
+
+  const matchIds = vent.anonymous && vent.revealToMatches && viewer ? await getAcceptedMatchIds(viewer) : new Set();
+  const hideAuthor = !canSeeAuthor(vent, viewer, matchIds);
+
+  return {
+    success: true,
+    commentsEnabled: true,
+    canComment: viewer ? (await canComment(vent, viewer)).allowed : false,
+    comments: presentComments(comments, vent, viewer, hideAuthor),
+    page: page.page,
+    limit: page.limit
+  };
+};
+
+/**
+ * ✅ Top-level comments of a vent, newest first (replies via listReplies)
+ */
+const listComments = async (ventId, viewerId, options = {}) => {
+  if (!mongoose.Types.ObjectId.isValid(ventId)) return { success: false, statusCode: 404, message: 'Vent not found' };
+
+  const vent = await Vent.findById(ventId).select(`${VENT_CONTEXT_FIELDS} commentCount`).lean();
+  if (!vent) return { success: false, statusCode: 404, message: 'Vent not found' };
+
+  const result = await listVisibleComments(vent, viewerId, { rootId: null }, { createdAt: -1, _id: -1 }, pagination(options));
+  return result.success ? { ...result, commentCount: vent.commentCount } : result;
+};
+
+/**
+ * ✅ Replies in one comment's thread, oldest first
+ */
+const listReplies = async (commentId, viewerId, options = {}) => {
+  if (!mongoose.Types.ObjectId.isValid(commentId)) return { success: false, statusCode: 404, message: 'Comment not found' };
+
+  const comment = await VentComment.findById(commentId).select('ventId rootId userId hiddenAt').lean();
+  const root = comment && comment.rootId
+    ? await VentComment.findById(comment.rootId).select('ventId userId hiddenAt').lean()
+    : comment;
+  if (!root) return { success: false, statusCode: 404, message: 'Comment not found' };
+
+  const vent = await Vent.findById(root.ventId).select(VENT_CONTEXT_FIELDS).lean();
+  if (!vent) return { success: false, statusCode: 404, message: 'Vent not found' };
+
+  // A hidden comment hides its whole thread, except from the vent owner and the comment's author
+  const viewer = viewerId ? viewerId.toString() : null;
+  if (root.hiddenAt && viewer !== vent.userId.toString() && viewer !== root.userId.toString()) {
+    return { success: false, statusCode: 404, message: 'Comment not found' };
+  }
+
+  return listVisibleComments(vent, viewerId, { rootId: root._id }, { createdAt: 1, _id: 1 }, pagination(options));
+};
+
+/**
+ * Tell the people in a vent's conversation about a new comment
+ * - A reply notifies the author of the comment it answers
+ * - A top-level comment from someone else notifies the vent author
+ * - A top-level comment from the vent author notifies earlier commenters
+ * - On anonymous vents, notifications about the author's comments do not say who they are
+ */
+const notifyNewComment = async (vent, comment, parent) => {
+  const authorId = vent.userId.toString();
+  const commenterId = comment.userId.toString();
+  const fromUserId = vent.anonymous && commenterId === authorId ? null : commenterId;
+  const reference = { type: 'vent', id: vent._id };
+  const blockedUserIds = await getBlockRelationIds(commenterId);
+
+  let recipients = [];
+  let message;
+
+  if (parent) {
+    recipients = [parent.userId.toString()];
+    message = `${commenterId === authorId ? 'The author' : 'Someone'} replied to your comment on "${vent.title}"`;
+  } else if (commenterId !== authorId) {
+    recipients = [authorId];
+    message = `Someone commented on your vent "${vent.title}"`;
+  } else {
+    recipients = (await VentComment.distinct('userId', { ventId: vent._id, isDeleted: false })).map(id => id.toString());
+    message = `The author replied on "${vent.title}"`;
+  }
+
+  recipients = [...new Set(recipients)].filter(id => id !== commenterId && !blockedUserIds.includes(id));
+  await Promise.all(recipients.map(userId => sendNotification({
+    userId,
+    type: 'vent_comment',
+    message,
+    reference,
+    data: { commentId: comment._id },
+    fromUserId
+  })));
+};
+
+/**
+ * ✅ Comment on a vent, or reply to a comment (`parentId`)
+ * - Replies of replies join the same thread (`rootId` is always the top-level comment)
+ * @returns {{ success: boolean, statusCode?: number, message?: string, comment?: Object }}
+ */
+const addComment = async (userId, ventId, text, parentId = null) => {
+  const invalid = validateText(text);
+  if (invalid) return { success: false, statusCode: 400, message: invalid };
+
+  if (!mongoose.Types.ObjectId.isValid(ventId)) return { success: false, statusCode: 404, message: 'Vent not found' };
+
+  const vent = await Vent.findById(ventId).select(VENT_CONTEXT_FIELDS);
+  if (!vent) return { success: false, statusCode: 404, message: 'Vent not found' };
+
+  const permission = await canComment(vent, userId);
+  if (!permission.allowed) return { success: false, statusCode: permission.statusCode, message: permission.message };
+
+  let parent = null;
+  if (parentId) {
+    parent = mongoose.Types.ObjectId.isValid(parentId) ? await VentComment.findById(parentId) : null;
+    if (!parent || !parent.ventId.equals(vent._id)) {
+      return { success: false, statusCode: 400, message: 'You can only reply to a comment on this vent' };
+    }
+    if (parent.isDeleted || parent.hiddenAt) {
+      return { success: false, statusCode: 400, message: 'This comment can no longer be replied to' };
+    }
+  }
+
+  const comment = await VentComment.create({
+    ventId: vent._id,
+    userId,
+    parentId: parent ? parent._id : null,
+    rootId: parent ? (parent.rootId || parent._id) : null,
+    text: text.trim()
+  });
+
+  await Vent.updateOne({ _id: vent._id }, { $inc: { commentCount: 1 } });
+  if (comment.rootId) await VentComment.updateOne({ _id: comment.rootId }, { $inc: { replyCount: 1 } });
+
+  await notifyNewComment(vent, comment, parent);
+
+  return { success: true, comment };
+};
+
+/**
+ * ✅ Edit my own comment
+ * - The previous text is kept in `editHistory`
+ * - Locked while the comment has unreviewed reports
+ */
+const editComment = async (userId, commentId, text) => {
+  const invalid = validateText(text);
+  if (invalid) return { success: false, statusCode: 400, message: invalid };
+
+  const comment = mongoose.Types.ObjectId.isValid(commentId) ? await VentComment.findById(commentId) : null;
+  if (!comment || comment.isDeleted) return { success: false, statusCode: 404, message: 'Comment not found' };
+  if (comment.userId.toString() !== userId.toString()) {
+    return { success: false, statusCode: 403, message: 'You can only edit your own comments' };
+  }
+  if (await Report.exists({ commentId: comment._id, reviewedAt: null })) {
+    return { success: false, statusCode: 409, message: 'This comment has been reported and cannot be edited until it is reviewed' };
+  }
+
+  const trimmed = text.trim();
+  if (comment.text === trimmed) return { success: true, comment };
+
+  const editedAt = new Date();
+  comment.editHistory.push({ text: comment.text, editedAt });
+  comment.text = trimmed;
+  comment.isEdited = true;
+  comment.editedAt = editedAt;
+  await comment.save();
+
+  return { success: true, comment };
+};
+
+/**
+ * Delete a placeholder once its last reply is gone, then check its own parent the same way
+ * (placeholders already left the vent's commentCount when they were removed)
+ */
+const pruneEmptyPlaceholder = async (commentId) => {
+  const placeholder = await VentComment.findOne({ _id: commentId, isDeleted: true }).select('parentId rootId');
+  if (!placeholder || await VentComment.exists({ parentId: placeholder._id })) return;
+
+  await VentComment.deleteOne({ _id: placeholder._id });
+  if (placeholder.rootId) await VentComment.updateOne({ _id: placeholder.rootId }, { $inc: { replyCount: -1 } });
+  if (placeholder.parentId) await pruneEmptyPlaceholder(placeholder.parentId);
+};
+
+/**
+ * ✅ Remove a comment
+ * - With replies under it, it stays as a placeholder (no text, author or reactions) so the thread holds;
+ *   otherwise it is deleted outright, along with placeholders it leaves without replies
+ * @returns {boolean} false when it was already deleted
+ */
+const removeComment = async (comment) => {
+  if (comment.isDeleted) return false;
+
+  const hasReplies = await VentComment.exists({ parentId: comment._id });
+  if (hasReplies) {
+    await VentComment.updateOne(
+      { _id: comment._id },
+      {
+        $set: { isDeleted: true, deletedAt: new Date(), reactions: [], editHistory: [] },
+        $unset: { text: '' }
+      }
+    );
+  } else {
+    await VentComment.deleteOne({ _id: comment._id });
+    if (comment.rootId) await VentComment.updateOne({ _id: comment.rootId }, { $inc: { replyCount: -1 } });
+    if (comment.parentId) await pruneEmptyPlaceholder(comment.parentId);
+  }
+
+  await Vent.updateOne({ _id: comment.ventId }, { $inc: { commentCount: -1 } });
+  return true;
+};
+
+/**
+ * ✅ Delete a comment (its author or the vent owner)
+ */
+const deleteComment = async (userId, ventId, commentId) => {
+  if (!mongoose.Types.ObjectId.isValid(ventId)) return { success: false, statusCode: 404, message: 'Vent not found' };
+  if (!mongoose.Types.ObjectId.isValid(commentId)) return { success: false, statusCode: 404, message: 'Comment not found' };
+
+  const vent = await Vent.findById(ventId).select('userId');
+  if (!vent) return { success: false, statusCode: 404, message: 'Vent not found' };
+
+  const comment = await VentComment.findOne({ _id: commentId, ventId: vent._id });
+  if (!comment || comment.isDeleted) return { success: false, statusCode: 404, message: 'Comment not found' };
+
+  if (comment.userId.toString() !== userId.toString() && vent.userId.toString() !== userId.toString()) {
+    return { success: false, statusCode: 403, message: 'Unauthorized to delete this comment' };
+  }
+
+  await removeComment(comment);
+  return { success: true };
+};
+
+/**
+ * ✅ React to a comment (toggle)
+ * - Same reaction again removes it; a different one replaces it
+ * - Each case is a single conditional update, so concurrent requests cannot duplicate a user's reaction
+ */
+const toggleCommentReaction = async (userId, commentId, reactionType) => {
+  if (!COMMENT_REACTION_TYPES.includes(reactionType)) {
+    return { success: false, statusCode: 400, message: `reactionType must be one of: ${COMMENT_REACTION_TYPES.join(', ')}` };
+  }
+
+  const comment = mongoose.Types.ObjectId.isValid(commentId) ? await VentComment.findById(commentId) : null;
+  if (!comment || comment.isDeleted) return { success: false, statusCode: 404, message: 'Comment not found' };
+  if (await isBlockedEitherWay(userId, comment.userId)) {
+    return { success: false, statusCode: 403, message: 'You cannot react to this comment' };
+  }
+
+  const existing = comment.reactions.find(reaction => reaction.userId.toString() === userId.toString());
+  let action = 'added';
+
+  if (existing && existing.reactionType === reactionType) {
+    await VentComment.updateOne({ _id: comment._id }, { $pull: { reactions: { userId } } });
+    action = 'removed';
+  } else if (existing) {
+    await VentComment.updateOne(
+      { _id: comment._id, 'reactions.userId': userId },
+      { $set: { 'reactions.$.reactionType': reactionType, 'reactions.$.reactedAt': new Date() } }
+    );
+    action = 'changed';
+  } else {
+    await VentComment.updateOne(
+      { _id: comment._id, 'reactions.userId': { $ne: userId } },
+      { $push: { reactions: { userId, reactionType } } }
+    );
+  }
+
+  const updated = await VentComment.findById(comment._id).select('reactions').lean();
+  const reactions = Object.fromEntries(COMMENT_REACTION_TYPES.map(type => [type, 0]));
+  (updated?.reactions || []).forEach(reaction => { reactions[reaction.reactionType] += 1; });
+
+  return { success: true, action, reactions };
+};
+
+/**
+ * ✅ Report a comment for moderators (once per user)
+ */
+const reportComment = async (userId, commentId, reason) => {
+  if (typeof reason !== 'string' || !reason.trim()) {
+    return { success: false, statusCode: 400, message: 'Reason is required' };
+  }
+
+  const comment = mongoose.Types.ObjectId.isValid(commentId) ? await VentComment.findById(commentId).select('_id isDeleted') : null;
+  if (!comment || comment.isDeleted) return { success: false, statusCode: 404, message: 'Comment not found' };
+
+  if (await Report.exists({ reportedBy: userId, commentId: comment._id })) {
+    return { success: false, statusCode: 400, message: 'You have already reported this comment' };
+  }
+
+  await Report.create({ reportedBy: userId, commentId: comment._id, reason: reason.trim() });
+  return { success: true };
+};
+
+/**
+ * ✅ Hide or unhide a comment on my vent
+ * - Hidden comments disappear for everyone except the vent owner and the comment's author
+ */
+const setCommentHidden = async (userId, commentId, hidden) => {
+  if (typeof hidden !== 'boolean') return { success: false, statusCode: 400, message: 'hidden must be true or false' };
+
+  const comment = mongoose.Types.ObjectId.isValid(commentId) ? await VentComment.findById(commentId) : null;
+  if (!comment || comment.isDeleted) return { success: false, statusCode: 404, message: 'Comment not found' };
+
+  const vent = await Vent.findById(comment.ventId).select('userId');
+  if (!vent || vent.userId.toString() !== userId.toString()) {
+    return { success: false, statusCode: 403, message: 'Only the vent owner can hide comments' };
+  }
+
+  comment.hiddenAt = hidden ? (comment.hiddenAt || new Date()) : null;
+  await comment.save();
+
+  return { success: true, hidden: !!comment.hiddenAt };
+};
+
+/**
+ * ✅ Choose who may comment on my vent: everyone or my accepted matches only
+ */
+const setCommentAudience = async (userId, ventId, audience) => {
+  if (!COMMENT_AUDIENCES.includes(audience)) {
+    return { success: false, statusCode: 400, message: `audience must be one of: ${COMMENT_AUDIENCES.join(', ')}` };
+  }
+  if (!mongoose.Types.ObjectId.isValid(ventId)) return { success: false, statusCode: 404, message: 'Vent not found or unauthorized' };
+
+  const vent = await Vent.findOneAndUpdate(
+    { _id: ventId, userId },
+    { $set: { commentAudience: audience } },
+    { new: true }
+  ).select('commentAudience');
+  if (!vent) return { success: false, statusCode: 404, message: 'Vent not found or unauthorized' };
+
+  return { success: true, audience: vent.commentAudience };
+};
+
+module.exports = {
+  COMMENT_REACTION_TYPES,
+  COMMENT_AUDIENCES,
+  canComment,
+  listComments,
+  listReplies,
+  addComment,
+  editComment,
+  removeComment,
+  deleteComment,
+  toggleCommentReaction,
+  reportComment,
+  setCommentHidden,
+  setCommentAudience
+};
@@ -0,0 +1,19 @@
+const cron = require('node-cron');
+const { requeueStuckVents } = require('./ventIngestionService');
+
+// Hand vents that were left queued without a job back to the ingestion queue
+const runVentIngestionSweep = async () => {
+    console.log('🔄 Running vent ingestion sweep...');
+
+    try {
+        const requeued = await requeueStuckVents();
+        console.log(`📊 Vent ingestion sweep completed: ${requeued} vents re-queued.`);
+    } catch (error) {
+        console.error('❌ Critical Error: Vent ingestion sweep failed:', error);
+    }
+};
+
+// Schedule job every 10 minutes
+cron.schedule('*/10 * * * *', runVentIngestionSweep);
+
+module.exports = { runVentIngestionSweep };
@@ -0,0 +1,183 @@
+const Vent = require('../models/Vent');
+const Match = require('../models/Match');
+const { enqueueJob, processJobs } = require('./jobQueueService');
+const { storeVentEmbedding, findSimilarVents } = require('./pineconeService');
+const { connectUsers, removeUserConnection } = require('./neo4jService');
+const { updateMatchesForUser } = require('./matchScoringService');
+const { getBlockRelationIds } = require('./blockService');
+
+const VENT_INGESTION_QUEUE = 'vent-ingestion';
+const MAX_INGESTION_ATTEMPTS = 5;
+const STUCK_AFTER_MS = 15 * 60 * 1000; // Unfinished vents older than this are handed to the queue again
+
+/**
+ * ✅ Queue a saved vent for background ingestion
+ * - The job id is the vent id, so a vent is never queued twice at the same time
+ */
+const queueVentIngestion = async (vent) => {
+  await Vent.updateOne(
+    { _id: vent._id },
+    {
+      $set: {
+        'processing.status': 'queued',
+        'processing.queuedAt': new Date(),
+        'processing.lastError': null,
+        'processing.completedAt': null
+      }
+    }
+  );
+  return enqueueJob(VENT_INGESTION_QUEUE, vent._id, { ventId: vent._id.toString() });
+};
+
+/**
+ * ✅ Queue again the vents that were left unfinished without a job
+ * - e.g. the enqueue failed after an edit, or a crash lost an in-memory job
+ * - Safe for vents whose job is still waiting or running: a job id already in the queue is not queued twice
+ * @returns {number} how many vents got a new job
+ */
+const requeueStuckVents = async () => {
+  const cutoff = new Date(Date.now() - STUCK_AFTER_MS);
+  const vents = await Vent.find({
+    'processing.status': { $in: ['queued', 'processing'] },
+    'processing.queuedAt': { $not: { $gte: cutoff } }
+  }).select('_id');
+
+  let requeued = 0;
+  for (const vent of vents) {
+    const { duplicate } = await enqueueJob(VENT_INGESTION_QUEUE, vent._id, { ventId: vent._id.toString() });
+    await Vent.updateOne({ _id: vent._id }, { $set: { 'processing.queuedAt': new Date() } });
+    if (!duplicate) requeued += 1;
+  }
+  return requeued;
+};
+
+/**
+ * ✅ Ingest one vent (queue worker)
+ * - Stores the embedding, links the author to users with similar vents in the graph,
+ *   then refreshes matches for everyone involved
+ * - Idempotent: finished vents are skipped, and on retry the embedding and graph edges
+ *   already written are not written again
+ * - Throws to have the job retried
+ */
+const ingestVent = async ({ ventId }, { attempt }) => {
+  const vent = await Vent.findById(ventId);
+  if (!vent) return; // Deleted before we got to it
+  if (vent.processing.status === 'completed') return;
+
+  vent.processing.status = 'processing';
+  vent.processing.attempts = attempt;
+  await vent.save();
+
+  const userId = vent.userId.toString();
+
+  if (!vent.processing.embeddedAt) {
+    await storeVentEmbedding(vent._id, vent.text, { userId, emotion: vent.emotion });
+    vent.processing.embeddedAt = new Date();
+    await vent.save();
+  }
+
+  // Similar vents by other users the author has no block with
+  const similarVents = await findSimilarVents(vent.text);
+  const blockedUserIds = await getBlockRelationIds(userId);
+  const matchedUsers = new Map(); // userId -> best similarity score
+  for (const match of similarVents || []) {
+    const matchUserId = match.metadata?.userId;
+    if (!matchUserId || matchUserId === userId || blockedUserIds.includes(matchUserId)) continue;
+    if (match.score > (matchedUsers.get(matchUserId) || 0)) matchedUsers.set(matchUserId, match.score);
+  }
+
+  // Graph edges are not idempotent (similarity is averaged), so each pair is written once per vent
+  for (const [matchUserId, score] of matchedUsers) {
+    if (vent.processing.connectedUserIds.includes(matchUserId)) continue;
+    await connectUsers(userId, matchUserId, score, [vent.emotion]);
+    vent.processing.connectedUserIds.push(matchUserId);
+    await vent.save();
+  }
+
+  // Each affected user once, however many of their vents matched
+  for (const matchUserId of matchedUsers.keys()) {
+    await updateMatchesForUser(matchUserId);
+  }
+  await updateMatchesForUser(userId);
+
+  vent.processing.status = 'completed';
+  vent.processing.lastError = null;
+  vent.processing.completedAt = new Date();
+  await vent.save();
+};
+
+/**
+ * ✅ Undo what ingestion derived from a vent so it can be processed again (after an edit)
+ * - Graph edges this vent created are removed, unless another of the author's vents also produced them
+ * - Vent pairs involving this vent are pulled from `Match.ventMatches` (and their score taken back off);
+ *   the next run adds them again with the new similarity
+ * - Clears the ingestion progress on the document; the caller saves it and re-queues the vent
+ */
+const resetVentIngestion = async (vent) => {
+  const userId = vent.userId.toString();
+
+  const previousUserIds = vent.processing.connectedUserIds || [];
+  if (previousUserIds.length > 0) {
+    const stillLinked = await Vent.distinct('processing.connectedUserIds', { userId: vent.userId, _id: { $ne: vent._id } });
+    for (const otherUserId of previousUserIds) {
+      if (!stillLinked.includes(otherUserId)) await removeUserConnection(userId, otherUserId);
+    }
+  }
+
+  const matches = await Match.find({ $or: [{ 'ventMatches.vent1': vent._id }, { 'ventMatches.vent2': vent._id }] });
+  for (const match of matches) {
+    const involvesVent = (pair) => pair.vent1.equals(vent._id) || pair.vent2.equals(vent._id);
+    const removedScore = match.ventMatches.filter(involvesVent).reduce((sum, pair) => sum + pair.matchScore / 2, 0);
+
+    match.ventMatches = match.ventMatches.filter(pair => !involvesVent(pair));
+    match.matchScore = Math.max(0, match.matchScore - removedScore);
+    await match.save();
+  }
+
+  vent.processing.embeddedAt = null;
+  vent.processing.connectedUserIds = [];
+  vent.processing.attempts = 0;
+  vent.processing.completedAt = null;
+};
+
+// Out of attempts: the client stops polling and can show the vent as not matched
+const markIngestionFailed = async ({ ventId }, error, { attempts }) => {
+  await Vent.updateOne(
+    { _id: ventId },
+    { $set: { 'processing.status': 'failed', 'processing.attempts': attempts, 'processing.lastError': error.message } }
+  );
+};
+
+/**
+ * ✅ Start processing queued vents on this instance
+ * @param {Object} options - worker overrides, e.g. a short `retryDelayMs` in tests
+ */
+const startVentIngestionWorker = (options = {}) => {
+  processJobs(VENT_INGESTION_QUEUE, ingestVent, {
+    maxAttempts: MAX_INGESTION_ATTEMPTS,
+    onFailed: markIngestionFailed,
+    ...options
+  });
+  if (process.env.NODE_ENV !== 'test') console.log('✅ Vent ingestion worker started'); // Tests start a worker per case
+};
+
+/**
+ * ✅ Processing status as shown to the vent's author
+ */
+const toProcessingStatus = (vent) => ({
+  ventId: vent._id,
+  status: vent.processing?.status || 'completed',
+  attempts: vent.processing?.attempts || 0,
+  error: vent.processing?.status === 'failed' ? vent.processing.lastError : null,
+  completedAt: vent.processing?.completedAt || null
+});
+
+module.exports = {
+  VENT_INGESTION_QUEUE,
+  queueVentIngestion,
+  requeueStuckVents,
+  ingestVent,
+  resetVentIngestion,
+  startVentIngestionWorker,
+  toProcessingStatus
+};
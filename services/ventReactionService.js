@@ -0,0 +1,145 @@
+const Vent = require('../models/Vent');
+const VentReaction = require('../models/VentReaction');
+const { getBlockedUserIds, isBlockedEitherWay } = require('./blockService');
+const { PUBLIC_USER_FIELDS } = require('./profileService');
+const { sendNotification } = require('./notificationService');
+const { ANONYMOUS_AUTHOR, canSeeAuthor, getAcceptedMatchIds } = require('./ventVisibilityService');
+
+const VENT_REACTION_TYPES = ['hug', 'heart', 'listen'];
+const DEFAULT_REACTION_PAGE_SIZE = 20;
+const MAX_REACTION_PAGE_SIZE = 100;
+
+const REACTION_VERBS = { hug: 'sent a hug for', heart: 'sent love for', listen: 'is listening to' };
+
+const isDuplicateKeyError = (error) => error && error.code === 11000;
+
+/**
+ * ✅ React to a vent (toggle)
+ * - No reaction yet: adds it; same type again: removes it; another type: switches to it
+ * - Counters only move when this request actually changed the user's reaction record,
+ *   so concurrent or repeated requests cannot push them out of step
+ * - The author is notified of new reactions (`ventReactions` notification setting)
+ * @returns {{ success: boolean, statusCode?: number, message?: string, reaction?: string|null, reactions?: Object }}
+ */
+const toggleVentReaction = async (userId, ventId, reactionType, retried = false) => {
+  if (!VENT_REACTION_TYPES.includes(reactionType)) {
+    return { success: false, statusCode: 400, message: `Reaction must be one of: ${VENT_REACTION_TYPES.join(', ')}` };
+  }
+
+  const vent = await Vent.findById(ventId).select('userId title');
+  if (!vent) return { success: false, statusCode: 404, message: 'Vent not found' };
+
+  // 🚫 No reacting across a block
+  if (await isBlockedEitherWay(userId, vent.userId)) {
+    return { success: false, statusCode: 403, message: 'You cannot react to this vent' };
+  }
+
+  const existing = await VentReaction.findOne({ ventId, userId });
+  let reaction = reactionType;
+  let counterChange = null;
+
+  if (!existing) {
+    try {
+      await VentReaction.create({ ventId, userId, reactionType });
+    } catch (error) {
+      // Another request from this user created the record first; apply the toggle to it instead
+      if (isDuplicateKeyError(error) && !retried) return toggleVentReaction(userId, ventId, reactionType, true);
+      throw error;
+    }
+    counterChange = { [`reactions.${reactionType}`]: 1 };
+  } else if (existing.reactionType === reactionType) {
+    const removed = await VentReaction.findOneAndDelete({ _id: existing._id, reactionType });
+    if (removed) counterChange = { [`reactions.${reactionType}`]: -1 };
+    reaction = null;
+  } else {
+    const switched = await VentReaction.findOneAndUpdate(
+      { _id: existing._id, reactionType: existing.reactionType },
+      { $set: { reactionType } }
+    );
+    if (switched) counterChange = { [`reactions.${existing.reactionType}`]: -1, [`reactions.${reactionType}`]: 1 };
+  }
+
+  const updated = counterChange
+    ? await Vent.findByIdAndUpdate(ventId, { $inc: counterChange }, { new: true }).select('reactions')
+    : await Vent.findById(ventId).select('reactions');
+
+  // 🔔 New reactions only (not removals), never for reacting to your own vent
+  if (counterChange && reaction && vent.userId.toString() !== userId.toString()) {
+    await sendNotification({
+      userId: vent.userId,
+      type: 'vent_reaction',
+      message: `Someone ${REACTION_VERBS[reaction]} your vent "${vent.title}"`,
+      reference: { type: 'vent', id: vent._id },
+      data: { reactionType: reaction },
+      fromUserId: userId
+    });
+  }
+
+  return { success: true, reaction, reactions: updated ? updated.reactions : null };
+};
+
+/**
+ * ✅ Who reacted to a vent, newest first
+ * - Reactors the viewer blocked are left out
+ * - On anonymous vents the author's own reaction does not reveal them (`byAuthor` instead)
+ * @returns {{ success: boolean, statusCode?: number, message?: string, reactions?: Array, counts?: Object, page?: number, limit?: number }}
+ */
+const listVentReactions = async (ventId, viewerId = null, { reactionType, page = 1, limit = DEFAULT_REACTION_PAGE_SIZE } = {}) => {
+  if (reactionType !== undefined && !VENT_REACTION_TYPES.includes(reactionType)) {
+    return { success: false, statusCode: 400, message: `Reaction must be one of: ${VENT_REACTION_TYPES.join(', ')}` };
+  }
+
+  const vent = await Vent.findById(ventId).select('userId anonymous revealToMatches reactions').lean();
+  const blockedUserIds = await getBlockedUserIds(viewerId);
+  if (!vent || blockedUserIds.includes(vent.userId.toString())) {
+    return { success: false, statusCode: 404, message: 'Vent not found' };
+  }
+
+  const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
+  const pageSize = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_REACTION_PAGE_SIZE, 1), MAX_REACTION_PAGE_SIZE);
+
+  const query = { ventId, userId: { $nin: blockedUserIds } };
+  if (reactionType) query.reactionType = reactionType;
+
+  const records = await VentReaction.find(query)
+    .sort({ createdAt: -1 })
+    .skip((pageNumber - 1) * pageSize)
+    .limit(pageSize)
+    .populate('userId', PUBLIC_USER_FIELDS)
+    .lean();
+
+  const viewer = viewerId ? viewerId.toString() : null;
+  const matchIds = vent.anonymous && vent.revealToMatches && viewer ? await getAcceptedMatchIds(viewer) : new Set();
+  const hideAuthor = !canSeeAuthor(vent, viewer, matchIds);
+  const authorId = vent.userId.toString();
+
+  const reactions = records.map(record => {
+    const reactorId = record.userId?._id?.toString();
+    return hideAuthor && reactorId === authorId
+      ? { reactionType: record.reactionType, user: ANONYMOUS_AUTHOR, byAuthor: true, reactedAt: record.createdAt }
+      : { reactionType: record.reactionType, user: record.userId, reactedAt: record.createdAt };
+  });
+
+  return { success: true, reactions, counts: vent.reactions, page: pageNumber, limit: pageSize };
+};
+
+/**
+ * ✅ Take a user's reactions back off the vent counters and delete them (account purge)
+ */
+const removeUserReactions = async (userId) => {
+  const reactions = await VentReaction.find({ userId }).select('ventId reactionType').lean();
+  if (reactions.length === 0) return 0;
+
+  await Vent.bulkWrite(reactions.map(({ ventId, reactionType }) => ({
+    updateOne: { filter: { _id: ventId }, update: { $inc: { [`reactions.${reactionType}`]: -1 } } }
+  })));
+  await VentReaction.deleteMany({ userId });
+  return reactions.length;
+};
+
+module.exports = {
+  VENT_REACTION_TYPES,
+  toggleVentReaction,
+  listVentReactions,
+  removeUserReactions
+};
@@ -0,0 +1,67 @@
+const Match = require('../models/Match');
+
+// Shown in place of the author of an anonymous vent (same placeholder as anonymous Q&A posts)
+const ANONYMOUS_AUTHOR = { _id: null, username: 'Anonymous', profilePic: '' };
+
+const idOf = (ref) => (ref && ref._id ? ref._id : ref)?.toString() || null;
+
+/**
+ * ✅ Ids of users the viewer has an accepted match with
+ */
+const getAcceptedMatchIds = async (viewerId) => {
+  const matches = await Match.find({
+    $or: [{ user1: viewerId }, { user2: viewerId }],
+    status: 'accepted'
+  }).select('user1 user2').lean();
+
+  return new Set(matches.map(match => (idOf(match.user1) === viewerId ? idOf(match.user2) : idOf(match.user1))));
+};
+
+/**
+ * ✅ Whether the viewer may see who wrote a vent
+ * - Always for named vents and for the author themselves
+ * - For anonymous vents, accepted matches only when the author allowed it (`revealToMatches`)
+ */
+const canSeeAuthor = (vent, viewerId, matchIds = new Set()) => {
+  if (!vent.anonymous) return true;
+
+  const authorId = idOf(vent.userId);
+  if (viewerId && authorId === viewerId.toString()) return true;
+  return !!vent.revealToMatches && matchIds.has(authorId);
+};
+
+/**
+ * ✅ Vents as a viewer may see them (plain objects)
+ * - Anonymous vents lose their author (comments are handled by ventCommentService)
+ * - The real author stays in the database for matching, moderation and export
+ * - Ingestion state (`processing`: similar users, raw errors) is never included;
+ *   authors see their vent's status through toProcessingStatus
+ */
+const presentVents = async (vents, viewerId = null) => {
+  const viewer = viewerId ? viewerId.toString() : null;
+  const plainVents = vents.map((vent) => {
+    const { processing, ...visible } = vent.toObject ? vent.toObject() : vent;
+    return visible;
+  });
+
+  const needsMatches = viewer && plainVents.some(vent => vent.anonymous && vent.revealToMatches && idOf(vent.userId) !== viewer);
+  const matchIds = needsMatches ? await getAcceptedMatchIds(viewer) : new Set();
+
+  return plainVents.map((vent) => {
+    if (canSeeAuthor(vent, viewer, matchIds)) return vent;
+
+    const author = vent.userId && vent.userId._id ? vent.userId : {};
+    return {
+      ...vent,
+      // Keep non-identifying owner settings the client relies on (e.g. allowComments)
+      userId: { ...ANONYMOUS_AUTHOR, ...(author.allowComments !== undefined && { allowComments: author.allowComments }) }
+    };
+  });
+};
+
+module.exports = {
+  ANONYMOUS_AUTHOR,
+  canSeeAuthor,
+  getAcceptedMatchIds,
+  presentVents
+};
@@ -0,0 +1,234 @@
+const express = require('express');
+const request = require('supertest');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+process.env.TRUST_PROXY_HOPS = '1';
+
+// External stores pulled in through accountService; login never touches them
+jest.mock('../services/pineconeService', () => ({ deleteVentEmbeddings: jest.fn() }));
+jest.mock('../services/neo4jService', () => ({ deleteUserNode: jest.fn() }));
+
+const OtpGuard = require('../models/OtpGuard');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const usernameService = require('../services/usernameService');
+const { setOtpProvider } = require('../services/otpService');
+const { createLocalOtpProvider } = require('../services/localOtpService');
+const { checkOtpRequest } = require('../services/otpGuardService');
+const { validateUsername } = require('../utils/usernamePolicy');
+const { configureTrustProxy } = require('../config/proxy');
+const authRoutes = require('../routes/authRoutes');
+
+const app = express();
+configureTrustProxy(app);
+app.use(express.json());
+app.use('/api/auth', authRoutes);
+
+let provider;
+let guards; // OTP guard documents, by "kind:key"
+
+/**
+ * ✅ Enough of MongoDB's query and update operators for the guard service
+ */
+const matchesFilter = (guard, filter) => Object.entries(filter).every(([field, condition]) => {
+  if (field === '$or') return condition.some(clause => matchesFilter(guard, clause));
+  const value = guard.get(field);
+  if (condition && condition.$lte) return !!value && value <= condition.$lte;
+  if (field === '_id') return value.equals(condition);
+  return value === condition;
+});
+
+const applyUpdate = (guard, update) => {
+  Object.entries(update.$set || {}).forEach(([field, value]) => guard.set(field, value));
+  Object.entries(update.$inc || {}).forEach(([field, by]) => guard.set(field, guard.get(field) + by));
+  Object.entries(update.$push || {}).forEach(([field, { $each, $slice }]) => {
+    guard.set(field, [...guard.get(field), ...$each].slice($slice));
+  });
+  return guard;
+};
+
+const findGuard = (filter) => [...guards.values()].find(guard => matchesFilter(guard, filter)) || null;
+
+const duplicateKeyError = () => Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+
+// No MongoDB here: the documents the OTP flow reads are stubbed, everything else runs for real
+beforeEach(() => {
+  provider = createLocalOtpProvider();
+  setOtpProvider(provider);
+  guards = new Map();
+
+  const saveSelf = function() { return Promise.resolve(this); };
+  jest.spyOn(OtpGuard, 'findOne').mockImplementation(async (filter) => findGuard(filter));
+  jest.spyOn(OtpGuard, 'findById').mockImplementation(async (id) => findGuard({ _id: id }));
+  jest.spyOn(OtpGuard, 'findOneAndUpdate').mockImplementation(async (filter, update, options = {}) => {
+    const guard = findGuard(filter);
+    if (guard) return applyUpdate(guard, update);
+    if (!options.upsert) return null;
+
+    const id = `${filter.kind}:${filter.key}`;
+    if (guards.has(id)) throw duplicateKeyError();
+    guards.set(id, new OtpGuard({ kind: filter.kind, key: filter.key }));
+    return applyUpdate(guards.get(id), update);
+  });
+  jest.spyOn(OtpGuard, 'updateOne').mockImplementation(async (filter, update) => {
+    const guard = findGuard(filter);
+    if (guard) applyUpdate(guard, update);
+    return { modifiedCount: guard ? 1 : 0 };
+  });
+  jest.spyOn(User, 'findOne').mockResolvedValue(null);
+  jest.spyOn(User.prototype, 'save').mockImplementation(saveSelf);
+  jest.spyOn(Session.prototype, 'save').mockImplementation(saveSelf);
+  jest.spyOn(usernameService, 'generateAvailableUsername').mockResolvedValue('QuietOtter42');
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('OTP login with the local provider', () => {
+  it('logs in with the code that was sent', async () => {
+    const phone = '+15550100001';
+
+    const sent = await request(app).post('/api/auth/request-otp').send({ phone });
+    expect(sent.status).toBe(200);
+
+    const code = provider.getLastCode(phone);
+    expect(code).toMatch(/^\d{6}$/);
+
+    const verified = await request(app).post('/api/auth/verify-otp').send({ phone, otp: code });
+    expect(verified.status).toBe(200);
+    expect(verified.body.isNewUser).toBe(true);
+    expect(verified.body.user.username).toBe('QuietOtter42');
+    expect(verified.body.token).toEqual(expect.any(String));
+    expect(verified.body.refreshToken).toEqual(expect.stringContaining(`${verified.body.sessionId}.`));
+  });
+
+  it('rejects a wrong code', async () => {
+    const phone = '+15550100002';
+    await request(app).post('/api/auth/request-otp').send({ phone });
+    const code = provider.getLastCode(phone);
+    const wrongCode = code === '000000' ? '111111' : '000000';
+
+    const rejected = await request(app).post('/api/auth/verify-otp').send({ phone, otp: wrongCode });
+    expect(rejected.status).toBe(400);
+    expect(rejected.body.message).toBe('Invalid OTP');
+
+    // The right code still works after one wrong guess
+    const verified = await request(app).post('/api/auth/verify-otp').send({ phone, otp: code });
+    expect(verified.status).toBe(200);
+  });
+
+  it('enforces the resend cooldown', async () => {
+    const phone = '+15550100003';
+    await request(app).post('/api/auth/request-otp').send({ phone });
+
+    const again = await request(app).post('/api/auth/request-otp').send({ phone });
+    expect(again.status).toBe(429);
+    expect(again.body.retryAfter).toBeGreaterThan(0);
+  });
+
+  it('limits clients behind the proxy by their own address', async () => {
+    const requestOtp = (ip, phone) => request(app).post('/api/auth/request-otp').set('X-Forwarded-For', ip).send({ phone });
+
+    const limiterMessage = '⚠️ Too many OTP requests. Please try again later.';
+
+    // The OTP guard refuses the repeats, but every request counts towards the per-IP limit
+    for (let i = 0; i < 10; i++) {
+      expect((await requestOtp('198.51.100.1', '+15550100010')).body.message).not.toBe(limiterMessage);
+    }
+    const limited = await requestOtp('198.51.100.1', '+15550100010');
+    expect(limited.status).toBe(429);
+    expect(limited.body.message).toBe(limiterMessage);
+
+    const other = await requestOtp('198.51.100.2', '+15550100011');
+    expect(other.status).toBe(200);
+    expect(guards.has('ip:198.51.100.1')).toBe(true);
+    expect(guards.has('ip:198.51.100.2')).toBe(true);
+  });
+
+  it('refuses a sixth code for the same number within the hour', async () => {
+    const phone = '+15550100008';
+    for (let i = 0; i < 5; i++) {
+      expect(await checkOtpRequest(phone, '203.0.113.7')).toEqual({ allowed: true });
+    }
+
+    expect(await checkOtpRequest(phone, '203.0.113.7')).toMatchObject({ allowed: false, reason: 'request_limit' });
+    expect(guards.get('ip:203.0.113.7').isBlocked()).toBe(false);
+
+    // While blocked, further requests are refused without being counted
+    expect(await checkOtpRequest(phone, '203.0.113.7')).toMatchObject({ allowed: false, reason: 'request_limit' });
+    expect(guards.get(`phone:${phone}`).requests).toHaveLength(6);
+  });
+
+  it('locks the number out after five wrong codes', async () => {
+    const phone = '+15550100009';
+    await request(app).post('/api/auth/request-otp').send({ phone });
+    const code = provider.getLastCode(phone);
+    const wrongCode = code === '000000' ? '111111' : '000000';
+
+    const attempts = [];
+    for (let i = 0; i < 5; i++) {
+      attempts.push(await request(app).post('/api/auth/verify-otp').send({ phone, otp: wrongCode }));
+    }
+    expect(attempts.map(res => res.status)).toEqual([400, 400, 400, 400, 429]);
+    expect(guards.get(`phone:${phone}`)).toMatchObject({ failedVerifications: 0, lockoutLevel: 1 });
+
+    // Even the right code is refused during the lockout
+    const locked = await request(app).post('/api/auth/verify-otp').send({ phone, otp: code });
+    expect(locked.status).toBe(429);
+  });
+
+  it('answers 500 when the guard store fails', async () => {
+    OtpGuard.findOneAndUpdate.mockRejectedValue(new Error('connection reset'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const sent = await request(app).post('/api/auth/request-otp').send({ phone: '+15550100010' });
+    expect(sent.status).toBe(500);
+    expect(sent.body.success).toBe(false);
+  });
+});
+
+describe('local OTP provider', () => {
+  it('expires codes and sweeps them from memory', async () => {
+    let clock = 0;
+    const local = createLocalOtpProvider({ now: () => clock, generateCode: () => '123456' });
+
+    await local.sendOTP('+15550100004');
+    clock += 6 * 60 * 1000;
+    expect(await local.verifyOTP('+15550100004', '123456')).toMatchObject({ success: false, message: 'OTP expired' });
+
+    await local.sendOTP('+15550100005');
+    clock += 6 * 60 * 1000;
+    await local.sendOTP('+15550100006');
+    expect(local.outbox.map(entry => entry.phone)).toEqual(['+15550100006']);
+    expect(await local.verifyOTP('+15550100005', '123456')).toMatchObject({ message: 'No OTP requested for this number' });
+  });
+
+  it('keeps no plaintext codes outside tests unless asked to', async () => {
+    const local = createLocalOtpProvider({ keepOutbox: false });
+    await local.sendOTP('+15550100007');
+    expect(local.outbox).toHaveLength(0);
+  });
+});
+
+describe('username policy', () => {
+  it('allows ordinary words that merely contain an offensive term', () => {
+    ['Essex', 'Peacock', 'Grapevine', 'Skyscraper', 'Woodcutter', 'SussexSunrise', 'Cocktail_Hour'].forEach(username => {
+      expect(validateUsername(username)).toEqual({ valid: true });
+    });
+  });
+
+  it('rejects offensive terms inside compound or disguised names', () => {
+    [
+      'fuckoff', 'Shitty', 'dickhead', 'niggerlover', 'SexyBeast',
+      'Rapist', 'D1ck_Tracy', 'KillYourSelf', 'k1ll_yours3lf', 'Hitler42', 'EssexPorn'
+    ].forEach(username => {
+      expect(validateUsername(username)).toEqual({ valid: false, message: 'This username is not allowed' });
+    });
+  });
+
+  it('keeps usernames unique regardless of case', () => {
+    const usernameIndex = User.schema.indexes().find(([fields]) => fields.username === 1);
+    expect(usernameIndex[1]).toMatchObject({ unique: true, collation: { locale: 'en', strength: 2 } });
+  });
+});
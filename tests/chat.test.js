@@ -0,0 +1,372 @@
+const http = require('http');
+const express = require('express');
+const request = require('supertest');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const { Server } = require('socket.io');
+const { io: connectClient } = require('socket.io-client');
+const { createAdapter } = require('@socket.io/redis-adapter');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+// External stores pulled in through the services under test; these tests never touch them
+jest.mock('../services/pineconeService', () => ({}));
+jest.mock('../services/neo4jService', () => ({ removeUserConnection: jest.fn() }));
+jest.mock('../services/notificationService', () => ({ sendNotification: jest.fn() }));
+jest.mock('../services/blockService', () => ({
+  ...jest.requireActual('../services/blockService'),
+  isBlockedEitherWay: jest.fn(async () => false)
+}));
+
+const { redisClient } = require('../config/redis');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const SupportCircle = require('../models/SupportCircles');
+const Chat = require('../models/Chat');
+const Message = require('../models/Message');
+const Media = require('../models/Media');
+const Match = require('../models/Match');
+const { userRoom, addConnection, removeConnection, isConnected, getConnections } = require('../services/presenceService');
+const { TYPING_TTL_MS, startTyping, stopTyping, getTypingUsers } = require('../services/typingService');
+const configureCircleSocket = require('../services/circleSocketService');
+const socketAuthMiddleware = require('../middleware/socketAuthMiddleware');
+const { deleteMessage, getMessageEditHistory } = require('../controllers/chatController');
+const { keyClaimLimiter } = require('../middleware/rateLimiter');
+const { chatPairKey, sendChatRequest } = require('../services/chatConsentService');
+const { replayUndelivered } = require('../services/messageDeliveryService');
+const { isRedisReachable } = require('./helpers/redis');
+
+// Runs against the Redis at REDIS_URL (default localhost:6379); skipped when none is running
+const describeWithRedis = isRedisReachable() ? describe : describe.skip;
+
+/**
+ * ✅ One API instance: the app's socket setup on its own port, sharing rooms through the Redis adapter
+ * - Like index.js: authenticated handshakes, a personal room per user on `/`, and the circles namespace
+ */
+const startInstance = async () => {
+  const pubClient = redisClient.duplicate();
+  const subClient = redisClient.duplicate();
+  await Promise.all([pubClient.connect(), subClient.connect()]);
+
+  const httpServer = http.createServer();
+  const io = new Server(httpServer, { adapter: createAdapter(pubClient, subClient) });
+  io.use(socketAuthMiddleware);
+  io.on('connection', (socket) => socket.join(userRoom(socket.data.userId)));
+  configureCircleSocket(io);
+  await new Promise(resolve => httpServer.listen(0, resolve));
+
+  return {
+    io,
+    port: httpServer.address().port,
+    close: async () => {
+      await new Promise(resolve => io.close(resolve));
+      await Promise.all([pubClient.quit(), subClient.quit()]);
+    }
+  };
+};
+
+/**
+ * ✅ Connect a client the way the app does: with an access token for a live session
+ */
+const connectAs = (instance, userId, namespace = '') => connectClient(`http://localhost:${instance.port}${namespace}`, {
+  auth: { token: jwt.sign({ userId, sid: userId }, process.env.JWT_SECRET) },
+  transports: ['websocket']
+});
+
+const nextEvent = (client, event) => new Promise(resolve => client.once(event, resolve));
+
+const connected = (client) => new Promise((resolve, reject) => {
+  client.once('connect', resolve);
+  client.once('connect_error', reject);
+});
+
+describeWithRedis('real-time state over Redis', () => {
+  beforeAll(async () => {
+    if (!redisClient.isOpen) await redisClient.connect();
+  });
+
+  afterAll(async () => {
+    await redisClient.quit();
+  });
+
+  beforeEach(() => {
+    // Presence reads and writes the user's settings and last seen; there is no MongoDB here
+    jest.spyOn(User, 'findById').mockReturnValue({
+      select: () => ({ lean: async () => ({ presence: { appearOffline: false } }) })
+    });
+    jest.spyOn(User, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    // Each test user's session id is their user id
+    jest.spyOn(Session, 'findById').mockImplementation(async (sessionId) => new Session({
+      _id: new mongoose.Types.ObjectId(sessionId),
+      userId: sessionId,
+      expiresAt: new Date(Date.now() + 60 * 60 * 1000)
+    }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('delivers io.to(userRoom) to a user connected to another instance', async () => {
+    const userId = new mongoose.Types.ObjectId().toString();
+    const [instanceA, instanceB] = await Promise.all([startInstance(), startInstance()]);
+    const client = connectAs(instanceA, userId);
+
+    try {
+      await connected(client);
+
+      const received = nextEvent(client, 'newNotification');
+      instanceB.io.to(userRoom(userId)).emit('newNotification', { message: 'hello from B' });
+
+      expect(await received).toEqual({ message: 'hello from B' });
+    } finally {
+      client.close();
+      await Promise.all([instanceA.close(), instanceB.close()]);
+    }
+  });
+
+  it('shares circle presence and typing between members on different instances', async () => {
+    const [alice, bob] = [new mongoose.Types.ObjectId().toString(), new mongoose.Types.ObjectId().toString()];
+    const circleId = new mongoose.Types.ObjectId().toString();
+    jest.spyOn(SupportCircle, 'find').mockReturnValue({ select: async () => [{ _id: circleId }] });
+
+    const [instanceA, instanceB] = await Promise.all([startInstance(), startInstance()]);
+    const aliceClient = connectAs(instanceA, alice, '/circles');
+    let bobClient;
+
+    try {
+      expect(await nextEvent(aliceClient, 'circleOnlineUsers')).toMatchObject({ circleId, onlineUsers: [alice] });
+
+      // Bob connects to the other instance: Alice hears about it, and Bob sees her online
+      const bobJoined = nextEvent(aliceClient, 'userJoinedCircle');
+      bobClient = connectAs(instanceB, bob, '/circles');
+      const bobsView = await nextEvent(bobClient, 'circleOnlineUsers');
+      expect(bobsView.onlineUsers.sort()).toEqual([alice, bob].sort());
+      expect(await bobJoined).toEqual({ circleId, userId: bob });
+
+      const aliceTyping = nextEvent(bobClient, 'userTyping');
+      aliceClient.emit('circleTyping', { circleId });
+      expect(await aliceTyping).toEqual({ circleId, userId: alice });
+      expect(await getTypingUsers(`circle:${circleId}`)).toEqual([alice]);
+
+      const bobLeft = nextEvent(aliceClient, 'userLeftCircle');
+      bobClient.close();
+      expect(await bobLeft).toEqual({ circleId, userId: bob });
+
+      // Alice's disconnect clears her typing indicator just before its last broadcast
+      aliceClient.close();
+      const started = Date.now();
+      while ((await getTypingUsers(`circle:${circleId}`)).includes(alice)) {
+        if (Date.now() - started > 2000) throw new Error('Timed out waiting for the disconnect cleanup');
+        await new Promise(resolve => setTimeout(resolve, 5));
+      }
+    } finally {
+      aliceClient.close();
+      if (bobClient) bobClient.close();
+      await Promise.all([instanceA.close(), instanceB.close()]);
+    }
+  });
+
+  it('keeps a user online until their last socket disconnects', async () => {
+    const userId = new mongoose.Types.ObjectId().toString();
+
+    expect(await addConnection(userId, 'socket-phone', '/')).toBe(true);
+    expect(await addConnection(userId, 'socket-laptop', '/circles')).toBe(false);
+
+    // Another instance sees the same sockets
+    const otherInstance = redisClient.duplicate();
+    await otherInstance.connect();
+    try {
+      expect(await otherInstance.hLen(`presence:user:${userId}`)).toBe(2);
+    } finally {
+      await otherInstance.quit();
+    }
+    expect((await getConnections(userId)).map(c => c.namespace).sort()).toEqual(['/', '/circles']);
+
+    expect(await removeConnection(userId, 'socket-phone')).toBe(false);
+    expect(await isConnected(userId)).toBe(true);
+
+    expect(await removeConnection(userId, 'socket-laptop')).toBe(true);
+    expect(await isConnected(userId)).toBe(false);
+    expect(User.updateOne).toHaveBeenCalledWith(
+      { _id: userId },
+      { $set: { 'presence.lastSeenAt': expect.any(Date) } }
+    );
+  });
+
+  it('shares typing state and lets it expire', async () => {
+    const scope = `circle:test-${crypto.randomBytes(4).toString('hex')}`;
+
+    await startTyping(scope, 'user-1');
+    await startTyping(scope, 'user-2');
+    expect((await getTypingUsers(scope)).sort()).toEqual(['user-1', 'user-2']);
+
+    await stopTyping(scope, 'user-1');
+    expect(await getTypingUsers(scope)).toEqual(['user-2']);
+
+    // A client that stops re-sending "typing" drops off after the TTL
+    const later = Date.now() + TYPING_TTL_MS + 1;
+    jest.spyOn(Date, 'now').mockReturnValue(later);
+    expect(await getTypingUsers(scope)).toEqual([]);
+  });
+});
+
+describe('deleting an edited message', () => {
+  const senderId = new mongoose.Types.ObjectId().toString();
+  const recipientId = new mongoose.Types.ObjectId().toString();
+  let message;
+
+  const mockResponse = () => {
+    const res = {};
+    res.status = jest.fn(() => res);
+    res.json = jest.fn(() => res);
+    return res;
+  };
+
+  // No MongoDB here: the message and its chat are stubbed
+  beforeEach(() => {
+    message = new Message({
+      chatId: new mongoose.Types.ObjectId(),
+      sender: senderId,
+      text: 'see you at 8',
+      isEdited: true,
+      editedAt: new Date(),
+      editHistory: [{ text: 'see you at 7' }]
+    });
+    jest.spyOn(Message, 'findById').mockImplementation(() => {
+      const query = Promise.resolve(message);
+      query.select = async () => message;
+      return query;
+    });
+    jest.spyOn(Message.prototype, 'save').mockImplementation(function() { return Promise.resolve(this); });
+    jest.spyOn(Chat, 'findById').mockResolvedValue({ participants: [senderId, recipientId] });
+    jest.spyOn(Chat, 'exists').mockResolvedValue({ _id: message.chatId });
+    jest.spyOn(Media, 'find').mockReturnValue({ select: async () => [] });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('drops the earlier versions and stops serving its edit history', async () => {
+    const io = { to: jest.fn(() => ({ emit: jest.fn() })) };
+    const deleted = mockResponse();
+    await deleteMessage({ user: { userId: senderId }, body: { messageId: message._id.toString() } }, deleted, io);
+
+    expect(deleted.status).toHaveBeenCalledWith(200);
+    expect(message).toMatchObject({ text: 'Message deleted', isDeleted: true, isEdited: false, editedAt: null });
+    expect(message.editHistory).toHaveLength(0);
+
+    const history = mockResponse();
+    await getMessageEditHistory({ user: { userId: recipientId }, params: { messageId: message._id.toString() } }, history);
+    expect(history.status).toHaveBeenCalledWith(404);
+  });
+
+  it('answers 404 for a malformed message id', async () => {
+    const history = mockResponse();
+    await getMessageEditHistory({ user: { userId: senderId }, params: { messageId: 'not-an-id' } }, history);
+
+    expect(history.status).toHaveBeenCalledWith(404);
+    expect(Message.findById).not.toHaveBeenCalled();
+  });
+});
+
+describe('claiming key bundles', () => {
+  // Stands in for authMiddleware and getUserKeyBundles, so only the limiter runs for real
+  const app = express();
+  app.get('/api/keys/:userId', (req, res, next) => {
+    req.user = { userId: req.get('X-Test-User') };
+    next();
+  }, keyClaimLimiter, (req, res) => res.status(200).json({ success: true }));
+
+  const fetchKeys = (requesterId, targetUserId) => request(app).get(`/api/keys/${targetUserId}`).set('X-Test-User', requesterId);
+
+  it('limits how often one user can claim the same chat partner\'s pre-keys', async () => {
+    const [userA, userB, userC] = ['a', 'b', 'c'].map(() => new mongoose.Types.ObjectId().toString());
+
+    for (let i = 0; i < 10; i++) {
+      expect((await fetchKeys(userA, userB)).status).toBe(200);
+    }
+    expect((await fetchKeys(userA, userB)).status).toBe(429);
+
+    // Other pairs keep their own budget
+    expect((await fetchKeys(userA, userC)).status).toBe(200);
+    expect((await fetchKeys(userC, userB)).status).toBe(200);
+  });
+});
+
+describe('message requests', () => {
+  const userA = new mongoose.Types.ObjectId().toString();
+  const userB = new mongoose.Types.ObjectId().toString();
+  let chats; // Chat documents, by pair key
+
+  // No MongoDB here: chats live in a map with the pair key's unique index, the other lookups are stubbed
+  beforeEach(() => {
+    chats = new Map();
+    jest.spyOn(User, 'findById').mockReturnValue({ select: async () => ({ username: 'QuietOtter42', preferences: {} }) });
+    jest.spyOn(Match, 'findOne').mockReturnValue({ select: async () => ({ status: 'pending' }) });
+    jest.spyOn(Chat, 'findOne').mockResolvedValue(null);
+    jest.spyOn(Chat, 'findOneAndUpdate').mockImplementation(async ({ pairKey }, { $setOnInsert }) => {
+      await new Promise(resolve => setImmediate(resolve)); // Let the other request's lookup run first
+      if (chats.has(pairKey)) return { value: chats.get(pairKey), lastErrorObject: { updatedExisting: true } };
+      chats.set(pairKey, new Chat($setOnInsert));
+      return { value: chats.get(pairKey), lastErrorObject: { updatedExisting: false } };
+    });
+    jest.spyOn(Chat.prototype, 'save').mockImplementation(function() { return Promise.resolve(this); });
+    jest.spyOn(Message, 'create').mockImplementation(async (fields) => new Message(fields));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('keeps a single chat when two users request each other at the same time', async () => {
+    const io = { to: jest.fn(() => ({ emit: jest.fn() })) };
+
+    const results = await Promise.all([
+      sendChatRequest(io, userA, userB, 'Hi, I saw your vent about exams'),
+      sendChatRequest(io, userB, userA, 'Hey! Want to talk?')
+    ]);
+
+    expect(results.map(result => result.success)).toEqual([true, false]);
+    expect(results[1]).toMatchObject({ statusCode: 409, message: 'A message request between you is already pending' });
+    expect(chats.size).toBe(1);
+    expect(chatPairKey(userA, userB)).toBe(chatPairKey(userB, userA));
+    expect(Message.create).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('replaying undelivered messages', () => {
+  const senderId = new mongoose.Types.ObjectId().toString();
+  const recipientId = new mongoose.Types.ObjectId().toString();
+  const chatId = new mongoose.Types.ObjectId();
+
+  // Enough of the expiry condition for the replay query
+  const isLive = (message, { $or }) => $or.some(({ expiresAt }) => (expiresAt === null
+    ? !message.expiresAt
+    : !!message.expiresAt && message.expiresAt > expiresAt.$gt));
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('skips disappearing messages that expired before the purge job removed them', async () => {
+    const messages = [
+      { text: 'kept', expiresAt: null },
+      { text: 'expired', expiresAt: new Date(Date.now() - 1000) },
+      { text: 'still visible', expiresAt: new Date(Date.now() + 60 * 60 * 1000) }
+    ].map(fields => ({ ...fields, _id: new mongoose.Types.ObjectId(), chatId, sender: senderId, status: 'sent' }));
+
+    jest.spyOn(Chat, 'find').mockReturnValue({ select: () => ({ lean: async () => [{ _id: chatId }] }) });
+    jest.spyOn(Message, 'find').mockImplementation((filter) => {
+      const chain = { sort: () => chain, limit: () => chain, populate: () => chain };
+      chain.lean = async () => messages.filter(message => isLive(message, filter));
+      return chain;
+    });
+    const socket = { emit: jest.fn() };
+
+    expect(await replayUndelivered(socket, recipientId)).toBe(2);
+    expect(socket.emit.mock.calls.map(([, payload]) => payload.text)).toEqual(['kept', 'still visible']);
+  });
+});
@@ -0,0 +1,19 @@
+const { spawnSync } = require('child_process');
+const { REDIS_URL } = require('../../config/redis');
+
+/**
+ * ✅ Whether the Redis at REDIS_URL (default localhost:6379) accepts connections
+ * - Checked synchronously so suites that need Redis can be skipped up front
+ */
+const isRedisReachable = () => {
+  const { hostname, port } = new URL(REDIS_URL);
+  const probe = spawnSync(process.execPath, ['-e', `
+    const socket = require('net').connect(${Number(port) || 6379}, ${JSON.stringify(hostname)});
+    socket.on('connect', () => process.exit(0));
+    socket.on('error', () => process.exit(1));
+    socket.setTimeout(1000, () => process.exit(1));
+  `], { timeout: 3000 });
+  return probe.status === 0;
+};
+
+module.exports = { isRedisReachable };
@@ -0,0 +1,201 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const sharp = require('sharp');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const Media = require('../models/Media');
+const Session = require('../models/Session');
+const SupportCircle = require('../models/SupportCircles');
+const { setMediaStorage } = require('../services/mediaStorageService');
+const { createLocalMediaStorage } = require('../services/localMediaStorage');
+const { deleteMedia } = require('../services/mediaService');
+const { setTranscriber } = require('../services/transcriptionService');
+const { createStubTranscriber } = require('../services/stubTranscriber');
+const { analyzeCircleMessage } = require('../services/messageAnalysisService');
+const mediaRoutes = require('../routes/mediaRoutes');
+
+const app = express();
+app.use(express.json());
+app.use('/api/media', mediaRoutes);
+
+const userId = new mongoose.Types.ObjectId().toString();
+const sessionId = new mongoose.Types.ObjectId();
+const authHeader = `Bearer ${jwt.sign({ userId, sid: sessionId.toString() }, process.env.JWT_SECRET)}`;
+
+let rootDir;
+let storage;
+let stored; // Media records "saved" by the stubbed model, by id
+
+const wavFile = () => Buffer.concat([Buffer.from('RIFF'), Buffer.alloc(4), Buffer.from('WAVEfmt '), Buffer.alloc(64)]);
+
+const storedFiles = () => fs.readdirSync(rootDir, { recursive: true })
+  .filter(file => fs.statSync(path.join(rootDir, file)).isFile());
+
+// No MongoDB here: media and session records live in a map, files go to a temporary directory
+beforeEach(() => {
+  rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'unmute-media-'));
+  storage = createLocalMediaStorage({ rootDir });
+  setMediaStorage(storage);
+  stored = new Map();
+
+  jest.spyOn(Session, 'findById').mockResolvedValue(new Session({
+    _id: sessionId,
+    userId,
+    refreshTokenHash: 'hash',
+    expiresAt: new Date(Date.now() + 60 * 60 * 1000)
+  }));
+  jest.spyOn(Media, 'create').mockImplementation(async (fields) => {
+    const media = new Media(fields);
+    stored.set(media._id.toString(), media);
+    return media;
+  });
+  jest.spyOn(Media, 'findById').mockImplementation(async (id) => stored.get(id.toString()) || null);
+  jest.spyOn(Media, 'find').mockImplementation((filter) => ({
+    select: async () => [...stored.values()].filter(media => media._id.equals(filter._id))
+  }));
+  jest.spyOn(Media, 'deleteMany').mockImplementation(async ({ _id }) => {
+    _id.$in.forEach(id => stored.delete(id.toString()));
+    return { deletedCount: _id.$in.length };
+  });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  fs.rmSync(rootDir, { recursive: true, force: true });
+});
+
+describe('media uploads with the local storage backend', () => {
+  it('stores a re-encoded image without EXIF, with a thumbnail, and serves it back', async () => {
+    const photo = await sharp({ create: { width: 1200, height: 800, channels: 3, background: '#6699cc' } })
+      .jpeg()
+      .withMetadata({ exif: { IFD0: { Copyright: 'home address' } } })
+      .toBuffer();
+    expect((await sharp(photo).metadata()).exif).toBeDefined();
+
+    const uploaded = await request(app)
+      .post('/api/media')
+      .set('Authorization', authHeader)
+      .field('purpose', 'chat')
+      .attach('file', photo, { filename: 'photo.jpg', contentType: 'image/jpeg' });
+
+    expect(uploaded.status).toBe(201);
+    expect(uploaded.body.media).toMatchObject({ kind: 'image', contentType: 'image/jpeg', width: 1200, height: 800 });
+    expect(uploaded.body.media.thumbnailUrl).toEqual(expect.any(String));
+
+    const media = stored.get(uploaded.body.media._id);
+    expect(media.storage).toBe('local');
+    expect(storedFiles()).toHaveLength(2);
+
+    const file = fs.readFileSync(path.join(rootDir, media.original.key));
+    expect((await sharp(file).metadata()).exif).toBeUndefined();
+    const thumbnail = await sharp(path.join(rootDir, media.thumbnail.key)).metadata();
+    expect(Math.max(thumbnail.width, thumbnail.height)).toBe(320);
+
+    const downloaded = await request(app)
+      .get(`/api/media/${media._id}/file`)
+      .set('Authorization', authHeader)
+      .buffer(true)
+      .parse((res, callback) => {
+        const chunks = [];
+        res.on('data', chunk => chunks.push(chunk));
+        res.on('end', () => callback(null, Buffer.concat(chunks)));
+      });
+    expect(downloaded.status).toBe(200);
+    expect(downloaded.headers['content-type']).toBe('image/jpeg');
+    expect(Buffer.compare(downloaded.body, file)).toBe(0);
+  });
+
+  it('rejects files whose bytes do not match the declared type', async () => {
+    const uploaded = await request(app)
+      .post('/api/media')
+      .set('Authorization', authHeader)
+      .field('purpose', 'chat')
+      .attach('file', Buffer.from('definitely not a png file'), { filename: 'fake.png', contentType: 'image/png' });
+
+    expect(uploaded.status).toBe(400);
+    expect(storedFiles()).toHaveLength(0);
+  });
+
+  it('keeps reading and deleting old media from their own backend after the active one changes', async () => {
+    const photo = await sharp({ create: { width: 64, height: 64, channels: 3, background: '#6699cc' } }).jpeg().toBuffer();
+    const uploaded = await request(app)
+      .post('/api/media')
+      .set('Authorization', authHeader)
+      .field('purpose', 'circle')
+      .attach('file', photo, { filename: 'photo.jpg', contentType: 'image/jpeg' });
+    expect(uploaded.status).toBe(201);
+    const mediaId = uploaded.body.media._id;
+
+    // MEDIA_STORAGE switched to another backend: new uploads go there, old ones stay put
+    const otherBackend = {
+      name: 's3',
+      putObject: jest.fn(),
+      getObjectStream: jest.fn().mockResolvedValue(null),
+      deleteObject: jest.fn()
+    };
+    setMediaStorage(otherBackend);
+
+    const downloaded = await request(app).get(`/api/media/${mediaId}/file`).set('Authorization', authHeader);
+    expect(downloaded.status).toBe(200);
+    expect(otherBackend.getObjectStream).not.toHaveBeenCalled();
+
+    expect(await deleteMedia({ _id: new mongoose.Types.ObjectId(mediaId) })).toBe(1);
+    expect(storedFiles()).toHaveLength(0);
+    expect(otherBackend.deleteObject).not.toHaveBeenCalled();
+  });
+});
+
+describe('voice note transcription with the stub transcriber', () => {
+  afterEach(() => {
+    setTranscriber(undefined); // Back to the configured provider
+  });
+
+  it('transcribes a stored voice note once and analyses the transcript like text', async () => {
+    const transcriber = createStubTranscriber({ transcript: 'I feel hopeless and alone tonight' });
+    setTranscriber(transcriber);
+    jest.spyOn(Media.prototype, 'save').mockImplementation(function() { return Promise.resolve(this); });
+
+    const audio = wavFile();
+    const uploaded = await request(app)
+      .post('/api/media')
+      .set('Authorization', authHeader)
+      .field('purpose', 'circle')
+      .field('durationMs', '4200')
+      .field('waveform', JSON.stringify([0, 40, 80, 40]))
+      .attach('file', audio, { filename: 'note.wav', contentType: 'audio/wav' });
+    expect(uploaded.status).toBe(201);
+    expect(uploaded.body.media).toMatchObject({ kind: 'audio', durationMs: 4200, waveform: [0, 40, 80, 40] });
+    const mediaId = uploaded.body.media._id;
+
+    const circleId = new mongoose.Types.ObjectId();
+    const messageId = new mongoose.Types.ObjectId();
+    jest.spyOn(SupportCircle, 'findOne').mockReturnValue({
+      lean: async () => ({ messages: [{ _id: messageId, messageType: 'voice', content: '', attachments: [mediaId] }] })
+    });
+    jest.spyOn(SupportCircle, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+    const analysis = await analyzeCircleMessage(circleId, messageId);
+
+    expect(transcriber.calls).toEqual([{ contentType: 'audio/wav', size: audio.length, durationMs: 4200 }]);
+    expect(analysis).toMatchObject({ source: 'transcript', sentiment: 'negative', flagged: false });
+    expect(SupportCircle.updateOne).toHaveBeenCalledWith(
+      { _id: circleId, 'messages._id': messageId },
+      { $set: { 'messages.$.analysis': analysis } }
+    );
+    expect(stored.get(mediaId).transcript).toMatchObject({
+      status: 'completed',
+      text: 'I feel hopeless and alone tonight',
+      provider: 'stub'
+    });
+
+    // Analysing again reuses the stored transcript
+    await analyzeCircleMessage(circleId, messageId);
+    expect(transcriber.calls).toHaveLength(1);
+  });
+});
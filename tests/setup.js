@@ -0,0 +1,7 @@
+const mongoose = require('mongoose');
+
+// Tests run without a MongoDB server: documents are stubbed per test, and any query that
+// slips through fails straight away instead of waiting for a connection
+mongoose.set('bufferCommands', false);
+mongoose.set('autoCreate', false);
+mongoose.set('autoIndex', false);
@@ -0,0 +1,444 @@
+const mongoose = require('mongoose');
+
+// External stores and match scoring are replaced; ingestion itself runs for real on the in-memory queue
+jest.mock('../services/pineconeService', () => ({
+  storeVentEmbedding: jest.fn(),
+  findSimilarVents: jest.fn(),
+  deleteVentEmbeddings: jest.fn()
+}));
+jest.mock('../services/neo4jService', () => ({
+  connectUsers: jest.fn(),
+  removeUserConnection: jest.fn(),
+  deleteUserNode: jest.fn()
+}));
+jest.mock('../services/matchScoringService', () => ({ updateMatchesForUser: jest.fn() }));
+jest.mock('../services/notificationService', () => ({ sendNotification: jest.fn() }));
+jest.mock('../services/blockService', () => ({
+  ...jest.requireActual('../services/blockService'),
+  getBlockRelationIds: jest.fn(async () => []),
+  getBlockedUserIds: jest.fn(async () => []),
+  isBlockedEitherWay: jest.fn(async () => false)
+}));
+
+const Vent = require('../models/Vent');
+const Match = require('../models/Match');
+const User = require('../models/User');
+const Report = require('../models/Report');
+const VentComment = require('../models/VentComment');
+const { storeVentEmbedding, findSimilarVents } = require('../services/pineconeService');
+const { connectUsers } = require('../services/neo4jService');
+const { updateMatchesForUser } = require('../services/matchScoringService');
+const { setJobQueue, enqueueJob } = require('../services/jobQueueService');
+const { createMemoryJobQueue } = require('../services/memoryJobQueue');
+const { VENT_INGESTION_QUEUE, queueVentIngestion, startVentIngestionWorker } = require('../services/ventIngestionService');
+const { createVent } = require('../controllers/ventController');
+const { getMatchSuggestions, getMatchDetails } = require('../controllers/matchController');
+const { ANONYMOUS_AUTHOR } = require('../services/ventVisibilityService');
+const {
+  listComments,
+  listReplies,
+  addComment,
+  editComment,
+  deleteComment,
+  toggleCommentReaction,
+  setCommentHidden,
+  setCommentAudience
+} = require('../services/ventCommentService');
+
+const authorId = new mongoose.Types.ObjectId().toString();
+const userA = new mongoose.Types.ObjectId().toString();
+const userB = new mongoose.Types.ObjectId().toString();
+
+let queue;
+let vent; // The one vent document, "saved" in memory
+
+const waitFor = async (condition, timeoutMs = 2000) => {
+  const started = Date.now();
+  while (!condition()) {
+    if (Date.now() - started > timeoutMs) throw new Error('Timed out waiting for the ingestion worker');
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+};
+
+// A query stub that can be chained like a Mongoose query and awaited
+const query = (result) => {
+  const chain = { populate: () => chain, select: () => chain, lean: () => chain };
+  chain.then = (resolve, reject) => Promise.resolve(typeof result === 'function' ? result() : result).then(resolve, reject);
+  return chain;
+};
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+// No MongoDB here: the vent lives in memory, and `$set` updates are applied to it
+beforeEach(() => {
+  jest.clearAllMocks();
+  queue = createMemoryJobQueue();
+  setJobQueue(queue);
+
+  vent = new Vent({ userId: authorId, title: 'Tired', text: 'Work has been a lot lately', emotion: 'Burnout' });
+  jest.spyOn(Vent, 'findById').mockImplementation(async () => vent);
+  jest.spyOn(Vent.prototype, 'save').mockImplementation(function() { return Promise.resolve(this); });
+  jest.spyOn(Vent, 'updateOne').mockImplementation(async (filter, update) => {
+    Object.entries(update.$set || {}).forEach(([field, value]) => vent.set(field, value));
+    Object.entries(update.$inc || {}).forEach(([field, by]) => vent.set(field, (vent.get(field) || 0) + by));
+    return { modifiedCount: 1 };
+  });
+  jest.spyOn(Vent, 'deleteOne').mockResolvedValue({ deletedCount: 1 });
+});
+
+afterEach(async () => {
+  await queue.close();
+  jest.restoreAllMocks();
+});
+
+describe('vent ingestion on the in-memory queue', () => {
+  it('retries failed steps without repeating the ones already done', async () => {
+    findSimilarVents
+      .mockRejectedValueOnce(new Error('Pinecone timeout'))
+      .mockResolvedValue([
+        { score: 0.91, metadata: { userId: userA } },
+        { score: 0.84, metadata: { userId: userB } },
+        { score: 0.88, metadata: { userId: userA } }, // A second vent by the same user
+        { score: 0.99, metadata: { userId: authorId } } // The author's own vents never match
+      ]);
+    connectUsers
+      .mockResolvedValueOnce() // userA
+      .mockRejectedValueOnce(new Error('Neo4j unavailable')) // userB, attempt 2
+      .mockResolvedValue();
+
+    startVentIngestionWorker({ retryDelayMs: () => 1 });
+    await queueVentIngestion(vent);
+    expect(vent.processing.status).toBe('queued');
+
+    await waitFor(() => vent.processing.status === 'completed');
+
+    expect(vent.processing.attempts).toBe(3);
+    expect(storeVentEmbedding).toHaveBeenCalledTimes(1);
+    expect(vent.processing.embeddedAt).toBeInstanceOf(Date);
+
+    // userA's edge was written on attempt 2 and not again on attempt 3; userB's failed once
+    expect(connectUsers.mock.calls).toEqual([
+      [authorId, userA, 0.91, ['Burnout']],
+      [authorId, userB, 0.84, ['Burnout']],
+      [authorId, userB, 0.84, ['Burnout']]
+    ]);
+    expect([...vent.processing.connectedUserIds].sort()).toEqual([userA, userB].sort());
+    expect(updateMatchesForUser.mock.calls.map(([id]) => id).sort()).toEqual([authorId, userA, userB].sort());
+  });
+
+  it('does not queue a vent twice or process a finished vent again', async () => {
+    findSimilarVents.mockResolvedValue([]);
+
+    const first = await queueVentIngestion(vent);
+    const second = await queueVentIngestion(vent);
+    expect(first.duplicate).toBe(false);
+    expect(second.duplicate).toBe(true);
+
+    startVentIngestionWorker({ retryDelayMs: () => 1 });
+    await waitFor(() => vent.processing.status === 'completed');
+    expect(storeVentEmbedding).toHaveBeenCalledTimes(1);
+
+    // A stale job for a completed vent (e.g. re-queued by the sweep) is a no-op
+    await enqueueJob(VENT_INGESTION_QUEUE, vent._id, { ventId: vent._id.toString() });
+    await new Promise(resolve => setTimeout(resolve, 20));
+    expect(storeVentEmbedding).toHaveBeenCalledTimes(1);
+  });
+
+  it('marks the vent failed once it runs out of attempts', async () => {
+    storeVentEmbedding.mockRejectedValue(new Error('OpenAI quota exceeded'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    startVentIngestionWorker({ retryDelayMs: () => 1 });
+    await queueVentIngestion(vent);
+    await waitFor(() => vent.processing.status === 'failed');
+
+    expect(vent.processing.attempts).toBe(5);
+    expect(vent.processing.lastError).toBe('OpenAI quota exceeded');
+  });
+});
+
+describe('createVent', () => {
+  it('does not keep a vent whose ingestion job could not be queued', async () => {
+    setJobQueue({
+      name: 'broken',
+      enqueue: async () => { throw new Error('Redis connection refused'); },
+      process: () => {},
+      close: async () => {}
+    });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const req = { user: { userId: authorId }, body: { title: 'Tired', text: 'Work has been a lot lately', emotion: 'Burnout' } };
+    const res = mockResponse();
+    await createVent(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(500);
+    expect(Vent.prototype.save).toHaveBeenCalledTimes(1);
+    const saved = Vent.prototype.save.mock.contexts[0];
+    expect(Vent.deleteOne).toHaveBeenCalledWith({ _id: saved._id });
+  });
+
+  it('returns the vent without its ingestion internals', async () => {
+    const req = { user: { userId: authorId }, body: { title: 'Tired', text: 'Work has been a lot lately', emotion: 'Burnout' } };
+    const res = mockResponse();
+    await createVent(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(201);
+    const body = res.json.mock.calls[0][0];
+    expect(body.vent.processing).toBeUndefined();
+    expect(body.processing).toMatchObject({ status: 'queued' });
+  });
+});
+
+describe('vents shown through matches', () => {
+  const viewer = { _id: new mongoose.Types.ObjectId(userA), username: 'QuietOtter42' };
+  const other = { _id: new mongoose.Types.ObjectId(userB), username: 'CalmMeadow7' };
+  let match;
+  let namedPair;
+  let anonymousPair;
+
+  beforeEach(() => {
+    const ventBy = (user, fields) => new Vent({ userId: user._id, title: 'Vent', emotion: 'Sadness', ...fields });
+    namedPair = { vent1: ventBy(viewer, { text: 'I miss home' }), vent2: ventBy(other, { text: 'Moved cities, feel lost' }), matchScore: 0.8 };
+    anonymousPair = {
+      vent1: ventBy(viewer, { text: 'Exams are crushing me' }),
+      vent2: ventBy(other, { text: 'My family does not know I failed', anonymous: true }),
+      matchScore: 0.9
+    };
+    match = { _id: new mongoose.Types.ObjectId(), user1: viewer, user2: other, status: 'pending', matchScore: 0.85, ventMatches: [namedPair, anonymousPair] };
+
+    jest.spyOn(Match, 'find').mockImplementation((filter) => query(
+      filter.status === 'accepted' ? (match.status === 'accepted' ? [match] : []) : [match]
+    ));
+  });
+
+  it('leaves out anonymous vents whose author is hidden from the viewer', async () => {
+    const viewerReq = { user: { userId: userA } };
+
+    const suggestions = mockResponse();
+    await getMatchSuggestions(viewerReq, suggestions);
+    const [suggestion] = suggestions.json.mock.calls[0][0].matches;
+    expect(suggestion.ventMatches).toHaveLength(1);
+    expect(suggestion.ventMatches[0].vent2.text).toBe('Moved cities, feel lost');
+
+    const details = mockResponse();
+    await getMatchDetails(viewerReq, details);
+    expect(details.status).toHaveBeenCalledWith(200);
+    expect(details.json.mock.calls[0][0].matchDetails[0].ventMatches).toEqual([
+      { vent1: 'I miss home', vent2: 'Moved cities, feel lost', matchScore: 0.8 }
+    ]);
+
+    for (const res of [suggestions, details]) {
+      const body = JSON.stringify(res.json.mock.calls[0][0]);
+      expect(body).not.toContain('My family does not know I failed');
+      expect(body).not.toContain(anonymousPair.vent2._id.toString());
+    }
+  });
+
+  it('shows an anonymous vent to an accepted match when the author allows it', async () => {
+    match.status = 'accepted';
+    anonymousPair.vent2.revealToMatches = true;
+
+    const details = mockResponse();
+    await getMatchDetails({ user: { userId: userA } }, details);
+    expect(details.json.mock.calls[0][0].matchDetails[0].ventMatches.map(v => v.vent2)).toEqual([
+      'Moved cities, feel lost',
+      'My family does not know I failed'
+    ]);
+  });
+});
+
+describe('vent comments', () => {
+  let comments; // VentComment documents, in the order they were written
+  let acceptedMatchIds;
+
+  const idsEqual = (a, b) => String(a ?? null) === String(b ?? null);
+
+  // Enough of MongoDB's query operators for ventCommentService
+  const matchesFilter = (comment, filter) => Object.entries(filter).every(([path, condition]) => {
+    if (path === '$or') return condition.some(clause => matchesFilter(comment, clause));
+    if (path === 'reactions.userId') {
+      const reacted = comment.reactions.some(reaction => idsEqual(reaction.userId, condition.$ne ?? condition));
+      return condition.$ne ? !reacted : reacted;
+    }
+    const value = comment.get(path);
+    if (condition && condition.$nin) return !condition.$nin.some(id => idsEqual(id, value));
+    return idsEqual(value, condition);
+  });
+
+  const findComments = (filter) => comments.filter(comment => matchesFilter(comment, filter));
+  const commentById = (id) => comments.find(comment => idsEqual(comment._id, id)) || null;
+  const lean = (comment) => comment && comment.toObject();
+  const populated = (comment) => ({ ...lean(comment), userId: { _id: comment.userId, username: 'someone' } });
+
+  // No MongoDB here: comments live in an array, updates are applied to the documents
+  beforeEach(() => {
+    comments = [];
+    acceptedMatchIds = [];
+    vent.allowComments = true;
+
+    jest.spyOn(Vent, 'findById').mockImplementation(() => query(vent));
+    jest.spyOn(Vent, 'findOneAndUpdate').mockImplementation((filter, update) => query(() => {
+      if (!idsEqual(filter.userId, vent.userId)) return null;
+      Object.entries(update.$set).forEach(([field, value]) => vent.set(field, value));
+      return vent;
+    }));
+    jest.spyOn(User, 'findById').mockImplementation(() => query({ allowComments: true }));
+    jest.spyOn(Match, 'find').mockImplementation(() => query(() => acceptedMatchIds.map(userId => ({ user1: authorId, user2: userId }))));
+    jest.spyOn(Report, 'exists').mockResolvedValue(null);
+
+    jest.spyOn(VentComment, 'create').mockImplementation(async (fields) => {
+      const comment = new VentComment(fields);
+      comments.push(comment);
+      return comment;
+    });
+    jest.spyOn(VentComment.prototype, 'save').mockImplementation(function() { return Promise.resolve(this); });
+    jest.spyOn(VentComment, 'findById').mockImplementation((id) => {
+      const result = query(() => commentById(id));
+      result.lean = () => query(() => lean(commentById(id)));
+      return result;
+    });
+    jest.spyOn(VentComment, 'findOne').mockImplementation((filter) => query(() => findComments(filter)[0] || null));
+    jest.spyOn(VentComment, 'exists').mockImplementation(async (filter) => (findComments(filter).length ? { _id: true } : null));
+    jest.spyOn(VentComment, 'distinct').mockImplementation(async (field, filter) => findComments(filter).map(comment => comment.get(field)));
+    jest.spyOn(VentComment, 'deleteOne').mockImplementation(async ({ _id }) => {
+      comments = comments.filter(comment => !idsEqual(comment._id, _id));
+      return { deletedCount: 1 };
+    });
+    jest.spyOn(VentComment, 'updateOne').mockImplementation(async (filter, update) => {
+      const [comment] = findComments(filter);
+      if (!comment) return { modifiedCount: 0 };
+      Object.entries(update.$inc || {}).forEach(([field, by]) => comment.set(field, comment.get(field) + by));
+      Object.entries(update.$set || {}).forEach(([field, value]) => {
+        if (!field.startsWith('reactions.$.')) return comment.set(field, value);
+        const reaction = comment.reactions.find(r => idsEqual(r.userId, filter['reactions.userId']));
+        reaction.set(field.replace('reactions.$.', ''), value);
+      });
+      Object.keys(update.$unset || {}).forEach(field => comment.set(field, undefined));
+      if (update.$push) comment.reactions.push(update.$push.reactions);
+      if (update.$pull) comment.set('reactions', comment.reactions.filter(r => !idsEqual(r.userId, update.$pull.reactions.userId)));
+      return { modifiedCount: 1 };
+    });
+    jest.spyOn(VentComment, 'find').mockImplementation((filter) => {
+      let sort = {};
+      let skip = 0;
+      let limit = Infinity;
+      const chain = query(() => {
+        const found = findComments(filter);
+        if (sort.createdAt === -1) found.reverse();
+        return found.slice(skip, skip + limit).map(populated);
+      });
+      chain.sort = (value) => { sort = value; return chain; };
+      chain.skip = (value) => { skip = value; return chain; };
+      chain.limit = (value) => { limit = value; return chain; };
+      return chain;
+    });
+  });
+
+  it('puts replies to replies into the thread of the top-level comment', async () => {
+    const { comment: top } = await addComment(userA, vent._id, 'Sending you a hug');
+    const { comment: reply } = await addComment(authorId, vent._id, 'Thank you', top._id);
+    const { comment: replyToReply } = await addComment(userA, vent._id, 'Anytime', reply._id);
+
+    expect(reply).toMatchObject({ parentId: top._id, rootId: top._id });
+    expect(replyToReply).toMatchObject({ parentId: reply._id, rootId: top._id });
+    expect(commentById(top._id).replyCount).toBe(2);
+    expect(vent.commentCount).toBe(3);
+
+    const topLevel = await listComments(vent._id, userB);
+    expect(topLevel.comments.map(comment => comment.text)).toEqual(['Sending you a hug']);
+
+    // Asking for any comment in the thread returns the whole thread, oldest first
+    const thread = await listReplies(replyToReply._id, userB);
+    expect(thread.comments.map(comment => comment.text)).toEqual(['Thank you', 'Anytime']);
+  });
+
+  it('does not reveal the author of an anonymous vent through their comments', async () => {
+    vent.anonymous = true;
+    const { comment: top } = await addComment(userA, vent._id, 'You are not alone');
+    await addComment(authorId, vent._id, 'That means a lot', top._id);
+
+    const thread = await listReplies(top._id, userB);
+    expect(thread.comments[0]).toMatchObject({ user: ANONYMOUS_AUTHOR, byAuthor: true });
+    expect(JSON.stringify(thread)).not.toContain(authorId);
+  });
+
+  it('hides a hidden comment and its thread from everyone but the vent owner and its author', async () => {
+    const { comment: top } = await addComment(userA, vent._id, 'Have you tried just cheering up?');
+    await addComment(userB, vent._id, 'Not helpful', top._id);
+
+    expect(await setCommentHidden(userB, top._id, true)).toMatchObject({ success: false, statusCode: 403 });
+    expect(await setCommentHidden(authorId, top._id, true)).toEqual({ success: true, hidden: true });
+
+    expect((await listComments(vent._id, userB)).comments).toHaveLength(0);
+    expect((await listComments(vent._id, userA)).comments[0]).toMatchObject({ hidden: true });
+    expect((await listComments(vent._id, authorId)).comments[0]).toMatchObject({ hidden: true });
+
+    expect(await listReplies(top._id, userB)).toMatchObject({ success: false, statusCode: 404 });
+    expect(await listReplies(top._id, null)).toMatchObject({ success: false, statusCode: 404 });
+    expect((await listReplies(top._id, userA)).comments).toHaveLength(1);
+    expect((await listReplies(top._id, authorId)).comments).toHaveLength(1);
+  });
+
+  it('only lets accepted matches comment when the audience is matches', async () => {
+    expect(await setCommentAudience(userA, vent._id, 'matches')).toMatchObject({ success: false, statusCode: 404 });
+    expect(await setCommentAudience(authorId, vent._id, 'matches')).toEqual({ success: true, audience: 'matches' });
+
+    expect(await addComment(userA, vent._id, 'Hang in there')).toMatchObject({
+      success: false,
+      statusCode: 403,
+      message: 'Only matches can comment on this vent'
+    });
+
+    acceptedMatchIds = [userA];
+    expect(await addComment(userA, vent._id, 'Hang in there')).toMatchObject({ success: true });
+  });
+
+  it('answers 404 for malformed vent ids', async () => {
+    const notFound = { success: false, statusCode: 404 };
+    expect(await addComment(userA, 'not-an-id', 'Hello')).toMatchObject(notFound);
+    expect(await deleteComment(userA, 'not-an-id', new mongoose.Types.ObjectId())).toMatchObject(notFound);
+    expect(await setCommentAudience(authorId, 'not-an-id', 'matches')).toMatchObject(notFound);
+    expect(Vent.findById).not.toHaveBeenCalled();
+  });
+
+  it('locks edits while a report is pending', async () => {
+    const { comment } = await addComment(userA, vent._id, 'First version');
+
+    Report.exists.mockResolvedValue({ _id: new mongoose.Types.ObjectId() });
+    expect(await editComment(userA, comment._id, 'Second version')).toMatchObject({ success: false, statusCode: 409 });
+    expect(comment.text).toBe('First version');
+
+    Report.exists.mockResolvedValue(null);
+    expect(await editComment(userA, comment._id, 'Second version')).toMatchObject({ success: true });
+    expect(comment).toMatchObject({ text: 'Second version', isEdited: true });
+    expect(comment.editHistory.map(entry => entry.text)).toEqual(['First version']);
+  });
+
+  it('toggles, changes and counts reactions', async () => {
+    const { comment } = await addComment(userA, vent._id, 'Proud of you');
+
+    expect(await toggleCommentReaction(userB, comment._id, 'hug')).toMatchObject({ action: 'added', reactions: { hug: 1 } });
+    expect(await toggleCommentReaction(authorId, comment._id, 'hug')).toMatchObject({ action: 'added', reactions: { hug: 2 } });
+    expect(await toggleCommentReaction(userB, comment._id, 'heart')).toMatchObject({ action: 'changed', reactions: { hug: 1, heart: 1 } });
+    expect(await toggleCommentReaction(userB, comment._id, 'heart')).toMatchObject({ action: 'removed', reactions: { hug: 1, heart: 0 } });
+    expect(await toggleCommentReaction(userB, comment._id, 'shrug')).toMatchObject({ success: false, statusCode: 400 });
+  });
+
+  it('removes a deleted comment placeholder together with its last reply', async () => {
+    const { comment: top } = await addComment(userA, vent._id, 'Rough week?');
+    const { comment: reply } = await addComment(userB, vent._id, 'Same here', top._id);
+
+    await deleteComment(userA, vent._id, top._id);
+    expect(commentById(top._id)).toMatchObject({ isDeleted: true, text: undefined });
+    expect((await listComments(vent._id, userB)).comments[0]).toMatchObject({ isDeleted: true, text: null, user: null });
+
+    await deleteComment(userB, vent._id, reply._id);
+    expect(comments).toHaveLength(0);
+    expect(vent.commentCount).toBe(0);
+  });
+});
@@ -0,0 +1,38 @@
+const ADJECTIVES = [
+  'Peaceful', 'Hopeful', 'Serene', 'Cheerful', 'Bright',
+  'Gentle', 'Joyful', 'Calm', 'Radiant', 'Lively',
+  'Tranquil', 'Mellow', 'Blissful', 'Uplifting', 'Harmonious',
+  'Zen', 'Balanced', 'Soothing', 'Rejuvenated', 'Ethereal'
+];
+
+const NOUNS = [
+  'Sunrise', 'Butterfly', 'Rainbow', 'Breeze', 'Meadow',
+  'Blossom', 'Oasis', 'Harmony', 'Star', 'Wave',
+  'Garden', 'Spirit', 'Journey', 'Solace', 'Haven',
+  'Paradise', 'Aura', 'Cloud', 'Dawn', 'Serenity'
+];
+
+const pick = (list) => list[Math.floor(Math.random() * list.length)];
+
+// e.g. "CalmMeadow42"
+const generateReadableUsername = () => {
+  return `${pick(ADJECTIVES)}${pick(NOUNS)}${Math.floor(Math.random() * 100)}`;
+};
+
+/**
+ * ✅ Generate a readable username that passes `isAvailable`
+ * - Falls back to a longer numeric suffix when the short ones keep colliding
+ * @param {Function} isAvailable - async (username) => boolean
+ */
+const generateUniqueUsername = async (isAvailable, maxAttempts = 10) => {
+  for (let attempt = 0; attempt < maxAttempts; attempt++) {
+    const candidate = attempt < maxAttempts / 2
+      ? generateReadableUsername()
+      : `${pick(ADJECTIVES)}${pick(NOUNS)}${Math.floor(Math.random() * 10000)}`;
+
+    if (await isAvailable(candidate)) return candidate;
+  }
+  throw new Error('Could not generate a unique username');
+};
+
+module.exports = { ADJECTIVES, NOUNS, generateReadableUsername, generateUniqueUsername };
@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const AuditLog = require('../models/AuditLog');
+const connectDB = require('../config/db');
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+// Bootstrap the first platform admin: node utils/grantAdmin.js <phone>
+const grantAdmin = async () => {
+  const phone = process.argv[2];
+
+  if (!phone) {
+    console.error('❌ Usage: node utils/grantAdmin.js <phone>');
+    process.exit(1);
+  }
+
+  try {
+    await connectDB();
+
+    const user = await User.findOneAndUpdate(
+      { phone },
+      { $addToSet: { roles: 'admin' } },
+      { new: true }
+    );
+
+    if (!user) {
+      console.error(`❌ No user found with phone ${phone}`);
+      process.exit(1);
+    }
+
+    await AuditLog.create({
+      actorId: user._id,
+      action: 'role_granted',
+      targetUserId: user._id,
+      targetType: 'user',
+      targetId: user._id,
+      details: { role: 'admin', source: 'grantAdmin script', newRoles: user.roles }
+    });
+
+    console.log(`✅ ${user.username} is now an admin (roles: ${user.roles.join(', ')})`);
+
+    await mongoose.disconnect();
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error granting admin role:', error);
+    process.exit(1);
+  }
+};
+
+grantAdmin();
@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+// Opaque pagination cursor for chat messages: base64url of "<createdAt ISO>|<messageId>"
+// createdAt orders the messages; _id breaks ties between messages stored in the same millisecond
+
+const encodeCursor = (message) => {
+  if (!message) return null;
+  return Buffer.from(`${new Date(message.createdAt).toISOString()}|${message._id}`).toString('base64url');
+};
+
+/**
+ * ✅ Decode a cursor
+ * @returns {{ createdAt: Date, _id: ObjectId } | null} null when the cursor is malformed
+ */
+const decodeCursor = (cursor) => {
+  if (typeof cursor !== 'string' || !cursor) return null;
+
+  const [createdAtRaw, id] = Buffer.from(cursor, 'base64url').toString('utf8').split('|');
+  const createdAt = new Date(createdAtRaw);
+  if (Number.isNaN(createdAt.getTime()) || !mongoose.Types.ObjectId.isValid(id)) return null;
+
+  return { createdAt, _id: new mongoose.Types.ObjectId(id) };
+};
+
+/**
+ * ✅ Query condition for messages strictly older (`before`) or newer (`after`) than a cursor
+ */
+const cursorCondition = (cursor, direction) => {
+  const op = direction === 'before' ? '$lt' : '$gt';
+  return {
+    $or: [
+      { createdAt: { [op]: cursor.createdAt } },
+      { createdAt: cursor.createdAt, _id: { [op]: cursor._id } }
+    ]
+  };
+};
+
+module.exports = { encodeCursor, decodeCursor, cursorCondition };
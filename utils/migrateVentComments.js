@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+const Vent = require('../models/Vent');
+const VentComment = require('../models/VentComment');
+const connectDB = require('../config/db');
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+// Move comments embedded in vent documents into the VentComment collection: node utils/migrateVentComments.js
+// Safe to re-run: comments keep their _id, and a vent is only cleared once its comments are stored
+const migrateVentComments = async () => {
+  try {
+    await connectDB();
+
+    // The Vent schema no longer has `comments`, so read the raw documents
+    const cursor = Vent.collection.find({ 'comments.0': { $exists: true } }, { projection: { comments: 1 } });
+    let ventCount = 0;
+    let commentCount = 0;
+
+    for await (const vent of cursor) {
+      const comments = vent.comments.filter(comment => comment.userId && comment.text);
+
+      if (comments.length > 0) {
+        await VentComment.bulkWrite(comments.map(comment => ({
+          updateOne: {
+            filter: { _id: comment._id },
+            update: {
+              $setOnInsert: {
+                ventId: vent._id,
+                userId: comment.userId,
+                text: comment.text,
+                createdAt: comment.createdAt || new Date(),
+                updatedAt: comment.createdAt || new Date()
+              }
+            },
+            upsert: true,
+            timestamps: false // Keep the original comment times
+          }
+        })));
+      }
+
+      const storedCount = await VentComment.countDocuments({ ventId: vent._id, isDeleted: false });
+      await Vent.collection.updateOne(
+        { _id: vent._id },
+        { $unset: { comments: '' }, $set: { commentCount: storedCount } }
+      );
+      ventCount += 1;
+      commentCount += comments.length;
+    }
+
+    console.log(`✅ Moved ${commentCount} comments from ${ventCount} vents`);
+
+    await mongoose.disconnect();
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error migrating vent comments:', error);
+    process.exit(1);
+  }
+};
+
+migrateVentComments();
@@ -0,0 +1,97 @@
+const USERNAME_MIN_LENGTH = 3;
+const USERNAME_MAX_LENGTH = 24;
+const USERNAME_PATTERN = /^[A-Za-z][A-Za-z0-9_]*$/; // Starts with a letter; letters, digits and underscores only
+
+const USERNAME_CHANGE_COOLDOWN_DAYS = 30;  // Between two username changes
+const USERNAME_HOLD_DAYS = 90;             // Released handles stay unavailable to others for this long
+
+// Names that could be mistaken for staff or system accounts
+const RESERVED_USERNAMES = [
+  'admin', 'administrator', 'moderator', 'mod', 'support', 'help', 'helpdesk',
+  'staff', 'team', 'official', 'system', 'root', 'unmute', 'unmuteapp', 'unmuteteam',
+  'anonymous', 'deleted', 'deleteduser', 'unknown', 'unknownuser', 'null', 'undefined',
+  'expert', 'therapist', 'doctor', 'counselor', 'crisis', 'emergency', 'security', 'api'
+];
+
+// Matched as substrings after normalising case and common character substitutions
+const OFFENSIVE_TERMS = [
+  'fuck', 'shit', 'bitch', 'cunt', 'dick', 'cock', 'pussy', 'asshole', 'bastard', 'whore',
+  'slut', 'nigger', 'nigga', 'faggot', 'retard', 'rape', 'rapist', 'nazi', 'hitler',
+  'kys', 'killyourself', 'suicide', 'selfharm', 'cutter', 'pedo', 'porn', 'sex'
+];
+
+// Ordinary words that contain one of the terms above (longest first, so "skyscraper" wins over "scrape")
+const ALLOWED_WORDS = [
+  'essex', 'sussex', 'wessex', 'middlesex', 'sextant', 'sextet', 'sexton',
+  'peacock', 'woodcock', 'hitchcock', 'hancock', 'shuttlecock', 'cockpit', 'cocktail', 'cockatoo', 'cockatiel',
+  'dickens', 'dickinson', 'scunthorpe', 'shiitake', 'shitake',
+  'grape', 'drape', 'scrape', 'trapeze', 'skyscraper', 'skys', 'therapist',
+  'woodcutter', 'stonecutter', 'torpedo', 'pedometer'
+].sort((a, b) => b.length - a.length);
+
+const LEET_MAP = { '0': 'o', '1': 'i', '3': 'e', '4': 'a', '5': 's', '7': 't', '8': 'b', '9': 'g', '@': 'a', '$': 's' };
+
+// Lower-case, undo leetspeak and drop separators: "K_1ll-Y0urs3lf" -> "killyourself"
+const normalizeUsername = (username) => username
+  .toLowerCase()
+  .split('')
+  .map(char => LEET_MAP[char] || char)
+  .join('')
+  .replace(/[^a-z]/g, '');
+
+/**
+ * ✅ Whether the normalised name contains an offensive term
+ * - Allowed words are taken out first, so "Essex", "Peacock" and "Skyscraper" are fine but "EssexPorn" is not
+ */
+const containsOffensiveTerm = (username) => {
+  const remaining = ALLOWED_WORDS.reduce((name, word) => name.split(word).join(' '), normalizeUsername(username));
+  return OFFENSIVE_TERMS.some(term => remaining.includes(term));
+};
+
+/**
+ * ✅ Check a requested username against format, reserved and offensive rules
+ * - Availability (uniqueness, held handles) is checked separately against the database
+ * @returns {{ valid: boolean, message?: string }}
+ */
+const validateUsername = (username) => {
+  if (typeof username !== 'string') {
+    return { valid: false, message: 'Username must be a string' };
+  }
+
+  if (username.length < USERNAME_MIN_LENGTH || username.length > USERNAME_MAX_LENGTH) {
+    return { valid: false, message: `Username must be between ${USERNAME_MIN_LENGTH} and ${USERNAME_MAX_LENGTH} characters` };
+  }
+
+  if (!USERNAME_PATTERN.test(username)) {
+    return { valid: false, message: 'Username must start with a letter and contain only letters, numbers and underscores' };
+  }
+
+  if (username.includes('__')) {
+    return { valid: false, message: 'Username cannot contain consecutive underscores' };
+  }
+
+  const normalized = normalizeUsername(username);
+  const lowered = username.toLowerCase().replace(/_/g, '');
+
+  if (RESERVED_USERNAMES.includes(lowered) || RESERVED_USERNAMES.includes(normalized)) {
+    return { valid: false, message: 'This username is reserved' };
+  }
+
+  if (containsOffensiveTerm(username)) {
+    return { valid: false, message: 'This username is not allowed' };
+  }
+
+  return { valid: true };
+};
+
+module.exports = {
+  USERNAME_MIN_LENGTH,
+  USERNAME_MAX_LENGTH,
+  USERNAME_CHANGE_COOLDOWN_DAYS,
+  USERNAME_HOLD_DAYS,
+  RESERVED_USERNAMES,
+  OFFENSIVE_TERMS,
+  ALLOWED_WORDS,
+  normalizeUsername,
+  validateUsername
+};